@@ -18,6 +18,7 @@ import debug from 'debug';
 import * as playwright from 'playwright';
 
 import { logUnhandledError } from './utils/log.js';
+import { DatasetStore } from './utils/datasetStore.js';
 import { Tab } from './tab.js';
 import { outputFile  } from './config.js';
 
@@ -42,6 +43,7 @@ export class Context {
   readonly config: FullConfig;
   readonly sessionLog: SessionLog | undefined;
   readonly options: ContextOptions;
+  readonly datasets: DatasetStore;
   private _browserContextPromise: Promise<{ browserContext: playwright.BrowserContext, close: () => Promise<void> }> | undefined;
   private _browserContextFactory: BrowserContextFactory;
   private _tabs: Tab[] = [];
@@ -58,6 +60,7 @@ export class Context {
     this.config = options.config;
     this.sessionLog = options.sessionLog;
     this.options = options;
+    this.datasets = new DatasetStore(options.sessionLog?.folder());
     this._browserContextFactory = options.browserContextFactory;
     this._clientInfo = options.clientInfo;
     testDebug('create context');
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export type CommunitySource = 'indiehackers' | 'reddit' | 'hackernews' | 'twitter';
+
+export interface CommunityPost {
+  id: string;
+  source: CommunitySource;
+  title: string;
+  url: string;
+  linkUrl: string;
+  author: string;
+  community: string;
+  score: number;
+  comments: number;
+  timestamp: string;
+  text: string;
+}
+
+export interface CommunityReport {
+  source: CommunitySource | 'mixed';
+  query: string;
+  fetchedAt: string;
+  totalPosts: number;
+  posts: CommunityPost[];
+  summary: {
+    totalScore: number;
+    totalComments: number;
+    averageScore: number;
+    topAuthor: string;
+    topCommunity: string;
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type { CommunityPost, CommunitySource } from './community.js';
+import type { TwitterPost } from './twitter.js';
+
+export type DatasetSource = CommunitySource | 'mixed';
+
+export interface Dataset {
+  id: string;
+  name: string;
+  source: DatasetSource;
+  query: string;
+  createdAt: string;
+  // Twitter datasets hold TwitterPost items; every other source (and merged datasets) CommunityPost
+  items: (TwitterPost | CommunityPost)[];
+  derivedFrom?: string[];
+}
+
+export interface DatasetFilter {
+  text?: string;
+  author?: string;
+  minScore?: number;
+  minComments?: number;
+  since?: string;
+  source?: CommunitySource;
+}
@@ -14,19 +14,41 @@
  * limitations under the License.
  */
 
+export interface TwitterMedia {
+  type: 'photo' | 'video' | 'animated_gif';
+  url: string;
+}
+
 export interface TwitterPost {
   id: string;
   text: string;
   author: string;
   authorHandle: string;
+  // Only in API data
+  authorFollowers?: number;
+  verified: boolean;
   timestamp: string;
   likes: number;
   retweets: number;
+  quotes: number;
+  bookmarks: number;
+  // View count; when Twitter shows none it is estimated from engagement and impressionsEstimated is set
   impressions: number;
+  impressionsEstimated: boolean;
   replies: number;
   url: string;
   hashtags: string[];
   mentions: string[];
+  media: TwitterMedia[];
+  quotedTweetId?: string;
+  inReplyToTweetId?: string;
+}
+
+// A post in the reply thread of a status, in conversation order
+export interface TwitterReply extends TwitterPost {
+  inReplyToTweetId: string;
+  // 1 for direct replies to the status, 2 for replies to those, ...
+  depth: number;
 }
 
 export interface TwitterReport {
@@ -38,6 +60,8 @@ export interface TwitterReport {
     totalLikes: number;
     totalRetweets: number;
     totalImpressions: number;
+    // Posts whose impressions are real view counts; averageEngagement only uses these when there are any
+    measuredPosts: number;
     averageEngagement: number;
     topAuthor: string;
   };
@@ -59,6 +59,10 @@ export class SessionLog {
     return new SessionLog(sessionFolder);
   }
 
+  folder(): string {
+    return this._folder;
+  }
+
   logResponse(response: Response) {
     const entry: LogEntry = {
       timestamp: performance.now(),
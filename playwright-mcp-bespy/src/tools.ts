@@ -32,6 +32,10 @@ import screenshot from './tools/screenshot.js';
 import wait from './tools/wait.js';
 import verify from './tools/verify.js';
 import { twitterTools } from './tools/twitter.js';
+import { indiehackersTools } from './tools/indiehackers.js';
+import { redditTools } from './tools/reddit.js';
+import { hackernewsTools } from './tools/hackernews.js';
+import { datasetTools } from './tools/datasets.js';
 
 import type { Tool } from './tools/tool.js';
 import type { FullConfig } from './config.js';
@@ -55,6 +59,10 @@ export const allTools: Tool<any>[] = [
   ...wait,
   ...verify,
   ...twitterTools,
+  ...indiehackersTools,
+  ...redditTools,
+  ...hackernewsTools,
+  ...datasetTools,
 ];
 
 export function filteredTools(config: FullConfig) {
@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import { describeDataset } from '../utils/datasetStore.js';
+import { CommunityReportGenerator, createCommunityReport } from '../utils/communityReportGenerator.js';
+import { ReportGenerator, createTwitterReport } from '../utils/reportGenerator.js';
+
+import type { Context } from '../context.js';
+import type { Response } from '../response.js';
+import type { CommunityPost } from '../models/community.js';
+import type { Dataset } from '../models/dataset.js';
+import type { TwitterPost } from '../models/twitter.js';
+
+function datasetOrError(context: Context, idOrName: string, response: Response): Dataset | undefined {
+  const dataset = context.datasets.get(idOrName);
+  if (!dataset)
+    response.addError(`No dataset "${idOrName}". Use dataset_list to see the available datasets.`);
+  return dataset;
+}
+
+const datasetList = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'dataset_list',
+    title: 'List datasets',
+    description: 'List the datasets fetched in this session (ids to use with the report, merge, filter and export tools)',
+    inputSchema: z.object({}),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const datasets = context.datasets.list();
+    if (datasets.length === 0) {
+      response.addResult('No datasets yet. Fetch tools (twitter_fetch_posts, reddit_search, hn_search, ...) create them.');
+      return;
+    }
+    response.addResult(datasets.map(dataset => `- ${describeDataset(dataset)}, created ${dataset.createdAt}`).join('\n'));
+  },
+});
+
+const datasetMerge = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'dataset_merge',
+    title: 'Merge datasets',
+    description: 'Combine several datasets into a new one without duplicate posts; datasets of different sources become a mixed community dataset',
+    inputSchema: z.object({
+      datasetIds: z.array(z.string()).min(2).describe('Ids (or names) of the datasets to merge'),
+      name: z.string().optional().describe('Name of the new dataset'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const datasets: Dataset[] = [];
+    for (const id of params.datasetIds) {
+      const dataset = datasetOrError(context, id, response);
+      if (!dataset)
+        return;
+      datasets.push(dataset);
+    }
+
+    const merged = context.datasets.merge(datasets, params.name);
+    response.addResult(`Merged into ${describeDataset(merged)}`);
+  },
+});
+
+const datasetFilter = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'dataset_filter',
+    title: 'Filter a dataset',
+    description: 'Create a new dataset with the posts of a dataset that match every given criterion',
+    inputSchema: z.object({
+      datasetId: z.string().describe('Id (or name) of the dataset to filter'),
+      text: z.string().optional().describe('Keep posts whose title or text contains this (case-insensitive)'),
+      author: z.string().optional().describe('Keep posts by this author (username or @handle)'),
+      minScore: z.number().optional().describe('Minimum votes (likes for Twitter, points for HackerNews)'),
+      minComments: z.number().optional().describe('Minimum comments (replies for Twitter)'),
+      since: z.string().optional().describe('Keep posts published at or after this date (ISO format)'),
+      source: z.enum(['indiehackers', 'reddit', 'hackernews', 'twitter']).optional().describe('Keep posts from this source (for merged datasets)'),
+      name: z.string().optional().describe('Name of the new dataset'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const dataset = datasetOrError(context, params.datasetId, response);
+    if (!dataset)
+      return;
+
+    const { text, author, minScore, minComments, since, source } = params;
+    const filtered = context.datasets.filter(dataset, { text, author, minScore, minComments, since, source }, params.name);
+    response.addResult(`Kept ${filtered.items.length} of ${dataset.items.length} posts: ${describeDataset(filtered)}`);
+  },
+});
+
+const datasetExport = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'dataset_export',
+    title: 'Export a dataset',
+    description: 'Write a dataset to the report directory as JSON, or as a Markdown/CSV report',
+    inputSchema: z.object({
+      datasetId: z.string().describe('Id (or name) of the dataset to export'),
+      format: z.enum(['json', 'markdown', 'csv', 'both']).optional().default('json').describe('JSON dataset, or report format (both = Markdown and CSV)'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const dataset = datasetOrError(context, params.datasetId, response);
+    if (!dataset)
+      return;
+
+    if (params.format === 'json') {
+      const reportDir = './report';
+      await fs.mkdir(reportDir, { recursive: true });
+      const filePath = path.join(reportDir, `dataset_${dataset.id}_${dataset.createdAt.split('T')[0]}.json`);
+      await fs.writeFile(filePath, JSON.stringify(dataset, null, 2), 'utf-8');
+      response.addResult(`Exported ${describeDataset(dataset)} to: ${filePath}`);
+      return;
+    }
+
+    const savedFiles = dataset.source === 'twitter'
+      ? await new ReportGenerator().saveReport(createTwitterReport(dataset.query, dataset.items as TwitterPost[]), params.format)
+      : await new CommunityReportGenerator().saveReport(createCommunityReport(dataset.source, dataset.query, dataset.items as CommunityPost[]), params.format);
+
+    let resultMessage = `Exported ${describeDataset(dataset)}\n`;
+    if (savedFiles.markdown)
+      resultMessage += `Markdown report saved to: ${savedFiles.markdown}\n`;
+    if (savedFiles.csv)
+      resultMessage += `CSV report saved to: ${savedFiles.csv}\n`;
+    response.addResult(resultMessage.trimEnd());
+  },
+});
+
+export const datasetTools = [
+  datasetList,
+  datasetMerge,
+  datasetFilter,
+  datasetExport,
+];
@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import { CommunityReportGenerator, createCommunityReport } from '../utils/communityReportGenerator.js';
+
+import type { Tab } from '../tab.js';
+import type { CommunityPost } from '../models/community.js';
+
+// Tests serve the search results from their own server
+const algoliaUrl = process.env.PWMCP_HN_API_URL_FOR_TEST ?? 'https://hn.algolia.com/api/v1';
+
+type AlgoliaHit = {
+  objectID: string;
+  title?: string;
+  url?: string;
+  author?: string;
+  points?: number;
+  num_comments?: number;
+  created_at?: string;
+  story_text?: string;
+};
+
+/**
+ * Algolia search through the browser session, so proxy settings and cookies apply
+ */
+async function searchAlgolia(tab: Tab, endpoint: 'search' | 'search_by_date', params: Record<string, string | number>): Promise<CommunityPost[]> {
+  const query = new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)]));
+  const result = await tab.page.request.get(`${algoliaUrl}/${endpoint}?${query}`, { timeout: 15000 });
+  if (!result.ok())
+    throw new Error(`HN Algolia API returned HTTP ${result.status()}`);
+
+  const { hits } = await result.json() as { hits: AlgoliaHit[] };
+  return hits.filter(hit => hit.title).map(hit => ({
+    id: hit.objectID,
+    source: 'hackernews',
+    title: hit.title!,
+    url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+    linkUrl: hit.url || '',
+    author: hit.author || '',
+    community: 'hackernews',
+    score: hit.points || 0,
+    comments: hit.num_comments || 0,
+    timestamp: hit.created_at || '',
+    text: (hit.story_text || '').replace(/<[^>]+>/g, ' '),
+  }));
+}
+
+async function searchStories(tab: Tab, keyword: string, maxPosts: number, sortBy: 'popularity' | 'date'): Promise<CommunityPost[]> {
+  return searchAlgolia(tab, sortBy === 'date' ? 'search_by_date' : 'search', {
+    query: keyword,
+    tags: 'story',
+    hitsPerPage: maxPosts,
+  });
+}
+
+/**
+ * Front page stories from the last `days` days, ranked like scripts/hackernews/trending.js:
+ * (points + 2 × comments) / (age in hours + 2)^1.5
+ */
+async function trendingStories(tab: Tab, days: number, maxPosts: number): Promise<CommunityPost[]> {
+  const stories = await searchAlgolia(tab, 'search', { tags: 'front_page', hitsPerPage: 100 });
+  const now = Date.now();
+  const trendingScore = (post: CommunityPost) => {
+    const ageInHours = Math.max((now - new Date(post.timestamp).getTime()) / 3600000, 1);
+    return (post.score + post.comments * 2) / Math.pow(ageInHours + 2, 1.5);
+  };
+
+  return stories
+      .filter(post => post.timestamp && now - new Date(post.timestamp).getTime() <= days * 24 * 3600000)
+      .sort((a, b) => trendingScore(b) - trendingScore(a))
+      .slice(0, maxPosts)
+      .map(post => ({ ...post, community: 'front page' }));
+}
+
+const hnSearch = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'hn_search',
+    title: 'Search HackerNews',
+    description: 'Search HackerNews stories for a keyword (Algolia search API)',
+    inputSchema: z.object({
+      keyword: z.string().describe('The keyword or phrase to search for'),
+      maxPosts: z.number().optional().default(20).describe('Maximum number of stories to fetch'),
+      sortBy: z.enum(['popularity', 'date']).optional().default('popularity').describe('Sort results by popularity or date'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const tab = await context.ensureTab();
+    const posts = await searchStories(tab, params.keyword, params.maxPosts, params.sortBy);
+    const dataset = context.datasets.add('hackernews', params.keyword, posts);
+
+    response.addResult(`Fetched ${posts.length} HackerNews stories for "${params.keyword}" (sorted by ${params.sortBy}, dataset ${dataset.id})`);
+    response.addCode(`// Extracted stories data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
+  },
+});
+
+const hnTrending = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'hn_trending',
+    title: 'HackerNews Trending',
+    description: 'Fetch HackerNews front page stories ranked by engagement per hour',
+    inputSchema: z.object({
+      days: z.number().optional().default(2).describe('Only include stories posted in the last N days'),
+      maxPosts: z.number().optional().default(10).describe('Maximum number of stories to fetch'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const tab = await context.ensureTab();
+    const posts = await trendingStories(tab, params.days, params.maxPosts);
+    const dataset = context.datasets.add('hackernews', 'trending', posts);
+
+    response.addResult(`Fetched ${posts.length} trending HackerNews stories from the last ${params.days} day(s) (dataset ${dataset.id})`);
+    response.addCode(`// Extracted stories data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
+  },
+});
+
+const hnFetchAndReport = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'hn_fetch_and_report',
+    title: 'Fetch HackerNews Data and Generate Report',
+    description: 'Complete workflow: search HackerNews (or fetch trending stories when no keyword is given) and generate a report',
+    inputSchema: z.object({
+      keyword: z.string().optional().describe('The keyword or phrase to search for; omit for trending stories'),
+      maxPosts: z.number().optional().default(20).describe('Maximum number of stories to fetch'),
+      sortBy: z.enum(['popularity', 'date']).optional().default('popularity').describe('Sort search results by popularity or date'),
+      days: z.number().optional().default(2).describe('Trending stories only: posted in the last N days'),
+      format: z.enum(['markdown', 'csv', 'both']).optional().default('both').describe('Report format'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    try {
+      const tab = await context.ensureTab();
+      const posts = params.keyword
+        ? await searchStories(tab, params.keyword, params.maxPosts, params.sortBy)
+        : await trendingStories(tab, params.days, params.maxPosts);
+
+      const dataset = context.datasets.add('hackernews', params.keyword || 'trending', posts);
+
+      const report = createCommunityReport('hackernews', dataset.query, posts);
+      response.addResult(`Dataset: ${dataset.id}\n` + await new CommunityReportGenerator().saveAndDescribe(report, params.format));
+    } catch (error) {
+      response.addError(`Error during HackerNews data fetch: ${error}`);
+    }
+  },
+});
+
+export const hackernewsTools = [
+  hnSearch,
+  hnTrending,
+  hnFetchAndReport,
+];
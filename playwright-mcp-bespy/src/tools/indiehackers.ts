@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import { CommunityReportGenerator, createCommunityReport } from '../utils/communityReportGenerator.js';
+
+import type { Tab } from '../tab.js';
+import type { CommunityPost } from '../models/community.js';
+
+// Tests serve the category pages from their own server
+const indiehackersUrl = process.env.PWMCP_INDIEHACKERS_URL_FOR_TEST ?? 'https://www.indiehackers.com';
+
+// Same pages as config/categories.json in the BeSpy repo
+const categoryPaths = {
+  'main': '/',
+  'starting-up': '/starting-up',
+  'tech': '/tech',
+  'ai': '/tags/artificial-intelligence',
+  'creators': '/creators',
+  'money': '/money',
+};
+
+const category = z.enum(Object.keys(categoryPaths) as [keyof typeof categoryPaths, ...(keyof typeof categoryPaths)[]]);
+
+async function countPostLinks(tab: Tab): Promise<number> {
+  return tab.page.evaluate(() => new Set([...document.querySelectorAll('a[href*="/post/"]')].map(link => link.getAttribute('href'))).size);
+}
+
+/**
+ * Open a category listing in the shared tab, scroll until `maxPosts` posts are
+ * loaded (or the page stops growing) and read them from the DOM
+ */
+async function scrapeCategory(tab: Tab, categoryKey: keyof typeof categoryPaths, maxPosts: number): Promise<CommunityPost[]> {
+  await tab.navigate(indiehackersUrl + categoryPaths[categoryKey]);
+  await tab.page.waitForSelector('a[href*="/post/"]', { timeout: 15000 }).catch(() => {});
+
+  for (let attempt = 0, count = await countPostLinks(tab); count < maxPosts && attempt < 10; attempt++) {
+    await tab.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await tab.page.waitForTimeout(1500);
+    const loaded = await countPostLinks(tab);
+    if (loaded === count)
+      break;
+    count = loaded;
+  }
+
+  const posts = await tab.page.evaluate(maxPosts => {
+    const seen = new Set<string>();
+    const results: { title: string, href: string, author: string, upvotes: number, comments: number, timestamp: string, text: string }[] = [];
+
+    for (const link of document.querySelectorAll<HTMLAnchorElement>('a[href*="/post/"]')) {
+      const href = link.href.split(/[?#]/)[0];
+      const title = (link.querySelector('h3, h2')?.textContent || link.textContent || '').trim();
+      if (!title || seen.has(href) || /^\d+$/.test(title))
+        continue;
+      seen.add(href);
+
+      // Post card: the closest ancestor that also holds the vote/comment counters
+      let card: Element = link;
+      for (let depth = 0; depth < 5 && card.parentElement; depth++) {
+        card = card.parentElement;
+        if ([...card.querySelectorAll('a')].some(a => /^\d+$/.test(a.textContent?.trim() || '')))
+          break;
+      }
+
+      // Counters are number-only links: upvotes first, then comments
+      const counters = [...card.querySelectorAll('a')]
+          .map(a => a.textContent?.trim() || '')
+          .filter(text => /^\d+$/.test(text))
+          .map(text => parseInt(text, 10));
+      const authorLink = card.querySelector('a[href*="?id="]:not(:has(h3)), a[href^="/u/"]');
+      const time = card.querySelector('time, .timestamp, .time-ago, .post-date');
+      const preview = card.querySelector('p, .post-preview, .excerpt');
+
+      results.push({
+        title,
+        href,
+        author: authorLink?.textContent?.trim() || '',
+        upvotes: counters[0] || 0,
+        comments: counters[1] || 0,
+        timestamp: time?.getAttribute('datetime') || time?.textContent?.trim() || '',
+        text: preview?.textContent?.trim() || '',
+      });
+      if (results.length >= maxPosts)
+        break;
+    }
+
+    return results;
+  }, maxPosts);
+
+  return posts.map(post => ({
+    id: post.href.split('/post/')[1] || post.href,
+    source: 'indiehackers',
+    title: post.title,
+    url: post.href,
+    linkUrl: '',
+    author: post.author,
+    community: categoryKey,
+    score: post.upvotes,
+    comments: post.comments,
+    timestamp: post.timestamp,
+    text: post.text,
+  }));
+}
+
+const indiehackersScrapeCategory = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'indiehackers_scrape_category',
+    title: 'Scrape IndieHackers Category',
+    description: 'Navigate to an IndieHackers category and extract its posts',
+    inputSchema: z.object({
+      category: category.optional().default('main').describe('Category to scrape'),
+      maxPosts: z.number().optional().default(20).describe('Maximum number of posts to fetch'),
+    }),
+    type: 'destructive',
+  },
+
+  handle: async (context, params, response) => {
+    const tab = await context.ensureTab();
+    const posts = await scrapeCategory(tab, params.category, params.maxPosts);
+    const dataset = context.datasets.add('indiehackers', params.category, posts);
+
+    response.setIncludeSnapshot();
+    response.addResult(`Fetched ${posts.length} posts from the IndieHackers ${params.category} category (dataset ${dataset.id})`);
+    response.addCode(`// Extracted posts data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
+  },
+});
+
+const indiehackersFetchAndReport = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'indiehackers_fetch_and_report',
+    title: 'Fetch IndieHackers Data and Generate Report',
+    description: 'Complete workflow: scrape an IndieHackers category and generate a report',
+    inputSchema: z.object({
+      category: category.optional().default('main').describe('Category to scrape'),
+      maxPosts: z.number().optional().default(20).describe('Maximum number of posts to fetch'),
+      format: z.enum(['markdown', 'csv', 'both']).optional().default('both').describe('Report format'),
+    }),
+    type: 'destructive',
+  },
+
+  handle: async (context, params, response) => {
+    try {
+      const tab = await context.ensureTab();
+      const posts = await scrapeCategory(tab, params.category, params.maxPosts);
+
+      const dataset = context.datasets.add('indiehackers', params.category, posts);
+
+      const report = createCommunityReport('indiehackers', params.category, posts);
+      response.addResult(`Dataset: ${dataset.id}\n` + await new CommunityReportGenerator().saveAndDescribe(report, params.format));
+    } catch (error) {
+      response.addError(`Error during IndieHackers data fetch: ${error}`);
+    }
+  },
+});
+
+export const indiehackersTools = [
+  indiehackersScrapeCategory,
+  indiehackersFetchAndReport,
+];
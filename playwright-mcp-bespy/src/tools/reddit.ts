@@ -0,0 +1,189 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import { CommunityReportGenerator, createCommunityReport } from '../utils/communityReportGenerator.js';
+
+import type { Tab } from '../tab.js';
+import type { CommunityPost } from '../models/community.js';
+
+// Tests serve the listings from their own server
+const redditUrl = process.env.PWMCP_REDDIT_URL_FOR_TEST ?? 'https://www.reddit.com';
+
+const timeFilter = z.enum(['hour', 'day', 'week', 'month', 'year', 'all']);
+
+type RedditListingPost = {
+  id: string;
+  title: string;
+  permalink: string;
+  url?: string;
+  is_self?: boolean;
+  author?: string;
+  subreddit?: string;
+  score?: number;
+  num_comments?: number;
+  created_utc?: number;
+  selftext?: string;
+};
+
+/**
+ * Reddit's JSON listings, requested through the browser session so a logged-in
+ * profile sees what it would see in the browser
+ */
+async function fetchListing(tab: Tab, listingPath: string, params: Record<string, string | number>): Promise<CommunityPost[]> {
+  const query = new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)]));
+  const result = await tab.page.request.get(`${redditUrl}${listingPath}.json?${query}&raw_json=1`, { timeout: 15000 });
+  if (!result.ok())
+    throw new Error(`Reddit returned HTTP ${result.status()} for ${listingPath}`);
+
+  const listing = await result.json() as { data?: { children?: { kind: string, data: RedditListingPost }[] } };
+  return (listing.data?.children || []).filter(child => child.kind === 't3').map(({ data }) => ({
+    id: data.id,
+    source: 'reddit',
+    title: data.title,
+    url: `${redditUrl}${data.permalink}`,
+    linkUrl: data.is_self ? '' : data.url || '',
+    author: data.author || '',
+    community: data.subreddit || '',
+    score: data.score || 0,
+    comments: data.num_comments || 0,
+    timestamp: data.created_utc ? new Date(data.created_utc * 1000).toISOString() : '',
+    text: data.selftext || '',
+  }));
+}
+
+function subredditName(subreddit: string): string {
+  return subreddit.replace(/^\/?r\//i, '').replace(/\/$/, '');
+}
+
+async function searchPosts(tab: Tab, params: { keyword: string, subreddit?: string, sortBy: string, time: string, maxPosts: number }): Promise<CommunityPost[]> {
+  const listingPath = params.subreddit ? `/r/${subredditName(params.subreddit)}/search` : '/search';
+  return fetchListing(tab, listingPath, {
+    q: params.keyword,
+    sort: params.sortBy,
+    t: params.time,
+    limit: Math.min(params.maxPosts, 100),
+    ...(params.subreddit ? { restrict_sr: 1 } : {}),
+  });
+}
+
+async function topPosts(tab: Tab, params: { subreddit: string, time: string, maxPosts: number }): Promise<CommunityPost[]> {
+  return fetchListing(tab, `/r/${subredditName(params.subreddit)}/top`, {
+    t: params.time,
+    limit: Math.min(params.maxPosts, 100),
+  });
+}
+
+const redditSearch = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'reddit_search',
+    title: 'Search Reddit',
+    description: 'Search Reddit posts for a keyword, optionally within one subreddit',
+    inputSchema: z.object({
+      keyword: z.string().describe('The keyword or phrase to search for'),
+      subreddit: z.string().optional().describe('Only search this subreddit (without the r/ prefix)'),
+      sortBy: z.enum(['relevance', 'hot', 'top', 'new', 'comments']).optional().default('relevance').describe('Sort order of the results'),
+      time: timeFilter.optional().default('all').describe('Time range of the results'),
+      maxPosts: z.number().optional().default(25).describe('Maximum number of posts to fetch (up to 100)'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const tab = await context.ensureTab();
+    const posts = await searchPosts(tab, params);
+    const dataset = context.datasets.add('reddit', params.keyword, posts);
+    const scope = params.subreddit ? ` in r/${subredditName(params.subreddit)}` : '';
+
+    response.addResult(`Fetched ${posts.length} Reddit posts for "${params.keyword}"${scope} (sorted by ${params.sortBy}, ${params.time}, dataset ${dataset.id})`);
+    response.addCode(`// Extracted posts data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
+  },
+});
+
+const redditSubredditTop = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'reddit_subreddit_top',
+    title: 'Top Subreddit Posts',
+    description: 'Fetch the top posts of a subreddit for a time range',
+    inputSchema: z.object({
+      subreddit: z.string().describe('Subreddit name (without the r/ prefix)'),
+      time: timeFilter.optional().default('week').describe('Time range of the top posts'),
+      maxPosts: z.number().optional().default(25).describe('Maximum number of posts to fetch (up to 100)'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    const tab = await context.ensureTab();
+    const posts = await topPosts(tab, params);
+    const dataset = context.datasets.add('reddit', `r/${subredditName(params.subreddit)}`, posts);
+
+    response.addResult(`Fetched ${posts.length} top posts from r/${subredditName(params.subreddit)} (${params.time}, dataset ${dataset.id})`);
+    response.addCode(`// Extracted posts data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
+  },
+});
+
+const redditFetchAndReport = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'reddit_fetch_and_report',
+    title: 'Fetch Reddit Data and Generate Report',
+    description: 'Complete workflow: search Reddit for a keyword (or fetch a subreddit\'s top posts) and generate a report',
+    inputSchema: z.object({
+      keyword: z.string().optional().describe('The keyword or phrase to search for'),
+      subreddit: z.string().optional().describe('Subreddit to search in, or to fetch top posts from when no keyword is given'),
+      sortBy: z.enum(['relevance', 'hot', 'top', 'new', 'comments']).optional().default('relevance').describe('Sort order of search results'),
+      time: timeFilter.optional().default('week').describe('Time range of the posts'),
+      maxPosts: z.number().optional().default(25).describe('Maximum number of posts to fetch (up to 100)'),
+      format: z.enum(['markdown', 'csv', 'both']).optional().default('both').describe('Report format'),
+    }),
+    type: 'readOnly',
+  },
+
+  handle: async (context, params, response) => {
+    if (!params.keyword && !params.subreddit) {
+      response.addError('Either keyword or subreddit is required.');
+      return;
+    }
+
+    try {
+      const tab = await context.ensureTab();
+      const posts = params.keyword
+        ? await searchPosts(tab, { ...params, keyword: params.keyword })
+        : await topPosts(tab, { ...params, subreddit: params.subreddit! });
+
+      const query = params.keyword || `r/${subredditName(params.subreddit!)}`;
+      const dataset = context.datasets.add('reddit', query, posts);
+
+      const report = createCommunityReport('reddit', query, posts);
+      response.addResult(`Dataset: ${dataset.id}\n` + await new CommunityReportGenerator().saveAndDescribe(report, params.format));
+    } catch (error) {
+      response.addError(`Error during Reddit data fetch: ${error}`);
+    }
+  },
+});
+
+export const redditTools = [
+  redditSearch,
+  redditSubredditTop,
+  redditFetchAndReport,
+];
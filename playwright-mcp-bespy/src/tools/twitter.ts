@@ -16,8 +16,157 @@
 
 import { z } from 'zod';
 import { defineTool } from './tool.js';
-import { TwitterPost, TwitterReport, TwitterSearchOptions } from '../models/twitter.js';
-import { ReportGenerator } from '../utils/reportGenerator.js';
+import { TwitterMedia, TwitterPost, TwitterReply } from '../models/twitter.js';
+import { ReportGenerator, createTwitterReport } from '../utils/reportGenerator.js';
+
+import type * as playwright from 'playwright';
+
+// Scrolls without a single new post before the timeline counts as exhausted
+const maxIdleScrolls = 3;
+
+/**
+ * Posts parsed from a page's GraphQL responses, by status id. They belong to the
+ * page URL they were captured on: once the page moves to another search or
+ * status, the earlier posts are dropped instead of leaking into the new results.
+ */
+type Capture = {
+  url: string;
+  posts: Map<string, TwitterPost>;
+};
+
+// SearchTimeline responses of each page
+const timelineCaptures = new WeakMap<playwright.Page, Capture>();
+
+// TweetDetail responses of each page (a status, what it replies to and its replies)
+const conversationCaptures = new WeakMap<playwright.Page, Capture>();
+
+/**
+ * Start collecting SearchTimeline responses of a page (once per page). The
+ * responses carry exact counts for every post of a page of results, including
+ * ones Twitter never renders or already recycled out of the DOM.
+ */
+function captureTimeline(page: playwright.Page): Map<string, TwitterPost> {
+  return captureGraphQL(page, timelineCaptures, '/SearchTimeline', postsFromTimeline);
+}
+
+/**
+ * Start collecting TweetDetail responses of a page (once per page). Unlike the
+ * DOM, they say which post each reply answers.
+ */
+function captureConversation(page: playwright.Page): Map<string, TwitterPost> {
+  return captureGraphQL(page, conversationCaptures, '/TweetDetail', postsFromConversation);
+}
+
+/**
+ * The posts captured on the page's current URL
+ */
+function captureGraphQL(page: playwright.Page, captures: WeakMap<playwright.Page, Capture>, operation: string, parse: (data: any) => TwitterPost[]): Map<string, TwitterPost> {
+  let capture = captures.get(page);
+  if (!capture) {
+    capture = { url: page.url(), posts: new Map() };
+    captures.set(page, capture);
+    const pageCapture = capture;
+    page.on('response', async response => {
+      if (!response.url().includes(operation))
+        return;
+      try {
+        const posts = parse(await response.json());
+        scopeCapture(pageCapture, page.url());
+        for (const post of posts)
+          pageCapture.posts.set(post.id, post);
+      } catch {
+        // Not JSON (aborted or rate limited): the DOM still has the rendered posts
+      }
+    });
+  }
+
+  scopeCapture(capture, page.url());
+  return capture.posts;
+}
+
+function scopeCapture(capture: Capture, url: string) {
+  if (capture.url === url)
+    return;
+  capture.url = url;
+  capture.posts.clear();
+}
+
+function postsFromTimeline(data: any): TwitterPost[] {
+  const instructions: any[] = data?.data?.search_by_raw_query?.search_timeline?.timeline?.instructions || [];
+  const entries = instructions.flatMap(instruction => instruction.entries || (instruction.entry ? [instruction.entry] : []));
+  return postsFromEntries(entries);
+}
+
+function postsFromConversation(data: any): TwitterPost[] {
+  const instructions: any[] = data?.data?.threaded_conversation_with_injections_v2?.instructions || [];
+  // "Show more replies" adds items to an existing conversationthread module
+  const entries = instructions.flatMap(instruction => [
+    ...(instruction.entries || []),
+    ...(instruction.moduleItems || []).map((item: any) => ({ entryId: instruction.moduleEntryId, content: { items: [item] } })),
+  ]);
+  // Other entries are cursors and "Discover more" recommendations
+  return postsFromEntries(entries.filter(entry => /^(tweet|conversationthread)-/.test(entry.entryId || '')));
+}
+
+function postsFromEntries(entries: any[]): TwitterPost[] {
+  const results = entries.flatMap(entry => [
+    entry.content?.itemContent?.tweet_results?.result,
+    ...(entry.content?.items || []).map((item: any) => item.item?.itemContent?.tweet_results?.result),
+  ]).filter(Boolean);
+
+  return results.map(postFromTweetResult).filter((post): post is TwitterPost => !!post);
+}
+
+function postFromTweetResult(result: any): TwitterPost | undefined {
+  const tweet = result.__typename === 'TweetWithVisibilityResults' ? result.tweet : result;
+  const legacy = tweet?.legacy;
+  const userResult = tweet?.core?.user_results?.result;
+  const handle = userResult?.core?.screen_name || userResult?.legacy?.screen_name;
+  if (!legacy?.id_str || !handle)
+    return undefined;
+
+  const likes = legacy.favorite_count || 0;
+  const retweets = legacy.retweet_count || 0;
+  const replies = legacy.reply_count || 0;
+  // `views.count` is a string, and missing for old posts and some accounts
+  const views = parseInt(tweet.views?.count, 10);
+
+  return {
+    id: legacy.id_str,
+    text: tweet.note_tweet?.note_tweet_results?.result?.text || legacy.full_text || '',
+    author: userResult?.core?.name || userResult?.legacy?.name || handle,
+    authorHandle: handle,
+    ...(typeof userResult?.legacy?.followers_count === 'number' ? { authorFollowers: userResult.legacy.followers_count } : {}),
+    verified: !!(userResult?.is_blue_verified || userResult?.legacy?.verified || userResult?.verification?.verified),
+    timestamp: new Date(legacy.created_at).toISOString(),
+    likes,
+    retweets,
+    quotes: legacy.quote_count || 0,
+    bookmarks: legacy.bookmark_count || 0,
+    impressions: Number.isNaN(views) ? estimateImpressions(likes, retweets, replies) : views,
+    impressionsEstimated: Number.isNaN(views),
+    replies,
+    url: `https://twitter.com/${handle}/status/${legacy.id_str}`,
+    hashtags: [...new Set<string>((legacy.entities?.hashtags || []).map((tag: any) => tag.text))],
+    mentions: [...new Set<string>((legacy.entities?.user_mentions || []).map((mention: any) => mention.screen_name))],
+    media: (legacy.extended_entities?.media || legacy.entities?.media || []).map((media: any) => ({
+      type: media.type,
+      url: media.type === 'photo'
+        ? media.media_url_https
+        : [...(media.video_info?.variants || [])].filter((variant: any) => variant.content_type === 'video/mp4')
+            .sort((a: any, b: any) => (b.bitrate || 0) - (a.bitrate || 0))[0]?.url || media.media_url_https,
+    })),
+    ...(legacy.quoted_status_id_str ? { quotedTweetId: legacy.quoted_status_id_str } : {}),
+    ...(legacy.in_reply_to_status_id_str ? { inReplyToTweetId: legacy.in_reply_to_status_id_str } : {}),
+  };
+}
+
+/**
+ * Rough impressions for posts without a view count, always flagged with impressionsEstimated
+ */
+function estimateImpressions(likes: number, retweets: number, replies: number): number {
+  return (likes + retweets * 2 + replies) * 10;
+}
 
 const twitterSearch = defineTool({
   capability: 'core',
@@ -35,6 +184,7 @@ const twitterSearch = defineTool({
 
   handle: async (context, params, response) => {
     const tab = await context.ensureTab();
+    captureTimeline(tab.page).clear();
     
     // Navigate to Twitter
     const twitterUrl = 'https://twitter.com';
@@ -63,13 +213,127 @@ const twitterSearch = defineTool({
   },
 });
 
+/**
+ * Posts currently rendered in the timeline (Twitter only keeps a window of them in the DOM)
+ */
+async function extractRenderedPosts(page: playwright.Page): Promise<TwitterPost[]> {
+  return page.evaluate(() => {
+    const postElements = document.querySelectorAll('[data-testid="tweet"]');
+    const posts: TwitterPost[] = [];
+    
+    for (let i = 0; i < postElements.length; i++) {
+      const element = postElements[i];
+      
+      try {
+        // Extract author info
+        const authorElement = element.querySelector('[data-testid="User-Name"]');
+        const authorText = authorElement?.textContent || '';
+        const authorParts = authorText.split('@');
+        const author = authorParts[0]?.trim() || 'Unknown';
+        const authorHandle = authorParts[1]?.split('·')[0]?.trim() || 'unknown';
+        const verified = !!authorElement?.querySelector('[data-testid="icon-verified"]');
+        
+        // Extract timestamp
+        const timeElement = element.querySelector('time');
+        const timestamp = timeElement?.getAttribute('datetime') || new Date().toISOString();
+        
+        // Extract post text
+        const textElement = element.querySelector('[data-testid="tweetText"]');
+        const text = textElement?.textContent || '';
+        
+        // Extract engagement metrics
+        const getMetricValue = (testId: string): number => {
+          const metricElement = element.querySelector(`[data-testid="${testId}"]`);
+          return parseCount(metricElement?.querySelector('span')?.textContent || '0');
+        };
+        const parseCount = (metricText: string): number => {
+          // Convert k, M to numbers
+          let value = 0;
+          if (metricText.includes('K')) {
+            value = parseFloat(metricText.replace('K', '')) * 1000;
+          } else if (metricText.includes('M')) {
+            value = parseFloat(metricText.replace('M', '')) * 1000000;
+          } else {
+            value = parseInt(metricText.replace(/,/g, ''), 10) || 0;
+          }
+          return value;
+        };
+        
+        const likes = getMetricValue('like') || getMetricValue('unlike');
+        const retweets = getMetricValue('retweet') || getMetricValue('unretweet');
+        const replies = getMetricValue('reply');
+        const bookmarks = getMetricValue('bookmark') || getMetricValue('removeBookmark');
+        
+        // View counter: the analytics link, "1,234 views. View post analytics"
+        const viewsLink = element.querySelector('a[href*="/analytics"]');
+        const viewsText = viewsLink?.querySelector('span')?.textContent || viewsLink?.getAttribute('aria-label')?.match(/^[\d.,]+[KM]?/)?.[0];
+        const views = viewsText ? parseCount(viewsText) : undefined;
+        
+        const media: TwitterMedia[] = [
+          ...[...element.querySelectorAll<HTMLImageElement>('[data-testid="tweetPhoto"] img')].map(img => ({ type: 'photo' as const, url: img.src })),
+          ...[...element.querySelectorAll<HTMLVideoElement>('video')].map(video => ({ type: 'video' as const, url: video.src || video.poster })),
+        ];
+        
+        // Extract hashtags and mentions
+        const hashtags: string[] = [];
+        const mentions: string[] = [];
+        
+        const linkElements = element.querySelectorAll('a');
+        linkElements.forEach(link => {
+          const href = link.getAttribute('href') || '';
+          const text = link.textContent || '';
+          
+          if (text.startsWith('#')) {
+            hashtags.push(text.substring(1));
+          } else if (text.startsWith('@')) {
+            mentions.push(text.substring(1));
+          }
+        });
+        
+        // Generate post URL
+        const postLink = element.querySelector('a[href*="/status/"]');
+        const url = postLink ? `https://twitter.com${postLink.getAttribute('href')}` : '';
+        
+        // Generate unique ID from URL
+        const id = url.match(/\/status\/(\d+)/)?.[1] || `post_${i}`;
+        
+        posts.push({
+          id,
+          text,
+          author,
+          authorHandle,
+          verified,
+          timestamp,
+          likes,
+          retweets,
+          // Quote counts are only in the API data
+          quotes: 0,
+          bookmarks,
+          // Same estimate as estimateImpressions() (this function runs in the page)
+          impressions: views ?? (likes + retweets * 2 + replies) * 10,
+          impressionsEstimated: views === undefined,
+          replies,
+          url,
+          hashtags: [...new Set(hashtags)],
+          mentions: [...new Set(mentions)],
+          media,
+        });
+      } catch (error) {
+        console.error('Error extracting post:', error);
+      }
+    }
+    
+    return posts;
+  });
+}
+
 const twitterFetchPosts = defineTool({
   capability: 'core',
   
   schema: {
     name: 'twitter_fetch_posts', 
     title: 'Fetch Twitter Posts',
-    description: 'Extract details from Twitter posts on the current page',
+    description: 'Extract Twitter posts from the current page, scrolling the timeline until maxPosts posts are collected or it ends',
     inputSchema: z.object({
       maxPosts: z.number().optional().default(10).describe('Maximum number of posts to fetch'),
     }),
@@ -78,105 +342,153 @@ const twitterFetchPosts = defineTool({
 
   handle: async (context, params, response) => {
     const tab = context.currentTabOrDie();
-    
-    // Extract posts data
-    const posts: TwitterPost[] = await tab.page.evaluate((maxPosts) => {
-      const postElements = document.querySelectorAll('[data-testid="tweet"]');
-      const posts: TwitterPost[] = [];
-      
-      for (let i = 0; i < Math.min(postElements.length, maxPosts); i++) {
-        const element = postElements[i];
-        
-        try {
-          // Extract author info
-          const authorElement = element.querySelector('[data-testid="User-Name"]');
-          const authorText = authorElement?.textContent || '';
-          const authorParts = authorText.split('@');
-          const author = authorParts[0]?.trim() || 'Unknown';
-          const authorHandle = authorParts[1]?.split('·')[0]?.trim() || 'unknown';
-          
-          // Extract timestamp
-          const timeElement = element.querySelector('time');
-          const timestamp = timeElement?.getAttribute('datetime') || new Date().toISOString();
-          
-          // Extract post text
-          const textElement = element.querySelector('[data-testid="tweetText"]');
-          const text = textElement?.textContent || '';
-          
-          // Extract engagement metrics
-          const getMetricValue = (testId: string): number => {
-            const metricElement = element.querySelector(`[data-testid="${testId}"]`);
-            const metricText = metricElement?.querySelector('span')?.textContent || '0';
-            
-            // Convert k, M to numbers
-            let value = 0;
-            if (metricText.includes('K')) {
-              value = parseFloat(metricText.replace('K', '')) * 1000;
-            } else if (metricText.includes('M')) {
-              value = parseFloat(metricText.replace('M', '')) * 1000000;
-            } else {
-              value = parseInt(metricText.replace(/,/g, ''), 10) || 0;
-            }
-            return value;
-          };
-          
-          const likes = getMetricValue('like');
-          const retweets = getMetricValue('retweet');
-          const replies = getMetricValue('reply');
-          
-          // Estimate impressions (Twitter doesn't always show this publicly)
-          const impressions = (likes + retweets * 2 + replies) * 10;
-          
-          // Extract hashtags and mentions
-          const hashtags: string[] = [];
-          const mentions: string[] = [];
-          
-          const linkElements = element.querySelectorAll('a');
-          linkElements.forEach(link => {
-            const href = link.getAttribute('href') || '';
-            const text = link.textContent || '';
-            
-            if (text.startsWith('#')) {
-              hashtags.push(text.substring(1));
-            } else if (text.startsWith('@')) {
-              mentions.push(text.substring(1));
-            }
-          });
-          
-          // Generate post URL
-          const postLink = element.querySelector('a[href*="/status/"]');
-          const url = postLink ? `https://twitter.com${postLink.getAttribute('href')}` : '';
-          
-          // Generate unique ID from URL
-          const id = url.split('/status/')[1] || `post_${i}`;
-          
-          posts.push({
-            id,
-            text,
-            author,
-            authorHandle,
-            timestamp,
-            likes,
-            retweets,
-            impressions,
-            replies,
-            url,
-            hashtags: [...new Set(hashtags)],
-            mentions: [...new Set(mentions)],
-          });
-        } catch (error) {
-          console.error('Error extracting post:', error);
-        }
+    const captured = captureTimeline(tab.page);
+
+    // Timeline order as first seen; API data wins over the DOM for the same status id
+    const collected = new Map<string, TwitterPost>();
+    const collect = () => {
+      for (const post of captured.values())
+        collected.set(post.id, post);
+    };
+    const collectRendered = async () => {
+      for (const post of await extractRenderedPosts(tab.page)) {
+        if (post.url.includes('/status/') && !collected.has(post.id))
+          collected.set(post.id, captured.get(post.id) || post);
       }
-      
-      return posts;
-    }, params.maxPosts);
-    
-    response.addResult(`Fetched ${posts.length} posts from Twitter`);
+    };
+
+    let scrolls = 0;
+    let idleScrolls = 0;
+    collect();
+    await collectRendered();
+    while (collected.size < params.maxPosts && idleScrolls < maxIdleScrolls) {
+      const before = collected.size;
+      await tab.page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+      await tab.page.waitForTimeout(1500);
+      scrolls++;
+      collect();
+      await collectRendered();
+      idleScrolls = collected.size > before ? 0 : idleScrolls + 1;
+    }
+
+    const posts = [...collected.values()].slice(0, params.maxPosts);
+    const fromApi = posts.filter(post => captured.get(post.id) === post).length;
+    const query = new URL(tab.page.url()).searchParams.get('q') || '';
+    const dataset = context.datasets.add('twitter', query, posts);
+
+    let resultMessage = `Fetched ${posts.length} of ${params.maxPosts} requested posts from Twitter (dataset ${dataset.id})\n`;
+    resultMessage += `- ${fromApi} from timeline API responses, ${posts.length - fromApi} from the page\n`;
+    resultMessage += `- ${scrolls} scroll(s)`;
+    if (posts.length < params.maxPosts)
+      resultMessage += `; the timeline ended (no new posts after ${maxIdleScrolls} scrolls)`;
+    response.addResult(resultMessage);
     response.addCode(`// Extracted posts data\nconst posts = ${JSON.stringify(posts, null, 2)};`);
-    
-    // Store in global for report generation (temporary storage)
-    (global as any).__twitter_posts = posts;
+  },
+});
+
+/**
+ * Replies below a status, in the order they were seen. Posts from the API know
+ * which post they answer; posts only seen in the page are taken as direct
+ * replies, since the DOM doesn't say.
+ */
+function replyThread(statusId: string, captured: Map<string, TwitterPost>, rendered: Map<string, TwitterPost>): TwitterReply[] {
+  // The status and the posts it replies to are rendered above the thread
+  const above = new Set<string>();
+  for (let id: string | undefined = statusId; id && !above.has(id); id = captured.get(id)?.inReplyToTweetId)
+    above.add(id);
+  let belowStatus = !rendered.has(statusId);
+  for (const id of rendered.keys()) {
+    if (belowStatus)
+      break;
+    above.add(id);
+    belowStatus = id === statusId;
+  }
+
+  const depths = new Map<string, number>([[statusId, 0]]);
+  const depthOf = (post: TwitterPost): number => {
+    let depth = depths.get(post.id);
+    if (depth === undefined) {
+      const parent = post.inReplyToTweetId ? captured.get(post.inReplyToTweetId) : undefined;
+      // A parent that was never loaded is most likely a direct reply itself
+      depth = (parent ? depthOf(parent) : depths.get(post.inReplyToTweetId!) ?? 1) + 1;
+      depths.set(post.id, depth);
+    }
+    return depth;
+  };
+
+  const replies: TwitterReply[] = [];
+  for (const post of captured.values()) {
+    if (!above.has(post.id) && post.inReplyToTweetId)
+      replies.push({ ...post, inReplyToTweetId: post.inReplyToTweetId, depth: depthOf(post) });
+  }
+  for (const post of rendered.values()) {
+    if (!above.has(post.id) && !captured.has(post.id))
+      replies.push({ ...post, inReplyToTweetId: statusId, depth: 1 });
+  }
+  return replies;
+}
+
+const twitterFetchReplies = defineTool({
+  capability: 'core',
+
+  schema: {
+    name: 'twitter_fetch_replies',
+    title: 'Fetch Twitter Replies',
+    description: 'Open a Twitter status and extract its reply thread (nested replies and their authors), scrolling until maxReplies replies are collected or the thread ends',
+    inputSchema: z.object({
+      url: z.string().describe('URL of the status, e.g. https://x.com/user/status/1234567890'),
+      maxReplies: z.number().optional().default(100).describe('Maximum number of replies to fetch'),
+    }),
+    type: 'destructive',
+  },
+
+  handle: async (context, params, response) => {
+    const statusId = params.url.match(/\/status\/(\d+)/)?.[1];
+    if (!statusId) {
+      response.addError(`Not a Twitter status URL: ${params.url}`);
+      return;
+    }
+
+    const tab = await context.ensureTab();
+    const captured = captureConversation(tab.page);
+    captured.clear();
+    await tab.navigate(params.url);
+    await tab.page.waitForSelector('[data-testid="tweet"]', { timeout: 10000 }).catch(() => {});
+
+    // Page order as first seen, which puts the status after the posts it replies to
+    const rendered = new Map<string, TwitterPost>();
+    const collectRendered = async () => {
+      for (const post of await extractRenderedPosts(tab.page)) {
+        if (post.url.includes('/status/') && !rendered.has(post.id))
+          rendered.set(post.id, post);
+      }
+    };
+
+    let scrolls = 0;
+    let idleScrolls = 0;
+    await collectRendered();
+    let replies = replyThread(statusId, captured, rendered);
+    while (replies.length < params.maxReplies && idleScrolls < maxIdleScrolls) {
+      const before = replies.length;
+      await tab.page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+      await tab.page.waitForTimeout(1500);
+      scrolls++;
+      await collectRendered();
+      replies = replyThread(statusId, captured, rendered);
+      idleScrolls = replies.length > before ? 0 : idleScrolls + 1;
+    }
+
+    replies = replies.slice(0, params.maxReplies);
+    const fromApi = replies.filter(reply => captured.has(reply.id)).length;
+    const nested = replies.filter(reply => reply.depth > 1).length;
+
+    let resultMessage = `Fetched ${replies.length} replies to status ${statusId} (${nested} nested in other replies)\n`;
+    resultMessage += `- ${fromApi} from conversation API responses, ${replies.length - fromApi} from the page\n`;
+    resultMessage += `- ${scrolls} scroll(s)`;
+    if (replies.length < params.maxReplies)
+      resultMessage += `; the thread ended (no new replies after ${maxIdleScrolls} scrolls)`;
+    response.addResult(resultMessage);
+    response.addCode(`// Extracted replies data\nconst replies = ${JSON.stringify(replies, null, 2)};`);
   },
 });
 
@@ -188,50 +500,27 @@ const twitterGenerateReport = defineTool({
     title: 'Generate Twitter Report',
     description: 'Generate a report from fetched Twitter posts',
     inputSchema: z.object({
-      keyword: z.string().describe('The search keyword used'),
+      datasetId: z.string().optional().describe('Dataset returned by twitter_fetch_posts (defaults to the latest Twitter dataset)'),
+      keyword: z.string().optional().describe('The search keyword used (defaults to the dataset\'s search query)'),
       format: z.enum(['markdown', 'csv', 'both']).optional().default('both').describe('Report format'),
     }),
     type: 'readOnly',
   },
 
   handle: async (context, params, response) => {
-    const posts = (global as any).__twitter_posts as TwitterPost[] | undefined;
-    
-    if (!posts || posts.length === 0) {
+    const dataset = params.datasetId ? context.datasets.get(params.datasetId) : context.datasets.latest('twitter');
+    if (params.datasetId && dataset?.source !== 'twitter') {
+      response.addError(`No Twitter dataset "${params.datasetId}". Use dataset_list to see the available datasets.`);
+      return;
+    }
+
+    const posts = dataset?.items as TwitterPost[] | undefined;
+    if (!dataset || !posts || posts.length === 0) {
       response.addError('No posts found. Please fetch posts first using twitter_fetch_posts.');
       return;
     }
-    
-    // Calculate summary statistics
-    const totalLikes = posts.reduce((sum, post) => sum + post.likes, 0);
-    const totalRetweets = posts.reduce((sum, post) => sum + post.retweets, 0);
-    const totalImpressions = posts.reduce((sum, post) => sum + post.impressions, 0);
-    
-    const totalEngagement = posts.reduce((sum, post) => sum + post.likes + post.retweets + post.replies, 0);
-    const averageEngagement = totalImpressions > 0 ? (totalEngagement / totalImpressions) * 100 : 0;
-    
-    // Find top author
-    const authorCounts = posts.reduce((acc, post) => {
-      acc[post.author] = (acc[post.author] || 0) + 1;
-      return acc;
-    }, {} as Record<string, number>);
-    
-    const topAuthor = Object.entries(authorCounts).sort(([, a], [, b]) => b - a)[0]?.[0] || 'N/A';
-    
-    // Create report
-    const report: TwitterReport = {
-      keyword: params.keyword,
-      fetchedAt: new Date().toISOString(),
-      totalPosts: posts.length,
-      posts: posts,
-      summary: {
-        totalLikes,
-        totalRetweets,
-        totalImpressions,
-        averageEngagement,
-        topAuthor,
-      },
-    };
+
+    const report = createTwitterReport(params.keyword || dataset.query, posts);
     
     // Generate and save report
     const generator = new ReportGenerator();
@@ -291,7 +580,8 @@ const twitterFetchAndReport = defineTool({
       
       // Step 3: Generate report
       statusMessage += `Step 3: Generating report...\n`;
-      await twitterGenerateReport.handle(context, { keyword: params.keyword, format: params.format }, response);
+      const datasetId = context.datasets.latest('twitter')?.id;
+      await twitterGenerateReport.handle(context, { datasetId, keyword: params.keyword, format: params.format }, response);
       
       statusMessage += `\n✅ Twitter data fetch and report generation completed successfully!`;
       response.addResult(statusMessage);
@@ -304,6 +594,7 @@ const twitterFetchAndReport = defineTool({
 export const twitterTools = [
   twitterSearch,
   twitterFetchPosts,
+  twitterFetchReplies,
   twitterGenerateReport,
   twitterFetchAndReport,
 ];
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import type { CommunityPost, CommunityReport } from '../models/community.js';
+
+const sourceNames: Record<CommunityReport['source'], { title: string, score: string, community: string }> = {
+  indiehackers: { title: 'IndieHackers', score: 'Upvotes', community: 'Category' },
+  reddit: { title: 'Reddit', score: 'Score', community: 'Subreddit' },
+  hackernews: { title: 'HackerNews', score: 'Points', community: 'Feed' },
+  twitter: { title: 'Twitter', score: 'Likes', community: 'Community' },
+  mixed: { title: 'Community', score: 'Score', community: 'Community' },
+};
+
+export function createCommunityReport(source: CommunityReport['source'], query: string, posts: CommunityPost[]): CommunityReport {
+  const totalScore = posts.reduce((sum, post) => sum + post.score, 0);
+  const totalComments = posts.reduce((sum, post) => sum + post.comments, 0);
+
+  return {
+    source,
+    query,
+    fetchedAt: new Date().toISOString(),
+    totalPosts: posts.length,
+    posts,
+    summary: {
+      totalScore,
+      totalComments,
+      averageScore: posts.length > 0 ? totalScore / posts.length : 0,
+      topAuthor: mostFrequent(posts.map(post => post.author)),
+      topCommunity: mostFrequent(posts.map(post => post.community)),
+    },
+  };
+}
+
+function mostFrequent(values: string[]): string {
+  const counts = new Map<string, number>();
+  for (const value of values.filter(Boolean))
+    counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort(([, a], [, b]) => b - a)[0]?.[0] || 'N/A';
+}
+
+export class CommunityReportGenerator {
+  private reportDir: string;
+
+  constructor(reportDir: string = './report') {
+    this.reportDir = reportDir;
+  }
+
+  async ensureReportDir(): Promise<void> {
+    await fs.mkdir(this.reportDir, { recursive: true });
+  }
+
+  generateMarkdown(report: CommunityReport): string {
+    const names = sourceNames[report.source];
+    const lines: string[] = [];
+
+    lines.push(`# ${names.title} Report: ${report.query}`);
+    lines.push('');
+    lines.push(`**Generated at:** ${new Date(report.fetchedAt).toLocaleString()}`);
+    lines.push(`**Total Posts:** ${report.totalPosts}`);
+    lines.push('');
+
+    lines.push('## Summary Statistics');
+    lines.push('');
+    lines.push(`- **Total ${names.score}:** ${report.summary.totalScore.toLocaleString()}`);
+    lines.push(`- **Total Comments:** ${report.summary.totalComments.toLocaleString()}`);
+    lines.push(`- **Average ${names.score}:** ${report.summary.averageScore.toFixed(1)}`);
+    lines.push(`- **Top Author:** ${report.summary.topAuthor}`);
+    lines.push(`- **Top ${names.community}:** ${report.summary.topCommunity}`);
+    lines.push('');
+
+    lines.push('---');
+    lines.push('');
+    lines.push('## Posts');
+    lines.push('');
+
+    report.posts.forEach((post, index) => {
+      lines.push(`### ${index + 1}. [${post.title}](${post.url})`);
+      lines.push('');
+      if (report.source === 'mixed')
+        lines.push(`- **Source:** ${sourceNames[post.source].title}`);
+      lines.push(`- **Author:** ${post.author || 'unknown'}`);
+      if (post.community)
+        lines.push(`- **${names.community}:** ${post.community}`);
+      if (post.timestamp)
+        lines.push(`- **Posted:** ${post.timestamp}`);
+      lines.push(`- **${names.score}:** ${post.score.toLocaleString()} | **Comments:** ${post.comments.toLocaleString()}`);
+      if (post.linkUrl)
+        lines.push(`- **Link:** ${post.linkUrl}`);
+
+      const excerpt = post.text.replace(/\s+/g, ' ').trim();
+      if (excerpt) {
+        lines.push('');
+        lines.push(`> ${excerpt.length > 280 ? excerpt.substring(0, 280) + '...' : excerpt}`);
+      }
+
+      lines.push('');
+      lines.push('---');
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  generateCSV(report: CommunityReport): string {
+    const names = sourceNames[report.source];
+    const lines: string[] = [];
+    const quote = (value: string) => `"${value.replace(/"/g, '""').replace(/\n/g, ' ')}"`;
+
+    lines.push(`Index,Source,Title,URL,Link,Author,${names.community},Timestamp,${names.score},Comments`);
+
+    report.posts.forEach((post, index) => {
+      const row = [
+        index + 1,
+        post.source,
+        quote(post.title),
+        post.url,
+        post.linkUrl,
+        quote(post.author),
+        quote(post.community),
+        post.timestamp,
+        post.score,
+        post.comments,
+      ];
+      lines.push(row.join(','));
+    });
+
+    return lines.join('\n');
+  }
+
+  async saveReport(report: CommunityReport, format: 'markdown' | 'csv' | 'both' = 'both'): Promise<{ markdown?: string; csv?: string }> {
+    await this.ensureReportDir();
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const query = report.query.replace(/[^a-zA-Z0-9]/g, '_');
+    const baseFilename = `${report.source}_${query}_${timestamp}`;
+
+    const savedFiles: { markdown?: string; csv?: string } = {};
+
+    if (format === 'markdown' || format === 'both') {
+      const mdPath = path.join(this.reportDir, `${baseFilename}.md`);
+      await fs.writeFile(mdPath, this.generateMarkdown(report), 'utf-8');
+      savedFiles.markdown = mdPath;
+    }
+
+    if (format === 'csv' || format === 'both') {
+      const csvPath = path.join(this.reportDir, `${baseFilename}.csv`);
+      await fs.writeFile(csvPath, this.generateCSV(report), 'utf-8');
+      savedFiles.csv = csvPath;
+    }
+
+    return savedFiles;
+  }
+
+  /**
+   * Result text for the *_fetch_and_report tools: where the files went and the summary
+   */
+  async saveAndDescribe(report: CommunityReport, format: 'markdown' | 'csv' | 'both'): Promise<string> {
+    const names = sourceNames[report.source];
+    const savedFiles = await this.saveReport(report, format);
+
+    let message = 'Report generated successfully!\n';
+    if (savedFiles.markdown)
+      message += `Markdown report saved to: ${savedFiles.markdown}\n`;
+    if (savedFiles.csv)
+      message += `CSV report saved to: ${savedFiles.csv}\n`;
+
+    message += '\n**Summary:**\n';
+    message += `- Total Posts: ${report.totalPosts}\n`;
+    message += `- Total ${names.score}: ${report.summary.totalScore.toLocaleString()}\n`;
+    message += `- Total Comments: ${report.summary.totalComments.toLocaleString()}\n`;
+    message += `- Top Author: ${report.summary.topAuthor}\n`;
+    message += `- Top ${names.community}: ${report.summary.topCommunity}`;
+    return message;
+  }
+}
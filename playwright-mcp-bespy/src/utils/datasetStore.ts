@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { logUnhandledError } from './log.js';
+
+import type { CommunityPost } from '../models/community.js';
+import type { Dataset, DatasetFilter, DatasetSource } from '../models/dataset.js';
+import type { TwitterPost } from '../models/twitter.js';
+
+/**
+ * Results of fetch tools, kept per Context so concurrent MCP clients never see
+ * each other's data. Every dataset gets an id (`twitter-1`, `reddit-2`, ...) that
+ * later tool calls use to report, merge, filter or export it. With --save-session
+ * each dataset is also written to `<session folder>/datasets/<id>.json`.
+ */
+export class DatasetStore {
+  private _datasets: Dataset[] = [];
+  private _ordinal = 0;
+  private _folder: string | undefined;
+
+  constructor(sessionFolder?: string) {
+    this._folder = sessionFolder ? path.join(sessionFolder, 'datasets') : undefined;
+  }
+
+  add(source: DatasetSource, query: string, items: Dataset['items'], options: { name?: string, derivedFrom?: string[] } = {}): Dataset {
+    const id = `${source}-${++this._ordinal}`;
+    const dataset: Dataset = {
+      id,
+      name: options.name || (query ? `${source}: ${query}` : id),
+      source,
+      query,
+      createdAt: new Date().toISOString(),
+      items,
+      ...(options.derivedFrom ? { derivedFrom: options.derivedFrom } : {}),
+    };
+    this._datasets.push(dataset);
+    this._persist(dataset).catch(logUnhandledError);
+    return dataset;
+  }
+
+  /**
+   * Dataset by id, or by name when no id matches (the newest one with that name)
+   */
+  get(idOrName: string): Dataset | undefined {
+    return this._datasets.find(dataset => dataset.id === idOrName) ||
+      [...this._datasets].reverse().find(dataset => dataset.name === idOrName);
+  }
+
+  latest(source?: DatasetSource): Dataset | undefined {
+    return [...this._datasets].reverse().find(dataset => !source || dataset.source === source);
+  }
+
+  list(): Dataset[] {
+    return [...this._datasets];
+  }
+
+  /**
+   * One dataset with the items of all `datasets`, duplicates (same source and id)
+   * dropped. Datasets of different sources are merged as community posts.
+   */
+  merge(datasets: Dataset[], name?: string): Dataset {
+    const sources = new Set(datasets.map(dataset => dataset.source));
+    const source: DatasetSource = sources.size === 1 ? datasets[0].source : 'mixed';
+    const seen = new Set<string>();
+    const items: Dataset['items'] = [];
+
+    for (const dataset of datasets) {
+      for (const item of dataset.items) {
+        const post = toCommunityPost(item);
+        const key = `${post.source}:${post.id}`;
+        if (seen.has(key))
+          continue;
+        seen.add(key);
+        items.push(source === 'mixed' ? post : item);
+      }
+    }
+
+    const query = [...new Set(datasets.map(dataset => dataset.query).filter(Boolean))].join(' + ');
+    return this.add(source, query, items, { name, derivedFrom: datasets.map(dataset => dataset.id) });
+  }
+
+  /**
+   * New dataset with the items of `dataset` that match every given criterion
+   */
+  filter(dataset: Dataset, criteria: DatasetFilter, name?: string): Dataset {
+    const since = criteria.since ? new Date(criteria.since).getTime() : undefined;
+    const items = dataset.items.filter(item => {
+      const post = toCommunityPost(item);
+      if (criteria.text && !`${post.title}\n${post.text}`.toLowerCase().includes(criteria.text.toLowerCase()))
+        return false;
+      if (criteria.author && post.author.toLowerCase() !== criteria.author.replace(/^@/, '').toLowerCase())
+        return false;
+      if (criteria.minScore !== undefined && post.score < criteria.minScore)
+        return false;
+      if (criteria.minComments !== undefined && post.comments < criteria.minComments)
+        return false;
+      if (since !== undefined && !(new Date(post.timestamp).getTime() >= since))
+        return false;
+      if (criteria.source && post.source !== criteria.source)
+        return false;
+      return true;
+    });
+
+    return this.add(dataset.source, dataset.query, items, { name, derivedFrom: [dataset.id] });
+  }
+
+  private async _persist(dataset: Dataset) {
+    if (!this._folder)
+      return;
+    await fs.promises.mkdir(this._folder, { recursive: true });
+    await fs.promises.writeFile(path.join(this._folder, `${dataset.id}.json`), JSON.stringify(dataset, null, 2));
+  }
+}
+
+/**
+ * Any dataset item as a community post; Twitter posts map likes to score and replies to comments
+ */
+export function toCommunityPost(item: TwitterPost | CommunityPost): CommunityPost {
+  if ('source' in item)
+    return item;
+
+  return {
+    id: item.id,
+    source: 'twitter',
+    title: item.text.split('\n')[0].slice(0, 120),
+    url: item.url,
+    linkUrl: '',
+    author: item.authorHandle,
+    community: '',
+    score: item.likes,
+    comments: item.replies,
+    timestamp: item.timestamp,
+    text: item.text,
+  };
+}
+
+export function describeDataset(dataset: Dataset): string {
+  const derived = dataset.derivedFrom ? `, from ${dataset.derivedFrom.join(', ')}` : '';
+  return `${dataset.id} "${dataset.name}" (${dataset.items.length} ${dataset.source} items${derived})`;
+}
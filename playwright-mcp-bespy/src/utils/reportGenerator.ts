@@ -18,6 +18,40 @@ import fs from 'fs/promises';
 import path from 'path';
 import { TwitterReport, TwitterPost } from '../models/twitter.js';
 
+export function createTwitterReport(keyword: string, posts: TwitterPost[]): TwitterReport {
+  const totalLikes = posts.reduce((sum, post) => sum + post.likes, 0);
+  const totalRetweets = posts.reduce((sum, post) => sum + post.retweets, 0);
+  const totalImpressions = posts.reduce((sum, post) => sum + post.impressions, 0);
+
+  // Engagement rate over real view counts; estimates only when no post has one
+  const measured = posts.filter(post => !post.impressionsEstimated);
+  const ratePosts = measured.length > 0 ? measured : posts;
+  const rateEngagement = ratePosts.reduce((sum, post) => sum + post.likes + post.retweets + post.replies, 0);
+  const rateImpressions = ratePosts.reduce((sum, post) => sum + post.impressions, 0);
+  const averageEngagement = rateImpressions > 0 ? (rateEngagement / rateImpressions) * 100 : 0;
+
+  const authorCounts = posts.reduce((acc, post) => {
+    acc[post.author] = (acc[post.author] || 0) + 1;
+    return acc;
+  }, {} as Record<string, number>);
+  const topAuthor = Object.entries(authorCounts).sort(([, a], [, b]) => b - a)[0]?.[0] || 'N/A';
+
+  return {
+    keyword,
+    fetchedAt: new Date().toISOString(),
+    totalPosts: posts.length,
+    posts,
+    summary: {
+      totalLikes,
+      totalRetweets,
+      totalImpressions,
+      measuredPosts: measured.length,
+      averageEngagement,
+      topAuthor,
+    },
+  };
+}
+
 export class ReportGenerator {
   private reportDir: string;
 
@@ -46,8 +80,9 @@ export class ReportGenerator {
     lines.push('');
     lines.push(`- **Total Likes:** ${report.summary.totalLikes.toLocaleString()}`);
     lines.push(`- **Total Retweets:** ${report.summary.totalRetweets.toLocaleString()}`);
-    lines.push(`- **Total Impressions:** ${report.summary.totalImpressions.toLocaleString()}`);
-    lines.push(`- **Average Engagement:** ${report.summary.averageEngagement.toFixed(2)}%`);
+    const estimatedPosts = report.totalPosts - report.summary.measuredPosts;
+    lines.push(`- **Total Impressions:** ${report.summary.totalImpressions.toLocaleString()}${estimatedPosts > 0 ? ` (estimated for ${estimatedPosts} of ${report.totalPosts} posts without a view count)` : ''}`);
+    lines.push(`- **Average Engagement:** ${report.summary.averageEngagement.toFixed(2)}%${report.summary.measuredPosts === 0 ? ' (from estimated impressions)' : ''}`);
     lines.push(`- **Top Author:** ${report.summary.topAuthor}`);
     lines.push('');
     
@@ -57,7 +92,7 @@ export class ReportGenerator {
     lines.push('');
     
     report.posts.forEach((post, index) => {
-      lines.push(`### ${index + 1}. ${post.author} (@${post.authorHandle})`);
+      lines.push(`### ${index + 1}. ${post.author} (@${post.authorHandle})${post.verified ? ' ✓' : ''}`);
       lines.push('');
       lines.push(`**Posted:** ${post.timestamp}`);
       lines.push(`**Link:** [View on Twitter](${post.url})`);
@@ -68,10 +103,23 @@ export class ReportGenerator {
       lines.push('```');
       lines.push('');
       lines.push('**Engagement Metrics:**');
-      lines.push(`- 👁️ Impressions: ${post.impressions.toLocaleString()}`);
+      lines.push(`- 👁️ Impressions: ${post.impressionsEstimated ? `~${post.impressions.toLocaleString()} (estimated)` : post.impressions.toLocaleString()}`);
       lines.push(`- ❤️ Likes: ${post.likes.toLocaleString()}`);
       lines.push(`- 🔁 Retweets: ${post.retweets.toLocaleString()}`);
+      lines.push(`- 🗨️ Quotes: ${post.quotes.toLocaleString()}`);
       lines.push(`- 💬 Replies: ${post.replies.toLocaleString()}`);
+      lines.push(`- 🔖 Bookmarks: ${post.bookmarks.toLocaleString()}`);
+
+      if (post.media.length > 0) {
+        lines.push('');
+        lines.push(`**Media:** ${post.media.map(media => `[${media.type}](${media.url})`).join(', ')}`);
+      }
+
+      if (post.quotedTweetId)
+        lines.push(`**Quoted post:** https://twitter.com/i/status/${post.quotedTweetId}`);
+
+      if (post.inReplyToTweetId)
+        lines.push(`**Replying to:** https://twitter.com/i/status/${post.inReplyToTweetId}`);
       
       if (post.hashtags.length > 0) {
         lines.push('');
@@ -94,7 +142,7 @@ export class ReportGenerator {
     const lines: string[] = [];
     
     // CSV Header
-    lines.push('Index,Author,Handle,Timestamp,Text,URL,Likes,Retweets,Impressions,Replies,Hashtags,Mentions');
+    lines.push('Index,Author,Handle,Verified,Timestamp,Text,URL,Likes,Retweets,Quotes,Bookmarks,Impressions,Impressions_Estimated,Replies,Hashtags,Mentions,Media,Quoted_Tweet_Id,In_Reply_To_Tweet_Id');
     
     // CSV Data
     report.posts.forEach((post, index) => {
@@ -102,15 +150,22 @@ export class ReportGenerator {
         index + 1,
         `"${post.author.replace(/"/g, '""')}"`,
         post.authorHandle,
+        post.verified,
         post.timestamp,
         `"${post.text.replace(/"/g, '""').replace(/\n/g, ' ')}"`,
         post.url,
         post.likes,
         post.retweets,
+        post.quotes,
+        post.bookmarks,
         post.impressions,
+        post.impressionsEstimated,
         post.replies,
         `"${post.hashtags.join(', ')}"`,
-        `"${post.mentions.join(', ')}"`
+        `"${post.mentions.join(', ')}"`,
+        `"${post.media.map(media => media.url).join(' ')}"`,
+        post.quotedTweetId || '',
+        post.inReplyToTweetId || '',
       ];
       lines.push(row.join(','));
     });
@@ -40,6 +40,23 @@ test('test snapshot tool list', async ({ client }) => {
     'browser_tabs',
     'browser_take_screenshot',
     'browser_wait_for',
+    'twitter_search',
+    'twitter_fetch_posts',
+    'twitter_fetch_replies',
+    'twitter_generate_report',
+    'twitter_fetch_and_report',
+    'indiehackers_scrape_category',
+    'indiehackers_fetch_and_report',
+    'reddit_search',
+    'reddit_subreddit_top',
+    'reddit_fetch_and_report',
+    'hn_search',
+    'hn_trending',
+    'hn_fetch_and_report',
+    'dataset_list',
+    'dataset_merge',
+    'dataset_filter',
+    'dataset_export',
   ]));
 });
 
@@ -71,6 +88,23 @@ test('test tool list proxy mode', async ({ startClient }) => {
     'browser_tabs',
     'browser_take_screenshot',
     'browser_wait_for',
+    'twitter_search',
+    'twitter_fetch_posts',
+    'twitter_fetch_replies',
+    'twitter_generate_report',
+    'twitter_fetch_and_report',
+    'indiehackers_scrape_category',
+    'indiehackers_fetch_and_report',
+    'reddit_search',
+    'reddit_subreddit_top',
+    'reddit_fetch_and_report',
+    'hn_search',
+    'hn_trending',
+    'hn_fetch_and_report',
+    'dataset_list',
+    'dataset_merge',
+    'dataset_filter',
+    'dataset_export',
   ]));
 });
 
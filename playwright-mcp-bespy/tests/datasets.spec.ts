@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test, expect } from './fixtures.js';
+
+import type { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import type { StartClient } from './fixtures.js';
+import type { TestServer } from './testserver/index.ts';
+
+function redditListing(posts: object[]) {
+  return JSON.stringify({ data: { children: posts.map(data => ({ kind: 't3', data })) } });
+}
+
+const launchPost = {
+  id: 'abc1',
+  title: 'Launching BuildPad today',
+  permalink: '/r/SaaS/comments/abc1/',
+  author: 'alice',
+  subreddit: 'SaaS',
+  score: 42,
+  num_comments: 7,
+  created_utc: 1756288800,
+  is_self: true,
+};
+
+const reviewPost = {
+  id: 'abc2',
+  title: 'BuildPad review',
+  permalink: '/r/startups/comments/abc2/',
+  author: 'bob',
+  subreddit: 'startups',
+  score: 5,
+  num_comments: 1,
+  created_utc: 1756202400,
+  is_self: true,
+};
+
+/**
+ * A client with three datasets: reddit-1 (both posts), reddit-2 (launch post
+ * again) and hackernews-3 (one story)
+ */
+async function clientWithDatasets(startClient: StartClient, server: TestServer): Promise<Client> {
+  server.setContent('/search.json?q=buildpad&sort=relevance&t=all&limit=25&raw_json=1', redditListing([launchPost, reviewPost]), 'application/json');
+  server.setContent('/r/SaaS/top.json?t=week&limit=25&raw_json=1', redditListing([launchPost]), 'application/json');
+  server.setContent('/hn/search?query=buildpad&tags=story&hitsPerPage=20', JSON.stringify({
+    hits: [{ objectID: '101', title: 'Show HN: BuildPad', author: 'carol', points: 120, num_comments: 30, created_at: '2025-08-28T10:00:00.000Z' }],
+  }), 'application/json');
+
+  const { client } = await startClient({
+    env: {
+      PWMCP_REDDIT_URL_FOR_TEST: server.PREFIX.replace(/\/$/, ''),
+      PWMCP_HN_API_URL_FOR_TEST: `${server.PREFIX}hn`,
+    },
+  });
+  await client.callTool({ name: 'reddit_search', arguments: { keyword: 'buildpad' } });
+  await client.callTool({ name: 'reddit_subreddit_top', arguments: { subreddit: 'SaaS' } });
+  await client.callTool({ name: 'hn_search', arguments: { keyword: 'buildpad' } });
+  return client;
+}
+
+test('dataset_list (empty)', async ({ client }) => {
+  expect(await client.callTool({
+    name: 'dataset_list',
+  })).toHaveResponse({
+    result: `No datasets yet. Fetch tools (twitter_fetch_posts, reddit_search, hn_search, ...) create them.`,
+  });
+});
+
+test('dataset_merge', async ({ startClient, server }) => {
+  const client = await clientWithDatasets(startClient, server);
+
+  expect(await client.callTool({
+    name: 'dataset_merge',
+    arguments: { datasetIds: ['reddit-1', 'reddit-2'] },
+  })).toHaveResponse({
+    result: `Merged into reddit-4 "reddit: buildpad + r/SaaS" (2 reddit items, from reddit-1, reddit-2)`,
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_merge',
+    arguments: { datasetIds: ['reddit-4', 'reddit: buildpad', 'hackernews-3'], name: 'buildpad everywhere' },
+  })).toHaveResponse({
+    result: `Merged into mixed-5 "buildpad everywhere" (3 mixed items, from reddit-4, reddit-1, hackernews-3)`,
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_list',
+  })).toHaveResponse({
+    result: expect.stringContaining(`- mixed-5 "buildpad everywhere" (3 mixed items, from reddit-4, reddit-1, hackernews-3), created `),
+  });
+});
+
+test('dataset_filter', async ({ startClient, server }) => {
+  const client = await clientWithDatasets(startClient, server);
+  await client.callTool({
+    name: 'dataset_merge',
+    arguments: { datasetIds: ['reddit-1', 'hackernews-3'], name: 'all' },
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_filter',
+    arguments: { datasetId: 'all', minScore: 10, name: 'popular' },
+  })).toHaveResponse({
+    result: `Kept 2 of 3 posts: mixed-5 "popular" (2 mixed items, from mixed-4)`,
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_filter',
+    arguments: { datasetId: 'popular', source: 'reddit', name: 'popular on reddit' },
+  })).toHaveResponse({
+    result: `Kept 1 of 2 posts: mixed-6 "popular on reddit" (1 mixed items, from mixed-5)`,
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_filter',
+    arguments: { datasetId: 'reddit-1', text: 'REVIEW', author: '@bob', minComments: 1, since: '2025-08-26', name: 'reviews' },
+  })).toHaveResponse({
+    result: `Kept 1 of 2 posts: reddit-7 "reviews" (1 reddit items, from reddit-1)`,
+  });
+
+  expect(await client.callTool({
+    name: 'dataset_filter',
+    arguments: { datasetId: 'reddit-1', since: '2025-08-28' },
+  })).toHaveResponse({
+    result: `Kept 0 of 2 posts: reddit-8 "reddit: buildpad" (0 reddit items, from reddit-1)`,
+  });
+});
+
+test('dataset_merge (unknown dataset)', async ({ client }) => {
+  expect(await client.callTool({
+    name: 'dataset_merge',
+    arguments: { datasetIds: ['reddit-1', 'reddit-2'] },
+  })).toHaveResponse({
+    isError: true,
+    result: `No dataset "reddit-1". Use dataset_list to see the available datasets.`,
+  });
+});
@@ -47,6 +47,7 @@ export type StartClient = (options?: {
   config?: Config,
   roots?: { name: string, uri: string }[],
   rootsResponseDelay?: number,
+  env?: Record<string, string>,
 }) => Promise<{ client: Client, stderr: () => string }>;
 
 
@@ -103,7 +104,7 @@ export const test = baseTest.extend<TestFixtures & TestOptions, WorkerFixtures>(
           };
         });
       }
-      const { transport, stderr } = await createTransport(args, mcpMode, testInfo.outputPath('ms-playwright'));
+      const { transport, stderr } = await createTransport(args, mcpMode, testInfo.outputPath('ms-playwright'), options?.env);
       let stderrBuffer = '';
       stderr?.on('data', data => {
         if (process.env.PWMCP_DEBUG)
@@ -182,7 +183,7 @@ export const test = baseTest.extend<TestFixtures & TestOptions, WorkerFixtures>(
   },
 });
 
-async function createTransport(args: string[], mcpMode: TestOptions['mcpMode'], profilesDir: string): Promise<{
+async function createTransport(args: string[], mcpMode: TestOptions['mcpMode'], profilesDir: string, env: Record<string, string> = {}): Promise<{
   transport: Transport,
   stderr: Stream | null,
 }> {
@@ -211,6 +212,7 @@ async function createTransport(args: string[], mcpMode: TestOptions['mcpMode'],
       DEBUG_COLORS: '0',
       DEBUG_HIDE_DATE: '1',
       PWMCP_PROFILES_DIR_FOR_TEST: profilesDir,
+      ...env,
     },
   });
   return {
@@ -243,6 +245,17 @@ export const expect = baseExpect.extend({
   },
 });
 
+/**
+ * Data a fetch tool printed as `const <variable> = [...];` in its code section
+ */
+export function extractedData<T = any>(response: Response, variable: string): T {
+  const code = parseResponse(response).code ?? '';
+  const match = code.match(new RegExp(`const ${variable} = ([\\s\\S]*);$`));
+  if (!match)
+    throw new Error(`No "${variable}" data in the response code`);
+  return JSON.parse(match[1]);
+}
+
 export function formatOutput(output: string): string[] {
   return output.split('\n').map(line => line.replace(/^pw:mcp:test /, '').replace(/user data dir.*/, 'user data dir').trim()).filter(Boolean);
 }
@@ -0,0 +1,118 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test, expect, extractedData } from './fixtures.js';
+
+import type { TestServer } from './testserver/index.ts';
+import type { CommunityPost } from '../src/models/community.js';
+
+function hnEnv(server: TestServer) {
+  return { PWMCP_HN_API_URL_FOR_TEST: `${server.PREFIX}hn` };
+}
+
+function hoursAgo(hours: number) {
+  return new Date(Date.now() - hours * 3600000).toISOString();
+}
+
+test('hn_search', async ({ startClient, server }) => {
+  server.setContent('/hn/search?query=buildpad&tags=story&hitsPerPage=2', JSON.stringify({
+    hits: [{
+      objectID: '101',
+      title: 'Show HN: BuildPad',
+      url: 'https://buildpad.io',
+      author: 'alice',
+      points: 120,
+      num_comments: 30,
+      created_at: '2025-08-27T10:00:00.000Z',
+      story_text: '<p>A lean canvas for indie founders</p>',
+    }, {
+      // Comment hits have no title and are dropped
+      objectID: '102',
+      author: 'bob',
+      created_at: '2025-08-27T11:00:00.000Z',
+    }],
+  }), 'application/json');
+  const { client } = await startClient({ env: hnEnv(server) });
+
+  const response = await client.callTool({
+    name: 'hn_search',
+    arguments: { keyword: 'buildpad', maxPosts: 2 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 1 HackerNews stories for "buildpad" (sorted by popularity, dataset hackernews-1)`,
+  });
+  expect(extractedData(response, 'posts')).toEqual([{
+    id: '101',
+    source: 'hackernews',
+    title: 'Show HN: BuildPad',
+    url: 'https://news.ycombinator.com/item?id=101',
+    linkUrl: 'https://buildpad.io',
+    author: 'alice',
+    community: 'hackernews',
+    score: 120,
+    comments: 30,
+    timestamp: '2025-08-27T10:00:00.000Z',
+    text: ' A lean canvas for indie founders ',
+  }]);
+});
+
+test('hn_search (by date)', async ({ startClient, server }) => {
+  server.setContent('/hn/search_by_date?query=buildpad&tags=story&hitsPerPage=20', JSON.stringify({ hits: [] }), 'application/json');
+  const { client } = await startClient({ env: hnEnv(server) });
+
+  expect(await client.callTool({
+    name: 'hn_search',
+    arguments: { keyword: 'buildpad', sortBy: 'date' },
+  })).toHaveResponse({
+    result: `Fetched 0 HackerNews stories for "buildpad" (sorted by date, dataset hackernews-1)`,
+  });
+});
+
+test('hn_trending', async ({ startClient, server }) => {
+  server.setContent('/hn/search?tags=front_page&hitsPerPage=100', JSON.stringify({
+    hits: [
+      { objectID: '1', title: 'Big but older', points: 500, num_comments: 100, created_at: hoursAgo(20) },
+      { objectID: '2', title: 'Fresh and busy', points: 100, num_comments: 50, created_at: hoursAgo(2) },
+      { objectID: '3', title: 'Too old', points: 900, num_comments: 300, created_at: hoursAgo(72) },
+      { objectID: '4', title: 'Quiet', points: 1, num_comments: 0, created_at: hoursAgo(5) },
+    ],
+  }), 'application/json');
+  const { client } = await startClient({ env: hnEnv(server) });
+
+  const response = await client.callTool({
+    name: 'hn_trending',
+    arguments: { days: 2, maxPosts: 2 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 2 trending HackerNews stories from the last 2 day(s) (dataset hackernews-1)`,
+  });
+  expect(extractedData<CommunityPost[]>(response, 'posts').map(post => [post.id, post.community])).toEqual([
+    ['2', 'front page'],
+    ['1', 'front page'],
+  ]);
+});
+
+test('hn_search (error)', async ({ startClient, server }) => {
+  const { client } = await startClient({ env: hnEnv(server) });
+
+  expect(await client.callTool({
+    name: 'hn_search',
+    arguments: { keyword: 'buildpad' },
+  })).toHaveResponse({
+    isError: true,
+    result: expect.stringContaining(`HN Algolia API returned HTTP 404`),
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { test, expect, extractedData } from './fixtures.js';
+
+import type { TestServer } from './testserver/index.ts';
+import type { CommunityPost } from '../src/models/community.js';
+
+// A category listing: post cards with a title link, author, time, preview and number-only counter links
+const categoryPage = `
+  <main>
+    <div class="feed">
+      <div class="story">
+        <a href="/post/launching-buildpad-abc1"><h3>Launching BuildPad today</h3></a>
+        <a href="/u/alice">alice</a>
+        <time datetime="2025-08-27T10:00:00.000Z">2 hours ago</time>
+        <p>Feedback welcome</p>
+        <a href="/post/launching-buildpad-abc1?upvote=1">42</a>
+        <a href="/post/launching-buildpad-abc1#comments">7</a>
+      </div>
+      <div class="story">
+        <a href="/post/buildpad-review-abc2"><h3>BuildPad review</h3></a>
+        <a href="/u/bob">bob</a>
+        <span class="time-ago">3 days ago</span>
+        <a href="/post/buildpad-review-abc2?upvote=1">5</a>
+        <a href="/post/buildpad-review-abc2#comments">0</a>
+      </div>
+    </div>
+    <aside>
+      <a href="/post/launching-buildpad-abc1">Launching BuildPad today</a>
+    </aside>
+  </main>
+`;
+
+function indiehackersEnv(server: TestServer) {
+  return { PWMCP_INDIEHACKERS_URL_FOR_TEST: server.PREFIX.replace(/\/$/, '') };
+}
+
+test('indiehackers_scrape_category', async ({ startClient, server }) => {
+  server.setContent('/', categoryPage, 'text/html');
+  const { client } = await startClient({ env: indiehackersEnv(server) });
+
+  const response = await client.callTool({
+    name: 'indiehackers_scrape_category',
+    arguments: {},
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 2 posts from the IndieHackers main category (dataset indiehackers-1)`,
+  });
+  expect(extractedData(response, 'posts')).toEqual([{
+    id: 'launching-buildpad-abc1',
+    source: 'indiehackers',
+    title: 'Launching BuildPad today',
+    url: `${server.PREFIX}post/launching-buildpad-abc1`,
+    linkUrl: '',
+    author: 'alice',
+    community: 'main',
+    score: 42,
+    comments: 7,
+    timestamp: '2025-08-27T10:00:00.000Z',
+    text: 'Feedback welcome',
+  }, {
+    id: 'buildpad-review-abc2',
+    source: 'indiehackers',
+    title: 'BuildPad review',
+    url: `${server.PREFIX}post/buildpad-review-abc2`,
+    linkUrl: '',
+    author: 'bob',
+    community: 'main',
+    score: 5,
+    comments: 0,
+    timestamp: '3 days ago',
+    text: '',
+  }]);
+});
+
+test('indiehackers_scrape_category (category, maxPosts)', async ({ startClient, server }) => {
+  server.setContent('/tech', categoryPage, 'text/html');
+  const { client } = await startClient({ env: indiehackersEnv(server) });
+
+  const response = await client.callTool({
+    name: 'indiehackers_scrape_category',
+    arguments: { category: 'tech', maxPosts: 1 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 1 posts from the IndieHackers tech category (dataset indiehackers-1)`,
+  });
+  expect(extractedData<CommunityPost[]>(response, 'posts').map(post => [post.id, post.community])).toEqual([
+    ['launching-buildpad-abc1', 'tech'],
+  ]);
+});
+
+test('indiehackers_fetch_and_report', async ({ startClient, server }) => {
+  server.setContent('/', categoryPage, 'text/html');
+  const { client } = await startClient({ env: indiehackersEnv(server) });
+
+  const response = await client.callTool({
+    name: 'indiehackers_fetch_and_report',
+    arguments: { format: 'markdown' },
+  });
+  expect(response).toHaveResponse({
+    result: expect.stringMatching(/^Dataset: indiehackers-1\nReport generated successfully!\nMarkdown report saved to: \S+indiehackers_main_[\d-]+\.md\n/),
+  });
+  expect(response).toHaveResponse({
+    result: expect.stringContaining([
+      `- Total Posts: 2`,
+      `- Total Upvotes: 47`,
+      `- Total Comments: 7`,
+      `- Top Author: alice`,
+      `- Top Category: main`,
+    ].join('\n')),
+  });
+
+  // The server writes reports relative to its working directory, the config directory
+  const reportPath = path.resolve(path.dirname(test.info().config.configFile!), (response.content as any)[0].text.match(/Markdown report saved to: (\S+)/)[1]);
+  const markdown = await fs.readFile(reportPath, 'utf-8');
+  await fs.rm(reportPath);
+  expect(markdown).toContain(`# IndieHackers Report: main`);
+  expect(markdown).toContain(`### 1. [Launching BuildPad today](${server.PREFIX}post/launching-buildpad-abc1)`);
+  expect(markdown).toContain(`- **Upvotes:** 42 | **Comments:** 7`);
+});
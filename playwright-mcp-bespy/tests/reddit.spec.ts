@@ -0,0 +1,147 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test, expect, extractedData } from './fixtures.js';
+
+import type { TestServer } from './testserver/index.ts';
+import type { CommunityPost } from '../src/models/community.js';
+
+function listing(posts: object[]) {
+  return JSON.stringify({
+    kind: 'Listing',
+    data: {
+      children: [
+        { kind: 't5', data: { id: 'sub', display_name: 'SaaS' } },
+        ...posts.map(data => ({ kind: 't3', data })),
+      ],
+    },
+  });
+}
+
+const selfPost = {
+  id: 'abc1',
+  title: 'Launching BuildPad today',
+  permalink: '/r/SaaS/comments/abc1/launching_buildpad_today/',
+  url: 'https://www.reddit.com/r/SaaS/comments/abc1/launching_buildpad_today/',
+  is_self: true,
+  author: 'alice',
+  subreddit: 'SaaS',
+  score: 42,
+  num_comments: 7,
+  created_utc: 1756288800,
+  selftext: 'Feedback welcome',
+};
+
+const linkPost = {
+  id: 'abc2',
+  title: 'BuildPad review',
+  permalink: '/r/startups/comments/abc2/buildpad_review/',
+  url: 'https://buildpad.io/blog/review',
+  is_self: false,
+  author: 'bob',
+  subreddit: 'startups',
+  score: 5,
+};
+
+function redditEnv(server: TestServer) {
+  return { PWMCP_REDDIT_URL_FOR_TEST: server.PREFIX.replace(/\/$/, '') };
+}
+
+test('reddit_search', async ({ startClient, server }) => {
+  server.setContent('/search.json?q=buildpad&sort=relevance&t=all&limit=25&raw_json=1', listing([selfPost, linkPost]), 'application/json');
+  const { client } = await startClient({ env: redditEnv(server) });
+
+  const response = await client.callTool({
+    name: 'reddit_search',
+    arguments: { keyword: 'buildpad' },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 2 Reddit posts for "buildpad" (sorted by relevance, all, dataset reddit-1)`,
+  });
+  expect(extractedData(response, 'posts')).toEqual([{
+    id: 'abc1',
+    source: 'reddit',
+    title: 'Launching BuildPad today',
+    url: `${server.PREFIX}r/SaaS/comments/abc1/launching_buildpad_today/`,
+    linkUrl: '',
+    author: 'alice',
+    community: 'SaaS',
+    score: 42,
+    comments: 7,
+    timestamp: '2025-08-27T10:00:00.000Z',
+    text: 'Feedback welcome',
+  }, {
+    id: 'abc2',
+    source: 'reddit',
+    title: 'BuildPad review',
+    url: `${server.PREFIX}r/startups/comments/abc2/buildpad_review/`,
+    linkUrl: 'https://buildpad.io/blog/review',
+    author: 'bob',
+    community: 'startups',
+    score: 5,
+    comments: 0,
+    timestamp: '',
+    text: '',
+  }]);
+});
+
+test('reddit_search (subreddit)', async ({ startClient, server }) => {
+  server.setContent('/r/SaaS/search.json?q=buildpad&sort=new&t=week&limit=10&restrict_sr=1&raw_json=1', listing([selfPost]), 'application/json');
+  const { client } = await startClient({ env: redditEnv(server) });
+
+  expect(await client.callTool({
+    name: 'reddit_search',
+    arguments: { keyword: 'buildpad', subreddit: 'r/SaaS', sortBy: 'new', time: 'week', maxPosts: 10 },
+  })).toHaveResponse({
+    result: `Fetched 1 Reddit posts for "buildpad" in r/SaaS (sorted by new, week, dataset reddit-1)`,
+  });
+});
+
+test('reddit_subreddit_top', async ({ startClient, server }) => {
+  server.setContent('/r/SaaS/top.json?t=week&limit=100&raw_json=1', listing([selfPost]), 'application/json');
+  const { client } = await startClient({ env: redditEnv(server) });
+
+  const response = await client.callTool({
+    name: 'reddit_subreddit_top',
+    arguments: { subreddit: 'SaaS', maxPosts: 500 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 1 top posts from r/SaaS (week, dataset reddit-1)`,
+  });
+  expect(extractedData<CommunityPost[]>(response, 'posts').map(post => post.id)).toEqual(['abc1']);
+});
+
+test('reddit_search (error)', async ({ startClient, server }) => {
+  const { client } = await startClient({ env: redditEnv(server) });
+
+  expect(await client.callTool({
+    name: 'reddit_search',
+    arguments: { keyword: 'buildpad' },
+  })).toHaveResponse({
+    isError: true,
+    result: expect.stringContaining(`Reddit returned HTTP 404 for /search`),
+  });
+});
+
+test('reddit_fetch_and_report (missing arguments)', async ({ client }) => {
+  expect(await client.callTool({
+    name: 'reddit_fetch_and_report',
+    arguments: {},
+  })).toHaveResponse({
+    isError: true,
+    result: `Either keyword or subreddit is required.`,
+  });
+});
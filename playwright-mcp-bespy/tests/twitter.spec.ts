@@ -0,0 +1,207 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test, expect, extractedData } from './fixtures.js';
+
+import type { TwitterPost, TwitterReply } from '../src/models/twitter.js';
+
+type FakeTweet = { id: string, handle: string, text: string, inReplyTo?: string };
+
+/**
+ * A rendered post, with the markup extractRenderedPosts() reads
+ */
+function tweetArticle(tweet: FakeTweet) {
+  return `
+    <article data-testid="tweet">
+      <div data-testid="User-Name">${tweet.handle}@${tweet.handle}·1h</div>
+      <time datetime="2025-08-27T10:00:00.000Z">1h</time>
+      <div data-testid="tweetText">${tweet.text}</div>
+      <div data-testid="like"><span>3</span></div>
+      <a href="/${tweet.handle}/status/${tweet.id}">1h</a>
+    </article>`;
+}
+
+/**
+ * A post as it appears in SearchTimeline and TweetDetail responses
+ */
+function tweetResult(tweet: FakeTweet) {
+  return {
+    __typename: 'Tweet',
+    core: { user_results: { result: { legacy: { screen_name: tweet.handle, name: tweet.handle, followers_count: 100 } } } },
+    views: { count: '1000' },
+    legacy: {
+      id_str: tweet.id,
+      full_text: tweet.text,
+      created_at: 'Wed Aug 27 10:00:00 +0000 2025',
+      favorite_count: 3,
+      retweet_count: 1,
+      reply_count: 0,
+      quote_count: 2,
+      ...(tweet.inReplyTo ? { in_reply_to_status_id_str: tweet.inReplyTo } : {}),
+    },
+  };
+}
+
+function searchTimeline(tweets: FakeTweet[]) {
+  const entries = tweets.map(tweet => ({ entryId: `tweet-${tweet.id}`, content: { itemContent: { tweet_results: { result: tweetResult(tweet) } } } }));
+  return JSON.stringify({ data: { search_by_raw_query: { search_timeline: { timeline: { instructions: [{ type: 'TimelineAddEntries', entries }] } } } } });
+}
+
+/**
+ * A page that renders `rendered` once its GraphQL request (`apiPath`) completes
+ */
+function timelinePage(apiPath: string, rendered: FakeTweet[]) {
+  return `
+    <main id="timeline"></main>
+    <script>
+      fetch('${apiPath}').then(() => {
+        document.getElementById('timeline').innerHTML = ${JSON.stringify(rendered.map(tweetArticle).join(''))};
+      });
+    </script>`;
+}
+
+const alice = { id: '1', handle: 'alice', text: 'Launching BuildPad today' };
+const bob = { id: '2', handle: 'bob', text: 'BuildPad looks great' };
+const carol = { id: '3', handle: 'carol', text: 'Trying BuildPad now' };
+const dave = { id: '4', handle: 'dave', text: 'Another search entirely' };
+
+test('twitter_fetch_posts', async ({ client, server }) => {
+  // bob is only in the API response, carol only in the page
+  server.setContent('/graphql/SearchTimeline-a', searchTimeline([alice, bob]), 'application/json');
+  server.setContent('/search-a', timelinePage('/graphql/SearchTimeline-a', [alice, carol]), 'text/html');
+
+  await client.callTool({ name: 'browser_navigate', arguments: { url: `${server.PREFIX}search-a` } });
+  await client.callTool({ name: 'browser_wait_for', arguments: { text: carol.text } });
+
+  const response = await client.callTool({
+    name: 'twitter_fetch_posts',
+    arguments: { maxPosts: 10 },
+  });
+  expect(response).toHaveResponse({
+    result: expect.stringContaining(`Fetched 3 of 10 requested posts from Twitter (dataset twitter-1)
+- 2 from timeline API responses, 1 from the page`),
+  });
+
+  const posts = extractedData<TwitterPost[]>(response, 'posts');
+  expect(posts.map(post => post.id).sort()).toEqual(['1', '2', '3']);
+  // The API copy of a post wins over the rendered one
+  expect(posts.find(post => post.id === '1')).toEqual(expect.objectContaining({
+    url: 'https://twitter.com/alice/status/1',
+    impressions: 1000,
+    impressionsEstimated: false,
+    quotes: 2,
+    authorFollowers: 100,
+  }));
+  expect(posts.find(post => post.id === '3')).toEqual(expect.objectContaining({
+    url: 'https://twitter.com/carol/status/3',
+    authorHandle: 'carol',
+    likes: 3,
+    impressionsEstimated: true,
+  }));
+});
+
+test('twitter_fetch_posts (new query)', async ({ client, server }) => {
+  server.setContent('/graphql/SearchTimeline-a', searchTimeline([alice, bob]), 'application/json');
+  server.setContent('/search-a', timelinePage('/graphql/SearchTimeline-a', [alice]), 'text/html');
+  server.setContent('/graphql/SearchTimeline-b', searchTimeline([dave]), 'application/json');
+  server.setContent('/search-b', timelinePage('/graphql/SearchTimeline-b', [dave]), 'text/html');
+
+  await client.callTool({ name: 'browser_navigate', arguments: { url: `${server.PREFIX}search-a` } });
+  await client.callTool({ name: 'browser_wait_for', arguments: { text: alice.text } });
+  await client.callTool({ name: 'twitter_fetch_posts', arguments: { maxPosts: 2 } });
+
+  // Posts captured for the first search must not leak into the second one
+  await client.callTool({ name: 'browser_navigate', arguments: { url: `${server.PREFIX}search-b` } });
+  await client.callTool({ name: 'browser_wait_for', arguments: { text: dave.text } });
+  const response = await client.callTool({
+    name: 'twitter_fetch_posts',
+    arguments: { maxPosts: 10 },
+  });
+  expect(response).toHaveResponse({
+    result: expect.stringContaining(`Fetched 1 of 10 requested posts from Twitter (dataset twitter-2)`),
+  });
+  expect(extractedData<TwitterPost[]>(response, 'posts').map(post => post.id)).toEqual(['4']);
+});
+
+test('twitter_fetch_posts (scroll)', async ({ client, server }) => {
+  // Like Twitter, the page only keeps a window of posts and swaps it on scroll
+  const windows = [[alice, bob], [bob, carol], [carol, dave]].map(tweets => tweets.map(tweetArticle).join(''));
+  server.setContent('/scroll', `
+    <main id="timeline" style="height: 100000px"></main>
+    <script>
+      const windows = ${JSON.stringify(windows)};
+      let shown = 0;
+      document.getElementById('timeline').innerHTML = windows[0];
+      window.addEventListener('scroll', () => {
+        shown = Math.min(shown + 1, windows.length - 1);
+        document.getElementById('timeline').innerHTML = windows[shown];
+      });
+    </script>`, 'text/html');
+
+  await client.callTool({ name: 'browser_navigate', arguments: { url: `${server.PREFIX}scroll` } });
+  const response = await client.callTool({
+    name: 'twitter_fetch_posts',
+    arguments: { maxPosts: 3 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 3 of 3 requested posts from Twitter (dataset twitter-1)
+- 0 from timeline API responses, 3 from the page
+- 1 scroll(s)`,
+  });
+  expect(extractedData<TwitterPost[]>(response, 'posts').map(post => post.id)).toEqual(['1', '2', '3']);
+});
+
+function tweetDetail(status: FakeTweet, thread: FakeTweet[]) {
+  const threadItems = thread.map(tweet => ({ item: { itemContent: { tweet_results: { result: tweetResult(tweet) } } } }));
+  const entries = [
+    { entryId: `tweet-${status.id}`, content: { itemContent: { tweet_results: { result: tweetResult(status) } } } },
+    { entryId: `conversationthread-${thread[0].id}`, content: { items: threadItems } },
+  ];
+  return JSON.stringify({ data: { threaded_conversation_with_injections_v2: { instructions: [{ type: 'TimelineAddEntries', entries }] } } });
+}
+
+test('twitter_fetch_replies', async ({ client, server }) => {
+  // bob replies to alice and carol to bob; dave's reply is only in the page
+  const bobReply = { ...bob, inReplyTo: alice.id };
+  const carolReply = { ...carol, inReplyTo: bob.id };
+  server.setContent('/graphql/TweetDetail', tweetDetail(alice, [bobReply, carolReply]), 'application/json');
+  server.setContent('/alice/status/1', timelinePage('/graphql/TweetDetail', [alice, bobReply, carolReply, dave]), 'text/html');
+
+  const response = await client.callTool({
+    name: 'twitter_fetch_replies',
+    arguments: { url: `${server.PREFIX}alice/status/1`, maxReplies: 3 },
+  });
+  expect(response).toHaveResponse({
+    result: `Fetched 3 replies to status 1 (1 nested in other replies)
+- 2 from conversation API responses, 1 from the page
+- 0 scroll(s)`,
+  });
+  expect(extractedData<TwitterReply[]>(response, 'replies').map(reply => [reply.id, reply.inReplyToTweetId, reply.depth])).toEqual([
+    ['2', '1', 1],
+    ['3', '2', 2],
+    ['4', '1', 1],
+  ]);
+});
+
+test('twitter_fetch_replies (not a status)', async ({ client }) => {
+  expect(await client.callTool({
+    name: 'twitter_fetch_replies',
+    arguments: { url: 'https://x.com/alice' },
+  })).toHaveResponse({
+    isError: true,
+    result: `Not a Twitter status URL: https://x.com/alice`,
+  });
+});
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Hacker News Scraper CLI
+ * Search, trending, category feeds, items, users and the "Who is hiring?"
+ * thread. Reports are saved to report/hackernews/<DD-Mon-YYYY>/.
+ */
+
+import { Command } from 'commander';
+import HackerNewsScraper, { FEEDS, saveReport, withSentiment } from './hn-scraper.js';
+import { FORMATS, FEED_TITLES, formatReport } from './formatters.js';
+
+const program = new Command();
+
+program
+  .name('hackernews-scraper')
+  .description('Hacker News Scraper - Search, trending stories, feeds, items, users and job posts')
+  .version('1.0.0');
+
+/**
+ * Options every command takes: output format, backend and comment limits
+ */
+function withCommonOptions(command, { comments = true } = {}) {
+  command
+    .option('-f, --format <format>', `Output format: ${FORMATS.join(', ')} or all (json + markdown)`, 'all')
+    .option('--backend <backend>', 'api (Algolia + Firebase over HTTP) or browser (Playwright)', 'api')
+    .option('--print', 'Print the report to stdout instead of saving it');
+
+  if (comments) {
+    command
+      .option('--threads <number>', 'Top-level comment threads per story', '5')
+      .option('--depth <number>', 'Reply levels to follow under each thread', '3')
+      .option('--replies <number>', 'Replies kept per comment', '5')
+      .option('--no-comments', 'Skip the comment trees');
+  }
+
+  return command;
+}
+
+function createScraper(options, extra = {}) {
+  if (!['api', 'browser'].includes(options.backend)) {
+    throw new Error(`Unknown backend: ${options.backend} (use api or browser)`);
+  }
+
+  return new HackerNewsScraper({
+    backend: options.backend,
+    extractContent: options.comments !== false,
+    maxComments: parseNumber(options.threads, 5),
+    commentDepth: parseNumber(options.depth, 3),
+    commentReplies: parseNumber(options.replies, 5),
+    history: options.history !== false,
+    ...extra
+  });
+}
+
+function parseFormats(format) {
+  if (format === 'all') return ['json', 'markdown'];
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(', ')} or all)`);
+  }
+  return [format];
+}
+
+function parseNumber(value, fallback) {
+  if (value === undefined) return fallback;
+  const number = parseInt(value);
+  if (isNaN(number) || number < 0) {
+    throw new Error(`Expected a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Print or save a report (with sentiment), then list the files written
+ */
+async function output(rawReport, name, options) {
+  const formats = parseFormats(options.format);
+  const report = withSentiment(rawReport);
+
+  if (options.print) {
+    console.log(formatReport(report, formats[0]));
+    return;
+  }
+
+  const files = await saveReport(report, name, formats);
+  console.log('\n💾 Report saved:');
+  files.forEach(file => console.log(`   ${file}`));
+}
+
+function fail(label, error) {
+  console.error(`❌ ${label} failed:`, error.message);
+  process.exit(1);
+}
+
+// Keyword search
+withCommonOptions(
+  program
+    .command('search <keyword>')
+    .description('Search stories by keyword, with their text and comment trees')
+    .option('-n, --limit <number>', 'Number of stories', '10')
+    .option('--sort <sort>', 'API: popularity or date', 'popularity')
+    .option('--tags <tags>', 'API: Algolia tags, e.g. story,author_pg or show_hn|ask_hn (comma = all of, | = any of)')
+    .option('--since <date>', 'API: only stories created on/after this date')
+    .option('--until <date>', 'API: only stories created before this date')
+    .option('--min-points <number>', 'API: minimum points')
+    .option('--min-comments <number>', 'API: minimum comment count')
+    .option('--no-history', 'Do not record this run in the local history store')
+).action(async (keyword, options) => {
+  try {
+    if (!['popularity', 'date'].includes(options.sort)) {
+      throw new Error(`Unknown sort: ${options.sort} (use popularity or date)`);
+    }
+
+    const scraper = createScraper(options, {
+      maxPosts: parseNumber(options.limit, 10),
+      filters: {
+        sort: options.sort,
+        tags: options.tags,
+        since: options.since,
+        until: options.until,
+        minPoints: parseNumber(options.minPoints, undefined),
+        minComments: parseNumber(options.minComments, undefined)
+      }
+    });
+
+    const report = await scraper.scrape(keyword);
+    console.log(`\n✅ ${report.stories.length} stories for "${keyword}"`);
+    await output(report, keyword, options);
+  } catch (error) {
+    fail('Search', error);
+  }
+});
+
+// Trending front page stories
+withCommonOptions(
+  program
+    .command('trending')
+    .description('Front page stories from the last N days ranked by trending score')
+    .option('-d, --days <number>', 'Only stories from the last N days', '2')
+    .option('-n, --limit <number>', 'Number of stories', '10')
+    .option('--no-history', 'Do not record this run in the local history store')
+).action(async (options) => {
+  try {
+    const days = parseNumber(options.days, 2);
+    const scraper = createScraper(options);
+
+    console.log(`📈 Finding trending stories from the last ${days} day${days > 1 ? 's' : ''}...`);
+    const stories = await scraper.getTrending(days, parseNumber(options.limit, 10));
+
+    if (scraper.options.history && stories.length > 0) {
+      await scraper.recordHistory(stories, 'trending', 'front');
+    }
+
+    const report = { days, stories, extractedAt: new Date().toISOString(), totalStories: stories.length };
+    console.log(`\n✅ ${stories.length} trending stories`);
+    await output(report, `trending-${days}d`, options);
+  } catch (error) {
+    fail('Trending', error);
+  }
+});
+
+// Category feeds: front, newest, best, show, ask, launches
+Object.keys(FEEDS).forEach(feed => {
+  withCommonOptions(
+    program
+      .command(feed)
+      .description(`${FEED_TITLES[feed]} stories${feed === 'launches' ? ' (browser only)' : ''}`)
+      .option('-n, --limit <number>', 'Number of stories', '30')
+      .option('--no-history', 'Do not record this run in the local history store'),
+    { comments: false }
+  ).action(async (options) => {
+    try {
+      const limit = parseNumber(options.limit, 30);
+      const scraper = createScraper(options);
+
+      console.log(`📰 Fetching ${FEED_TITLES[feed]} (${limit} stories)...`);
+      const stories = await scraper.getFeed(feed, limit);
+
+      if (scraper.options.history && stories.length > 0) {
+        await scraper.recordHistory(stories, feed, feed);
+      }
+
+      const report = { feed, stories, extractedAt: new Date().toISOString(), totalStories: stories.length };
+      console.log(`\n✅ ${stories.length} stories`);
+      await output(report, feed, options);
+    } catch (error) {
+      fail(FEED_TITLES[feed], error);
+    }
+  });
+});
+
+// Single item
+withCommonOptions(
+  program
+    .command('item <id>')
+    .description('A story (or any item) with its comment tree')
+).action(async (id, options) => {
+  try {
+    if (options.backend !== 'api') {
+      throw new Error('item is only available with the api backend');
+    }
+
+    const scraper = createScraper(options);
+    console.log(`📄 Fetching item ${id}...`);
+    const story = await scraper.getItem(id);
+
+    const report = { itemId: story.id, stories: [story], extractedAt: new Date().toISOString(), totalStories: 1 };
+    console.log(`\n✅ ${story.title || `${story.type} ${story.id}`}`);
+    await output(report, `item-${story.id}`, options);
+  } catch (error) {
+    fail('Item', error);
+  }
+});
+
+// User profile and recent stories
+withCommonOptions(
+  program
+    .command('user <id>')
+    .description('A user\'s profile and their most recent stories')
+    .option('-n, --limit <number>', 'Number of stories', '10'),
+  { comments: false }
+).action(async (id, options) => {
+  try {
+    if (options.backend !== 'api') {
+      throw new Error('user is only available with the api backend');
+    }
+
+    const scraper = createScraper(options);
+    console.log(`👤 Fetching user ${id}...`);
+    const { user, stories } = await scraper.getUser(id, parseNumber(options.limit, 10));
+
+    const report = { user, stories, extractedAt: new Date().toISOString(), totalStories: stories.length };
+    console.log(`\n✅ ${user.id}: ${user.karma} karma, ${stories.length} recent stories`);
+    await output(report, `user-${user.id}`, options);
+  } catch (error) {
+    fail('User', error);
+  }
+});
+
+// Who is hiring
+withCommonOptions(
+  program
+    .command('hiring')
+    .description('Job posts from the latest (or a given) "Ask HN: Who is hiring?" thread')
+    .option('-n, --limit <number>', 'Number of job posts (default: all)')
+    .option('-t, --thread <id>', 'Thread item id (default: the latest whoishiring thread)'),
+  { comments: false }
+).action(async (options) => {
+  try {
+    const scraper = createScraper(options);
+    console.log('📋 Fetching "Who is hiring?" job posts...');
+    const { thread, summary, jobs } = await scraper.getHiringJobs({
+      limit: parseNumber(options.limit, undefined),
+      threadId: options.thread
+    });
+
+    const report = { thread, summary, jobs, extractedAt: new Date().toISOString() };
+    console.log(`\n✅ ${jobs.length} job posts (${summary.remote} remote) from "${thread.title}"`);
+    await output(report, `hiring-${thread.id}`, options);
+  } catch (error) {
+    fail('Hiring', error);
+  }
+});
+
+program.parse();
@@ -1,56 +1,195 @@
-function formatAsJson(data) {
-  return JSON.stringify(data, null, 2);
+/**
+ * HackerNews report formatters: JSON, Markdown and CSV
+ *
+ * Every command produces a report with `stories` (or `jobs` for the hiring
+ * thread) plus the fields describing the run: `keyword` (search), `feed`,
+ * `days` (trending), `itemId`, `user` or `thread`.
+ */
+
+import { formatSentiment, formatSentimentSummary } from '../shared/sentiment.js';
+
+export const FORMATS = ['json', 'markdown', 'csv'];
+
+export const FEED_TITLES = {
+  front: 'Front Page',
+  newest: 'Newest',
+  best: 'Best',
+  show: 'Show HN',
+  ask: 'Ask HN',
+  launches: 'Launch HN'
+};
+
+export function formatAsJson(report) {
+  return JSON.stringify(report, null, 2);
 }
 
-function formatAsMarkdown(data, title = 'HackerNews Results') {
-  let markdown = `# ${title}\n\n`;
-  markdown += `*Generated: ${new Date().toISOString()}*\n\n`;
-  
-  if (!data || data.length === 0) {
-    markdown += '## No results found\n';
-    return markdown;
+export function formatAsMarkdown(report) {
+  if (report.jobs) {
+    return formatJobsAsMarkdown(report);
   }
-  
-  data.forEach((item, index) => {
-    markdown += `## ${index + 1}. ${item.title}\n\n`;
-    
-    if (item.url) {
-      markdown += `**URL:** ${item.url}\n\n`;
+
+  let markdown = `# ${getReportTitle(report)}\n\n`;
+  if (report.keyword) markdown += `**Search Query:** ${report.keyword}\n`;
+  if (report.feed) markdown += `**Feed:** ${FEED_TITLES[report.feed] || report.feed}\n`;
+  if (report.days) markdown += `**Time Range:** last ${report.days} day${report.days > 1 ? 's' : ''}\n`;
+  if (report.user) {
+    markdown += `**Karma:** ${report.user.karma.toLocaleString()}\n`;
+    markdown += `**Member Since:** ${new Date(report.user.created).toLocaleDateString()}\n`;
+    if (report.user.about) markdown += `**About:** ${report.user.about.replace(/\n+/g, ' ')}\n`;
+  }
+  markdown += `**Extracted At:** ${new Date(report.extractedAt).toLocaleString()}\n`;
+  markdown += `**Total Stories:** ${report.totalStories ?? report.stories.length}\n`;
+  if (report.sentiment?.count > 0) {
+    markdown += `**Sentiment:** ${formatSentimentSummary(report.sentiment)}\n`;
+  }
+  markdown += `\n`;
+  markdown += `---\n\n`;
+
+  report.stories.forEach((story, index) => {
+    markdown += `## ${story.rank || index + 1}. ${story.title}\n\n`;
+    markdown += `- **Author:** ${story.author || 'Unknown'}\n`;
+    markdown += `- **Posted:** ${story.createdAt ? formatDate(story.createdAt) : 'Unknown'}\n`;
+    markdown += `- **Points:** ${story.points || 0}\n`;
+    markdown += `- **Comments:** ${story.commentCount || 0}\n`;
+    if (story.trendingScore !== undefined) {
+      markdown += `- **Trending Score:** ${story.trendingScore}\n`;
+    }
+    if (story.sentiment) {
+      const comments = story.sentiment.comments.count > 0
+        ? ` (comments: ${formatSentimentSummary(story.sentiment.comments)})`
+        : '';
+      markdown += `- **Sentiment:** ${formatSentiment(story.sentiment)}${comments}\n`;
+    }
+
+    if (story.url) {
+      markdown += `- **URL:** [${story.url}](${story.url})\n`;
+    }
+    if (story.hnUrl) {
+      markdown += `- **HN Discussion:** [Link](${story.hnUrl})\n`;
+    }
+
+    markdown += `\n`;
+
+    if (story.content) {
+      markdown += `### Content\n\n${story.content}\n\n`;
+    } else if (story.contentNote) {
+      markdown += `### Content\n\n_${story.contentNote}_\n\n`;
     }
-    
-    if (item.hnUrl) {
-      markdown += `**HN Discussion:** ${item.hnUrl}\n\n`;
+
+    if (story.comments && story.comments.length > 0) {
+      markdown += `### Comments\n\n`;
+      markdown += `${formatCommentTree(story.comments)}\n`;
     }
-    
-    markdown += `**Metadata:**\n`;
-    markdown += `- Points: ${item.points || 0}\n`;
-    markdown += `- Author: ${item.author || 'unknown'}\n`;
-    markdown += `- Time: ${item.time || 'unknown'}\n`;
-    markdown += `- Comments: ${item.comments || 0}\n\n`;
-    
-    if (item.content) {
-      if (typeof item.content === 'string') {
-        markdown += `**Content Preview:**\n${item.content.substring(0, 500)}...\n\n`;
-      } else if (item.content.text) {
-        markdown += `**Post Text:**\n${item.content.text}\n\n`;
-        
-        if (item.content.comments && item.content.comments.length > 0) {
-          markdown += `### Top Comments:\n\n`;
-          item.content.comments.slice(0, 3).forEach((comment, ci) => {
-            markdown += `#### Comment ${ci + 1} by ${comment.author}:\n`;
-            markdown += `${comment.text.substring(0, 300)}...\n\n`;
-          });
-        }
-      }
+
+    markdown += `---\n\n`;
+  });
+
+  return markdown;
+}
+
+/**
+ * One row per story (or job post for the hiring thread)
+ */
+export function formatAsCsv(report) {
+  const rows = report.jobs
+    ? [
+      ['id', 'company', 'role', 'location', 'remote', 'hybrid', 'salary', 'employment_type', 'url', 'hn_url', 'author', 'posted_at'],
+      ...report.jobs.map(job => [job.id, job.company, job.role, job.location, job.remote, job.hybrid,
+        job.salary, job.employment_type, job.url, job.hnUrl, job.author, job.posted_at])
+    ]
+    : [
+      ['rank', 'id', 'title', 'url', 'hn_url', 'points', 'comments', 'author', 'created_at', 'trending_score',
+        'sentiment', 'sentiment_score'],
+      ...report.stories.map((story, index) => [story.rank || index + 1, story.id, story.title, story.url, story.hnUrl,
+        story.points, story.commentCount, story.author, story.createdAt, story.trendingScore,
+        story.sentiment?.label, story.sentiment?.score])
+    ];
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Render a comment tree as nested Markdown lists
+ */
+export function formatCommentTree(comments, level = 0) {
+  const indent = '  '.repeat(level);
+
+  return comments.map(comment => {
+    const posted = comment.time ? ` (${new Date(comment.time).toLocaleString()})` : '';
+    let markdown = `${indent}- **${comment.author}**${posted}:\n`;
+    markdown += `${indent}  > ${comment.text.split(/\n+/).join(`\n${indent}  >\n${indent}  > `)}\n`;
+    if (comment.replies.length > 0) {
+      markdown += formatCommentTree(comment.replies, level + 1);
     }
-    
-    markdown += '---\n\n';
+    return markdown;
+  }).join('');
+}
+
+export function formatReport(report, format) {
+  switch (format) {
+  case 'markdown':
+    return formatAsMarkdown(report);
+  case 'csv':
+    return formatAsCsv(report);
+  default:
+    return formatAsJson(report);
+  }
+}
+
+function formatJobsAsMarkdown(report) {
+  const { thread, jobs, summary } = report;
+
+  let markdown = `# ${thread.title || 'Who is hiring?'}\n\n`;
+  markdown += `**Thread:** ${thread.url}\n`;
+  markdown += `**Extracted At:** ${new Date(report.extractedAt).toLocaleString()}\n\n`;
+
+  markdown += `## Summary\n\n`;
+  markdown += `- Job posts: ${summary.total}\n`;
+  markdown += `- Remote: ${summary.remote} | Onsite only: ${summary.onsite_only} | Hybrid: ${summary.hybrid}\n`;
+  markdown += `- With salary info: ${summary.with_salary}\n`;
+  if (summary.top_locations.length > 0) {
+    markdown += `- Top locations: ${summary.top_locations.map(({ name, count }) => `${name} (${count})`).join(', ')}\n`;
+  }
+  markdown += `\n`;
+
+  markdown += `## Jobs\n\n`;
+  markdown += `| Company | Role | Location | Remote | Salary |\n`;
+  markdown += `|---------|------|----------|--------|--------|\n`;
+  jobs.forEach(job => {
+    const cell = (value) => (value || '').replace(/\|/g, '/').substring(0, 80);
+    const company = job.url ? `[${cell(job.company)}](${job.url})` : cell(job.company);
+    const remote = job.hybrid ? 'Hybrid' : job.remote === true ? 'Yes' : job.remote === false ? 'No' : '?';
+    markdown += `| ${company} | ${cell(job.role)} | ${cell(job.location)} | ${remote} | ${cell(job.salary)} |\n`;
   });
-  
+
   return markdown;
 }
 
-module.exports = {
+function getReportTitle(report) {
+  if (report.keyword !== undefined) return 'Hacker News Search Results';
+  if (report.feed) return `Hacker News: ${FEED_TITLES[report.feed] || report.feed}`;
+  if (report.days) return 'Trending on Hacker News';
+  if (report.user) return `Hacker News User: ${report.user.id}`;
+  if (report.itemId) return `Hacker News Item ${report.itemId}`;
+  return 'Hacker News';
+}
+
+// Relative times ("3 months ago") from the browser search are kept as-is
+function formatDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
   formatAsJson,
-  formatAsMarkdown
-};
\ No newline at end of file
+  formatAsMarkdown,
+  formatAsCsv,
+  formatCommentTree,
+  formatReport
+};
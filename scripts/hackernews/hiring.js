@@ -0,0 +1,140 @@
+/**
+ * "Ask HN: Who is hiring?" job post parsing
+ *
+ * Posts conventionally start with a pipe-separated header line:
+ *   Acme Corp | Senior Backend Engineer | Berlin, Germany | REMOTE (EU) | €80k-€110k | https://acme.com/jobs
+ * Segments are classified by what they look like, since posters order them freely.
+ */
+
+const URL_PATTERN = /https?:\/\/\S+|www\.\S+/i;
+const SALARY_PATTERN = /[$€£]\s?\d|\d+(\.\d+)?\s?k\b|\b(salary|equity|usd|eur|gbp)\b|\d{2,3},\d{3}/i;
+const EMPLOYMENT_PATTERN = /\b(full[- ]?time|part[- ]?time|contract(or)?|freelance|intern(ship)?s?|ft|pt)\b/i;
+const REMOTE_PATTERN = /\bremote\b/i;
+const NOT_REMOTE_PATTERN = /\b(no remote|not remote|remote:? no|onsite only|on-site only|in[- ]office only)\b/i;
+const ONSITE_PATTERN = /\b(onsite|on-site|in[- ]office|in person)\b/i;
+const HYBRID_PATTERN = /\bhybrid\b/i;
+const ROLE_PATTERN = /\b(engineers?|developers?|designers?|managers?|scientists?|leads?|head of|founding|sre|devops|analysts?|architects?|marketing|sales|product|recruiters?|researchers?|cto|vp|director|ml|frontend|front-end|backend|back-end|full[- ]?stack|data|security|support|operations|ops)\b/i;
+// Titles the role keywords above miss ("Staff SWE", "Accountant", "Technical Writer")
+const TITLE_PATTERN = /\b(swe|sde|programmers?|consultants?|specialists?|coordinators?|writers?|editors?|accountants?|counsel|technicians?|administrators?|associates?|officers?|ceo|coo|cfo|cpo|hackers?)\b/i;
+// Perks and benefits are neither a role nor a location
+const PERK_PATTERN = /\b(\d+|four)[- ]day (work ?)?week\b|\b(4dww|visa|sponsorship|relocation|benefits|pto|vacation|parental leave|dental|stock options|flexible hours|unlimited)\b|\b401\(?k\)?|\bhealth (insurance|care|coverage)\b/i;
+const LOCATION_PATTERN = /,|\b(usa|us|uk|eu|emea|apac|nyc|sf|bay area|worldwide|global|americas|europe|canada|germany|london|berlin|paris|new york|san francisco|toronto|amsterdam)\b/i;
+// US state / country codes: "Austin, TX", "Remote (US)"
+const REGION_CODE_PATTERN = /\b[A-Z]{2}\b/;
+
+/**
+ * Parse a job post into { company, role, location, remote, hybrid, onsite,
+ * salary, employment_type, url, header, text }. Fields that can't be found
+ * are null; `remote` is null when the post doesn't say.
+ */
+export function parseJobPost(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const header = lines[0] || '';
+  const segments = header.split('|').map(segment => segment.trim()).filter(Boolean);
+
+  const job = {
+    company: null,
+    role: null,
+    location: null,
+    remote: null,
+    hybrid: HYBRID_PATTERN.test(header),
+    onsite: ONSITE_PATTERN.test(header),
+    salary: null,
+    employment_type: null,
+    url: null,
+    header,
+    text
+  };
+
+  if (NOT_REMOTE_PATTERN.test(header)) {
+    job.remote = false;
+  } else if (REMOTE_PATTERN.test(header)) {
+    job.remote = true;
+  } else if (job.onsite) {
+    job.remote = false;
+  }
+
+  segments.forEach((segment, index) => {
+    if (index === 0) {
+      // "Acme (YC W21) - https://acme.com" style company segments
+      const url = segment.match(URL_PATTERN);
+      if (url) job.url = url[0];
+      job.company = segment.replace(URL_PATTERN, '').replace(/[\s(\-–:]+$/, '').trim() || null;
+      return;
+    }
+
+    if (URL_PATTERN.test(segment)) {
+      job.url = job.url || segment.match(URL_PATTERN)[0];
+      return;
+    }
+    if (SALARY_PATTERN.test(segment)) {
+      job.salary = job.salary || segment;
+      return;
+    }
+
+    const isWorkMode = REMOTE_PATTERN.test(segment) || ONSITE_PATTERN.test(segment) || HYBRID_PATTERN.test(segment);
+    const isEmployment = EMPLOYMENT_PATTERN.test(segment);
+    if (isEmployment && segment.length < 40) {
+      job.employment_type = job.employment_type || segment.match(EMPLOYMENT_PATTERN)[0];
+    }
+
+    if (isWorkMode) {
+      // "Remote (US, Canada)" / "Onsite in NYC": the place is still a location
+      const place = segment
+        .replace(/\b(remote|onsite|on-site|in[- ]office|hybrid|only|ok|friendly|possible)\b/gi, '')
+        .replace(/^[\s(),/:+-]+|[\s(),/:+-]+$/g, '')
+        .replace(/^(in|from)\s+/i, '');
+      if (place && !job.location) job.location = place;
+      return;
+    }
+    if (isEmployment && segment.length < 40) return;
+    if (PERK_PATTERN.test(segment)) return;
+
+    // Only segments that look like a title count as roles; anything else unrecognised is dropped
+    if (ROLE_PATTERN.test(segment) || TITLE_PATTERN.test(segment)) {
+      job.role = job.role ? `${job.role}; ${segment}` : segment;
+    } else if (!job.location && (LOCATION_PATTERN.test(segment) || REGION_CODE_PATTERN.test(segment))) {
+      job.location = segment;
+    }
+  });
+
+  // No URL in the header: take the first link in the body
+  if (!job.url) {
+    const bodyUrl = text.match(URL_PATTERN);
+    if (bodyUrl) job.url = bodyUrl[0].replace(/[).,]+$/, '');
+  }
+
+  return job;
+}
+
+/**
+ * Counts for the report summary: remote split, top locations and roles
+ */
+export function summarizeJobs(jobs) {
+  const countBy = (values) => {
+    const counts = {};
+    values.filter(Boolean).forEach(value => {
+      const key = value.trim();
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([name, count]) => ({ name, count }));
+  };
+
+  return {
+    total: jobs.length,
+    remote: jobs.filter(job => job.remote === true).length,
+    onsite_only: jobs.filter(job => job.remote === false).length,
+    hybrid: jobs.filter(job => job.hybrid).length,
+    with_salary: jobs.filter(job => job.salary).length,
+    top_locations: countBy(jobs.map(job => job.location)),
+    top_roles: countBy(jobs.flatMap(job => (job.role || '').split(';')))
+  };
+}
+
+export default {
+  parseJobPost,
+  summarizeJobs
+};
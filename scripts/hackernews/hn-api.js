@@ -0,0 +1,250 @@
+/**
+ * Hacker News HTTP API client
+ * Search goes through the Algolia API, comment trees through the official
+ * Firebase item API. Both base URLs can be pointed at a local fixture server
+ * (options or HN_ALGOLIA_URL / HN_FIREBASE_URL).
+ *
+ *   Algolia   https://hn.algolia.com/api/v1/search?query=...&tags=...&numericFilters=...
+ *   Firebase  https://hacker-news.firebaseio.com/v0/item/<id>.json
+ */
+
+export const ALGOLIA_API_URL = 'https://hn.algolia.com/api/v1';
+export const FIREBASE_API_URL = 'https://hacker-news.firebaseio.com/v0';
+
+// Algolia caps a query at 1000 hits however they are paged
+const MAX_HITS_PER_PAGE = 100;
+
+export const SEARCH_TAGS = ['story', 'comment', 'ask_hn', 'show_hn', 'poll', 'job', 'front_page'];
+
+// Firebase story id lists behind the HN listing pages (up to 500 ids each)
+export const FIREBASE_FEEDS = {
+  front: 'topstories',
+  newest: 'newstories',
+  best: 'beststories',
+  show: 'showstories',
+  ask: 'askstories'
+};
+
+export class HackerNewsApi {
+  constructor(options = {}) {
+    this.algoliaUrl = (options.algoliaUrl || process.env.HN_ALGOLIA_URL || ALGOLIA_API_URL).replace(/\/$/, '');
+    this.firebaseUrl = (options.firebaseUrl || process.env.HN_FIREBASE_URL || FIREBASE_API_URL).replace(/\/$/, '');
+    this.timeout = options.timeout || 15000;
+  }
+
+  /**
+   * Search stories (or comments) and page through the results.
+   *
+   * Options: sort ('popularity' | 'date'), tags (tag or list of tags, all
+   * required), since/until (Date, ISO string or unix seconds), minPoints,
+   * minComments, maxResults
+   */
+  async search(query, options = {}) {
+    const maxResults = options.maxResults || 20;
+    const endpoint = options.sort === 'date' ? 'search_by_date' : 'search';
+
+    const params = {
+      query,
+      tags: buildTags(options.tags),
+      numericFilters: buildNumericFilters(options),
+      hitsPerPage: Math.min(MAX_HITS_PER_PAGE, maxResults)
+    };
+
+    const hits = [];
+    for (let page = 0; hits.length < maxResults; page++) {
+      const result = await this.getJson(`${this.algoliaUrl}/${endpoint}`, { ...params, page });
+      hits.push(...(result.hits || []));
+
+      if (page + 1 >= (result.nbPages || 0) || (result.hits || []).length === 0) break;
+    }
+
+    return hits.slice(0, maxResults).map(storyFromHit);
+  }
+
+  async getItem(id) {
+    return this.getJson(`${this.firebaseUrl}/item/${id}.json`);
+  }
+
+  /**
+   * Items in the order of `ids`, `concurrency` requests at a time; missing
+   * items come back as null
+   */
+  async getItems(ids, concurrency = 10) {
+    const items = [];
+    for (let i = 0; i < ids.length; i += concurrency) {
+      items.push(...await Promise.all(ids.slice(i, i + concurrency).map(id => this.getItem(id))));
+    }
+    return items;
+  }
+
+  async getUser(id) {
+    return this.getJson(`${this.firebaseUrl}/user/${encodeURIComponent(id)}.json`);
+  }
+
+  /**
+   * First `limit` stories of a FIREBASE_FEEDS list, ranked in list order
+   */
+  async getFeed(feed, limit = 30) {
+    if (!FIREBASE_FEEDS[feed]) {
+      throw new Error(`No API feed for ${feed} (available: ${Object.keys(FIREBASE_FEEDS).join(', ')})`);
+    }
+
+    const ids = await this.getJson(`${this.firebaseUrl}/${FIREBASE_FEEDS[feed]}.json`);
+    const items = await this.getItems((ids || []).slice(0, limit));
+
+    return items
+      .filter(item => item && !item.deleted && !item.dead)
+      .map((item, index) => ({ ...storyFromItem(item), rank: index + 1 }));
+  }
+
+  /**
+   * Fetch an item's comment tree. Limits: maxComments top-level comments,
+   * commentDepth reply levels and commentReplies replies per comment.
+   * Each level's comments are fetched in parallel.
+   */
+  async getCommentTree(id, limits = {}) {
+    const maxComments = limits.maxComments ?? 5;
+    const maxDepth = limits.commentDepth ?? 3;
+    const maxReplies = limits.commentReplies ?? 5;
+
+    const fetchComments = async (ids, depth) => {
+      const items = await this.getItems(ids);
+
+      return Promise.all(items.filter(Boolean).map(async (item) => ({
+        id: String(item.id),
+        author: item.by || 'unknown',
+        // Deleted/dead comments keep their place so their replies stay attached
+        text: item.deleted || item.dead ? '[deleted]' : htmlToText(item.text || ''),
+        time: item.time ? new Date(item.time * 1000).toISOString() : null,
+        replies: depth < maxDepth && item.kids?.length
+          ? await fetchComments(item.kids.slice(0, maxReplies), depth + 1)
+          : []
+      })));
+    };
+
+    const item = await this.getItem(id);
+    if (!item) return { item: null, comments: [] };
+
+    return {
+      item,
+      comments: await fetchComments((item.kids || []).slice(0, maxComments), 0)
+    };
+  }
+
+  async getJson(url, params = {}) {
+    const target = new URL(url);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') target.searchParams.set(key, String(value));
+    });
+
+    const response = await fetch(target, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new Error(`HN API returned HTTP ${response.status} for ${target.pathname}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Algolia tags are ANDed; "ask_hn|show_hn" (or a nested array) becomes an
+ * ORed group, e.g. ['story', ['ask_hn', 'show_hn']] -> story,(ask_hn,show_hn)
+ */
+export function buildTags(tags) {
+  if (!tags) return undefined;
+  const list = Array.isArray(tags) ? tags : String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+  const groups = list.map(entry => Array.isArray(entry) ? entry : String(entry).split('|').map(tag => tag.trim()));
+
+  const unknown = groups.flat().filter(tag => !SEARCH_TAGS.includes(tag) && !/^(author|story)_/.test(tag));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown HN tag(s): ${unknown.join(', ')} (available: ${SEARCH_TAGS.join(', ')}, author_<name>, story_<id>)`);
+  }
+
+  return groups.map(group => group.length > 1 ? `(${group.join(',')})` : group[0]).join(',');
+}
+
+export function buildNumericFilters({ since, until, minPoints, minComments } = {}) {
+  const filters = [];
+  if (since !== undefined && since !== null) filters.push(`created_at_i>=${toUnixSeconds(since)}`);
+  if (until !== undefined && until !== null) filters.push(`created_at_i<${toUnixSeconds(until)}`);
+  if (minPoints) filters.push(`points>=${minPoints}`);
+  if (minComments) filters.push(`num_comments>=${minComments}`);
+  return filters.length > 0 ? filters.join(',') : undefined;
+}
+
+/**
+ * Map an Algolia hit onto the story shape the browser scraper produces
+ */
+export function storyFromHit(hit) {
+  const isComment = hit._tags?.includes('comment');
+  const hnUrl = `https://news.ycombinator.com/item?id=${hit.objectID}`;
+  const text = htmlToText((isComment ? hit.comment_text : hit.story_text) || '');
+
+  return {
+    id: String(hit.objectID),
+    title: hit.title || hit.story_title || '',
+    url: hit.url || hit.story_url || hnUrl,
+    hnUrl,
+    points: hit.points || 0,
+    author: hit.author || '',
+    commentCount: hit.num_comments || 0,
+    createdAt: hit.created_at || (hit.created_at_i ? new Date(hit.created_at_i * 1000).toISOString() : ''),
+    type: isComment ? 'comment' : 'story',
+    ...(isComment ? { storyId: String(hit.story_id) } : {}),
+    tags: (hit._tags || []).filter(tag => SEARCH_TAGS.includes(tag)),
+    content: text || null,
+    contentType: text ? 'text' : 'external',
+    comments: []
+  };
+}
+
+/**
+ * Map a Firebase item onto the same story shape
+ */
+export function storyFromItem(item) {
+  const hnUrl = `https://news.ycombinator.com/item?id=${item.id}`;
+  const text = htmlToText(item.text || '');
+
+  return {
+    id: String(item.id),
+    title: item.title || '',
+    url: item.url || hnUrl,
+    hnUrl,
+    points: item.score || 0,
+    author: item.by || '',
+    commentCount: item.descendants || 0,
+    createdAt: item.time ? new Date(item.time * 1000).toISOString() : '',
+    type: item.type,
+    content: text || null,
+    contentType: text ? 'text' : 'external',
+    comments: []
+  };
+}
+
+/**
+ * HN item text is HTML: <p> separates paragraphs, links and code are inline
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<p>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function toUnixSeconds(value) {
+  if (typeof value === 'number') return value > 1e12 ? Math.floor(value / 1000) : value;
+  const time = new Date(value).getTime();
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+export default HackerNewsApi;
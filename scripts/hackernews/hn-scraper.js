@@ -1,14 +1,14 @@
-#!/usr/bin/env node
-
 /**
- * Hacker News Scraper with Playwright
- * Searches HN using Algolia search and extracts full content
- * 
- * Usage:
- *   node hn-scraper.js "<keyword>" [maxPosts] [format]
- *   
- * Example:
- *   node hn-scraper.js "buildpad" 10 json
+ * Hacker News Scraper
+ * One scraper for every HN command: keyword search, trending, category feeds,
+ * items, users and the monthly "Who is hiring?" thread.
+ *
+ * The default 'api' backend talks to the Algolia search API and the Firebase
+ * item API over HTTP (see hn-api.js). The 'browser' backend drives
+ * hn.algolia.com and news.ycombinator.com with Playwright; the Launch HN feed
+ * has no API list and always uses the browser.
+ *
+ * CLI: cli.js
  */
 
 import { chromium } from 'playwright';
@@ -16,10 +16,35 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { normalizeItems } from '../shared/community-item.js';
+import { recordHistory } from '../shared/history-store.js';
+import { analyzePost, summarizeSentiment } from '../shared/sentiment.js';
+import { HackerNewsApi, FIREBASE_FEEDS, storyFromItem, htmlToText } from './hn-api.js';
+import { parseJobPost, summarizeJobs } from './hiring.js';
+import { rankTrending } from './trending.js';
+import { formatReport } from './formatters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const BASE_URL = 'https://news.ycombinator.com';
+export const REPORT_DIR = path.join(__dirname, '..', '..', 'report', 'hackernews');
+
+// Listing pages behind the category feeds
+export const FEEDS = {
+  front: '/news',
+  newest: '/newest',
+  best: '/best',
+  show: '/show',
+  ask: '/ask',
+  launches: '/launches'
+};
+
+const MAX_USER_ITEMS = 200;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 class HackerNewsScraper {
   constructor(options = {}) {
     this.browser = null;
@@ -27,8 +52,20 @@ class HackerNewsScraper {
     this.options = {
       headless: options.headless !== false,
       maxPosts: options.maxPosts || 10,
-      format: options.format || 'json'
+      format: options.format || 'json',
+      history: options.history !== false,
+      // Open each story's discussion page for its text and comment tree
+      extractContent: options.extractContent !== false,
+      // Comment tree limits: top-level threads, reply levels, replies per comment
+      maxComments: options.maxComments ?? 5,
+      commentDepth: options.commentDepth ?? 3,
+      commentReplies: options.commentReplies ?? 5,
+      // 'api' (Algolia + Firebase over HTTP) or 'browser' (the HN sites with Playwright)
+      backend: options.backend || 'api',
+      // API search only: sort, tags, since, until, minPoints, minComments
+      filters: options.filters || {}
     };
+    this.api = new HackerNewsApi({ algoliaUrl: options.algoliaUrl, firebaseUrl: options.firebaseUrl });
   }
 
   async init() {
@@ -41,6 +78,29 @@ class HackerNewsScraper {
     await this.page.setViewportSize({ width: 1280, height: 800 });
   }
 
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    }
+  }
+
+  /**
+   * Run a task with the browser open, closing it afterwards unless it was
+   * already open
+   */
+  async withBrowser(task) {
+    const opened = !this.browser;
+    if (opened) await this.init();
+
+    try {
+      return await task();
+    } finally {
+      if (opened) await this.close();
+    }
+  }
+
   async searchHackerNews(keyword) {
     console.log(`🔍 Searching for: "${keyword}"`);
     
@@ -172,37 +232,34 @@ class HackerNewsScraper {
           story.contentType = 'text';
         }
         
-        // Extract top comments
-        const comments = await this.page.evaluate(() => {
-          const commentEls = document.querySelectorAll('.comment-tree .athing.comtr');
-          const topComments = [];
-          
-          for (let i = 0; i < Math.min(commentEls.length, 5); i++) {
-            const commentEl = commentEls[i];
-            
-            const authorEl = commentEl.querySelector('.hnuser');
-            const author = authorEl ? authorEl.textContent : 'unknown';
-            
+        // Comment rows come in thread order; the indent level gives the nesting
+        const rows = await this.page.evaluate(() => {
+          return Array.from(document.querySelectorAll('.comment-tree tr.athing.comtr')).map(commentEl => {
+            const indentEl = commentEl.querySelector('td.ind');
+            const indentImg = indentEl?.querySelector('img');
+            const depth = indentEl?.hasAttribute('indent')
+              ? parseInt(indentEl.getAttribute('indent')) || 0
+              : Math.round((parseInt(indentImg?.getAttribute('width')) || 0) / 40);
+
             const textEl = commentEl.querySelector('.commtext');
-            const text = textEl ? textEl.textContent.trim() : '';
-            
-            const voteEl = commentEl.querySelector('.votelinks');
-            const hasVotes = voteEl ? true : false;
-            
-            if (text) {
-              topComments.push({
-                author,
-                text: text.substring(0, 500), // Limit comment length
-                hasVotes
-              });
-            }
-          }
-          
-          return topComments;
+            // .age title is "2025-08-27T10:00:00 1756288800" (ISO and unix time)
+            const age = commentEl.querySelector('.age')?.getAttribute('title') || '';
+            const unix = parseInt(age.split(' ')[1]);
+
+            return {
+              id: commentEl.id,
+              depth,
+              author: commentEl.querySelector('.hnuser')?.textContent || 'unknown',
+              // Deleted/flagged comments keep their place so their replies stay attached
+              text: textEl ? (textEl.innerText || textEl.textContent).trim() : '[deleted]',
+              time: unix ? new Date(unix * 1000).toISOString() : (age.split(' ')[0] ? `${age.split(' ')[0]}Z` : null)
+            };
+          });
         });
-        
-        story.topComments = comments;
-        console.log(`  ✅ Extracted ${comments.length} comments`);
+
+        const comments = buildCommentTree(rows, this.options);
+        story.comments = comments;
+        console.log(`  ✅ Extracted ${countComments(comments)} comments (${comments.length} threads)`);
       }
       
     } catch (error) {
@@ -213,191 +270,461 @@ class HackerNewsScraper {
     return story;
   }
 
+  /**
+   * Keyword search with each story's text and comment tree
+   */
   async scrape(keyword) {
-    try {
-      await this.init();
-      
-      // Search for stories
+    const stories = this.options.backend === 'api'
+      ? await this.scrapeWithApi(keyword)
+      : await this.scrapeWithBrowser(keyword);
+
+    if (stories.length === 0) {
+      console.log('⚠️  No stories found for this keyword');
+      return {
+        keyword,
+        stories: [],
+        extractedAt: new Date().toISOString()
+      };
+    }
+
+    if (this.options.history) {
+      await this.recordHistory(stories, keyword);
+    }
+
+    return {
+      keyword,
+      stories,
+      extractedAt: new Date().toISOString(),
+      totalStories: stories.length,
+      backend: this.options.backend,
+      ...(this.options.backend === 'api' ? { filters: this.options.filters } : {})
+    };
+  }
+
+  /**
+   * Algolia search API, then the Firebase item API for each story's comments
+   */
+  async scrapeWithApi(keyword) {
+    console.log(`🔍 Searching for: "${keyword}" (Algolia API)`);
+    const stories = await this.api.search(keyword, { ...this.options.filters, maxResults: this.options.maxPosts });
+    console.log(`📊 Found ${stories.length} stories`);
+
+    if (this.options.extractContent) {
+      await this.attachComments(stories);
+    }
+
+    return stories;
+  }
+
+  async scrapeWithBrowser(keyword) {
+    return this.withBrowser(async () => {
       const stories = await this.searchHackerNews(keyword);
-      
-      if (stories.length === 0) {
-        console.log('⚠️  No stories found for this keyword');
-        return {
-          keyword,
-          stories: [],
-          extractedAt: new Date().toISOString()
-        };
+
+      if (this.options.extractContent && stories.length > 0) {
+        await this.attachComments(stories);
       }
-      
-      // Extract content for each story
-      console.log(`\n📚 Extracting detailed content for ${stories.length} stories...`);
-      for (const story of stories) {
+
+      return stories;
+    });
+  }
+
+  /**
+   * Fill in each story's comment tree (and text) with the current backend
+   */
+  async attachComments(stories) {
+    console.log(`\n📚 Fetching comment trees for ${stories.length} stories...`);
+
+    for (const story of stories) {
+      if (this.options.backend === 'browser') {
         await this.extractStoryContent(story);
         // Add delay to be respectful
         await this.page.waitForTimeout(1000);
+        continue;
       }
-      
-      return {
-        keyword,
-        stories,
-        extractedAt: new Date().toISOString(),
-        totalStories: stories.length
-      };
-      
-    } finally {
-      if (this.browser) {
-        await this.browser.close();
+
+      try {
+        // For comment hits (--tags comment) this is the replies to that comment
+        const { comments } = await this.api.getCommentTree(story.id, this.options);
+        story.comments = comments;
+        console.log(`  ✅ ${story.title.substring(0, 50)}: ${countComments(comments)} comments`);
+      } catch (error) {
+        console.log(`  ⚠️  Error fetching comments: ${error.message}`);
+        story.extractionError = error.message;
       }
     }
   }
 
-  formatAsJson(data) {
-    return JSON.stringify(data, null, 2);
+  /**
+   * Stories from a category feed (FEEDS), in HN's ranking order
+   */
+  async getFeed(feed, limit = 30) {
+    if (!FEEDS[feed]) {
+      throw new Error(`Unknown feed: ${feed} (available: ${Object.keys(FEEDS).join(', ')})`);
+    }
+
+    const stories = this.options.backend === 'api' && FIREBASE_FEEDS[feed]
+      ? await this.api.getFeed(feed, limit)
+      : await this.withBrowser(() => this.getFeedFromPage(feed, limit));
+
+    return stories.map(story => ({ ...story, feed }));
   }
 
-  formatAsMarkdown(data) {
-    const { keyword, stories, extractedAt, totalStories } = data;
-    
-    let markdown = `# Hacker News Search Results\n\n`;
-    markdown += `**Search Query:** ${keyword}\n`;
-    markdown += `**Extracted At:** ${new Date(extractedAt).toLocaleString()}\n`;
-    markdown += `**Total Stories:** ${totalStories}\n\n`;
-    markdown += `---\n\n`;
-    
-    stories.forEach((story, index) => {
-      markdown += `## ${index + 1}. ${story.title}\n\n`;
-      markdown += `- **Author:** ${story.author || 'Unknown'}\n`;
-      markdown += `- **Posted:** ${story.createdAt || 'Unknown'}\n`;
-      markdown += `- **Points:** ${story.points || 0}\n`;
-      markdown += `- **Comments:** ${story.commentCount || 0}\n`;
-      
-      if (story.url) {
-        markdown += `- **URL:** [${story.url}](${story.url})\n`;
-      }
-      if (story.hnUrl) {
-        markdown += `- **HN Discussion:** [Link](${story.hnUrl})\n`;
-      }
-      
-      markdown += `\n`;
-      
-      if (story.content) {
-        markdown += `### Content\n\n${story.content}\n\n`;
-      } else if (story.contentNote) {
-        markdown += `### Content\n\n_${story.contentNote}_\n\n`;
-      }
-      
-      if (story.topComments && story.topComments.length > 0) {
-        markdown += `### Top Comments\n\n`;
-        story.topComments.forEach((comment, i) => {
-          markdown += `${i + 1}. **${comment.author}:**\n   ${comment.text}\n\n`;
+  /**
+   * Listing page scrape, following the "More" link until `limit` stories
+   * are collected
+   */
+  async getFeedFromPage(feed, limit) {
+    const posts = [];
+    let url = `${BASE_URL}${FEEDS[feed]}`;
+
+    while (url && posts.length < limit) {
+      await this.page.goto(url, { waitUntil: 'networkidle' });
+
+      const { items, nextUrl } = await this.page.evaluate(() => {
+        const items = [];
+
+        document.querySelectorAll('.athing').forEach(row => {
+          const titleEl = row.querySelector('.titleline > a');
+          const nextRow = row.nextElementSibling;
+          if (!titleEl || !nextRow) return;
+
+          const rankEl = row.querySelector('.rank');
+          const item = {
+            id: row.id,
+            rank: rankEl ? parseInt(rankEl.textContent) : 0,
+            title: titleEl.textContent,
+            url: titleEl.href,
+            hnUrl: `https://news.ycombinator.com/item?id=${row.id}`,
+            points: 0,
+            author: '',
+            commentCount: 0,
+            createdAt: '',
+            content: null,
+            comments: []
+          };
+
+          // Metadata is in the next row
+          const scoreEl = nextRow.querySelector('.score');
+          const userEl = nextRow.querySelector('.hnuser');
+          // .age title is "2025-08-27T10:00:00 1756288800" (ISO and unix time)
+          const age = nextRow.querySelector('.age')?.getAttribute('title') || '';
+          const unix = parseInt(age.split(' ')[1]);
+          const commentsEl = Array.from(nextRow.querySelectorAll('a[href*="item?id="]')).pop();
+
+          if (scoreEl) item.points = parseInt(scoreEl.textContent.match(/\d+/)[0]);
+          if (userEl) item.author = userEl.textContent;
+          if (unix) item.createdAt = new Date(unix * 1000).toISOString();
+          if (commentsEl && commentsEl.textContent.includes('comment')) {
+            item.commentCount = parseInt(commentsEl.textContent.match(/\d+/)?.[0]) || 0;
+          }
+
+          items.push(item);
         });
+
+        const more = document.querySelector('a.morelink');
+        return { items, nextUrl: more ? more.href : null };
+      });
+
+      if (items.length === 0) break;
+      posts.push(...items);
+      url = nextUrl;
+    }
+
+    return posts.slice(0, limit);
+  }
+
+  /**
+   * Front page stories from the last `days` days ranked by trending score,
+   * the top `limit` with their comment trees
+   */
+  async getTrending(days = 2, limit = 10) {
+    const frontPage = await this.getFeed('front', 30);
+    const trending = rankTrending(frontPage, days).slice(0, limit);
+
+    if (this.options.extractContent && trending.length > 0) {
+      if (this.options.backend === 'browser') {
+        await this.withBrowser(() => this.attachComments(trending));
+      } else {
+        await this.attachComments(trending);
       }
-      
-      markdown += `---\n\n`;
-    });
-    
-    return markdown;
+    }
+
+    return trending;
   }
 
-  async saveResults(data, keyword) {
-    const date = new Date();
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const dateStr = `${date.getDate()}-${monthNames[date.getMonth()]}-${date.getFullYear()}`;
-    
-    const outputDir = path.join(__dirname, '..', '..', 'report', 'hackernews', dateStr);
-    await fs.mkdir(outputDir, { recursive: true });
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-    const safeKeyword = keyword.replace(/[^a-zA-Z0-9\s]/g, '_').replace(/\s+/g, '_').substring(0, 50).toLowerCase();
-    
-    const results = [];
-    
-    // Save JSON
-    const jsonPath = path.join(outputDir, `${safeKeyword}-${timestamp}.json`);
-    await fs.writeFile(jsonPath, this.formatAsJson(data));
-    console.log(`✅ JSON saved to: ${jsonPath}`);
-    results.push(jsonPath);
-    
-    // Save Markdown
-    const mdPath = path.join(outputDir, `${safeKeyword}-${timestamp}.md`);
-    await fs.writeFile(mdPath, this.formatAsMarkdown(data));
-    console.log(`✅ Markdown saved to: ${mdPath}`);
-    results.push(mdPath);
-    
-    return results;
+  /**
+   * A single item (story, comment, poll, job) with its comment tree
+   */
+  async getItem(id) {
+    const limits = this.options.extractContent ? this.options : { maxComments: 0 };
+    const { item, comments } = await this.api.getCommentTree(id, limits);
+    if (!item) {
+      throw new Error(`HN item ${id} not found`);
+    }
+
+    return { ...storyFromItem(item), comments };
   }
-}
 
-// CLI Handler
-async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
-    console.log(`
-🔥 Hacker News Scraper with Playwright
-
-Usage:
-  node hn-scraper.js "<keyword>" [maxPosts]
-
-Arguments:
-  keyword   - Search term (required)
-  maxPosts  - Maximum posts to extract (default: 10)
-
-Examples:
-  node hn-scraper.js "buildpad"
-  node hn-scraper.js "AI startup" 20
-  node hn-scraper.js "YC companies" 5
-
-Output:
-  - JSON file with full data
-  - Markdown file with formatted results
-  - Saved to: report/hackernews/DD-MMM-YYYY/
-`);
-    process.exit(0);
+  /**
+   * A user's profile and their most recent `limit` stories
+   */
+  async getUser(id, limit = 10) {
+    const user = await this.api.getUser(id);
+    if (!user) {
+      throw new Error(`HN user ${id} not found`);
+    }
+
+    // `submitted` mixes stories and comments, newest first; only the most
+    // recent MAX_USER_ITEMS are looked at so prolific commenters stay cheap
+    const stories = [];
+    const submitted = user.submitted || [];
+    const scanned = submitted.slice(0, MAX_USER_ITEMS);
+    for (let i = 0; i < scanned.length && stories.length < limit; i += limit) {
+      const items = await this.api.getItems(scanned.slice(i, i + limit));
+      items
+        .filter(item => item && item.type === 'story' && !item.deleted && !item.dead)
+        .forEach(item => stories.push(storyFromItem(item)));
+    }
+
+    return {
+      user: {
+        id: user.id,
+        karma: user.karma,
+        created: new Date(user.created * 1000).toISOString(),
+        about: user.about ? htmlToText(user.about) : '',
+        submissions: submitted.length,
+        url: `${BASE_URL}/user?id=${encodeURIComponent(user.id)}`
+      },
+      stories: stories.slice(0, limit)
+    };
   }
-  
-  const keyword = args[0];
-  const maxPosts = args[1] ? parseInt(args[1]) : 10;
-  
-  console.log('\n🔥 Hacker News Scraper');
-  console.log('=' .repeat(60));
-  console.log(`📌 Search Keyword: "${keyword}"`);
-  console.log(`📊 Max Posts: ${maxPosts}`);
-  console.log('=' .repeat(60) + '\n');
-  
-  try {
-    const scraper = new HackerNewsScraper({ maxPosts });
-    const data = await scraper.scrape(keyword);
-    
-    if (data.stories.length === 0) {
-      console.log('\n⚠️  No results found. Try a different keyword.');
-      process.exit(1);
+
+  /**
+   * The latest (or a given) "Ask HN: Who is hiring?" thread, with each
+   * top-level comment parsed into a job entry
+   */
+  async getHiringJobs(options = {}) {
+    const limit = options.limit || Infinity;
+
+    if (this.options.backend === 'browser') {
+      return this.withBrowser(() => this.getHiringJobsFromPage(options.threadId, limit));
+    }
+
+    const thread = options.threadId
+      ? { id: String(options.threadId) }
+      : await this.findHiringThread();
+
+    const item = await this.api.getItem(thread.id);
+    if (!item) {
+      throw new Error(`HN item ${thread.id} not found`);
+    }
+
+    const kids = (item.kids || []).slice(0, limit);
+    console.log(`📋 Fetching ${kids.length} job posts from "${item.title}"...`);
+    const comments = await this.api.getItems(kids, 20);
+
+    const jobs = comments
+      .filter(comment => comment && !comment.deleted && !comment.dead && comment.text)
+      .map(comment => ({
+        ...parseJobPost(htmlToText(comment.text)),
+        id: String(comment.id),
+        author: comment.by,
+        posted_at: new Date(comment.time * 1000).toISOString(),
+        hnUrl: `${BASE_URL}/item?id=${comment.id}`
+      }));
+
+    return {
+      thread: { id: String(item.id), title: item.title, url: `${BASE_URL}/item?id=${item.id}` },
+      summary: summarizeJobs(jobs),
+      jobs
+    };
+  }
+
+  /**
+   * Most recent "Who is hiring?" thread posted by the whoishiring account
+   */
+  async findHiringThread() {
+    const hits = await this.api.search('who is hiring', {
+      tags: 'story,author_whoishiring',
+      sort: 'date',
+      maxResults: 10
+    });
+
+    const thread = hits.find(hit => /who is hiring\?/i.test(hit.title));
+    if (!thread) {
+      throw new Error('No "Who is hiring?" thread found for the whoishiring account');
+    }
+
+    return { id: thread.id, title: thread.title, url: thread.hnUrl };
+  }
+
+  async getHiringJobsFromPage(threadId, limit) {
+    let thread;
+    if (threadId) {
+      thread = { id: String(threadId), title: '', url: `${BASE_URL}/item?id=${threadId}` };
+    } else {
+      await this.page.goto(`${BASE_URL}/submitted?id=whoishiring`, { waitUntil: 'networkidle' });
+      thread = await this.page.evaluate(() => {
+        const link = Array.from(document.querySelectorAll('.athing .titleline > a'))
+          .find(a => /who is hiring\?/i.test(a.textContent));
+        if (!link) return null;
+        const id = link.closest('.athing').id;
+        return { id, title: link.textContent, url: `https://news.ycombinator.com/item?id=${id}` };
+      });
+
+      if (!thread) {
+        throw new Error('No "Who is hiring?" thread found on news.ycombinator.com/submitted?id=whoishiring');
+      }
+    }
+
+    const comments = [];
+    let url = thread.url;
+
+    while (url && comments.length < limit) {
+      await this.page.goto(url, { waitUntil: 'networkidle' });
+
+      const { title, rows, nextUrl } = await this.page.evaluate(() => {
+        const rows = [];
+        document.querySelectorAll('.comment-tree tr.athing.comtr').forEach(row => {
+          // Job posts are the top-level comments; replies are questions to the poster
+          const indent = row.querySelector('td.ind');
+          const level = indent?.hasAttribute('indent')
+            ? parseInt(indent.getAttribute('indent')) || 0
+            : Math.round((parseInt(indent?.querySelector('img')?.getAttribute('width')) || 0) / 40);
+          const textEl = row.querySelector('.commtext');
+          if (level !== 0 || !textEl) return;
+
+          const age = row.querySelector('.age')?.getAttribute('title') || '';
+          const unix = parseInt(age.split(' ')[1]);
+          rows.push({
+            id: row.id,
+            author: row.querySelector('.hnuser')?.textContent || '',
+            time: unix ? new Date(unix * 1000).toISOString() : '',
+            text: (textEl.innerText || textEl.textContent).trim()
+          });
+        });
+
+        const more = document.querySelector('a.morelink');
+        return {
+          title: document.querySelector('.titleline > a')?.textContent || '',
+          rows,
+          nextUrl: more ? more.href : null
+        };
+      });
+
+      thread.title = thread.title || title;
+      if (rows.length === 0) break;
+      comments.push(...rows);
+      url = nextUrl;
+    }
+
+    const jobs = comments.slice(0, limit).map(comment => ({
+      ...parseJobPost(comment.text),
+      id: comment.id,
+      author: comment.author,
+      posted_at: comment.time,
+      hnUrl: `${BASE_URL}/item?id=${comment.id}`
+    }));
+
+    return { thread, summary: summarizeJobs(jobs), jobs };
+  }
+
+  /**
+   * Snapshot stories into the local history store (never fails the scrape).
+   * Searches are labelled with their keyword, feeds with the feed name.
+   */
+  async recordHistory(stories, label, community = 'search') {
+    try {
+      const items = normalizeItems('hackernews', stories, { community });
+      const metadata = community === 'search' ? { keyword: label } : { feed: community };
+      await recordHistory('hackernews', items, { label, metadata });
+    } catch (error) {
+      console.log(`  ⚠️  Failed to record history: ${error.message}`);
     }
-    
-    const files = await scraper.saveResults(data, keyword);
-    
-    console.log('\n' + '=' .repeat(60));
-    console.log('✨ Extraction complete!');
-    console.log(`📊 Extracted ${data.stories.length} stories`);
-    console.log('📁 Files saved:');
-    files.forEach(f => console.log(`   - ${f}`));
-    console.log('=' .repeat(60));
-    
-    process.exit(0);
-  } catch (error) {
-    console.error('\n❌ Error:', error.message);
-    console.error(error.stack);
-    process.exit(1);
   }
 }
 
-// Run if executed directly
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
+/**
+ * Add lexicon sentiment to every story of a report (its text and comment tree)
+ * and the report's summary; for a search that is the keyword's sentiment.
+ * Reports without stories (the hiring thread) are returned unchanged.
+ */
+export function withSentiment(report) {
+  if (!Array.isArray(report.stories)) return report;
+
+  const stories = report.stories.map(story => ({
+    ...story,
+    sentiment: analyzePost({ title: story.title, body: story.content || '', comments: story.comments })
+  }));
+  return { ...report, stories, sentiment: summarizeSentiment(stories) };
+}
+
+/**
+ * Nest page-order comment rows ({ id, depth, ... }) under the closest earlier
+ * row one level up, applying the scraper's comment limits
+ */
+export function buildCommentTree(rows, limits = {}) {
+  const maxComments = limits.maxComments ?? 5;
+  const maxDepth = limits.commentDepth ?? 3;
+  const maxReplies = limits.commentReplies ?? 5;
+
+  const roots = [];
+  // Last comment seen at each depth; null where that branch was cut off
+  const stack = [];
+
+  rows.forEach(({ depth, ...fields }) => {
+    const comment = { ...fields, replies: [] };
+    const parent = depth > 0 ? stack[depth - 1] : null;
+
+    stack.length = depth;
+    stack[depth] = null;
+
+    if (depth === 0) {
+      if (roots.length >= maxComments) return;
+      roots.push(comment);
+    } else {
+      if (!parent || depth > maxDepth || parent.replies.length >= maxReplies) return;
+      parent.replies.push(comment);
+    }
+
+    stack[depth] = comment;
   });
+
+  return roots;
+}
+
+/**
+ * Report folder for a date: report/hackernews/DD-Mon-YYYY
+ */
+export function getDateFolder(date = new Date()) {
+  const dateStr = `${date.getDate()}-${MONTH_NAMES[date.getMonth()]}-${date.getFullYear()}`;
+  return path.join(REPORT_DIR, dateStr);
+}
+
+/**
+ * Save a report to its date folder as <name>-<timestamp>.<ext> in each of
+ * `formats` (json, markdown, csv)
+ */
+export async function saveReport(report, name, formats = ['json', 'markdown']) {
+  const outputDir = getDateFolder();
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+  const safeName = name.replace(/[^a-zA-Z0-9\s-]/g, '_').replace(/\s+/g, '_').substring(0, 50).toLowerCase();
+  const extensions = { json: 'json', markdown: 'md', csv: 'csv' };
+
+  const files = [];
+  for (const format of formats) {
+    const filePath = path.join(outputDir, `${safeName}-${timestamp}.${extensions[format]}`);
+    await fs.writeFile(filePath, formatReport(report, format));
+    files.push(filePath);
+  }
+
+  return files;
+}
+
+function countComments(comments) {
+  return comments.reduce((sum, comment) => sum + 1 + countComments(comment.replies), 0);
 }
 
-export default HackerNewsScraper;
\ No newline at end of file
+export default HackerNewsScraper;
@@ -1,73 +1,55 @@
 #!/usr/bin/env node
 
-const HackerNewsScraper = require('./scraper');
-const { formatAsJson, formatAsMarkdown } = require('./formatters');
-const { findTrendingPosts } = require('./trending');
-const fs = require('fs').promises;
-const path = require('path');
+import http from 'http';
+import { fileURLToPath } from 'url';
+import HackerNewsScraper, { buildCommentTree, getDateFolder, saveReport, withSentiment } from './hn-scraper.js';
+import { formatAsJson, formatAsMarkdown } from './formatters.js';
+import { rankTrending } from './trending.js';
+import { parseJobPost, summarizeJobs } from './hiring.js';
 
 async function testSearch() {
   console.log('🔍 Testing search functionality with keyword "buildpad"...\n');
   
-  const scraper = new HackerNewsScraper();
+  const scraper = new HackerNewsScraper({ history: false, extractContent: false });
   
   try {
-    await scraper.init();
+    const report = await scraper.scrape('buildpad');
     
-    const results = await scraper.search('buildpad');
-    
-    if (results.length === 0) {
+    if (report.stories.length === 0) {
       console.error('❌ TEST FAILED: No results found for "buildpad"');
       console.log('This indicates the implementation may be incorrect.');
       return false;
     }
     
-    console.log(`✅ Found ${results.length} results for "buildpad"\n`);
+    console.log(`✅ Found ${report.stories.length} results for "buildpad"\n`);
     
     // Test JSON formatting
-    const jsonOutput = formatAsJson(results);
+    const jsonOutput = formatAsJson(report);
     console.log('📋 JSON Output (first result):');
-    const firstResult = JSON.parse(jsonOutput)[0];
+    const firstResult = JSON.parse(jsonOutput).stories[0];
     console.log(JSON.stringify(firstResult, null, 2));
     
-    // Save full results
-    const reportDir = path.join(__dirname, '../../report/hackernews');
-    await fs.mkdir(reportDir, { recursive: true });
-    
-    await fs.writeFile(
-      path.join(reportDir, 'search-buildpad.json'),
-      jsonOutput
-    );
-    
-    // Test Markdown formatting
-    const markdownOutput = formatAsMarkdown(results, 'BuildPad Search Results');
-    await fs.writeFile(
-      path.join(reportDir, 'search-buildpad.md'),
-      markdownOutput
-    );
+    // Save full results (JSON and Markdown)
+    await saveReport(report, 'buildpad');
     
     console.log('\n✅ Search test passed!');
-    console.log(`📁 Results saved to ${reportDir}`);
+    console.log(`📁 Results saved to ${getDateFolder()}`);
     
     return true;
     
   } catch (error) {
     console.error('❌ Search test failed:', error.message);
     return false;
-  } finally {
-    await scraper.close();
   }
 }
 
 async function testTrending() {
   console.log('\n📈 Testing trending posts functionality...\n');
   
-  const scraper = new HackerNewsScraper();
+  const scraper = new HackerNewsScraper({ history: false, extractContent: false });
   
   try {
-    await scraper.init();
-    
-    const trendingPosts = await findTrendingPosts(scraper, 2);
+    const trendingPosts = await scraper.getTrending(2);
     
     if (trendingPosts.length === 0) {
       console.error('❌ TEST FAILED: No trending posts found');
@@ -80,21 +62,13 @@ async function testTrending() {
     console.log('Top 3 Trending Posts:');
     trendingPosts.slice(0, 3).forEach((post, i) => {
       console.log(`${i + 1}. ${post.title}`);
-      console.log(`   Score: ${post.trendingScore.toFixed(2)}, Points: ${post.points}, Comments: ${post.comments}`);
+      console.log(`   Score: ${post.trendingScore.toFixed(2)}, Points: ${post.points}, Comments: ${post.commentCount}`);
     });
     
     // Save results
-    const reportDir = path.join(__dirname, '../../report/hackernews');
-    await fs.mkdir(reportDir, { recursive: true });
-    
-    await fs.writeFile(
-      path.join(reportDir, 'trending.json'),
-      formatAsJson(trendingPosts)
-    );
-    
-    await fs.writeFile(
-      path.join(reportDir, 'trending.md'),
-      formatAsMarkdown(trendingPosts, 'Trending Posts (Last 2 Days)')
+    await saveReport(
+      { days: 2, stories: trendingPosts, extractedAt: new Date().toISOString(), totalStories: trendingPosts.length },
+      'trending-2d'
     );
     
     console.log('\n✅ Trending test passed!');
@@ -104,8 +78,242 @@ async function testTrending() {
   } catch (error) {
     console.error('❌ Trending test failed:', error.message);
     return false;
+  }
+}
+
+/**
+ * Trending score ordering and the time range cut-off (no network needed)
+ */
+function testTrendingScore() {
+  console.log('\n🧮 Testing trending score...\n');
+
+  const now = new Date('2025-08-27T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 3600 * 1000).toISOString();
+  const ranked = rankTrending([
+    { id: 'old', points: 500, commentCount: 100, createdAt: hoursAgo(72) },
+    { id: 'slow', points: 40, commentCount: 2, createdAt: hoursAgo(10) },
+    { id: 'hot', points: 40, commentCount: 30, createdAt: hoursAgo(2) },
+    { id: 'relative', points: 10, commentCount: 0, createdAt: '3 hours ago' }
+  ], 2, now);
+
+  const checks = [
+    ['drops stories older than the range', !ranked.some(story => story.id === 'old')],
+    ['ranks by engagement over age', ranked.map(story => story.id).join() === 'hot,slow,relative'],
+    ['reads relative ages', ranked.find(story => story.id === 'relative').ageInHours === 3]
+  ];
+
+  checks.forEach(([name, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${name}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? '\n✅ Trending score test passed!' : '\n❌ Trending score test failed');
+  return passed;
+}
+
+/**
+ * "Who is hiring" header parsing and the report summary (no network needed)
+ */
+function testHiring() {
+  console.log('\n💼 Testing job post parsing...\n');
+
+  const acme = parseJobPost('Acme Corp | Senior Backend Engineer | Berlin, Germany | REMOTE (EU) | €80k-€110k | Full-time\n' +
+    'We build things. Apply at https://acme.com/jobs.');
+  const perks = parseJobPost('Qux | Remote | 4 day work week | Founding Engineer');
+  const benefits = parseJobPost('Foo | Springfield | Visa sponsorship | Health insurance | Accountant');
+  const onsite = parseJobPost('Bar (YC W21) - https://bar.dev | Austin, TX | Onsite only | Staff SWE | Frontend Engineer');
+  const vague = parseJobPost('Baz | Great team | Fun culture');
+  const notRemote = parseJobPost('Zed | Data Scientist | London | No remote | Hybrid');
+  const summary = summarizeJobs([acme, perks, benefits, onsite, vague, notRemote,
+    parseJobPost('Quux | Founding Engineer | Remote (US)')]);
+
+  const checks = [
+    ['reads company, role, location and salary', acme.company === 'Acme Corp' && acme.role === 'Senior Backend Engineer' &&
+      acme.location === 'Berlin, Germany' && acme.salary === '€80k-€110k'],
+    ['reads remote and employment type', acme.remote === true && acme.employment_type === 'Full-time'],
+    ['takes the first body link without trailing punctuation', acme.url === 'https://acme.com/jobs'],
+    ['ignores perk segments', perks.role === 'Founding Engineer' && perks.remote === true],
+    ['ignores benefit segments and unknown places', benefits.role === 'Accountant' && benefits.location === null],
+    ['joins several role segments', onsite.role === 'Staff SWE; Frontend Engineer'],
+    ['splits the url off the company', onsite.company === 'Bar (YC W21)' && onsite.url === 'https://bar.dev'],
+    ['reads region codes and onsite-only posts', onsite.location === 'Austin, TX' && onsite.remote === false && onsite.onsite],
+    ['leaves the role empty without a title', vague.role === null && vague.location === null],
+    ['reads "no remote" and hybrid', notRemote.remote === false && notRemote.hybrid && notRemote.location === 'London'],
+    ['counts the remote split', summary.total === 7 && summary.remote === 3 && summary.onsite_only === 2 && summary.hybrid === 1],
+    ['counts posts with salary', summary.with_salary === 1],
+    ['ranks roles without perks', summary.top_roles[0].name === 'Founding Engineer' && summary.top_roles[0].count === 2 &&
+      !summary.top_roles.some(role => /week|visa|insurance/i.test(role.name))],
+    ['splits joined roles', summary.top_roles.some(role => role.name === 'Staff SWE') &&
+      summary.top_roles.some(role => role.name === 'Frontend Engineer')],
+    ['ranks locations', summary.top_locations.some(location => location.name === 'US' && location.count === 1)]
+  ];
+
+  checks.forEach(([name, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${name}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? '\n✅ Hiring test passed!' : '\n❌ Hiring test failed');
+  return passed;
+}
+
+/**
+ * Nesting page-order comment rows by indent (no network needed)
+ */
+function testCommentTree() {
+  console.log('\n🌳 Testing comment trees...\n');
+
+  const row = (id, depth, text = `Comment ${id}`) => ({ id, depth, author: `user_${id}`, text });
+  const rows = [
+    row('a', 0), row('a1', 1), row('a1x', 2), row('a2', 1),
+    row('d', 0, '[deleted]'), row('d1', 1),
+    // Indent jumps two levels: no parent at depth 1, so it is an orphan
+    row('c', 0), row('orphan', 2),
+    row('b', 0), row('b1', 1), row('b1x', 2), row('b1xy', 3)
+  ];
+  const tree = buildCommentTree(rows, { maxComments: 5, commentDepth: 3, commentReplies: 5 });
+  const shape = comments => comments.map(comment =>
+    comment.replies.length > 0 ? `${comment.id}(${shape(comment.replies)})` : comment.id).join(',');
+
+  const checks = [
+    ['nests replies under their parent', shape(tree) === 'a(a1(a1x),a2),d(d1),c,b(b1(b1x(b1xy)))'],
+    ['keeps replies of deleted comments', tree[1].text === '[deleted]' && tree[1].replies[0].id === 'd1'],
+    ['drops orphaned rows', !JSON.stringify(tree).includes('orphan')],
+    ['moves depth off the comments', !('depth' in tree[0]) && tree[0].author === 'user_a'],
+    ['caps top-level comments with their replies', shape(buildCommentTree(rows, { maxComments: 1 })) === 'a(a1(a1x),a2)'],
+    ['caps replies per comment and drops the cut branch', shape(buildCommentTree([row('a', 0), row('a1', 1), row('a2', 1), row('a2x', 2)],
+      { commentReplies: 1 })) === 'a(a1)'],
+    ['caps depth and drops deeper replies', shape(buildCommentTree(rows, { commentDepth: 1 })) === 'a(a1,a2),d(d1),c,b(b1)'],
+    ['returns no threads for no rows', buildCommentTree([]).length === 0]
+  ];
+
+  checks.forEach(([name, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${name}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? '\n✅ Comment tree test passed!' : '\n❌ Comment tree test failed');
+  return passed;
+}
+
+/**
+ * Lexicon sentiment of story text and comment trees (no network needed)
+ */
+function testSentiment() {
+  console.log('\n💬 Testing sentiment...\n');
+
+  const report = withSentiment({
+    keyword: 'buildpad',
+    extractedAt: '2025-08-27T12:00:00Z',
+    stories: [
+      { id: '1', title: 'Show HN: We finally became profitable', content: 'Thanks everyone, this is great', comments: [] },
+      { id: '2', title: 'Buildpad is down again', content: null, comments: [
+        { author: 'alice', text: 'This outage is a nightmare', replies: [{ author: 'bob', text: 'Not great, really frustrating', replies: [] }] }
+      ] },
+      { id: '3', title: 'Buildpad pricing', content: '', comments: [] }
+    ]
+  });
+  const [happy, angry, plain] = report.stories;
+  const markdown = formatAsMarkdown(report);
+
+  const checks = [
+    ['labels positive text', happy.sentiment.label === 'positive' && happy.sentiment.text.positive.includes('profitable')],
+    ['walks the comment tree', angry.sentiment.comments.count === 2 && angry.sentiment.comments.negative === 2],
+    ['negative comments make the story negative', angry.sentiment.label === 'negative'],
+    ['labels text without sentiment words neutral', plain.sentiment.label === 'neutral' && plain.sentiment.score === 0],
+    ['summarizes the report', report.sentiment.count === 3 && report.sentiment.positive === 1 && report.sentiment.negative === 1],
+    ['prints sentiment in Markdown', markdown.includes('**Sentiment:** 1 positive / 1 neutral / 1 negative') &&
+      markdown.includes('- **Sentiment:** negative')]
+  ];
+
+  checks.forEach(([name, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${name}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? '\n✅ Sentiment test passed!' : '\n❌ Sentiment test failed');
+  return passed;
+}
+
+/**
+ * API backend against a local fixture server (no network needed):
+ * pagination, filters and Firebase comment trees
+ */
+async function testApiBackend() {
+  console.log('\n🧪 Testing API backend against a fixture server...\n');
+
+  const hit = (id, extra = {}) => ({
+    objectID: String(id), title: `Story ${id}`, url: `https://example.com/${id}`, author: 'pg',
+    points: 100 + id, num_comments: 3, created_at: '2025-08-27T10:00:00.000Z', _tags: ['story', `story_${id}`], ...extra
+  });
+  const items = {
+    1: { id: 1, type: 'story', by: 'pg', title: 'Story 1', score: 101, descendants: 4, time: 1756288800, kids: [11, 12] },
+    2: { id: 2, type: 'story', by: 'pg', title: 'Story 2', url: 'https://example.com/2', score: 50, time: 1756285200 },
+    11: { id: 11, by: 'alice', time: 1756288800, text: 'Top &amp; first<p>Second paragraph', kids: [111] },
+    111: { id: 111, by: 'bob', time: 1756288900, text: 'Reply', kids: [1111] },
+    1111: { id: 1111, by: 'carol', time: 1756289000, text: 'Too deep' },
+    12: { id: 12, deleted: true, time: 1756288800, kids: [121] },
+    121: { id: 121, by: 'dave', time: 1756289100, text: 'Reply to deleted' }
+  };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    res.setHeader('Content-Type', 'application/json');
+
+    if (url.pathname === '/algolia/search') {
+      const page = parseInt(url.searchParams.get('page'));
+      const hits = page === 0 ? [hit(1, { story_text: 'Hello <i>HN</i>' }), hit(2)] : [hit(3)];
+      return res.end(JSON.stringify({ hits, nbPages: 2, page }));
+    }
+
+    const itemMatch = url.pathname.match(/^\/firebase\/item\/(\d+)\.json$/);
+    if (itemMatch) {
+      return res.end(JSON.stringify(items[itemMatch[1]] || null));
+    }
+    if (url.pathname === '/firebase/topstories.json') {
+      return res.end(JSON.stringify([2, 1, 404]));
+    }
+    if (url.pathname === '/firebase/user/pg.json') {
+      return res.end(JSON.stringify({ id: 'pg', karma: 155000, created: 1160418092, about: 'Bug fixer', submitted: [11, 2, 1] }));
+    }
+
+    res.statusCode = 404;
+    res.end('null');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const scraper = new HackerNewsScraper({
+      maxPosts: 3,
+      history: false,
+      commentDepth: 1,
+      algoliaUrl: `${base}/algolia`,
+      firebaseUrl: `${base}/firebase`,
+      filters: { since: '2025-01-01', minPoints: 50, tags: 'story' }
+    });
+
+    const { stories } = await scraper.scrape('buildpad');
+    const searches = requests.filter(url => url.pathname === '/algolia/search');
+    const [first] = stories;
+    const front = await scraper.getFeed('front', 3);
+    const item = await scraper.getItem(1);
+    const { user, stories: userStories } = await scraper.getUser('pg', 5);
+    const checks = [
+      ['paginates until maxPosts', stories.length === 3 && searches.length === 2],
+      ['sends numericFilters', searches[0].searchParams.get('numericFilters') === 'created_at_i>=1735689600,points>=50'],
+      ['sends tags', searches[0].searchParams.get('tags') === 'story'],
+      ['maps hits to stories', first.points === 101 && first.commentCount === 3 && first.content === 'Hello HN'],
+      ['builds comment tree', first.comments.length === 2 && first.comments[0].replies[0].author === 'bob'],
+      ['applies depth limit', first.comments[0].replies[0].replies.length === 0],
+      ['converts comment HTML', first.comments[0].text === 'Top & first\n\nSecond paragraph'],
+      ['keeps replies of deleted comments', first.comments[1].text === '[deleted]' && first.comments[1].replies.length === 1],
+      ['ranks feed stories, skipping missing items', front.length === 2 && front[0].id === '2' && front[1].rank === 2 && front[0].feed === 'front'],
+      ['maps items to stories', item.title === 'Story 1' && item.points === 101 && item.commentCount === 4 && item.comments.length === 2],
+      ['keeps only stories from user submissions', user.karma === 155000 && userStories.map(story => story.id).join() === '2,1']
+    ];
+
+    checks.forEach(([name, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${name}`));
+    const passed = checks.every(([, ok]) => ok);
+    console.log(passed ? '\n✅ API backend test passed!' : '\n❌ API backend test failed');
+    return passed;
+
+  } catch (error) {
+    console.error('❌ API backend test failed:', error.message);
+    return false;
   } finally {
-    await scraper.close();
+    server.close();
   }
 }
 
@@ -113,6 +321,15 @@ async function runAllTests() {
   console.log('🚀 Starting HackerNews Scraper Tests\n');
   console.log('=' .repeat(50));
   
+  const apiPassed = await testApiBackend();
+  const scorePassed = testTrendingScore();
+  const sentimentPassed = testSentiment();
+  const treePassed = testCommentTree();
+  const hiringPassed = testHiring();
+  if (process.argv.includes('--offline')) {
+    process.exit(apiPassed && scorePassed && sentimentPassed && treePassed && hiringPassed ? 0 : 1);
+  }
+
   const searchPassed = await testSearch();
   const trendingPassed = await testTrending();
   
@@ -120,8 +337,13 @@ async function runAllTests() {
   console.log('📊 Test Results Summary:');
   console.log(`  Search Test: ${searchPassed ? '✅ PASSED' : '❌ FAILED'}`);
   console.log(`  Trending Test: ${trendingPassed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`  API Backend Test: ${apiPassed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`  Trending Score Test: ${scorePassed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`  Sentiment Test: ${sentimentPassed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`  Comment Tree Test: ${treePassed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`  Hiring Test: ${hiringPassed ? '✅ PASSED' : '❌ FAILED'}`);
   
-  if (searchPassed && trendingPassed) {
+  if (searchPassed && trendingPassed && apiPassed && scorePassed && sentimentPassed && treePassed && hiringPassed) {
     console.log('\n🎉 All tests passed successfully!');
     process.exit(0);
   } else {
@@ -130,8 +352,6 @@ async function runAllTests() {
   }
 }
 
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   runAllTests();
 }
-
-module.exports = { testSearch, testTrending };
\ No newline at end of file
@@ -27,6 +27,11 @@ program
   .option('--headless <boolean>', 'Run browser in headless mode', 'true')
   .option('--verbose', 'Enable verbose logging')
   .option('--dry-run', 'Run scraper without generating report')
+  .option('--no-history', 'Do not record this run in the local history store')
+  .option('--incremental', 'Only open posts that are new or whose upvotes/comments changed since the last run')
+  .option('--concurrency <number>', 'Post detail pages to open at once (default: maxConcurrency from config/categories.json)')
+  .option('--author-profiles', 'Fetch author profiles (followers) and use them in scoring')
+  .option('--no-products', 'Skip product pages linked from the listings')
   .action(async (options) => {
     try {
       console.log('🚀 Starting IndieHackers scraper...\n');
@@ -35,6 +40,11 @@ program
       const scraperOptions = {
         postsPerCategory: parseInt(options.posts),
         date: new Date(options.date),
+        recordHistory: options.history,
+        incremental: options.incremental || false,
+        concurrency: options.concurrency ? parseInt(options.concurrency) : undefined,
+        authorProfiles: options.authorProfiles || config.authors.profiles,
+        products: options.products,
         browser: {
           headless: options.headless === 'true'
         }
@@ -84,6 +94,38 @@ program
     }
   });
 
+// Product pages command
+program
+  .command('products [products...]')
+  .description('Scrape product pages (slugs or URLs; default: top of the products directory) and track their revenue')
+  .option('-n, --limit <number>', 'Products to take from the directory', config.products.maxProducts.toString())
+  .option('-d, --date <date>', 'Report date (YYYY-MM-DD)', new Date().toISOString().split('T')[0])
+  .option('--headless <boolean>', 'Run browser in headless mode', 'true')
+  .option('--no-history', 'Do not record revenue in the local history store')
+  .option('--dry-run', 'Scrape only, no report generation')
+  .action(async (products, options) => {
+    try {
+      const scraper = new IndieHackersScraper({ browser: { headless: options.headless === 'true' } });
+      const result = await scraper.scrapeProducts(products, {
+        maxProducts: parseInt(options.limit),
+        recordHistory: options.history
+      });
+      
+      console.log(`\n✅ ${result.products.length} products extracted in ${result.stats.duration}s`);
+      result.products
+        .filter(product => product.revenue)
+        .forEach(product => console.log(`   ${product.name}: $${product.revenue.mrr.toLocaleString()}/mo`));
+      
+      if (!options.dryRun) {
+        const report = await scraper.productReportGenerator.generateProductReport(result.products, new Date(options.date));
+        console.log(`\n📁 Report saved: ${report.markdownPath}`);
+      }
+    } catch (error) {
+      console.error('❌ Product scraping failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // List categories command
 program
   .command('categories')
@@ -91,11 +133,17 @@ program
   .action(() => {
     console.log('📋 Available IndieHackers Categories:\n');
     
-    Object.entries(config.categories).forEach(([key, category]) => {
-      console.log(`   ${key.padEnd(12)} - ${category.name}`);
-      console.log(`   ${''.padEnd(12)}   ${category.description}`);
-      console.log(`   ${''.padEnd(12)}   ${category.url}\n`);
-    });
+    Object.entries(config.categories)
+      .sort(([, a], [, b]) => (a.priority - b.priority) || (a.order - b.order))
+      .forEach(([key, category]) => {
+        console.log(`   ${key.padEnd(12)} - ${category.name}${category.enabled ? '' : ' (disabled)'}`);
+        console.log(`   ${''.padEnd(12)}   ${category.description}`);
+        console.log(`   ${''.padEnd(12)}   ${category.url}`);
+        console.log(`   ${''.padEnd(12)}   priority ${category.priority}, max ${category.maxPosts || '-'} posts, ` +
+          `time range ${category.filters.timeRange}, ${category.rateLimit.requestsPerMinute} req/min\n`);
+      });
+    
+    console.log('Categories are defined in config/categories.json\n');
     
     console.log('Usage examples:');
     console.log('   npm run scrape:indie -- --categories all');
@@ -2,43 +2,20 @@
  * Configuration for IndieHackers Scraper
  */
 
+import { loadCategoryDefinitions } from './utils/category-config.js';
+
 export const config = {
   // Base URL for IndieHackers
   baseUrl: 'https://www.indiehackers.com',
   
-  // Category definitions
-  categories: {
-    'starting-up': {
-      name: 'Starting Up',
-      url: 'https://www.indiehackers.com/starting-up',
-      description: 'Startup-focused content'
-    },
-    'tech': {
-      name: 'Tech',
-      url: 'https://www.indiehackers.com/tech',
-      description: 'Technical discussions'
-    },
-    'ai': {
-      name: 'A.I.',
-      url: 'https://www.indiehackers.com/tags/artificial-intelligence',
-      description: 'AI-related posts'
-    },
-    'main': {
-      name: 'IndieHackers',
-      url: 'https://www.indiehackers.com/',
-      description: 'Main feed'
-    },
-    'creators': {
-      name: 'Creators',
-      url: 'https://www.indiehackers.com/creators',
-      description: 'Creator economy content'
-    },
-    'money': {
-      name: 'Money',
-      url: 'https://www.indiehackers.com/money',
-      description: 'Financial/revenue discussions'
-    }
+  // Site search (used by the cross-source keyword monitor)
+  search: {
+    url: 'https://www.indiehackers.com/search?q={query}',
+    defaultMaxPosts: 20
   },
+  
+  // Category definitions - loaded (and validated) from config/categories.json
+  categories: loadCategoryDefinitions(),
 
   // Scraping settings
   scraping: {
@@ -54,6 +31,10 @@ export const config = {
     // Delay between requests (milliseconds)
     requestDelay: 1000,
     
+    // Post detail pages opened at once (null = globalSettings.scraping.maxConcurrency
+    // in config/categories.json); per-host pacing comes from each category's rateLimit
+    detailConcurrency: null,
+    
     // Browser settings
     browser: {
       headless: true,
@@ -62,8 +43,11 @@ export const config = {
     }
   },
 
-  // Engagement scoring weights
+  // Engagement scoring - the full weight set lives in weightsFile;
+  // the values below are only used when that file can't be read
   scoring: {
+    weightsFile: 'config/scoring-weights.json',
+    
     weights: {
       comments: 0.6,    // Higher weight for comments
       upvotes: 0.3,     // Medium weight for upvotes
@@ -117,6 +101,40 @@ export const config = {
     loadingIndicator: '.loading, .spinner, [data-testid="loading"]'
   },
 
+  // Local post history (see scripts/shared/history-store.js)
+  history: {
+    enabled: true,
+    dir: null // null = data/history at the repository root
+  },
+
+  // Near-duplicate posts across categories (see scripts/shared/near-duplicates.js)
+  dedup: {
+    enabled: true,
+    titleThreshold: 0.7,  // Title similarity (0-1) that makes two posts the same
+    contentThreshold: 0.5 // Title + body similarity for posts with a body
+  },
+
+  // Lexicon sentiment of posts and their comments (see scripts/shared/sentiment.js)
+  // The label picks the sentimentMultipliers entry of config/scoring-weights.json
+  sentiment: {
+    enabled: true,
+    commentWeight: 0.4    // Share of a post's sentiment taken from its comments
+  },
+
+  // Product pages: revenue, founders and linked posts (products-report.md)
+  products: {
+    enabled: true,        // Extract product links found in category listings
+    listUrl: 'https://www.indiehackers.com/products',
+    maxProducts: 20       // Per run, and the default for the products command
+  },
+
+  // Author profiles and ranking (see scripts/shared/author-profiles.js)
+  authors: {
+    profiles: false, // Open /u/<username> pages to fetch follower counts for scoring
+    ttlHours: 168,   // Re-use cached profiles for a week
+    file: null       // null = data/authors/profiles.json at the repository root
+  },
+
   // Error handling
   errorHandling: {
     maxRetries: 3,
@@ -10,6 +10,13 @@ import DataProcessor from './utils/data-processor.js';
 import ReportGenerator from './utils/report-generator.js';
 import CategoryReportGenerator from './utils/category-report-generator.js';
 import PostDetailExtractor from './utils/post-detail-extractor.js';
+import ProductExtractor, { productSlug } from './utils/product-extractor.js';
+import ProductHistory from './utils/product-history.js';
+import ProductReportGenerator from './utils/product-report-generator.js';
+import { getEnabledCategoryKeys } from './utils/category-config.js';
+import { normalizeItem, normalizeItems, parseRelativeTime } from '../shared/community-item.js';
+import HistoryStore, { recordHistory } from '../shared/history-store.js';
+import AuthorProfiler, { profileKey } from '../shared/author-profiles.js';
 
 export class IndieHackersScraper {
   constructor(options = {}) {
@@ -19,9 +26,14 @@ export class IndieHackersScraper {
     this.reportGenerator = new ReportGenerator();
     this.categoryReportGenerator = new CategoryReportGenerator();
     this.postDetailExtractor = null; // Will be initialized after browser
+    this.productExtractor = new ProductExtractor(this.browserManager);
+    this.productReportGenerator = new ProductReportGenerator();
+    this.productLinks = new Map(); // product url -> listing link, collected while scraping categories
     this.stats = {
       totalPosts: 0,
       categoriesProcessed: 0,
+      detailsExtracted: 0,
+      detailsReused: 0,
       errors: [],
       startTime: null,
       endTime: null
@@ -49,6 +61,15 @@ export class IndieHackersScraper {
       
       // Reset data processor for fresh session
       this.dataProcessor.reset();
+      this.productLinks.clear();
+      
+      // Incremental mode compares listings against previous runs
+      this.historyStore = null;
+      if (options.incremental) {
+        this.historyStore = await new HistoryStore({ baseDir: config.history.dir || undefined })
+          .load({ source: 'indiehackers', snapshots: 'latest' });
+        console.log(`♻️ Incremental mode: ${this.historyStore.getItemIds('indiehackers').length} posts known from previous runs`);
+      }
       
       // Scrape each category
       const allPosts = [];
@@ -79,17 +100,41 @@ export class IndieHackersScraper {
         }
       }
       
+      // The same story in several categories is kept once, with the others as sightings
+      const uniquePosts = config.dedup.enabled ? this.dataProcessor.removeNearDuplicates(allPosts) : allPosts;
+      
+      // Follower counts from author profiles feed the author factors of the score
+      const scoredPosts = options.authorProfiles ? await this.enrichAuthors(uniquePosts) : uniquePosts;
+      
       // Sort all posts by engagement score
-      const sortedPosts = this.dataProcessor.sortByEngagement(allPosts);
+      const sortedPosts = this.dataProcessor.sortByEngagement(scoredPosts);
       this.stats.totalPosts = sortedPosts.length;
       
+      // Snapshot this run into the local history store
+      let historyRunId = null;
+      if (options.recordHistory !== false && config.history.enabled) {
+        historyRunId = await this.recordHistory(sortedPosts, categoriesToScrape);
+      }
+      
+      // Product pages linked from the listings
+      let products = [];
+      if (options.products !== false && config.products.enabled && this.productLinks.size > 0) {
+        const links = [...this.productLinks.values()].slice(0, config.products.maxProducts);
+        products = await this.extractProducts(links, options);
+      }
+      
       console.log(`\n📊 Scraping completed!`);
       console.log(`   Total posts collected: ${this.stats.totalPosts}`);
       console.log(`   Categories processed: ${this.stats.categoriesProcessed}`);
+      if (options.incremental) {
+        console.log(`   Details extracted: ${this.stats.detailsExtracted}, reused from history: ${this.stats.detailsReused}`);
+      }
       
       return {
         posts: sortedPosts,
+        products,
         stats: this.getStats(),
+        historyRunId,
         success: true
       };
       
@@ -109,6 +154,86 @@ export class IndieHackersScraper {
     }
   }
 
+  /**
+   * Search IndieHackers for a keyword
+   * Returns processed posts like scrape(), filed under the "search" category
+   */
+  async search(keyword, options = {}) {
+    const maxPosts = options.maxPosts || config.search.defaultMaxPosts;
+    
+    try {
+      await this.browserManager.init();
+      this.postDetailExtractor = new PostDetailExtractor(this.browserManager);
+      this.dataProcessor.reset();
+      
+      const searchUrl = config.search.url.replace('{query}', encodeURIComponent(keyword));
+      console.log(`🔎 Searching IndieHackers for "${keyword}"`);
+      await this.browserManager.navigateTo(searchUrl);
+      await this.browserManager.waitForElement('body');
+      await this.delay(2000);
+      
+      await this.loadMoreContent(maxPosts);
+      let posts = (await this.extractPosts()).slice(0, maxPosts);
+      console.log(`📋 Found ${posts.length} posts for "${keyword}"`);
+      
+      if (options.extractFullDetails && posts.length > 0) {
+        posts = await this.postDetailExtractor.extractFullDetails(posts, 'search', { concurrency: options.concurrency });
+      }
+      
+      const processedPosts = this.dataProcessor.processScrapedData(posts, 'search');
+      
+      if (options.recordHistory !== false && config.history.enabled) {
+        await this.recordHistory(processedPosts, [`search:${keyword}`]);
+      }
+      
+      return processedPosts;
+    } finally {
+      await this.browserManager.close();
+    }
+  }
+
+  /**
+   * Scrape product pages: the given product slugs/URLs, or the top of the
+   * products directory when none are given
+   */
+  async scrapeProducts(targets = [], options = {}) {
+    this.stats.startTime = new Date();
+    
+    try {
+      console.log('🚀 Starting IndieHackers product scraping...');
+      await this.browserManager.init();
+      
+      const links = targets.length > 0
+        ? targets.map(target => ({ url: this.productUrl(target), title: productSlug(this.productUrl(target)) }))
+        : await this.productExtractor.findProductLinks(options.maxProducts || config.products.maxProducts);
+      
+      const products = await this.extractProducts(links, options);
+      return { products, stats: this.getStats(), success: true };
+    } finally {
+      this.stats.endTime = new Date();
+      await this.browserManager.close();
+    }
+  }
+
+  /**
+   * Extract product pages and compare their revenue with previous runs
+   */
+  async extractProducts(links, options = {}) {
+    const products = await this.productExtractor.extractProducts(links, { concurrency: options.concurrency });
+    
+    if (options.recordHistory === false || !config.history.enabled) {
+      return products;
+    }
+    
+    try {
+      const history = await new ProductHistory({ baseDir: config.history.dir || undefined }).load();
+      return await history.record(products);
+    } catch (error) {
+      console.warn('⚠️ Failed to record product history:', error.message);
+      return products;
+    }
+  }
+
   /**
    * Scrape a specific category
    */
@@ -130,29 +255,175 @@ export class IndieHackersScraper {
       await this.browserManager.screenshot(`${categoryKey}-initial.png`);
     }
     
-    // Load more content if needed
-    const postsTarget = options.postsPerCategory || config.scraping.defaultPostsPerCategory;
-    await this.loadMoreContent(postsTarget);
+    // Load more content if needed (never more than the category's maxPosts)
+    const requested = options.postsPerCategory || config.scraping.defaultPostsPerCategory;
+    const postsTarget = category.maxPosts ? Math.min(requested, category.maxPosts) : requested;
+    await this.loadMoreContent(postsTarget, category.selectors);
     
     // Extract posts from the page
-    const posts = await this.extractPosts();
+    const extractedPosts = await this.extractPosts(category.selectors);
+    
+    console.log(`📋 Extracted ${extractedPosts.length} raw posts from ${categoryKey}`);
+    
+    // Product links are extracted from their product pages, not as posts,
+    // so they are set aside before the post filters (contentTypes would drop them)
+    const productPosts = extractedPosts.filter(post => productSlug(post.url));
+    productPosts
+      .filter(post => !this.productLinks.has(post.url))
+      .forEach(post => this.productLinks.set(post.url, { url: post.url, title: post.title, category: categoryKey }));
+    if (productPosts.length > 0) {
+      console.log(`🏷️  ${productPosts.length} product links set aside for product extraction`);
+    }
     
-    console.log(`📋 Extracted ${posts.length} raw posts from ${categoryKey}`);
+    const posts = this.applyCategoryFilters(extractedPosts.filter(post => !productSlug(post.url)), category)
+      .slice(0, postsTarget);
+    
+    // Remember the listing counters; detail extraction replaces the comment count
+    posts.forEach(post => {
+      post.listingMetrics = { upvotes: post.upvotes || 0, comments: post.comments || 0 };
+    });
     
     // Extract full details for each post if enabled
     if (options.extractFullDetails !== false && posts.length > 0) {
-      const detailedPosts = await this.postDetailExtractor.extractFullDetails(posts, categoryKey);
-      console.log(`📚 Extracted full details for ${detailedPosts.length} posts`);
-      return detailedPosts;
+      const { stale, reused } = this.partitionByHistory(posts);
+      
+      if (reused.size > 0) {
+        console.log(`♻️ Reusing cached details for ${reused.size} unchanged posts`);
+      }
+      
+      const extracted = stale.length > 0
+        ? await this.postDetailExtractor.extractFullDetails(stale, categoryKey, { concurrency: options.concurrency })
+        : [];
+      console.log(`📚 Extracted full details for ${extracted.length} posts`);
+      
+      this.stats.detailsExtracted += extracted.length;
+      this.stats.detailsReused += reused.size;
+      
+      // Keep the listing order
+      const extractedByPost = new Map(stale.map((post, index) => [post, extracted[index] || post]));
+      return posts.map(post => reused.get(post) || extractedByPost.get(post) || post);
     }
     
     return posts;
   }
 
+  /**
+   * Apply a category's filters (time range, minimum engagement, content types)
+   * Posts without a parseable timestamp are kept
+   */
+  applyCategoryFilters(posts, category) {
+    const { timeRangeHours, minEngagement, contentTypes } = category.filters;
+    const cutoff = timeRangeHours ? Date.now() - (timeRangeHours * 60 * 60 * 1000) : null;
+    
+    const filtered = posts.filter(post => {
+      if ((post.upvotes || 0) + (post.comments || 0) < minEngagement) {
+        return false;
+      }
+      
+      if (contentTypes.length > 0 && !this.getContentTypes(post).some(type => contentTypes.includes(type))) {
+        return false;
+      }
+      
+      if (cutoff) {
+        const postedAt = this.parseListingTimestamp(post.timestamp);
+        if (postedAt && postedAt.getTime() < cutoff) {
+          return false;
+        }
+      }
+      
+      return true;
+    });
+    
+    if (filtered.length < posts.length) {
+      console.log(`🔎 Filters removed ${posts.length - filtered.length} posts ` +
+        `(timeRange: ${category.filters.timeRange}, minEngagement: ${minEngagement}` +
+        `${contentTypes.length > 0 ? `, types: ${contentTypes.join('/')}` : ''})`);
+    }
+    
+    return filtered;
+  }
+
+  /**
+   * Content types a listing post counts as, for filters.contentTypes
+   */
+  getContentTypes(post) {
+    if ((post.url || '').includes('/product/')) {
+      return ['product'];
+    }
+    
+    const types = ['post', 'discussion'];
+    if ((post.title || '').includes('?')) {
+      types.push('question');
+    }
+    return types;
+  }
+
+  parseListingTimestamp(timestamp) {
+    if (!timestamp) return null;
+    const relative = parseRelativeTime(timestamp);
+    if (relative) return relative;
+    const parsed = new Date(timestamp);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  /**
+   * Split listing posts into ones that need detail extraction and ones whose
+   * details can be carried forward from history (incremental mode only)
+   */
+  partitionByHistory(posts) {
+    const reused = new Map();
+    
+    if (!this.historyStore) {
+      return { stale: posts, reused };
+    }
+    
+    const stale = posts.filter(post => {
+      const itemId = post.url ? normalizeItem('indiehackers', post).id : null;
+      const cached = itemId && this.historyStore.getCachedContent(itemId);
+      const changed = !itemId || this.historyStore.hasChanged(itemId, {
+        listing_upvotes: post.listingMetrics.upvotes,
+        listing_comments: post.listingMetrics.comments
+      }, ['listing_upvotes', 'listing_comments']);
+      
+      if (changed || !cached) {
+        return true;
+      }
+      
+      reused.set(post, this.restoreFromHistory(post, itemId, cached));
+      return false;
+    });
+    
+    return { stale, reused };
+  }
+
+  /**
+   * Rebuild a detailed post from its latest snapshot and cached content
+   */
+  restoreFromHistory(post, itemId, cached) {
+    const snapshot = this.historyStore.getLatestSnapshot(itemId);
+    const comments = cached.comments.map(comment => ({
+      author: comment.author,
+      text: comment.body,
+      upvotes: comment.score,
+      timestamp: comment.posted_at
+    }));
+    
+    return {
+      ...post,
+      fullContent: cached.body,
+      comments,
+      commentCount: comments.length || post.comments,
+      timestamp: snapshot.posted_at || post.timestamp,
+      tags: cached.tags || [],
+      views: snapshot.metrics.views || 0,
+      fromCache: true
+    };
+  }
+
   /**
    * Load more content by scrolling and clicking load more buttons
    */
-  async loadMoreContent(targetPosts = config.scraping.defaultPostsPerCategory) {
+  async loadMoreContent(targetPosts = config.scraping.defaultPostsPerCategory, selectors = {}) {
     const maxScrolls = Math.ceil(targetPosts / 10); // Estimate 10 posts per scroll
     
     console.log(`📜 Loading more content (target: ${targetPosts} posts)...`);
@@ -165,7 +436,7 @@ export class IndieHackersScraper {
       await this.browserManager.scrollToLoadMore(1);
       
       // Check current post count
-      const newPostCount = await this.getCurrentPostCount();
+      const newPostCount = await this.getCurrentPostCount(selectors);
       
       console.log(`📊 Posts found: ${newPostCount} (was ${currentPostCount})`);
       
@@ -186,11 +457,12 @@ export class IndieHackersScraper {
   /**
    * Get current number of posts on the page
    */
-  async getCurrentPostCount() {
+  async getCurrentPostCount(categorySelectors = {}) {
     try {
-      return await this.browserManager.evaluateInPage(() => {
-        // Try multiple selectors for post containers
+      return await this.browserManager.evaluateInPage((configuredContainer) => {
+        // Try the category's configured container first, then common post containers
         const selectors = [
+          ...(configuredContainer ? [configuredContainer] : []),
           '.post-item',
           '.story-item', 
           '[data-testid="post"]',
@@ -208,7 +480,7 @@ export class IndieHackersScraper {
         }
         
         return 0;
-      }) || 0;
+      }, categorySelectors.postContainer || null) || 0;
     } catch (error) {
       console.warn('⚠️ Could not count posts:', error.message);
       return 0;
@@ -218,11 +490,42 @@ export class IndieHackersScraper {
   /**
    * Extract posts from the current page
    */
-  async extractPosts() {
+  async extractPosts(selectors = {}) {
     try {
-      const posts = await this.browserManager.evaluateInPage(() => {
+      const posts = await this.browserManager.evaluateInPage((selectors) => {
         console.log('Starting post extraction...');
         
+        // Use the category's configured selectors (config/categories.json) when they match
+        if (selectors?.postContainer && selectors?.title) {
+          const textOf = (root, selector) => selector ? root.querySelector(selector)?.textContent?.trim() || '' : '';
+          const numberOf = (text) => parseInt(text.replace(/[^\d]/g, '')) || 0;
+          
+          const configuredPosts = Array.from(document.querySelectorAll(selectors.postContainer))
+            .map((element, index) => {
+              const titleElement = element.querySelector(selectors.title);
+              const linkElement = element.querySelector(selectors.postUrl || selectors.title);
+              const content = textOf(element, selectors.content);
+              
+              return {
+                title: titleElement?.textContent?.trim() || '',
+                author: textOf(element, selectors.author) || 'Unknown',
+                url: linkElement?.closest('a')?.href || linkElement?.href || '',
+                upvotes: numberOf(textOf(element, selectors.upvotes)),
+                comments: numberOf(textOf(element, selectors.comments)),
+                timestamp: textOf(element, selectors.timestamp) || 'Recent',
+                content: content.length > 300 ? content.substring(0, 300) + '...' : content,
+                rawIndex: index
+              };
+            })
+            .filter(post => post.title && post.url);
+          
+          console.log(`Configured selectors matched ${configuredPosts.length} posts`);
+          if (configuredPosts.length > 0) {
+            return configuredPosts;
+          }
+        }
+        
+        // Otherwise fall back to structural heuristics
         // First, let's find all post containers
         // IndieHackers uses a structure where each post is in a div with specific patterns
         const allDivs = Array.from(document.querySelectorAll('div'));
@@ -269,6 +572,7 @@ export class IndieHackersScraper {
             
             // Extract author - look for user profile links
             let author = '';
+            let authorUrl = '';
             const userLinks = element.querySelectorAll('a[href*="?id="], a[href*="/u/"]');
             for (const link of userLinks) {
               // Skip if it's the post title link
@@ -276,6 +580,7 @@ export class IndieHackersScraper {
                 const text = link.textContent?.trim();
                 if (text && text.length > 0 && !(/^\d+$/.test(text))) {
                   author = text;
+                  authorUrl = link.href;
                   break;
                 }
               }
@@ -322,6 +627,7 @@ export class IndieHackersScraper {
             const post = {
               title,
               author: author || 'Unknown',
+              authorUrl,
               url,
               upvotes,
               comments,
@@ -354,7 +660,7 @@ export class IndieHackersScraper {
             return null;
           }
         }).filter(post => post !== null);
-      });
+      }, selectors);
       
       console.log(`📊 Successfully extracted ${posts?.length || 0} posts`);
       return posts || [];
@@ -373,7 +679,10 @@ export class IndieHackersScraper {
       console.log('\n📝 Generating reports...');
       
       // Generate category-based reports (separate files per category)
-      const categoryResults = await this.categoryReportGenerator.generateCategoryReports(posts, options.date);
+      const categoryResults = await this.categoryReportGenerator.generateCategoryReports(posts, options.date, {
+        historyRunId: options.historyRunId,
+        products: options.products
+      });
       console.log(`✅ Generated ${categoryResults.reports.length} category reports`);
       
       // Also generate the traditional combined report
@@ -426,7 +735,11 @@ export class IndieHackersScraper {
       }
       
       // Generate report
-      const reportResult = await this.generateReport(scrapeResult.posts, options);
+      const reportResult = await this.generateReport(scrapeResult.posts, {
+        ...options,
+        historyRunId: scrapeResult.historyRunId,
+        products: scrapeResult.products
+      });
       
       return {
         ...reportResult,
@@ -439,23 +752,91 @@ export class IndieHackersScraper {
     }
   }
 
+  /**
+   * Record scraped posts in the local history store, returning the run id
+   * History failures are logged but never fail the scrape
+   */
+  async recordHistory(posts, categories) {
+    try {
+      const run = await recordHistory('indiehackers', normalizeItems('indiehackers', posts), {
+        baseDir: config.history.dir || undefined,
+        label: categories.join(','),
+        metadata: { categories }
+      });
+      return run.run_id;
+    } catch (error) {
+      console.warn('⚠️ Failed to record history:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Attach follower counts from the authors' /u/ profiles, then re-score each
+   * category so the author factors of the score use them
+   * Authors whose profile can't be fetched keep the repeat-poster estimate
+   */
+  async enrichAuthors(posts) {
+    const handleOf = post => post.authorUrl?.match(/\/u\/([^/?#]+)/)?.[1] || post.author?.username;
+    const page = await this.browserManager.newPage();
+    const profiler = new AuthorProfiler({
+      page,
+      file: config.authors.file || undefined,
+      ttlHours: config.authors.ttlHours,
+      delay: config.scraping.requestDelay
+    });
+
+    try {
+      const handles = [...new Set(posts.map(handleOf).filter(Boolean))];
+      console.log(`\n👤 Fetching ${handles.length} author profiles...`);
+      const profiles = await profiler.getProfiles(handles.map(handle => ['indiehackers', handle]));
+      console.log(`✅ ${Object.keys(profiles).length} author profiles available`);
+
+      const categories = new Map();
+      posts.forEach(post => {
+        const profile = profiles[profileKey('indiehackers', handleOf(post))];
+        const enriched = profile
+          ? { ...post, author: { ...post.author, followers: profile.followers ?? undefined, verified: profile.verified ?? undefined } }
+          : post;
+        const key = post.category?.key;
+        if (!categories.has(key)) categories.set(key, []);
+        categories.get(key).push(enriched);
+      });
+
+      // Scored per category, as in processScrapedData, so the activity bonus is unchanged
+      return [...categories.values()].flatMap(group => this.dataProcessor.scoringEngine.scorePosts(group));
+    } finally {
+      await profiler.close();
+      await page.close();
+    }
+  }
+
   /**
    * Utility methods
    */
   resolveCategoriesList(categories) {
+    // "all" means every enabled category, highest priority first
     if (categories === 'all') {
-      return Object.keys(config.categories);
+      return getEnabledCategoryKeys(config.categories);
     }
     
+    let keys = ['main']; // Default fallback
     if (typeof categories === 'string') {
-      return categories.split(',').map(cat => cat.trim());
+      keys = categories.split(',').map(cat => cat.trim()).filter(Boolean);
+    } else if (Array.isArray(categories)) {
+      keys = categories;
     }
     
-    if (Array.isArray(categories)) {
-      return categories;
-    }
+    keys
+      .filter(key => config.categories[key] && !config.categories[key].enabled)
+      .forEach(key => console.warn(`⚠️ Category '${key}' is disabled in config/categories.json but was requested explicitly`));
     
-    return ['main']; // Default fallback
+    // Explicitly requested categories also follow priority order; unknown keys go last
+    const rank = key => config.categories[key]?.priority ?? Number.MAX_SAFE_INTEGER;
+    return [...keys].sort((a, b) => rank(a) - rank(b));
+  }
+
+  productUrl(target) {
+    return target.startsWith('http') ? target : `${config.baseUrl}/product/${target.replace(/^\/?(product\/)?/, '')}`;
   }
 
   async delay(ms) {
@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the IndieHackers modules (no network or browser needed)
+ *   node scripts/indiehacker/test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IndieHackersScraper } from './scraper.js';
+import ScoringEngine from './utils/scoring-engine.js';
+import PagePool, { HostRateLimiter } from './utils/page-pool.js';
+import {
+  validateCategoriesConfig, parseTimeRange, loadCategoryDefinitions, getRateLimit, getMaxConcurrency
+} from './utils/category-config.js';
+import { parseRevenue, productSlug } from './utils/product-extractor.js';
+import ProductHistory from './utils/product-history.js';
+import HistoryStore from '../shared/history-store.js';
+import { fromIndieHackers } from '../shared/community-item.js';
+
+function report(name, checks) {
+  checks.forEach(([check, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${check}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? `\n✅ ${name} test passed!` : `\n❌ ${name} test failed`);
+  return passed;
+}
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bespy-test-'));
+  try {
+    return await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const close = (actual, expected) => Math.abs(actual - expected) < 1e-6;
+
+/**
+ * Scoring formula from the header of utils/scoring-engine.js, with inline weights
+ */
+function testScoringEngine() {
+  console.log('\n🧮 Testing scoring engine...\n');
+
+  const engine = new ScoringEngine({
+    engagementWeights: { comments: 2, upvotes: 1, recency: 0.5 },
+    qualityFactors: { authorReputation: 0.5, titleQuality: 0.2 },
+    categoryMultipliers: { ai: 2 },
+    recencyDecay: { halfLife: 10, maxAge: 20, decayRate: 0.1 },
+    engagementThresholds: { viral: 100, popular: 50, active: 5 },
+    contentAnalysis: {
+      keywordBoosts: { launch: 1.5, revenue: 1.2 },
+      sentimentMultipliers: { positive: 1.1 }
+    },
+    authorFactors: { verifiedMultiplier: 2, followersThreshold: 100, reputationWeight: 0.25, activityBonus: 1.1 }
+  });
+  const now = new Date('2025-08-27T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 3600 * 1000).toISOString();
+  const post = (extra = {}) => ({
+    title: 'Short',
+    content: '',
+    author: { username: 'alice' },
+    engagement: { comments: 10, upvotes: 20 },
+    timestamp: null,
+    ...extra
+  });
+
+  // base 40 × recency (1 + 0.5 × 0.5) × quality (1 + 0.5 × 50/100) × category 2
+  const viral = engine.scorePost(post({
+    author: { username: 'alice', followers: 50 },
+    timestamp: hoursAgo(10),
+    category: { key: 'ai' }
+  }), { now });
+  const stale = engine.scorePost(post({ timestamp: hoursAgo(44) }), { now });
+  const boosted = engine.scorePost(post({ title: 'Short', content: 'Our launch hit revenue goals' }), { now });
+  const relaunch = engine.scorePost(post({ content: 'A relaunch' }), { now });
+  const positive = engine.scorePost(post({ sentiment: { label: 'positive' } }), { now });
+  const unknownCategory = engine.scorePost(post({ category: { key: 'nope' } }), { now });
+
+  const batch = engine.scorePosts([
+    post({ author: { username: 'Bob' } }),
+    post({ author: { username: 'bob', verified: true } }),
+    post({ author: { username: 'carol' }, engagement: { comments: 0, upvotes: 1 } })
+  ]);
+  const [bobFirst, bobVerified, carol] = batch;
+  const description = engine.describe('ai');
+
+  const checks = [
+    ['weights comments and upvotes', engine.scorePost(post(), { now }).metrics.baseScore === 40],
+    ['halves recency every halfLife', viral.metrics.recencyMultiplier === 0.5],
+    ['reads author reputation from followers', viral.metrics.qualityMultiplier === 1.25],
+    ['applies the category multiplier', viral.metrics.categoryMultiplier === 2 && unknownCategory.metrics.categoryMultiplier === 1],
+    ['combines the documented formula', viral.engagementScore === 125],
+    ['reaches the viral threshold', viral.engagementTier === 'viral'],
+    ['decays posts past maxAge', stale.metrics.recencyMultiplier === 0 &&
+      close(stale.engagementScore, Math.round(40 * Math.exp(-0.1 * 1) * 100) / 100)],
+    ['uses the strongest keyword boost only', boosted.metrics.keywordBoost === 1.5],
+    ['matches keywords at word starts', relaunch.metrics.keywordBoost === 1],
+    ['applies the sentiment multiplier', positive.metrics.sentimentMultiplier === 1.1 && close(positive.engagementScore, 44)],
+    ['approximates reputation from batch activity', bobFirst.metrics.qualityMultiplier === 1.25],
+    ['gives active authors the activity bonus', bobFirst.metrics.authorMultiplier === 1.1 && carol.metrics.authorMultiplier === 1],
+    ['multiplies verified authors', bobVerified.metrics.authorMultiplier === 2.2],
+    ['assigns tiers from thresholds', carol.engagementTier === 'none' && bobFirst.engagementTier === 'popular'],
+    ['describes the weights in effect', description.algorithm.comments_weight === 2 &&
+      description.algorithm.category_multiplier === 2 &&
+      description.algorithm.keyword_boosts.launch === 1.5 &&
+      description.tiers.viral === 100 &&
+      description.weights_source === 'inline'],
+    ['lists every category multiplier without a category', engine.describe().algorithm.category_multipliers.ai === 2]
+  ];
+
+  return report('Scoring engine', checks);
+}
+
+/**
+ * Incremental mode: which listing posts reuse details from a temporary history
+ */
+async function testIncremental() {
+  console.log('\n♻️  Testing incremental detail reuse...\n');
+
+  const listing = (id, upvotes, comments) => ({
+    title: `Post ${id}`,
+    url: `https://www.indiehackers.com/post/${id}`,
+    author: 'alice',
+    timestamp: '2 hours ago',
+    upvotes,
+    comments,
+    listingMetrics: { upvotes, comments }
+  });
+  const detailed = (id, upvotes, comments) => ({
+    ...listing(id, upvotes, comments),
+    timestamp: '2025-08-27T10:00:00.000Z',
+    fullContent: `Full text of ${id}`,
+    tags: ['growth'],
+    views: 42,
+    comments: [{ author: 'bob', text: 'Nice one', upvotes: 3, timestamp: '2025-08-27T11:00:00.000Z' }]
+  });
+
+  try {
+    return await withTempDir(async dir => {
+      await new HistoryStore({ baseDir: dir }).recordRun('indiehackers', [
+        detailed('unchanged', 10, 2),
+        detailed('changed', 10, 2),
+        { ...listing('no-content', 4, 0), comments: [] }
+      ].map(post => fromIndieHackers(post)));
+
+      const scraper = new IndieHackersScraper();
+      const posts = [
+        listing('unchanged', 10, 2),
+        listing('changed', 12, 2),
+        listing('no-content', 4, 0),
+        listing('unseen', 1, 0),
+        { ...listing('no-url', 1, 0), url: '' }
+      ];
+
+      const withoutHistory = scraper.partitionByHistory(posts);
+      scraper.historyStore = await new HistoryStore({ baseDir: dir }).load({ source: 'indiehackers', snapshots: 'latest' });
+      const { stale, reused } = scraper.partitionByHistory(posts);
+      const restored = reused.get(posts[0]);
+
+      const checks = [
+        ['extracts everything without history', withoutHistory.stale.length === posts.length && withoutHistory.reused.size === 0],
+        ['reuses unchanged posts with cached content', reused.size === 1 && reused.has(posts[0])],
+        ['extracts posts whose listing metrics changed', stale.includes(posts[1])],
+        ['extracts posts without cached content', stale.includes(posts[2])],
+        ['extracts unseen posts and posts without a url', stale.includes(posts[3]) && stale.includes(posts[4])],
+        ['restores content and tags', restored.fullContent === 'Full text of unchanged' && restored.tags.join() === 'growth'],
+        ['restores comments', restored.comments.length === 1 && restored.comments[0].text === 'Nice one' &&
+          restored.comments[0].author === 'bob' && restored.commentCount === 1],
+        ['restores snapshot timestamp and views', restored.timestamp === '2025-08-27T10:00:00.000Z' && restored.views === 42],
+        ['marks restored posts', restored.fromCache === true && restored.url === posts[0].url]
+      ];
+
+      return report('Incremental', checks);
+    });
+  } catch (error) {
+    console.error('❌ Incremental test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Page pool and per-host rate limiter with fake browser pages
+ */
+async function testPagePool() {
+  console.log('\n🗂️  Testing page pool...\n');
+
+  const opened = [];
+  const browserManager = {
+    async newPage() {
+      const page = {
+        id: opened.length + 1,
+        closed: false,
+        timeout: null,
+        setDefaultTimeout(ms) { this.timeout = ms; },
+        isClosed() { return this.closed; },
+        async close() { this.closed = true; }
+      };
+      opened.push(page);
+      return page;
+    }
+  };
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  try {
+    // Later items finish first; results still come back in item order
+    const pool = new PagePool(browserManager, { size: 2, pageTimeout: 1234 });
+    let running = 0;
+    let peak = 0;
+    const mapped = await pool.map([30, 10, 20, 5], async (delay, i) => pool.run(async page => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(delay);
+      running--;
+      return `${i}:${page.id}`;
+    }));
+    const openedByMap = opened.length;
+    await pool.close();
+
+    // A broken page is closed and its slot goes to a waiter with a fresh page
+    const single = new PagePool(browserManager, { size: 1 });
+    const first = await single.acquire();
+    const waiter = single.acquire();
+    await single.release(first, { broken: true });
+    const replacement = await waiter;
+    const replacementOpen = !replacement.closed;
+    await single.release(replacement);
+    const reused = await single.acquire();
+    await single.release(reused);
+    const failed = await single.run(async () => { throw new Error('navigation failed'); }).catch(error => error.message);
+    const afterFailure = await single.acquire();
+    await single.close();
+
+    // 1200 requests per minute: one request every 50ms per host
+    const limiter = new HostRateLimiter(1200);
+    const start = Date.now();
+    const times = [];
+    await Promise.all([
+      'https://www.indiehackers.com/post/a',
+      'https://www.indiehackers.com/post/b',
+      'https://www.indiehackers.com/post/c',
+      'https://example.com/x'
+    ].map(url => limiter.acquire(url).then(() => times.push([HostRateLimiter.hostOf(url), Date.now() - start]))));
+    const ihTimes = times.filter(([host]) => host === 'www.indiehackers.com').map(([, ms]) => ms);
+    const otherTime = times.find(([host]) => host === 'example.com')[1];
+    limiter.setLimit('slow.example', 6);
+
+    const checks = [
+      ['keeps item order', mapped.map(result => result.split(':')[0]).join() === '0,1,2,3'],
+      ['runs at most size tasks at once', peak === 2 && openedByMap === 2],
+      ['sets the page timeout', opened[0].timeout === 1234],
+      ['closes every page on close', opened.slice(0, 2).every(page => page.closed)],
+      ['closes broken pages', first.closed === true],
+      ['hands a waiter a fresh page after a broken release', replacement !== first && replacementOpen],
+      ['reuses released pages', reused === replacement],
+      ['releases pages of failed tasks as broken', failed === 'navigation failed' && reused.closed && afterFailure !== reused],
+      ['spaces requests to the same host', ihTimes.length === 3 && ihTimes[1] >= 45 && ihTimes[2] >= 95],
+      ['does not delay other hosts', otherTime < 45],
+      ['reads per-host limits', limiter.getInterval('slow.example') === 10000 && limiter.getInterval('www.indiehackers.com') === 50],
+      ['names unparseable hosts', HostRateLimiter.hostOf('not a url') === 'unknown']
+    ];
+
+    return report('Page pool', checks);
+  } catch (error) {
+    console.error('❌ Page pool test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Validation and defaults of config/categories.json, including invalid configs
+ */
+async function testCategoryConfig() {
+  console.log('\n⚙️  Testing category config...\n');
+
+  const category = (extra = {}) => ({
+    name: 'Tech',
+    url: 'https://www.indiehackers.com/tech',
+    selectors: { postContainer: '.post', title: 'h2' },
+    ...extra
+  });
+  const errorsFor = data => validateCategoriesConfig(data).errors;
+  const invalid = errorsFor({
+    categories: {
+      Tech: category(),
+      broken: category({
+        name: ' ',
+        url: 'ftp://example.com',
+        enabled: 'yes',
+        maxPosts: 0,
+        selectors: { postContainer: '.post', extra: 3 },
+        filters: { timeRange: '2 months', minEngagement: -1, contentTypes: 'post' },
+        rateLimit: { requestsPerMinute: 0, delayBetweenPages: -5 }
+      }),
+      empty: null
+    },
+    globalSettings: { scraping: { maxConcurrency: 2.5 } }
+  });
+  const has = text => invalid.some(error => error.includes(text));
+
+  try {
+    return await withTempDir(async dir => {
+      const validFile = path.join(dir, 'valid.json');
+      const invalidFile = path.join(dir, 'invalid.json');
+      await fs.writeFile(validFile, JSON.stringify({
+        categories: {
+          tech: category({ priority: 2, filters: { timeRange: '2d' }, rateLimit: { requestsPerMinute: 10 } }),
+          ai: category({ name: 'AI', priority: 1 })
+        }
+      }));
+      await fs.writeFile(invalidFile, JSON.stringify({ categories: { tech: category({ url: 'nope' }) } }));
+
+      const definitions = loadCategoryDefinitions(validFile);
+      const loadError = (() => {
+        try {
+          loadCategoryDefinitions(invalidFile);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })();
+      const missingError = (() => {
+        try {
+          loadCategoryDefinitions(path.join(dir, 'missing.json'));
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })();
+
+      const checks = [
+        ['accepts a valid config', validateCategoriesConfig({ categories: { tech: category() } }).valid],
+        ['rejects non-objects', errorsFor(null).length === 1 && errorsFor({ categories: [] })[0].includes('"categories"')],
+        ['rejects bad keys', has('categories.Tech: key must be lowercase')],
+        ['rejects bad names, urls and flags', has('broken.name') && has('broken.url') && has('broken.enabled') && has('broken.maxPosts')],
+        ['requires selectors', has('broken.selectors.title: required') && has('broken.selectors.extra: must be a string')],
+        ['rejects bad filters', has('broken.filters.timeRange') && has('broken.filters.minEngagement') && has('broken.filters.contentTypes')],
+        ['rejects bad rate limits', has('broken.rateLimit.requestsPerMinute') && has('broken.rateLimit.delayBetweenPages')],
+        ['rejects non-object categories', has('categories.empty: must be an object')],
+        ['rejects a fractional maxConcurrency', has('globalSettings.scraping.maxConcurrency')],
+        ['parses time ranges', parseTimeRange('24h') === 24 && parseTimeRange('7d') === 168 && parseTimeRange('2W') === 336 &&
+          parseTimeRange('all') === null],
+        ['returns undefined for invalid time ranges', ['2 months', '', 'h', 24].every(value => parseTimeRange(value) === undefined)],
+        ['lists every problem when loading an invalid file', loadError?.includes('Invalid category definitions') && loadError.includes('tech.url')],
+        ['reports unreadable files', missingError?.startsWith('Could not read category definitions')],
+        ['fills in defaults', definitions.tech.filters.timeRangeHours === 48 && definitions.ai.filters.timeRange === 'all' &&
+          definitions.ai.enabled === true],
+        ['merges rate limits with defaults', getRateLimit('tech', definitions).requestsPerMinute === 10 &&
+          getRateLimit('tech', definitions).delayBetweenPages === 2000],
+        ['falls back to the default rate limit for unknown categories', getRateLimit('nope', definitions).requestsPerMinute === 30],
+        ['reads maxConcurrency', getMaxConcurrency({ globalSettings: { scraping: { maxConcurrency: 4 } } }) === 4],
+        ['falls back to one page for missing or invalid maxConcurrency', [{}, null, { globalSettings: { scraping: { maxConcurrency: '4' } } },
+          { globalSettings: { scraping: { maxConcurrency: -2 } } }].every(data => getMaxConcurrency(data) === 1)]
+      ];
+
+      return report('Category config', checks);
+    });
+  } catch (error) {
+    console.error('❌ Category config test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Revenue parsing, product ids and revenue history across runs
+ */
+async function testProducts() {
+  console.log('\n💵 Testing product revenue tracking...\n');
+
+  const product = (id, revenue) => ({
+    product_id: id,
+    name: `Product ${id}`,
+    url: `https://www.indiehackers.com/product/${id}`,
+    revenue: revenue === null ? null : parseRevenue(revenue)
+  });
+
+  try {
+    return await withTempDir(async dir => {
+      const history = await new ProductHistory({ baseDir: dir }).load();
+      await history.record([product('alpha', '$1,000/mo'), product('beta', null), product('gamma', '$0 MRR')],
+        '2025-08-01T00:00:00.000Z');
+      const second = await new ProductHistory({ baseDir: dir }).load();
+      const tracked = await second.record([
+        product('alpha', '$1.5K/mo'),
+        product('beta', '$200/mo'),
+        product('gamma', '$100 MRR'),
+        product('delta', '$50/mo'),
+        { ...product('broken', '$10/mo'), error: 'Timeout' }
+      ], '2025-08-02T00:00:00.000Z');
+      const change = id => tracked.find(item => item.product_id === id).revenue_change;
+      const reloaded = await new ProductHistory({ baseDir: dir }).load();
+
+      const checks = [
+        ['parses monthly revenue', parseRevenue('$12K/mo')?.mrr === 12000 && parseRevenue('$1,200 per month')?.mrr === 1200],
+        ['converts yearly revenue to MRR', parseRevenue('$240k ARR')?.mrr === 20000 && parseRevenue('$2.4M/yr')?.period === 'year'],
+        ['does not read MRR as a million', parseRevenue('$100 MRR')?.mrr === 100 && parseRevenue('$3M MRR')?.mrr === 3000000],
+        ['defaults to a monthly period', parseRevenue('Making $500 now')?.period === 'month'],
+        ['keeps the original text', parseRevenue('  $5k MRR ')?.text === '$5k MRR'],
+        ['returns null without a dollar amount', [null, '', 'no revenue yet', '$', '$.', '$ ,', '$...'].every(text => parseRevenue(text) === null)],
+        ['reads product slugs', productSlug('https://www.indiehackers.com/product/acme?ref=x') === 'acme' &&
+          productSlug('https://www.indiehackers.com/product/acme/updates') === 'acme'],
+        ['returns null for non-product urls', productSlug('https://www.indiehackers.com/post/acme') === null && productSlug(undefined) === null],
+        ['compares against the previous run', change('alpha').previous_mrr === 1000 && change('alpha').change === 500 &&
+          change('alpha').change_percent === 50 && change('alpha').runs === 2],
+        ['has no change when there was no previous revenue', change('beta').previous_mrr === null && change('beta').change === null &&
+          change('beta').first_mrr === null],
+        ['has no percentage from zero revenue', change('gamma').change === 100 && change('gamma').change_percent === null],
+        ['starts a timeline for new products', change('delta').runs === 1 && change('delta').first_recorded_at === null],
+        ['leaves failed products unrecorded', !tracked.find(item => item.product_id === 'broken').revenue_change &&
+          reloaded.getTimeline('broken').length === 0],
+        ['persists every run', reloaded.getTimeline('alpha').map(record => record.mrr).join() === '1000,1500' &&
+          reloaded.getProductIds().length === 4]
+      ];
+
+      return report('Products', checks);
+    });
+  } catch (error) {
+    console.error('❌ Products test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Product links in a category listing are set aside for product extraction
+ * instead of being filtered out as posts
+ */
+async function testProductLinks() {
+  console.log('\n🏷️  Testing product links in category listings...\n');
+
+  const listing = (title, url, timestamp = '2 hours ago') => ({ title, url, author: 'alice', timestamp, upvotes: 3, comments: 1 });
+  const extracted = [
+    listing('Launching BuildPad', 'https://www.indiehackers.com/post/launching-buildpad'),
+    listing('BuildPad', 'https://www.indiehackers.com/product/buildpad'),
+    listing('Old news', 'https://www.indiehackers.com/post/old-news', '3 days ago'),
+    listing('Another post', 'https://www.indiehackers.com/post/another-post'),
+    listing('ShipFast', 'https://www.indiehackers.com/product/shipfast', '3 days ago')
+  ];
+
+  try {
+    const scraper = new IndieHackersScraper();
+    scraper.browserManager.navigateTo = async () => {};
+    scraper.browserManager.waitForElement = async () => {};
+    scraper.delay = async () => {};
+    scraper.loadMoreContent = async () => {};
+    scraper.extractPosts = async () => extracted.map(post => ({ ...post }));
+
+    const posts = await scraper.scrapeCategory('main', { postsPerCategory: 1, extractFullDetails: false });
+    const links = [...scraper.productLinks.values()];
+
+    const checks = [
+      ['sets product links aside despite the contentTypes filter', links.map(link => link.url).join() ===
+        'https://www.indiehackers.com/product/buildpad,https://www.indiehackers.com/product/shipfast'],
+      ['keeps the listing title and category', links[0].title === 'BuildPad' && links[0].category === 'main'],
+      ['leaves product links out of the posts', posts.every(post => !post.url.includes('/product/'))],
+      ['still filters and limits the posts', posts.length === 1 && posts[0].title === 'Launching BuildPad']
+    ];
+
+    return report('Product links', checks);
+  } catch (error) {
+    console.error('❌ Product links test failed:', error.message);
+    return false;
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting IndieHackers module tests\n');
+  console.log('='.repeat(50));
+
+  const results = [
+    testScoringEngine(),
+    await testIncremental(),
+    await testPagePool(),
+    await testCategoryConfig(),
+    await testProducts(),
+    await testProductLinks()
+  ];
+
+  console.log('\n' + '='.repeat(50));
+  if (results.every(Boolean)) {
+    console.log('\n🎉 All tests passed successfully!');
+    process.exit(0);
+  } else {
+    console.log('\n⚠️ Some tests failed. Please review the implementation.');
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runAllTests();
+}
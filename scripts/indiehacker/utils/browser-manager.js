@@ -27,6 +27,9 @@ export class BrowserManager {
       
       this.browser = await chromium.launchPersistentContext(userDataDir, {
         headless: this.options.headless,
+        // Shutdown signals are handled below so the browser is closed through close()
+        handleSIGINT: false,
+        handleSIGTERM: false,
         viewport: this.options.viewport,
         userAgent: this.options.userAgent,
         args: [
@@ -46,6 +49,7 @@ export class BrowserManager {
 
       // Use the browser context directly as it's a persistent context
       this.context = this.browser;
+      this.registerShutdownHandlers();
 
       this.page = await this.context.newPage();
       
@@ -206,9 +210,37 @@ export class BrowserManager {
   }
 
   /**
-   * Close browser and cleanup
+   * Close the browser before exiting on SIGINT/SIGTERM (e.g. when the scheduler
+   * stops), so the persistent browser-data profile isn't left locked
+   */
+  registerShutdownHandlers() {
+    if (this.signalHandlers) return;
+    
+    const shutdown = async (signal) => {
+      console.log(`\n🛑 Received ${signal}, closing browser...`);
+      await this.close();
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    
+    this.signalHandlers = {
+      SIGINT: () => shutdown('SIGINT'),
+      SIGTERM: () => shutdown('SIGTERM')
+    };
+    Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.once(signal, handler));
+  }
+
+  removeShutdownHandlers() {
+    if (!this.signalHandlers) return;
+    Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.removeListener(signal, handler));
+    this.signalHandlers = null;
+  }
+
+  /**
+   * Close browser and cleanup (safe to call more than once)
    */
   async close() {
+    this.removeShutdownHandlers();
+    
     try {
       if (this.page) {
         await this.page.close();
@@ -220,12 +252,17 @@ export class BrowserManager {
         console.log('🔄 Context closed');
       }
       
-      if (this.browser) {
+      // A persistent context is also the browser, so it's already closed
+      if (this.browser && this.browser !== this.context) {
         await this.browser.close();
         console.log('🚀 Browser closed');
       }
     } catch (error) {
       console.error('❌ Error closing browser:', error.message);
+    } finally {
+      this.page = null;
+      this.context = null;
+      this.browser = null;
     }
   }
 
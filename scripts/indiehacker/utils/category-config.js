@@ -0,0 +1,225 @@
+/**
+ * Category Config - Loads and validates category definitions from config/categories.json
+ * Adding an IndieHackers page to scrape is a matter of adding an entry to that file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CATEGORIES_FILE = path.join(__dirname, '..', '..', '..', 'config', 'categories.json');
+
+const DEFAULT_RATE_LIMIT = {
+  requestsPerMinute: 30,
+  delayBetweenPages: 2000
+};
+
+const DEFAULT_FILTERS = {
+  timeRange: 'all',
+  minEngagement: 0,
+  contentTypes: []
+};
+
+// Selectors the scraper cannot work without; the rest are optional
+const REQUIRED_SELECTORS = ['postContainer', 'title'];
+
+const TIME_RANGE_UNITS = { h: 1, d: 24, w: 24 * 7 };
+
+let cachedFile = null;
+let cachedDefinitions = null;
+
+/**
+ * Check a parsed categories.json, returning every problem found
+ */
+export function validateCategoriesConfig(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['File must contain a JSON object'] };
+  }
+
+  if (!data.categories || typeof data.categories !== 'object' || Array.isArray(data.categories)) {
+    return { valid: false, errors: ['"categories" must be an object keyed by category'] };
+  }
+
+  for (const [key, category] of Object.entries(data.categories)) {
+    const prefix = `categories.${key}`;
+
+    if (!/^[a-z0-9-]+$/.test(key)) {
+      errors.push(`${prefix}: key must be lowercase letters, digits and dashes`);
+    }
+    if (!category || typeof category !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      continue;
+    }
+
+    if (typeof category.name !== 'string' || !category.name.trim()) {
+      errors.push(`${prefix}.name: required string`);
+    }
+    if (typeof category.url !== 'string' || !/^https?:\/\//.test(category.url)) {
+      errors.push(`${prefix}.url: must be an http(s) URL`);
+    }
+    if (category.enabled !== undefined && typeof category.enabled !== 'boolean') {
+      errors.push(`${prefix}.enabled: must be true or false`);
+    }
+    if (category.maxPosts !== undefined && !(Number.isInteger(category.maxPosts) && category.maxPosts > 0)) {
+      errors.push(`${prefix}.maxPosts: must be a positive integer`);
+    }
+    if (category.priority !== undefined && typeof category.priority !== 'number') {
+      errors.push(`${prefix}.priority: must be a number`);
+    }
+
+    if (!category.selectors || typeof category.selectors !== 'object') {
+      errors.push(`${prefix}.selectors: required object`);
+    } else {
+      REQUIRED_SELECTORS
+        .filter(name => typeof category.selectors[name] !== 'string' || !category.selectors[name].trim())
+        .forEach(name => errors.push(`${prefix}.selectors.${name}: required selector string`));
+      Object.entries(category.selectors)
+        .filter(([, selector]) => typeof selector !== 'string')
+        .forEach(([name]) => errors.push(`${prefix}.selectors.${name}: must be a string`));
+    }
+
+    const filters = category.filters || {};
+    if (filters.timeRange !== undefined && parseTimeRange(filters.timeRange) === undefined) {
+      errors.push(`${prefix}.filters.timeRange: use "all" or a number with h/d/w (e.g. "24h", "7d")`);
+    }
+    if (filters.minEngagement !== undefined && !(typeof filters.minEngagement === 'number' && filters.minEngagement >= 0)) {
+      errors.push(`${prefix}.filters.minEngagement: must be a number >= 0`);
+    }
+    if (filters.contentTypes !== undefined &&
+        !(Array.isArray(filters.contentTypes) && filters.contentTypes.every(type => typeof type === 'string'))) {
+      errors.push(`${prefix}.filters.contentTypes: must be an array of strings`);
+    }
+
+    const rateLimit = category.rateLimit || {};
+    if (rateLimit.requestsPerMinute !== undefined && !(typeof rateLimit.requestsPerMinute === 'number' && rateLimit.requestsPerMinute > 0)) {
+      errors.push(`${prefix}.rateLimit.requestsPerMinute: must be a positive number`);
+    }
+    if (rateLimit.delayBetweenPages !== undefined && !(typeof rateLimit.delayBetweenPages === 'number' && rateLimit.delayBetweenPages >= 0)) {
+      errors.push(`${prefix}.rateLimit.delayBetweenPages: must be a number >= 0`);
+    }
+  }
+
+  const maxConcurrency = data.globalSettings?.scraping?.maxConcurrency;
+  if (maxConcurrency !== undefined && !(Number.isInteger(maxConcurrency) && maxConcurrency > 0)) {
+    errors.push('globalSettings.scraping.maxConcurrency: must be a positive integer');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Hours covered by a filters.timeRange value; null means no limit, undefined means invalid
+ */
+export function parseTimeRange(timeRange) {
+  if (timeRange === 'all' || timeRange === null) return null;
+  const match = typeof timeRange === 'string' && timeRange.match(/^(\d+)\s*([hdw])$/i);
+  if (!match) return undefined;
+  return parseInt(match[1]) * TIME_RANGE_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parsed categories.json (read once)
+ */
+export function loadCategoriesFile(filePath = CATEGORIES_FILE) {
+  if (filePath !== CATEGORIES_FILE) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  if (!cachedFile) {
+    cachedFile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  return cachedFile;
+}
+
+/**
+ * Validated category definitions keyed by category, defaults filled in
+ * Throws with every validation problem listed when the file is invalid
+ */
+export function loadCategoryDefinitions(filePath = CATEGORIES_FILE) {
+  if (filePath === CATEGORIES_FILE && cachedDefinitions) {
+    return cachedDefinitions;
+  }
+
+  let data;
+  try {
+    data = loadCategoriesFile(filePath);
+  } catch (error) {
+    throw new Error(`Could not read category definitions from ${filePath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validateCategoriesConfig(data);
+  if (!valid) {
+    throw new Error(`Invalid category definitions in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const definitions = {};
+  Object.entries(data.categories).forEach(([key, category], index) => {
+    const filters = { ...DEFAULT_FILTERS, ...category.filters };
+    definitions[key] = {
+      key,
+      name: category.name,
+      url: category.url,
+      description: category.description || '',
+      enabled: category.enabled !== false,
+      maxPosts: category.maxPosts || null,
+      // Lower number = scraped first; file order breaks ties
+      priority: category.priority ?? Number.MAX_SAFE_INTEGER,
+      order: index,
+      selectors: { ...category.selectors },
+      filters: {
+        ...filters,
+        timeRangeHours: parseTimeRange(filters.timeRange)
+      },
+      rateLimit: { ...DEFAULT_RATE_LIMIT, ...category.rateLimit }
+    };
+  });
+
+  if (filePath === CATEGORIES_FILE) {
+    cachedDefinitions = definitions;
+  }
+  return definitions;
+}
+
+/**
+ * Keys of enabled categories in priority order
+ */
+export function getEnabledCategoryKeys(definitions = loadCategoryDefinitions()) {
+  return Object.values(definitions)
+    .filter(category => category.enabled)
+    .sort((a, b) => (a.priority - b.priority) || (a.order - b.order))
+    .map(category => category.key);
+}
+
+export function getCategorySettings(categoryKey, definitions = loadCategoryDefinitions()) {
+  return definitions[categoryKey] || null;
+}
+
+/**
+ * Rate limit for a category, falling back to the defaults above
+ */
+export function getRateLimit(categoryKey, definitions = loadCategoryDefinitions()) {
+  return getCategorySettings(categoryKey, definitions)?.rateLimit || { ...DEFAULT_RATE_LIMIT };
+}
+
+/**
+ * Max number of pages scraped at once (globalSettings.scraping.maxConcurrency)
+ * Anything but a positive integer falls back to 1
+ */
+export function getMaxConcurrency(data = loadCategoriesFile()) {
+  const maxConcurrency = data?.globalSettings?.scraping?.maxConcurrency;
+  return Number.isInteger(maxConcurrency) && maxConcurrency > 0 ? maxConcurrency : 1;
+}
+
+export default {
+  validateCategoriesConfig,
+  parseTimeRange,
+  loadCategoriesFile,
+  loadCategoryDefinitions,
+  getEnabledCategoryKeys,
+  getCategorySettings,
+  getRateLimit,
+  getMaxConcurrency
+};
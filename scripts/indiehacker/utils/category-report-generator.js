@@ -5,16 +5,39 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { config } from '../config.js';
+import { getScoringEngine } from './scoring-engine.js';
+import { getEnabledCategoryKeys } from './category-config.js';
+import ProductReportGenerator from './product-report-generator.js';
+import HistoryStore from '../../shared/history-store.js';
+import { normalizeItems } from '../../shared/community-item.js';
+import {
+  appearancesFromHistory,
+  appearancesFromItems,
+  rankAuthors,
+  formatAuthorRankingMarkdown,
+  profileKey
+} from '../../shared/author-profiles.js';
+import {
+  summarizeSentiment,
+  sentimentByKeyword,
+  formatSentiment,
+  formatSentimentSummary,
+  formatSentimentTable
+} from '../../shared/sentiment.js';
 
 export class CategoryReportGenerator {
   constructor() {
     this.outputDir = config.reporting.outputDir;
+    this.scoringEngine = getScoringEngine();
+    this.productReportGenerator = new ProductReportGenerator();
   }
 
   /**
    * Generate separate reports for each category
+   * `options.historyRunId` is the history run these posts were recorded in, if any;
+   * `options.products` adds the products report when product pages were extracted
    */
-  async generateCategoryReports(allPosts, date = new Date()) {
+  async generateCategoryReports(allPosts, date = new Date(), options = {}) {
     try {
       console.log('📁 Generating category-based reports...');
       
@@ -27,8 +50,12 @@ export class CategoryReportGenerator {
       const categoryGroups = this.groupByCategory(allPosts);
       const generatedReports = [];
       
-      // Generate report for each category (including empty ones)
-      const allCategories = ['main', 'starting-up', 'tech', 'ai', 'creators', 'money'];
+      // Generate report for each enabled category (including empty ones) plus any
+      // category that produced posts, in priority order
+      const allCategories = [...new Set([
+        ...getEnabledCategoryKeys(config.categories),
+        ...Object.keys(categoryGroups)
+      ])];
       for (const categoryKey of allCategories) {
         const posts = categoryGroups[categoryKey] || [];
         const categoryReport = await this.generateSingleCategoryReport(
@@ -40,12 +67,18 @@ export class CategoryReportGenerator {
         generatedReports.push(categoryReport);
       }
       
+      // Products report for the product pages linked from the listings
+      if (options.products?.length > 0) {
+        generatedReports.push(await this.productReportGenerator.generateProductReport(options.products, date));
+      }
+      
       // Also generate a combined summary report
       const summaryReport = await this.generateSummaryReport(
         allPosts,
         categoryGroups,
         reportDir,
-        dateStr
+        dateStr,
+        options
       );
       generatedReports.push(summaryReport);
       
@@ -117,7 +150,9 @@ export class CategoryReportGenerator {
       category: categoryName,
       total_posts_analyzed: posts.length,
       total_community_engagement: totalEngagement,
-      average_engagement_per_post: Math.round(avgEngagement * 100) / 100
+      average_engagement_per_post: Math.round(avgEngagement * 100) / 100,
+      sentiment: summarizeSentiment(posts),
+      sentiment_by_keyword: this.getKeywordSentiment(posts)
     };
     
     // Format posts with full data
@@ -152,7 +187,8 @@ export class CategoryReportGenerator {
         author: {
           username: this.extractUsername(post.author),
           display_name: this.getDisplayName(post.author),
-          verified: false
+          verified: Boolean(post.author?.verified),
+          followers: post.author?.followers ?? null
         },
         category: categoryName,
         content: {
@@ -163,9 +199,21 @@ export class CategoryReportGenerator {
           comments: commentCount,
           upvotes: upvotes,
           engagement_score: Math.round((post.engagementScore || 0) * 100) / 100,
+          engagement_tier: post.engagementTier || this.scoringEngine.getTier(post.engagementScore || 0),
           views: post.views || 0
         },
         comments_data: commentsData,
+        sentiment: post.sentiment || null,
+        // Near-duplicates merged into this post (other categories, reworded titles)
+        sightings: (post.sightings || []).map(sighting => ({
+          title: sighting.title,
+          url: this.normalizeUrl(sighting.url),
+          category: this.getCategoryDisplayName(sighting.category),
+          author: sighting.author,
+          engagement_score: Math.round((sighting.engagementScore || 0) * 100) / 100,
+          similarity: sighting.similarity,
+          match: sighting.match
+        })),
         tags: post.tags || [],
         timestamps: {
           posted_at: post.timestamp ? new Date(post.timestamp).toISOString() : null,
@@ -182,14 +230,7 @@ export class CategoryReportGenerator {
       metadata,
       posts: formattedPosts,
       trending_themes: trendingThemes,
-      engagement_scoring: {
-        algorithm: {
-          comments_weight: 0.6,
-          upvotes_weight: 0.3,
-          recency_weight: 0.1
-        },
-        description: "Posts ranked by engagement score calculated from weighted metrics"
-      }
+      engagement_scoring: this.scoringEngine.describe(categoryKey)
     };
   }
 
@@ -229,6 +270,9 @@ export class CategoryReportGenerator {
     }, 0);
     
     content += `- **Total engagement:** ${totalComments} comments, ${totalUpvotes} upvotes\n`;
+    if (posts.some(post => post.sentiment)) {
+      content += `- **Sentiment:** ${formatSentimentSummary(summarizeSentiment(posts))}\n`;
+    }
     content += `- **Generated:** ${new Date().toISOString()}\n\n`;
     
     // Top Posts
@@ -259,7 +303,8 @@ export class CategoryReportGenerator {
     let content = `### ${rank}. ${post.title}\n\n`;
     content += `**Author:** @${author}  \n`;
     content += `**Engagement:** ${commentCount} comments, ${upvotes} upvotes  \n`;
-    content += `**Score:** ${Math.round((post.engagementScore || 0) * 100) / 100}  \n`;
+    content += `**Score:** ${Math.round((post.engagementScore || 0) * 100) / 100}`;
+    content += post.engagementTier && post.engagementTier !== 'none' ? ` (${post.engagementTier})  \n` : `  \n`;
     
     if (post.tags && post.tags.length > 0) {
       content += `**Tags:** ${post.tags.join(', ')}  \n`;
@@ -269,7 +314,22 @@ export class CategoryReportGenerator {
       content += `**Views:** ${post.views}  \n`;
     }
     
-    content += `**URL:** ${post.url}\n\n`;
+    if (post.sentiment) {
+      content += `**Sentiment:** ${formatSentiment(post.sentiment)}`;
+      content += post.sentiment.comments.count > 0
+        ? ` - comments: ${formatSentimentSummary(post.sentiment.comments)}  \n`
+        : `  \n`;
+    }
+    
+    content += `**URL:** ${post.url}  \n`;
+    
+    if (post.sightings?.length > 0) {
+      const sightings = post.sightings.map(sighting =>
+        `[${this.getCategoryDisplayName(sighting.category)}](${this.normalizeUrl(sighting.url)})`);
+      content += `**Also posted in:** ${sightings.join(', ')}  \n`;
+    }
+    
+    content += `\n`;
     
     // Add full content if available
     if (post.fullContent && post.fullContent.length > 100) {
@@ -303,7 +363,7 @@ export class CategoryReportGenerator {
   /**
    * Generate summary report covering all categories
    */
-  async generateSummaryReport(allPosts, categoryGroups, reportDir, dateStr) {
+  async generateSummaryReport(allPosts, categoryGroups, reportDir, dateStr, options = {}) {
     console.log('  📊 Generating summary report...');
     
     // Build summary content
@@ -315,6 +375,10 @@ export class CategoryReportGenerator {
     content += `## Executive Summary\n\n`;
     content += `- **Total posts analyzed:** ${allPosts.length}\n`;
     content += `- **Categories covered:** ${Object.keys(categoryGroups).length}\n`;
+    const merged = allPosts.reduce((sum, post) => sum + (post.sightings?.length || 0), 0);
+    if (merged > 0) {
+      content += `- **Near-duplicates merged:** ${merged}\n`;
+    }
     
     // Category breakdown
     content += `\n## Category Breakdown\n\n`;
@@ -352,6 +416,14 @@ export class CategoryReportGenerator {
       content += `   *${categoryName} • ${commentCount} comments, ${upvotes} upvotes • Score: ${Math.round(post.engagementScore * 100) / 100}*\n\n`;
     });
     
+    if (options.products?.length > 0) {
+      content += this.buildProductSummary(options.products);
+    }
+    
+    content += this.buildSentimentAnalysis(allPosts, categoryGroups);
+    
+    content += await this.buildAuthorAnalysis(allPosts, options.historyRunId);
+    
     content += `\n---\n\n`;
     content += `*Generated on ${new Date().toISOString()}*\n`;
     content += `*IndieHackers Analytics Scraper v2.0*`;
@@ -367,6 +439,102 @@ export class CategoryReportGenerator {
     };
   }
 
+  /**
+   * Top products by self-reported revenue, linking to the products report
+   */
+  buildProductSummary(products) {
+    const generator = this.productReportGenerator;
+    const withRevenue = generator.sortByRevenue(products).filter(product => product.revenue);
+    
+    let content = `## Products\n\n`;
+    content += `- **Products extracted:** ${products.length} (${withRevenue.length} with revenue)\n`;
+    content += `- **Report file:** [products-report.md](./products-report.md)\n`;
+    content += `- **Data file:** [products-data.json](./products-data.json)\n\n`;
+    
+    withRevenue.slice(0, 5).forEach((product, index) => {
+      content += `${index + 1}. **[${product.name}](${product.url})** - ${generator.formatMoney(product.revenue.mrr)}/mo ` +
+        `(${generator.formatChange(product.revenue_change)})\n`;
+    });
+    
+    return `${content}\n`;
+  }
+
+  /**
+   * Sentiment per category and per scoring keyword (keywordBoosts in scoring-weights.json)
+   */
+  buildSentimentAnalysis(allPosts, categoryGroups) {
+    if (!allPosts.some(post => post.sentiment)) return '';
+    
+    let content = `## Sentiment Analysis\n\n`;
+    content += `- **Overall:** ${formatSentimentSummary(summarizeSentiment(allPosts))}\n\n`;
+    
+    const categories = Object.entries(categoryGroups)
+      .map(([categoryKey, posts]) => ({ categoryKey, ...summarizeSentiment(posts) }))
+      .filter(entry => entry.count > 0);
+    content += formatSentimentTable(categories, {
+      heading: 'Category',
+      getName: entry => this.getCategoryDisplayName(entry.categoryKey)
+    });
+    
+    const keywords = this.getKeywordSentiment(allPosts);
+    if (keywords.length > 0) {
+      content += `\n### By Keyword\n\n`;
+      content += formatSentimentTable(keywords);
+    }
+    
+    return `${content}\n`;
+  }
+
+  getKeywordSentiment(posts) {
+    return sentimentByKeyword(posts, Object.keys(this.scoringEngine.weights.contentAnalysis.keywordBoosts), {
+      getText: post => `${post.title || ''} ${post.fullContent || post.content?.preview || ''}`
+    });
+  }
+
+  /**
+   * Rank this run's authors by reach and engagement across every recorded run
+   * Without history only this run's posts are counted
+   */
+  async buildAuthorAnalysis(posts, historyRunId) {
+    const items = normalizeItems('indiehackers', posts);
+    let appearances = [];
+
+    if (config.history.enabled) {
+      try {
+        const store = await new HistoryStore({ baseDir: config.history.dir || undefined }).load({ source: 'indiehackers' });
+        appearances = appearancesFromHistory(store, { source: 'indiehackers' });
+      } catch (error) {
+        console.warn('⚠️ Author analysis without history:', error.message);
+      }
+    }
+    // Runs scraped with --no-history are not in the store yet
+    if (!historyRunId) {
+      appearances.push(...appearancesFromItems(items));
+    }
+
+    // Follower counts are only on the posts when author profiles were fetched
+    const profiles = {};
+    items
+      .filter(item => item.author.followers !== undefined || item.author.verified !== undefined)
+      .forEach(item => {
+        profiles[profileKey('indiehackers', item.author.username)] = {
+          followers: item.author.followers ?? null,
+          verified: item.author.verified ?? null,
+          profile_url: item.author.profile_url
+        };
+      });
+
+    const currentAuthors = new Set(items.map(item => profileKey('indiehackers', item.author.username)));
+    const ranking = rankAuthors(
+      appearances.filter(appearance => currentAuthors.has(profileKey(appearance.source, appearance.username))),
+      profiles,
+      this.scoringEngine.weights.authorFactors,
+      { limit: 10 }
+    );
+
+    return `\n${formatAuthorRankingMarkdown(ranking)}`;
+  }
+
   /**
    * Utility methods
    */
@@ -385,15 +553,7 @@ export class CategoryReportGenerator {
   }
 
   getCategoryDisplayName(key) {
-    const categoryMap = {
-      main: 'IndieHackers',
-      'starting-up': 'Starting Up',
-      tech: 'Tech',
-      ai: 'A.I.',
-      creators: 'Creators',
-      money: 'Money'
-    };
-    return categoryMap[key] || key;
+    return config.categories[key]?.name || key;
   }
 
   generatePostId(post) {
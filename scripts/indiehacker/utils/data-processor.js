@@ -3,9 +3,13 @@
  */
 
 import { config } from '../config.js';
+import { getScoringEngine } from './scoring-engine.js';
+import { dedupeItems } from '../../shared/near-duplicates.js';
+import { analyzePost } from '../../shared/sentiment.js';
 
 export class DataProcessor {
-  constructor() {
+  constructor(scoringEngine = getScoringEngine()) {
+    this.scoringEngine = scoringEngine;
     this.processedPosts = new Set();
     this.duplicateTracker = new Map();
   }
@@ -16,10 +20,12 @@ export class DataProcessor {
   processScrapedData(rawPosts, category) {
     console.log(`🔄 Processing ${rawPosts.length} posts for category: ${category}`);
     
-    const processedPosts = rawPosts
+    const validPosts = rawPosts
       .map(post => this.normalizePost(post, category))
       .filter(post => this.isValidPost(post))
-      .map(post => this.calculateEngagementScore(post))
+      .map(post => this.analyzeSentiment(post));
+
+    const processedPosts = this.scoringEngine.scorePosts(validPosts)
       .filter(post => this.filterDuplicates(post));
 
     console.log(`✅ Processed ${processedPosts.length} valid posts`);
@@ -43,6 +49,7 @@ export class DataProcessor {
         username: this.extractUsername(rawPost.author || 'Unknown'),
         displayName: this.cleanText(rawPost.author || 'Unknown')
       },
+      authorUrl: this.normalizeUrl(rawPost.authorUrl || ''),
       url: this.normalizeUrl(rawPost.url || ''),
       engagement: {
         upvotes: this.parseNumber(upvotes),
@@ -67,6 +74,9 @@ export class DataProcessor {
       tags: rawPost.tags || [],
       // Preserve views if extracted  
       views: rawPost.views || 0,
+      // Listing page counters and whether details came from history (incremental mode)
+      listingMetrics: rawPost.listingMetrics || null,
+      fromCache: rawPost.fromCache || false,
       category: {
         key: category,
         name: categoryInfo.name,
@@ -80,6 +90,21 @@ export class DataProcessor {
     };
   }
 
+  /**
+   * Attach lexicon sentiment (post text + comment tree) before scoring,
+   * so the sentimentMultipliers apply
+   */
+  analyzeSentiment(post, options = config.sentiment) {
+    if (!options.enabled) return post;
+
+    const sentiment = analyzePost({
+      title: post.title,
+      body: post.fullContent || post.content.preview,
+      comments: post.comments
+    }, options);
+    return { ...post, sentiment };
+  }
+
   /**
    * Generate unique post ID
    */
@@ -96,48 +121,10 @@ export class DataProcessor {
   }
 
   /**
-   * Calculate engagement score using weighted formula
+   * Calculate engagement score (see scoring-engine.js for the formula)
    */
   calculateEngagementScore(post) {
-    const { comments, upvotes } = post.engagement;
-    const weights = config.scoring.weights;
-    
-    // Calculate base engagement score
-    const baseScore = (comments * weights.comments) + (upvotes * weights.upvotes);
-    
-    // Calculate recency multiplier
-    const recencyMultiplier = this.calculateRecencyMultiplier(post.timestamp);
-    
-    // Final score
-    const engagementScore = baseScore * (1 + (recencyMultiplier * weights.recency));
-    
-    return {
-      ...post,
-      engagementScore: Math.round(engagementScore * 100) / 100,
-      metrics: {
-        baseScore,
-        recencyMultiplier,
-        totalScore: engagementScore
-      }
-    };
-  }
-
-  /**
-   * Calculate recency multiplier (higher for newer posts)
-   */
-  calculateRecencyMultiplier(timestamp) {
-    if (!timestamp) return 0;
-    
-    const now = new Date();
-    const postTime = new Date(timestamp);
-    const hoursOld = (now - postTime) / (1000 * 60 * 60);
-    
-    // Posts within configured hours get higher multiplier
-    if (hoursOld <= config.scoring.recencyHours) {
-      return Math.max(0, (config.scoring.recencyHours - hoursOld) / config.scoring.recencyHours);
-    }
-    
-    return 0;
+    return this.scoringEngine.scorePost(post);
   }
 
   /**
@@ -164,6 +151,35 @@ export class DataProcessor {
     return true;
   }
 
+  /**
+   * Merge near-duplicates across categories (reworded cross-posts, the same
+   * launch posted to several categories) into their highest scoring post;
+   * the others are listed on it as `sightings` (filterDuplicates only catches
+   * exact title + author matches)
+   */
+  removeNearDuplicates(posts, options = config.dedup) {
+    const { items, clusters, removed } = dedupeItems(posts, {
+      ...options,
+      getTitle: post => post.title,
+      getBody: post => post.fullContent || post.content?.preview,
+      // Listing posts only carry their own discussion URL, never an external link
+      getLink: () => null,
+      getRank: post => post.engagementScore || 0,
+      getSighting: post => ({
+        title: post.title,
+        url: post.url,
+        category: post.category?.key,
+        author: post.author?.username,
+        engagementScore: post.engagementScore
+      })
+    });
+    
+    if (removed > 0) {
+      console.log(`🧬 Merged ${removed} near-duplicate posts into ${clusters} posts`);
+    }
+    return items;
+  }
+
   /**
    * Generate key for duplicate detection
    */
@@ -5,10 +5,13 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { config } from '../config.js';
+import { getScoringEngine } from './scoring-engine.js';
+import { summarizeSentiment } from '../../shared/sentiment.js';
 
 export class JSONReportGenerator {
   constructor() {
     this.outputDir = config.reporting.outputDir;
+    this.scoringEngine = getScoringEngine();
   }
 
   /**
@@ -63,15 +66,8 @@ export class JSONReportGenerator {
     // Extract trending themes
     const trendingThemes = this.extractTrendingThemes(formattedPosts);
     
-    // Build engagement scoring info
-    const engagementScoring = {
-      algorithm: {
-        comments_weight: config.scoring?.weights?.comments || 0.6,
-        upvotes_weight: config.scoring?.weights?.upvotes || 0.3,
-        recency_weight: config.scoring?.weights?.recency || 0.1
-      },
-      description: "Posts ranked by engagement score calculated from weighted metrics"
-    };
+    // Build engagement scoring info from the weights actually used
+    const engagementScoring = this.scoringEngine.describe();
     
     return {
       metadata,
@@ -115,7 +111,8 @@ export class JSONReportGenerator {
       categories_covered: categoriesSet.size,
       top_engagement_category: this.getCategoryName(topCategory),
       average_engagement_per_post: Math.round(avgEngagement * 100) / 100,
-      total_community_engagement: totalEngagement
+      total_community_engagement: totalEngagement,
+      sentiment: summarizeSentiment(posts)
     };
   }
 
@@ -133,7 +130,9 @@ export class JSONReportGenerator {
       const author = {
         username: this.extractUsername(post.author),
         display_name: this.getDisplayName(post.author),
-        verified: false // We don't have this data yet
+        verified: Boolean(post.author?.verified),
+        // Only known when author profiles were fetched (--author-profiles)
+        followers: post.author?.followers ?? null
       };
       
       // Category
@@ -166,6 +165,7 @@ export class JSONReportGenerator {
         comments: commentCount,
         upvotes: upvotes,
         engagement_score: Math.round(engagementScore * 100) / 100,
+        engagement_tier: post.engagementTier || this.scoringEngine.getTier(engagementScore),
         views: views
       };
       
@@ -193,6 +193,7 @@ export class JSONReportGenerator {
         content,
         metrics,
         comments_data: commentsData,
+        sentiment: post.sentiment || null,
         tags,
         timestamps,
         ranking
@@ -439,7 +440,7 @@ export class JSONReportGenerator {
   }
 
   calculateEngagementScore(comments, upvotes) {
-    const weights = config.scoring?.weights || { comments: 0.6, upvotes: 0.3, recency: 0.1 };
+    const weights = this.scoringEngine.weights.engagementWeights;
     return (comments * weights.comments) + (upvotes * weights.upvotes);
   }
 }
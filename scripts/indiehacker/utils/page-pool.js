@@ -0,0 +1,159 @@
+/**
+ * Page Pool - Bounded set of browser pages with per-host rate limiting
+ * Lets post detail extraction run several pages at once without exceeding
+ * the requests-per-minute budget of any single host.
+ */
+
+/**
+ * Spaces out requests per host so each host sees at most `requestsPerMinute`
+ */
+export class HostRateLimiter {
+  constructor(requestsPerMinute = 30) {
+    this.defaultRequestsPerMinute = requestsPerMinute;
+    this.limits = new Map();    // host -> requests per minute
+    this.nextSlot = new Map();  // host -> earliest time (ms) the next request may start
+  }
+
+  setLimit(host, requestsPerMinute) {
+    this.limits.set(host, requestsPerMinute);
+  }
+
+  getInterval(host) {
+    const requestsPerMinute = this.limits.get(host) || this.defaultRequestsPerMinute;
+    return requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed
+   * Slots are reserved synchronously, so concurrent callers queue up in order
+   */
+  async acquire(url) {
+    const host = HostRateLimiter.hostOf(url);
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + this.getInterval(host));
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  static hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return 'unknown';
+    }
+  }
+}
+
+export class PagePool {
+  constructor(browserManager, options = {}) {
+    this.browserManager = browserManager;
+    this.size = Math.max(1, options.size || 1);
+    this.pageTimeout = options.pageTimeout;
+    this.idle = [];
+    this.all = new Set();
+    this.waiting = [];
+  }
+
+  /**
+   * Get a page, opening a new one while under the pool size or waiting for one to be released
+   */
+  async acquire() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+
+    if (this.all.size < this.size) {
+      // Reserve the slot before awaiting so concurrent callers can't overshoot
+      const placeholder = {};
+      this.all.add(placeholder);
+      try {
+        const page = await this.browserManager.newPage();
+        if (this.pageTimeout) {
+          page.setDefaultTimeout(this.pageTimeout);
+        }
+        this.all.delete(placeholder);
+        this.all.add(page);
+        return page;
+      } catch (error) {
+        this.all.delete(placeholder);
+        throw error;
+      }
+    }
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Return a page to the pool; broken pages are closed and their slot freed
+   */
+  async release(page, { broken = false } = {}) {
+    if (broken || page.isClosed?.()) {
+      this.all.delete(page);
+      await page.close().catch(() => {});
+
+      // A waiter can take the freed slot with a fresh page
+      const next = this.waiting.shift();
+      if (next) {
+        this.acquire().then(next.resolve, next.reject);
+      }
+      return;
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  /**
+   * Run a task with a pooled page
+   */
+  async run(task) {
+    const page = await this.acquire();
+    let broken = false;
+    try {
+      return await task(page);
+    } catch (error) {
+      broken = true;
+      throw error;
+    } finally {
+      await this.release(page, { broken });
+    }
+  }
+
+  /**
+   * Run `task(item, index)` for every item, at most `size` at a time
+   * Each worker pulls the next item until none are left; results keep the order of `items`
+   */
+  async map(items, task) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const i = nextIndex++;
+        results[i] = await task(items[i], i);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.size, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Close every page the pool opened
+   */
+  async close() {
+    const pages = Array.from(this.all);
+    this.all.clear();
+    this.idle = [];
+    await Promise.all(pages.map(page => page.close?.().catch(() => {})));
+  }
+}
+
+export default PagePool;
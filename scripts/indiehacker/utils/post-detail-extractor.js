@@ -1,119 +1,134 @@
 /**
  * Post Detail Extractor
- * Clicks into individual posts to extract full content and comments
+ * Opens individual posts (several at a time) to extract full content and comments
  */
 
 import { config } from '../config.js';
+import PagePool, { HostRateLimiter } from './page-pool.js';
+import { getRateLimit, getMaxConcurrency } from './category-config.js';
 
 export class PostDetailExtractor {
   constructor(browserManager) {
     this.browserManager = browserManager;
     this.page = null;
+    // Shared across categories so a host's budget holds for the whole run
+    this.rateLimiter = new HostRateLimiter();
   }
 
   /**
    * Extract full details for a list of posts
+   * Runs up to `concurrency` pages at once, rate limited per host by the
+   * category's `rateLimit.requestsPerMinute` in config/categories.json
    */
-  async extractFullDetails(posts, category) {
-    console.log(`\n🔍 Extracting full details for ${posts.length} posts from ${category}...`);
+  async extractFullDetails(posts, category, options = {}) {
+    const concurrency = options.concurrency || config.scraping.detailConcurrency || getMaxConcurrency();
+    const rateLimit = getRateLimit(category);
     
-    const detailedPosts = [];
+    console.log(`\n🔍 Extracting full details for ${posts.length} posts from ${category} ` +
+      `(${concurrency} pages, ${rateLimit.requestsPerMinute} req/min per host)...`);
     
-    for (let i = 0; i < posts.length; i++) {
-      const post = posts[i];
+    const pool = new PagePool(this.browserManager, {
+      size: Math.min(concurrency, posts.length) || 1,
+      pageTimeout: config.scraping.pageTimeout
+    });
+    const limiter = this.rateLimiter;
+    new Set(posts.map(post => HostRateLimiter.hostOf(post.url)))
+      .forEach(host => limiter.setLimit(host, rateLimit.requestsPerMinute));
+    let detailedPosts;
+    
+    try {
+      detailedPosts = await pool.map(posts, (post, i) => this.extractSinglePost(post, i, posts.length, pool, limiter));
+    } finally {
+      await pool.close();
+    }
+    
+    console.log(`✅ Extracted details for ${detailedPosts.length} posts`);
+    return detailedPosts;
+  }
+
+  /**
+   * Open one post with a pooled page and merge its details into the listing data
+   */
+  async extractSinglePost(post, index, total, pool, limiter) {
+    // Skip if no URL
+    if (!post.url) {
+      console.log(`⚠️ Skipping post ${index + 1}: No URL`);
+      return post;
+    }
+    
+    let page = null;
+    let broken = false;
+    
+    try {
+      // Inside the try: a page that fails to open only costs this post its details
+      page = await pool.acquire();
+      await limiter.acquire(post.url);
+      console.log(`📖 [${index + 1}/${total}] Extracting: ${post.title?.substring(0, 50)}...`);
+      
+      // Navigate to post detail page
+      await page.goto(post.url, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      
+      // Wait for content to load
+      await page.waitForSelector('body', { timeout: 5000 });
+      await this.browserManager.delay(1000);
+      
+      // Extract full post details
+      const fullDetails = await this.extractPostPageData(page);
+      
+      // Merge with existing post data - ensure we keep the full content
+      const detailedPost = {
+        ...post,
+        fullContent: fullDetails.content || '', // Store the actual full content
+        comments: fullDetails.comments || [],
+        commentCount: fullDetails.comments?.length || 0,
+        author: fullDetails.author || post.author,
+        timestamp: fullDetails.timestamp || post.timestamp,
+        tags: fullDetails.tags || [],
+        views: fullDetails.views || 0
+      };
       
-      // Skip if no URL
-      if (!post.url) {
-        console.log(`⚠️ Skipping post ${i + 1}: No URL`);
-        detailedPosts.push(post);
-        continue;
+      // Log extraction success
+      if (fullDetails.content && fullDetails.content.length > 100) {
+        console.log(`  ✅ Got ${fullDetails.content.length} chars of content`);
+      }
+      if (fullDetails.comments && fullDetails.comments.length > 0) {
+        console.log(`  ✅ Got ${fullDetails.comments.length} comments`);
       }
       
-      try {
-        console.log(`📖 [${i + 1}/${posts.length}] Extracting: ${post.title?.substring(0, 50)}...`);
-        
-        // Create new page for each post to avoid navigation issues
-        this.page = await this.browserManager.newPage();
-        
-        // Navigate to post detail page
-        await this.page.goto(post.url, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        
-        // Wait for content to load
-        await this.page.waitForSelector('body', { timeout: 5000 });
-        await this.browserManager.delay(1000);
-        
-        // Extract full post details
-        const fullDetails = await this.extractPostPageData();
-        
-        // Merge with existing post data - ensure we keep the full content
-        const detailedPost = {
-          ...post,
-          fullContent: fullDetails.content || '', // Store the actual full content
-          comments: fullDetails.comments || [],
-          commentCount: fullDetails.comments?.length || 0,
-          author: fullDetails.author || post.author,
-          timestamp: fullDetails.timestamp || post.timestamp,
-          tags: fullDetails.tags || [],
-          views: fullDetails.views || 0
+      // Also update engagement to include actual comment count
+      if (fullDetails.comments && fullDetails.comments.length > 0) {
+        detailedPost.engagement = {
+          ...post.engagement,
+          comments: fullDetails.comments.length,
+          raw_comments: fullDetails.comments
         };
-        
-        // Log extraction success
-        if (fullDetails.content && fullDetails.content.length > 100) {
-          console.log(`  ✅ Got ${fullDetails.content.length} chars of content`);
-        }
-        if (fullDetails.comments && fullDetails.comments.length > 0) {
-          console.log(`  ✅ Got ${fullDetails.comments.length} comments`);
-        }
-        
-        // Also update engagement to include actual comment count
-        if (fullDetails.comments && fullDetails.comments.length > 0) {
-          detailedPost.engagement = {
-            ...post.engagement,
-            comments: fullDetails.comments.length,
-            raw_comments: fullDetails.comments
-          };
-        }
-        
-        detailedPosts.push(detailedPost);
-        
-        // Close the page
-        await this.page.close();
-        
-        // Add delay between posts to be respectful
-        if (i < posts.length - 1) {
-          await this.browserManager.delay(config.scraping.requestDelay);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error extracting details for post ${i + 1}:`, error.message);
-        
-        // Add original post data even if detail extraction fails
-        detailedPosts.push(post);
-        
-        // Try to close page if it exists
-        if (this.page) {
-          try {
-            await this.page.close();
-          } catch (e) {
-            // Ignore close errors
-          }
-        }
+      }
+      
+      return detailedPost;
+    } catch (error) {
+      console.error(`❌ Error extracting details for post ${index + 1}:`, error.message);
+      
+      // Don't hand a page stuck mid-navigation to the next post
+      broken = true;
+      
+      // Add original post data even if detail extraction fails
+      return post;
+    } finally {
+      if (page) {
+        await pool.release(page, { broken });
       }
     }
-    
-    console.log(`✅ Extracted details for ${detailedPosts.length} posts`);
-    return detailedPosts;
   }
 
   /**
    * Extract data from individual post page
    */
-  async extractPostPageData() {
+  async extractPostPageData(page = this.page) {
     try {
-      const data = await this.page.evaluate(() => {
+      const data = await page.evaluate(() => {
         // Helper function to clean text
         const cleanText = (text) => text?.trim().replace(/\s+/g, ' ') || '';
         
@@ -431,20 +446,19 @@ export class PostDetailExtractor {
   /**
    * Extract comments with pagination support
    */
-  async extractAllComments() {
-    const allComments = [];
+  async extractAllComments(page = this.page) {
     let hasMore = true;
-    let page = 1;
+    let commentPage = 1;
     
-    while (hasMore && page <= 5) { // Limit to 5 pages of comments
+    while (hasMore && commentPage <= 5) { // Limit to 5 pages of comments
       try {
         // Check for "Load More Comments" button
-        const loadMoreButton = await this.page.$('[class*="load-more"], button:has-text("more comments"), button:has-text("show more")');
+        const loadMoreButton = await page.$('[class*="load-more"], button:has-text("more comments"), button:has-text("show more")');
         
         if (loadMoreButton) {
           await loadMoreButton.click();
           await this.browserManager.delay(1000);
-          page++;
+          commentPage++;
         } else {
           hasMore = false;
         }
@@ -454,7 +468,7 @@ export class PostDetailExtractor {
     }
     
     // Extract all comments after loading
-    return await this.extractPostPageData();
+    return await this.extractPostPageData(page);
   }
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Product Extractor
+ * Opens IndieHackers product pages (several at a time) to extract the product's
+ * self-reported revenue, founders, launch date, tags and linked posts
+ */
+
+import { config } from '../config.js';
+import PagePool, { HostRateLimiter } from './page-pool.js';
+import { getRateLimit, getMaxConcurrency } from './category-config.js';
+
+const PERIOD_MONTHS = { mo: 1, month: 1, mrr: 1, yr: 12, year: 12, arr: 12 };
+
+export class ProductExtractor {
+  constructor(browserManager) {
+    this.browserManager = browserManager;
+    this.rateLimiter = new HostRateLimiter();
+  }
+
+  /**
+   * Product links from the products directory (sorted the way the site lists them)
+   */
+  async findProductLinks(limit = config.products.maxProducts) {
+    console.log(`🌐 Navigating to: ${config.products.listUrl}`);
+    await this.browserManager.navigateTo(config.products.listUrl);
+    await this.browserManager.waitForElement('body');
+    await this.browserManager.delay(2000);
+
+    // Product cards load as the page scrolls
+    let links = [];
+    for (let scrolls = 0; scrolls < 10; scrolls++) {
+      links = await this.browserManager.evaluateInPage(() => {
+        const seen = new Set();
+        return Array.from(document.querySelectorAll('a[href*="/product/"]'))
+          .map(link => ({ url: link.href.split(/[?#]/)[0], title: link.textContent?.trim().replace(/\s+/g, ' ') || '' }))
+          .filter(link => /\/product\/[^/]+\/?$/.test(link.url) && !seen.has(link.url) && seen.add(link.url));
+      });
+      if (links.length >= limit) break;
+      await this.browserManager.scrollToLoadMore(1);
+    }
+
+    console.log(`📋 Found ${links.length} products`);
+    return links.slice(0, limit);
+  }
+
+  /**
+   * Extract every product page; each link is { url, title?, category? }
+   * Pages that fail to load keep the listing data with `error` set
+   */
+  async extractProducts(links, options = {}) {
+    const concurrency = options.concurrency || config.scraping.detailConcurrency || getMaxConcurrency();
+    const rateLimit = getRateLimit(options.category || 'main');
+
+    console.log(`\n🏷️  Extracting ${links.length} product pages ` +
+      `(${concurrency} pages, ${rateLimit.requestsPerMinute} req/min per host)...`);
+
+    const pool = new PagePool(this.browserManager, {
+      size: Math.min(concurrency, links.length) || 1,
+      pageTimeout: config.scraping.pageTimeout
+    });
+    new Set(links.map(link => HostRateLimiter.hostOf(link.url)))
+      .forEach(host => this.rateLimiter.setLimit(host, rateLimit.requestsPerMinute));
+    let products;
+
+    try {
+      products = await pool.map(links, (link, i) => this.extractSingleProduct(link, i, links.length, pool));
+    } finally {
+      await pool.close();
+    }
+
+    console.log(`✅ Extracted ${products.filter(product => !product.error).length}/${links.length} products`);
+    return products;
+  }
+
+  async extractSingleProduct(link, index, total, pool) {
+    const page = await pool.acquire();
+    let broken = false;
+
+    try {
+      await this.rateLimiter.acquire(link.url);
+      console.log(`🏷️  [${index + 1}/${total}] ${link.title?.substring(0, 50) || link.url}`);
+
+      await page.goto(link.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await page.waitForSelector('body', { timeout: 5000 });
+      await this.browserManager.delay(1000);
+
+      const data = await this.extractProductPageData(page);
+      return buildProduct(link, data);
+    } catch (error) {
+      console.error(`❌ Error extracting product ${link.url}:`, error.message);
+      broken = true;
+      return buildProduct(link, {}, error.message);
+    } finally {
+      await pool.release(page, { broken });
+    }
+  }
+
+  /**
+   * Raw fields from a product page; revenue and dates are parsed outside the browser
+   */
+  async extractProductPageData(page) {
+    return await page.evaluate(() => {
+      const cleanText = (text) => text?.trim().replace(/\s+/g, ' ') || '';
+      const main = document.querySelector('main') || document.body;
+      const text = main.innerText || '';
+
+      // Revenue is shown as "$12K/mo", "$1,200 / month" or next to a "Revenue"/"MRR" label
+      const revenueMatch = text.match(/\$\s?[\d.,]+\s*[kKmM]?\s*(?:\/\s*(?:mo|month|yr|year)\b|per\s+(?:month|year)|\s*(?:MRR|ARR)\b)/) ||
+        text.match(/(?:revenue|mrr)[^\n$]{0,20}(\$\s?[\d.,]+\s*[kKmM]?)/i);
+
+      const founders = [];
+      const seenFounders = new Set();
+      main.querySelectorAll('a[href*="/u/"]').forEach(link => {
+        if (link.closest('.comment, .comments')) return;
+        const username = link.getAttribute('href').match(/\/u\/([^/?#]+)/)?.[1];
+        const displayName = cleanText(link.textContent);
+        if (username && displayName && !seenFounders.has(username)) {
+          seenFounders.add(username);
+          founders.push({ username, display_name: displayName, profile_url: link.href });
+        }
+      });
+
+      const seenPosts = new Set();
+      const linkedPosts = Array.from(main.querySelectorAll('a[href*="/post/"]'))
+        .map(link => ({ title: cleanText(link.textContent), url: link.href.split(/[?#]/)[0] }))
+        .filter(post => post.title && !seenPosts.has(post.url) && seenPosts.add(post.url));
+
+      const website = Array.from(main.querySelectorAll('a[href^="http"]'))
+        .map(link => link.href)
+        .find(href => !/indiehackers\.com|twitter\.com|x\.com|facebook\.com|linkedin\.com/.test(href));
+
+      return {
+        name: cleanText(main.querySelector('h1')?.textContent),
+        tagline: cleanText(main.querySelector('h1 + p, h2')?.textContent) ||
+          document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+        revenueText: revenueMatch ? cleanText(revenueMatch[0]) : '',
+        launchedText: text.match(/(?:launched|founded|started)\s+(?:in\s+|on\s+)?([A-Z][a-z]+\.?\s+(?:\d{1,2},\s+)?\d{4}|\d{4})/i)?.[1] || '',
+        founders,
+        tags: Array.from(main.querySelectorAll('a[href*="/tags/"], a[href*="/products?"]'))
+          .map(link => cleanText(link.textContent).replace(/^#/, ''))
+          .filter(Boolean),
+        linkedPosts,
+        website: website || ''
+      };
+    });
+  }
+}
+
+/**
+ * Monthly revenue from text such as "$12K/mo", "$1,200 per month" or "$240k ARR"
+ * Returns { mrr, amount, period, text } or null when there's no dollar amount
+ */
+export function parseRevenue(text) {
+  const match = String(text || '').replace(/,/g, '')
+    .match(/\$\s?([\d.]+)\s*([kKmM](?![a-z]))?\s*(?:\/\s*(mo|month|yr|year)\b|per\s+(month|year)|(MRR|ARR)\b)?/i);
+  if (!match) return null;
+
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  const value = parseFloat(match[1]);
+  if (isNaN(value)) return null; // "$." has a dollar sign but no number
+  const amount = Math.round(value * multiplier);
+  const period = (match[3] || match[4] || match[5] || 'mo').toLowerCase();
+
+  return {
+    mrr: Math.round(amount / PERIOD_MONTHS[period]),
+    amount,
+    period: PERIOD_MONTHS[period] === 12 ? 'year' : 'month',
+    text: String(text).trim()
+  };
+}
+
+/**
+ * Slug of a product URL: /product/<slug>
+ */
+export function productSlug(url) {
+  return (url || '').match(/\/product\/([^/?#]+)/)?.[1] || null;
+}
+
+function buildProduct(link, data, error = null) {
+  const launched = data.launchedText ? new Date(data.launchedText) : null;
+
+  return {
+    product_id: productSlug(link.url),
+    name: data.name || link.title || productSlug(link.url),
+    url: link.url,
+    tagline: data.tagline || '',
+    website: data.website || '',
+    revenue: parseRevenue(data.revenueText),
+    founders: data.founders || [],
+    launched_at: launched && !isNaN(launched.getTime()) ? launched.toISOString() : null,
+    tags: [...new Set(data.tags || [])],
+    linked_posts: data.linkedPosts || [],
+    found_in: link.category || null,
+    scraped_at: new Date().toISOString(),
+    ...(error ? { error } : {})
+  };
+}
+
+export default ProductExtractor;
@@ -0,0 +1,91 @@
+/**
+ * Product History - Self-reported revenue of IndieHackers products across runs
+ * Stored next to the post history as data/history/indiehackers/products.jsonl,
+ * one line per product per run (append-only, like the other history files)
+ */
+
+import HistoryStore from '../../shared/history-store.js';
+
+export class ProductHistory {
+  constructor(options = {}) {
+    // The history store owns the directory layout and the JSON Lines helpers
+    this.store = new HistoryStore(options);
+    this.file = this.store.filePath('indiehackers', 'products');
+    this.timelines = new Map(); // product id -> records (oldest first)
+  }
+
+  async load() {
+    this.timelines.clear();
+    for (const record of await this.store.readLines(this.file)) {
+      if (!this.timelines.has(record.product_id)) {
+        this.timelines.set(record.product_id, []);
+      }
+      this.timelines.get(record.product_id).push(record);
+    }
+    return this;
+  }
+
+  /**
+   * Revenue records for one product (oldest first)
+   */
+  getTimeline(productId) {
+    return this.timelines.get(productId) || [];
+  }
+
+  getProductIds() {
+    return Array.from(this.timelines.keys());
+  }
+
+  /**
+   * Append this run's revenue for each product and return the products with
+   * `revenue_change` comparing against the previous and the first recorded MRR
+   * Products that failed to load are returned unchanged and not recorded
+   */
+  async record(products, recordedAt = new Date().toISOString()) {
+    const records = [];
+
+    const tracked = products.map(product => {
+      if (product.error || !product.product_id) return product;
+
+      const timeline = this.getTimeline(product.product_id);
+      const known = timeline.filter(record => typeof record.mrr === 'number');
+      const previous = known[known.length - 1];
+      const first = known[0];
+      const mrr = product.revenue?.mrr ?? null;
+
+      const record = {
+        product_id: product.product_id,
+        name: product.name,
+        url: product.url,
+        recorded_at: recordedAt,
+        mrr,
+        revenue_text: product.revenue?.text || ''
+      };
+      records.push(record);
+      this.timelines.set(product.product_id, [...timeline, record]);
+
+      return {
+        ...product,
+        revenue_change: {
+          previous_mrr: previous?.mrr ?? null,
+          previous_recorded_at: previous?.recorded_at || null,
+          change: mrr !== null && previous ? mrr - previous.mrr : null,
+          change_percent: mrr !== null && previous?.mrr ? round((mrr - previous.mrr) / previous.mrr * 100) : null,
+          first_mrr: first?.mrr ?? null,
+          first_recorded_at: first?.recorded_at || null,
+          runs: timeline.length + 1
+        }
+      };
+    });
+
+    await this.store.appendLines(this.file, records);
+    console.log(`🗄️  History: recorded revenue for ${records.length} products`);
+    return tracked;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default ProductHistory;
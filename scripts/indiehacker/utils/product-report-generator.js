@@ -0,0 +1,150 @@
+/**
+ * Product Report Generator - products-data.json and products-report.md
+ * Written into the same dated folder as the category reports
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+export class ProductReportGenerator {
+  constructor() {
+    this.outputDir = config.reporting.outputDir;
+  }
+
+  /**
+   * Generate the products report; returns an entry shaped like the category reports
+   */
+  async generateProductReport(products, date = new Date()) {
+    const dateStr = this.formatDate(date);
+    const reportDir = path.join(this.outputDir, dateStr);
+    await fs.mkdir(reportDir, { recursive: true });
+
+    console.log(`  📝 Generating Products report (${products.length} products)...`);
+    const sortedProducts = this.sortByRevenue(products);
+
+    const jsonPath = path.join(reportDir, 'products-data.json');
+    await fs.writeFile(jsonPath, JSON.stringify(this.buildProductJSON(sortedProducts, dateStr), null, 2), 'utf8');
+
+    const markdownPath = path.join(reportDir, 'products-report.md');
+    await fs.writeFile(markdownPath, this.buildProductMarkdown(sortedProducts, dateStr), 'utf8');
+
+    return {
+      category: 'products',
+      jsonPath,
+      markdownPath,
+      postCount: products.length
+    };
+  }
+
+  buildProductJSON(products, dateStr) {
+    const withRevenue = products.filter(product => product.revenue);
+
+    return {
+      metadata: {
+        report_date: dateStr,
+        generated_at: new Date().toISOString(),
+        category: 'Products',
+        total_products: products.length,
+        products_with_revenue: withRevenue.length,
+        total_mrr: withRevenue.reduce((sum, product) => sum + product.revenue.mrr, 0),
+        failed_products: products.filter(product => product.error).length
+      },
+      products: products.map((product, index) => ({ ...product, ranking: index + 1 })),
+      revenue_movers: this.getRevenueMovers(products)
+    };
+  }
+
+  buildProductMarkdown(products, dateStr) {
+    let content = `# Products Report - ${dateStr}\n\n`;
+    content += `*IndieHackers Analytics - Product Pages*\n\n`;
+    content += `---\n\n`;
+
+    content += `## Summary\n\n`;
+    content += `- **Products:** ${products.length}\n`;
+    content += `- **With self-reported revenue:** ${products.filter(product => product.revenue).length}\n`;
+
+    if (products.length === 0) {
+      content += `\nNo product pages were found in this run.\n`;
+      return content;
+    }
+
+    const movers = this.getRevenueMovers(products);
+    if (movers.length > 0) {
+      content += `\n## Revenue Changes Since Last Run\n\n`;
+      movers.forEach(product => {
+        const { change, change_percent: percent, previous_mrr: previous } = product.revenue_change;
+        const sign = change > 0 ? '+' : '';
+        content += `- **[${product.name}](${product.url})**: ${this.formatMoney(previous)} → ${this.formatMoney(product.revenue.mrr)} ` +
+          `(${sign}${this.formatMoney(change)}${percent !== null ? `, ${sign}${percent}%` : ''})\n`;
+      });
+    }
+
+    content += `\n## Products\n\n`;
+    content += `| # | Product | MRR | Change | Founders | Launched |\n`;
+    content += `|---|---------|-----|--------|----------|----------|\n`;
+    products.forEach((product, index) => {
+      const founders = product.founders.map(founder => founder.display_name || founder.username).join(', ') || '-';
+      content += `| ${index + 1} | [${this.cell(product.name)}](${product.url}) | ${product.revenue ? this.formatMoney(product.revenue.mrr) : '-'} | ` +
+        `${this.formatChange(product.revenue_change)} | ${this.cell(founders)} | ${product.launched_at ? product.launched_at.split('T')[0] : '-'} |\n`;
+    });
+
+    products.forEach(product => {
+      content += `\n### ${product.name}\n\n`;
+      if (product.tagline) content += `${product.tagline}\n\n`;
+      if (product.website) content += `- **Website:** ${product.website}\n`;
+      if (product.revenue) content += `- **Revenue:** ${product.revenue.text}\n`;
+      if (product.tags.length > 0) content += `- **Tags:** ${product.tags.join(', ')}\n`;
+      if (product.error) content += `- **Not extracted:** ${product.error}\n`;
+      if (product.linked_posts.length > 0) {
+        content += `- **Posts:**\n`;
+        product.linked_posts.slice(0, 5).forEach(post => {
+          content += `  - [${post.title}](${post.url})\n`;
+        });
+      }
+    });
+
+    content += `\n---\n\n`;
+    content += `*Generated on ${new Date().toISOString()}*\n`;
+    return content;
+  }
+
+  /**
+   * Products whose MRR changed since the previous run, biggest change first
+   */
+  getRevenueMovers(products) {
+    return products
+      .filter(product => product.revenue_change?.change)
+      .sort((a, b) => Math.abs(b.revenue_change.change) - Math.abs(a.revenue_change.change));
+  }
+
+  /**
+   * Highest MRR first; products without revenue keep their listing order at the end
+   */
+  sortByRevenue(products) {
+    return [...products].sort((a, b) => (b.revenue?.mrr ?? -1) - (a.revenue?.mrr ?? -1));
+  }
+
+  formatChange(revenueChange) {
+    if (!revenueChange || revenueChange.previous_mrr === null) return 'new';
+    if (!revenueChange.change) return '-';
+    return `${revenueChange.change > 0 ? '+' : ''}${this.formatMoney(revenueChange.change)}`;
+  }
+
+  formatMoney(value) {
+    if (value === null || value === undefined) return '-';
+    const sign = value < 0 ? '-' : '';
+    return `${sign}$${Math.abs(value).toLocaleString('en-US')}`;
+  }
+
+  cell(value) {
+    return String(value || '').replace(/\|/g, '/');
+  }
+
+  formatDate(date) {
+    const d = date instanceof Date ? date : new Date(date);
+    return d.toISOString().split('T')[0];
+  }
+}
+
+export default ProductReportGenerator;
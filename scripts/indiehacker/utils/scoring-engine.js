@@ -0,0 +1,335 @@
+/**
+ * Scoring Engine - Engagement scoring driven by config/scoring-weights.json
+ *
+ * score = (comments × w.comments + upvotes × w.upvotes)
+ *         × (1 + w.recency × recency)          recency = 0.5^(age / halfLife), 0 past maxAge
+ *         × staleness                          e^(-decayRate × days past maxAge)
+ *         × quality                            1 + Σ qualityFactor × sub-score (0..1)
+ *         × category × keyword × author × sentiment multipliers
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { analyzePost } from '../../shared/sentiment.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(__dirname, '..', '..', '..');
+
+const TIER_ORDER = ['viral', 'popular', 'trending', 'active', 'minimal'];
+
+export class ScoringEngine {
+  constructor(weights = null) {
+    this.source = weights ? 'inline' : this.resolveWeightsPath();
+    this.weights = this.mergeWithDefaults(weights || this.loadWeightsFile(this.source));
+  }
+
+  /**
+   * Score a batch of posts; the batch is used to detect active authors
+   */
+  scorePosts(posts) {
+    const authorPostCounts = new Map();
+    posts.forEach(post => {
+      const author = this.getAuthorKey(post);
+      authorPostCounts.set(author, (authorPostCounts.get(author) || 0) + 1);
+    });
+
+    return posts.map(post => this.scorePost(post, { authorPostCounts }));
+  }
+
+  /**
+   * Score a single normalized post (see DataProcessor.normalizePost)
+   */
+  scorePost(post, context = {}) {
+    const comments = post.engagement?.comments || 0;
+    const upvotes = post.engagement?.upvotes || 0;
+    const { engagementWeights } = this.weights;
+
+    const baseScore = (comments * engagementWeights.comments) + (upvotes * engagementWeights.upvotes);
+    const hoursOld = this.getHoursOld(post.timestamp, context.now);
+    const recencyMultiplier = this.calculateRecency(hoursOld);
+    const stalenessMultiplier = this.calculateStaleness(hoursOld);
+    const qualityMultiplier = this.calculateQuality(post, context);
+    const categoryMultiplier = this.getCategoryMultiplier(post.category?.key);
+    const keywordBoost = this.calculateKeywordBoost(post);
+    const authorMultiplier = this.calculateAuthorMultiplier(post, context);
+    const sentimentMultiplier = this.weights.contentAnalysis.sentimentMultipliers[post.sentiment?.label || post.sentiment] ||
+      this.weights.contentAnalysis.sentimentMultipliers.neutral;
+
+    const totalScore = baseScore *
+      (1 + (recencyMultiplier * engagementWeights.recency)) *
+      stalenessMultiplier *
+      qualityMultiplier *
+      categoryMultiplier *
+      keywordBoost *
+      authorMultiplier *
+      sentimentMultiplier;
+
+    const engagementScore = Math.round(totalScore * 100) / 100;
+
+    return {
+      ...post,
+      engagementScore,
+      engagementTier: this.getTier(engagementScore),
+      metrics: {
+        baseScore,
+        recencyMultiplier: this.round(recencyMultiplier),
+        stalenessMultiplier: this.round(stalenessMultiplier),
+        qualityMultiplier: this.round(qualityMultiplier),
+        categoryMultiplier,
+        keywordBoost,
+        authorMultiplier: this.round(authorMultiplier),
+        sentimentMultiplier,
+        totalScore
+      }
+    };
+  }
+
+  /**
+   * Score a community item from any source (see scripts/shared/community-item.js)
+   * `context.now` scores the item as of an earlier time, e.g. a history snapshot
+   * Items without a sentiment get one from their body and comments
+   */
+  scoreItem(item, context = {}) {
+    return this.scorePost({
+      title: item.title,
+      content: item.body || '',
+      author: {
+        username: item.author?.username || 'unknown',
+        followers: item.author?.followers,
+        verified: item.author?.verified
+      },
+      engagement: {
+        upvotes: item.metrics?.score || 0,
+        comments: item.metrics?.comments || 0
+      },
+      timestamp: item.posted_at,
+      category: { key: item.community },
+      sentiment: item.sentiment || (config.sentiment.enabled ? analyzePost(item, config.sentiment) : undefined)
+    }, context);
+  }
+
+  /**
+   * Exponential half-life decay; posts older than maxAge get no recency bonus
+   */
+  calculateRecency(hoursOld) {
+    if (hoursOld === null) return 0;
+    const { halfLife, maxAge } = this.weights.recencyDecay;
+    if (hoursOld > maxAge) return 0;
+    return Math.pow(0.5, Math.max(0, hoursOld) / halfLife);
+  }
+
+  /**
+   * Posts past maxAge lose decayRate of their score per extra day (compounded)
+   */
+  calculateStaleness(hoursOld) {
+    if (hoursOld === null) return 1;
+    const { maxAge, decayRate } = this.weights.recencyDecay;
+    if (hoursOld <= maxAge) return 1;
+    return Math.exp(-decayRate * ((hoursOld - maxAge) / 24));
+  }
+
+  calculateQuality(post, context) {
+    const factors = this.weights.qualityFactors;
+    const comments = post.engagement?.comments || 0;
+    const upvotes = post.engagement?.upvotes || 0;
+
+    const subScores = {
+      contentLength: Math.min(this.getText(post).length / 2000, 1),
+      authorReputation: this.getAuthorReputation(post, context),
+      // Share of interactions that are replies rather than silent upvotes
+      responseRate: comments + upvotes > 0 ? comments / (comments + upvotes) : 0,
+      titleQuality: this.getTitleQuality(post.title || '')
+    };
+
+    return 1 + Object.entries(factors)
+      .reduce((sum, [factor, weight]) => sum + (weight * (subScores[factor] || 0)), 0);
+  }
+
+  calculateKeywordBoost(post) {
+    const text = `${post.title || ''} ${this.getText(post)}`.toLowerCase();
+    const boosts = Object.entries(this.weights.contentAnalysis.keywordBoosts)
+      .filter(([keyword]) => new RegExp(`\\b${this.escapeRegExp(keyword.toLowerCase())}`).test(text))
+      .map(([, boost]) => boost);
+
+    // Strongest matching keyword wins; boosts don't compound
+    return boosts.length > 0 ? Math.max(...boosts) : 1;
+  }
+
+  calculateAuthorMultiplier(post, context) {
+    const factors = this.weights.authorFactors;
+    let multiplier = 1;
+
+    if (post.author?.verified) {
+      multiplier *= factors.verifiedMultiplier;
+    }
+
+    if ((context.authorPostCounts?.get(this.getAuthorKey(post)) || 0) > 1) {
+      multiplier *= factors.activityBonus;
+    }
+
+    return multiplier;
+  }
+
+  getCategoryMultiplier(categoryKey) {
+    const multipliers = this.weights.categoryMultipliers;
+    if (!categoryKey) return 1;
+    return multipliers[categoryKey] ?? 1;
+  }
+
+  /**
+   * Tier label from engagementThresholds (highest threshold reached)
+   */
+  getTier(score) {
+    const thresholds = this.weights.engagementThresholds;
+    const tier = TIER_ORDER.find(name => thresholds[name] !== undefined && score >= thresholds[name]);
+    return tier || 'none';
+  }
+
+  /**
+   * Weights actually in effect, for the engagement_scoring block of reports
+   */
+  describe(categoryKey = null) {
+    const { engagementWeights, recencyDecay } = this.weights;
+    const algorithm = {
+      comments_weight: engagementWeights.comments,
+      upvotes_weight: engagementWeights.upvotes,
+      recency_weight: engagementWeights.recency,
+      recency_half_life_hours: recencyDecay.halfLife,
+      recency_max_age_hours: recencyDecay.maxAge,
+      staleness_decay_rate_per_day: recencyDecay.decayRate,
+      quality_factors: { ...this.weights.qualityFactors },
+      keyword_boosts: { ...this.weights.contentAnalysis.keywordBoosts },
+      sentiment_multipliers: { ...this.weights.contentAnalysis.sentimentMultipliers },
+      author_factors: { ...this.weights.authorFactors }
+    };
+
+    if (categoryKey) {
+      algorithm.category_multiplier = this.getCategoryMultiplier(categoryKey);
+    } else {
+      algorithm.category_multipliers = { ...this.weights.categoryMultipliers };
+    }
+
+    return {
+      algorithm,
+      tiers: { ...this.weights.engagementThresholds },
+      weights_source: this.describeSource(),
+      description: 'Weighted comments/upvotes with half-life recency decay, quality, category, keyword, author and sentiment multipliers'
+    };
+  }
+
+  /**
+   * Utility methods
+   */
+  resolveWeightsPath() {
+    const file = config.scoring.weightsFile;
+    if (!file) return null;
+    return path.isAbsolute(file) ? file : path.join(REPO_ROOT, file);
+  }
+
+  describeSource() {
+    if (!this.source) return 'config.js';
+    if (this.source === 'inline') return 'inline';
+    return path.relative(REPO_ROOT, this.source);
+  }
+
+  loadWeightsFile(filePath) {
+    if (!filePath) return {};
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not load scoring weights from ${filePath}: ${error.message}. Using config.js weights`);
+      this.source = null;
+      return {};
+    }
+  }
+
+  mergeWithDefaults(weights) {
+    const fallback = config.scoring.weights;
+    return {
+      engagementWeights: { ...fallback, ...weights.engagementWeights },
+      qualityFactors: { ...weights.qualityFactors },
+      categoryMultipliers: { ...weights.categoryMultipliers },
+      recencyDecay: {
+        halfLife: config.scoring.recencyHours / 2,
+        maxAge: config.scoring.recencyHours,
+        decayRate: 0,
+        ...weights.recencyDecay
+      },
+      engagementThresholds: { ...weights.engagementThresholds },
+      contentAnalysis: {
+        keywordBoosts: { ...weights.contentAnalysis?.keywordBoosts },
+        sentimentMultipliers: { neutral: 1, ...weights.contentAnalysis?.sentimentMultipliers }
+      },
+      authorFactors: {
+        verifiedMultiplier: 1,
+        followersThreshold: 1000,
+        reputationWeight: 0,
+        activityBonus: 1,
+        ...weights.authorFactors
+      }
+    };
+  }
+
+  getHoursOld(timestamp, now = Date.now()) {
+    if (!timestamp) return null;
+    const time = new Date(timestamp).getTime();
+    if (isNaN(time)) return null;
+    return (new Date(now).getTime() - time) / (1000 * 60 * 60);
+  }
+
+  getAuthorReputation(post, context) {
+    const { followersThreshold, reputationWeight } = this.weights.authorFactors;
+    const followers = post.author?.followers ?? post.author?.follower_count;
+
+    if (typeof followers === 'number') {
+      return Math.min(followers / followersThreshold, 1);
+    }
+
+    // No follower data (author profiles not fetched): approximate from how often the author shows up
+    const postCount = context.authorPostCounts?.get(this.getAuthorKey(post)) || 0;
+    return Math.min(postCount * reputationWeight, 1);
+  }
+
+  getTitleQuality(title) {
+    const length = title.trim().length;
+    if (length < 10) return 0;
+    if (length < 20 || length > 120) return 0.5;
+    return 1;
+  }
+
+  getText(post) {
+    if (post.fullContent) return post.fullContent;
+    if (typeof post.content === 'string') return post.content;
+    return post.content?.preview || '';
+  }
+
+  getAuthorKey(post) {
+    const author = post.author;
+    if (!author) return 'unknown';
+    return (typeof author === 'object' ? author.username : String(author)).toLowerCase();
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+let sharedEngine = null;
+
+/**
+ * Engine loaded once from config/scoring-weights.json
+ */
+export function getScoringEngine() {
+  if (!sharedEngine) {
+    sharedEngine = new ScoringEngine();
+  }
+  return sharedEngine;
+}
+
+export default ScoringEngine;
@@ -39,6 +39,43 @@ const reddit_scraper_enhanced_1 = require("./reddit-scraper-enhanced");
 const path = __importStar(require("path"));
 const chalk = require('chalk');
 const program = new commander_1.Command();
+function parseBackend(value) {
+    if (value !== 'json' && value !== 'dom') {
+        console.error(chalk.red(`❌ Error: --backend must be json or dom (got "${value}")`));
+        process.exit(1);
+    }
+    return value;
+}
+function parseTimeFilter(value) {
+    const ranges = ['hour', 'day', 'week', 'month', 'year', 'all'];
+    if (!ranges.includes(value)) {
+        console.error(chalk.red(`❌ Error: --time must be one of ${ranges.join(', ')} (got "${value}")`));
+        process.exit(1);
+    }
+    return value;
+}
+// --subreddits, or the subreddits of a saved --watchlist
+async function resolveSubreddits(options) {
+    if (options.subreddits) {
+        return options.subreddits.split(',').map((s) => s.trim());
+    }
+    if (options.watchlist) {
+        try {
+            const watchlist = await (0, reddit_scraper_enhanced_1.getWatchlist)(options.watchlist);
+            console.log(chalk.gray(`Watch list "${watchlist.name}" (discovered for "${watchlist.keyword}")`));
+            return watchlist.subreddits;
+        }
+        catch (error) {
+            console.error(chalk.red(`❌ Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    return null;
+}
+// Comments including nested replies
+function countComments(comments) {
+    return comments.reduce((sum, comment) => sum + 1 + countComments(comment.replies || []), 0);
+}
 program
     .name('reddit-scraper')
     .description('Reddit Content Scraper - Extract posts and comments from Reddit')
@@ -50,8 +87,13 @@ program
     .option('--keyword <keyword>', 'Keyword to search for')
     .option('--format <format>', 'Output format (json|markdown)', 'json')
     .option('--limit <number>', 'Maximum number of posts', '25')
+    .option('--time <range>', 'Time range (hour|day|week|month|year|all)', 'all')
     .option('--with-comments', 'Fetch comments for each post')
+    .option('--comment-depth <number>', 'Reply levels to keep under each comment', '3')
+    .option('--comment-replies <number>', 'Replies to keep under each comment', '5')
     .option('--output <file>', 'Output file name (will be saved to report/reddit/)')
+    .option('--no-history', 'Do not record this run in the local history store')
+    .option('--backend <backend>', 'json (Reddit .json endpoints, DOM fallback when blocked) or dom', 'json')
     .action(async (options) => {
     if (!options.keyword) {
         console.error(chalk.red('❌ Error: --keyword is required'));
@@ -59,25 +101,30 @@ program
     }
     console.log(chalk.blue(`🔍 Searching Reddit for: "${options.keyword}"`));
     console.log(chalk.gray(`Format: ${options.format} | Limit: ${options.limit}`));
-    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false });
+    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false, history: options.history, backend: parseBackend(options.backend) });
     try {
         await scraper.initialize();
         console.log(chalk.green('✓ Browser initialized'));
-        const posts = await scraper.searchByKeyword(options.keyword, parseInt(options.limit));
+        const posts = await scraper.searchByKeyword(options.keyword, parseInt(options.limit), parseTimeFilter(options.time));
         console.log(chalk.green(`✓ Found ${posts.length} posts`));
         // Fetch comments if requested
         if (options.withComments && posts.length > 0) {
             console.log(chalk.blue('💬 Fetching comments...'));
             const postsToFetchComments = posts.slice(0, 5); // Limit to first 5 posts
             for (const post of postsToFetchComments) {
-                post.comments = await scraper.fetchComments(post.url, 5);
-                console.log(chalk.gray(`  ✓ Fetched ${post.comments.length} comments for: ${post.title.substring(0, 50)}...`));
+                post.comments = await scraper.fetchComments(post.url, 5, {
+                    maxDepth: parseInt(options.commentDepth),
+                    maxReplies: parseInt(options.commentReplies)
+                });
+                console.log(chalk.gray(`  ✓ Fetched ${countComments(post.comments)} comments for: ${post.title.substring(0, 50)}...`));
             }
         }
+        const sentiment = await scraper.analyzeSentiment(posts);
+        await scraper.recordHistory(posts, options.keyword);
         // Format output
         let output;
         if (options.format === 'markdown') {
-            output = scraper.formatAsMarkdown(posts, `Reddit Search: ${options.keyword}`);
+            output = scraper.formatAsMarkdown(posts, `Reddit Search: ${options.keyword}`, sentiment);
         }
         else {
             output = scraper.formatAsJSON({
@@ -85,7 +132,8 @@ program
                 metadata: {
                     searchTime: new Date().toISOString(),
                     keyword: options.keyword,
-                    totalPosts: posts.length
+                    totalPosts: posts.length,
+                    sentiment
                 }
             });
         }
@@ -123,24 +171,28 @@ program
     .description('Get trending posts from specified subreddits')
     .option('--days <number>', 'Time range in days (1, 7, or 30)', '1')
     .option('--subreddits <list>', 'Comma-separated list of subreddits')
+    .option('--watchlist <name>', 'Use the subreddits of a watch list saved by discover')
     .option('--format <format>', 'Output format (json|markdown)', 'json')
     .option('--output <file>', 'Output file name (will be saved to report/reddit/)')
+    .option('--no-history', 'Do not record this run in the local history store')
+    .option('--backend <backend>', 'json (Reddit .json endpoints, DOM fallback when blocked) or dom', 'json')
     .action(async (options) => {
-    const subredditList = options.subreddits
-        ? options.subreddits.split(',').map((s) => s.trim())
-        : ['programming', 'technology', 'startup', 'entrepreneur'];
+    const subredditList = await resolveSubreddits(options) ||
+        ['programming', 'technology', 'startup', 'entrepreneur'];
     console.log(chalk.blue(`📈 Fetching trending posts from the last ${options.days} day(s)`));
     console.log(chalk.gray(`Subreddits: ${subredditList.join(', ')}`));
-    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false });
+    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false, history: options.history, backend: parseBackend(options.backend) });
     try {
         await scraper.initialize();
         console.log(chalk.green('✓ Browser initialized'));
         const posts = await scraper.getTrendingPosts(subredditList, parseInt(options.days));
         console.log(chalk.green(`✓ Found ${posts.length} trending posts`));
+        const sentiment = await scraper.analyzeSentiment(posts);
+        await scraper.recordHistory(posts, `trending:${subredditList.join(',')}`);
         // Format output
         let output;
         if (options.format === 'markdown') {
-            output = scraper.formatAsMarkdown(posts, `Trending Reddit Posts (${options.days} day${options.days > 1 ? 's' : ''})`);
+            output = scraper.formatAsMarkdown(posts, `Trending Reddit Posts (${options.days} day${options.days > 1 ? 's' : ''})`, sentiment);
         }
         else {
             output = scraper.formatAsJSON({
@@ -148,7 +200,8 @@ program
                 metadata: {
                     searchTime: new Date().toISOString(),
                     subreddits: subredditList,
-                    totalPosts: posts.length
+                    totalPosts: posts.length,
+                    sentiment
                 }
             });
         }
@@ -187,24 +240,29 @@ program
     .command('batch')
     .description('Fetch top posts from multiple subreddits')
     .option('--subreddits <list>', 'Comma-separated list of subreddits')
+    .option('--watchlist <name>', 'Use the subreddits of a watch list saved by discover')
     .option('--limit <number>', 'Posts per subreddit', '10')
     .option('--format <format>', 'Output format (json|markdown)', 'json')
     .option('--output <file>', 'Output file name (will be saved to report/reddit/)')
+    .option('--no-history', 'Do not record this run in the local history store')
+    .option('--backend <backend>', 'json (Reddit .json endpoints, DOM fallback when blocked) or dom', 'json')
     .action(async (options) => {
-    if (!options.subreddits) {
-        console.error(chalk.red('❌ Error: --subreddits is required'));
+    const subredditList = await resolveSubreddits(options);
+    if (!subredditList) {
+        console.error(chalk.red('❌ Error: --subreddits or --watchlist is required'));
         process.exit(1);
     }
-    const subredditList = options.subreddits.split(',').map((s) => s.trim());
     console.log(chalk.blue('📦 Starting batch fetch...'));
     console.log(chalk.gray(`Subreddits: ${subredditList.join(', ')}`));
     console.log(chalk.gray(`Posts per subreddit: ${options.limit}`));
-    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false });
+    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false, history: options.history, backend: parseBackend(options.backend) });
     try {
         await scraper.initialize();
         console.log(chalk.green('✓ Browser initialized'));
         const result = await scraper.batchFetchSubreddits(subredditList, parseInt(options.limit));
         console.log(chalk.green(`✓ Fetched ${result.posts.length} posts from ${subredditList.length} subreddits`));
+        result.metadata.sentiment = await scraper.analyzeSentiment(result.posts);
+        await scraper.recordHistory(result.posts, `batch:${subredditList.join(',')}`);
         // Format output
         let output;
         if (options.format === 'markdown') {
@@ -244,14 +302,79 @@ program
         await scraper.close();
     }
 });
+// Subreddit discovery
+program
+    .command('discover <keyword>')
+    .description('Find the subreddits where a keyword is discussed most')
+    .option('--limit <number>', 'Number of subreddits to recommend', '10')
+    .option('--sample <number>', 'Search results to count mentions in', '100')
+    .option('--time <range>', 'Time range of the search sample (hour|day|week|month|year|all)', 'year')
+    .option('--format <format>', 'Output format (json|markdown)', 'json')
+    .option('--output <file>', 'Output file name (will be saved to report/reddit/)')
+    .option('--save-watchlist [name]', 'Save the recommended subreddits as a watch list for trending/batch (default name: the keyword)')
+    .option('--backend <backend>', 'json (Reddit .json endpoints, DOM fallback when blocked) or dom', 'json')
+    .action(async (keyword, options) => {
+    console.log(chalk.blue(`🧭 Discovering subreddits for: "${keyword}"`));
+    console.log(chalk.gray(`Sample: ${options.sample} posts (${options.time}) | Limit: ${options.limit}`));
+    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: false, backend: parseBackend(options.backend) });
+    try {
+        await scraper.initialize();
+        console.log(chalk.green('✓ Browser initialized'));
+        const discovery = await scraper.discoverSubreddits(keyword, {
+            limit: parseInt(options.limit),
+            sampleSize: parseInt(options.sample),
+            time: parseTimeFilter(options.time)
+        });
+        console.log(chalk.green(`✓ Ranked ${discovery.subreddits.length} subreddits from ${discovery.metadata.postsSampled} posts`));
+        if (options.saveWatchlist && discovery.subreddits.length > 0) {
+            const name = typeof options.saveWatchlist === 'string'
+                ? options.saveWatchlist
+                : keyword.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const file = await (0, reddit_scraper_enhanced_1.saveWatchlist)(name, keyword, discovery.subreddits.map(sub => sub.name));
+            console.log(chalk.green(`✅ Watch list "${name}" saved to: ${file}`));
+            console.log(chalk.gray(`   Use it with: batch --watchlist ${name} or trending --watchlist ${name}`));
+        }
+        const output = options.format === 'markdown'
+            ? scraper.formatDiscoveryAsMarkdown(discovery)
+            : JSON.stringify(discovery, null, 2);
+        // Save or display output
+        if (options.output) {
+            // Extract just the filename, removing any path components
+            const baseFilename = path.basename(options.output);
+            const filename = baseFilename.endsWith('.json') || baseFilename.endsWith('.md')
+                ? baseFilename
+                : `${baseFilename}.${options.format === 'markdown' ? 'md' : 'json'}`;
+            const savedPath = await scraper.saveToFile(output, filename);
+            console.log(chalk.green(`✅ Results saved to: ${savedPath}`));
+        }
+        else {
+            console.log(output);
+        }
+        // Summary
+        if (discovery.subreddits.length > 0) {
+            console.log(chalk.cyan('\n📊 Top subreddits:'));
+            discovery.subreddits.slice(0, 5).forEach(sub => {
+                console.log(chalk.gray(`  - r/${sub.name}: ${sub.mentions} mentions, ${sub.subscribers.toLocaleString()} subscribers (score ${sub.discovery_score})`));
+            });
+        }
+    }
+    catch (error) {
+        console.error(chalk.red('❌ Error discovering subreddits:'), error);
+        process.exit(1);
+    }
+    finally {
+        await scraper.close();
+    }
+});
 // Test command for quick validation
 program
     .command('test')
     .description('Test the scraper with sample keyword "buildpad"')
-    .action(async () => {
+    .option('--backend <backend>', 'json or dom', 'json')
+    .action(async (options) => {
     var _a, _b;
     console.log(chalk.blue('🧪 Testing Reddit scraper with keyword: "buildpad"'));
-    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: true });
+    const scraper = new reddit_scraper_enhanced_1.RedditScraperEnhanced({ debug: true, backend: parseBackend(options.backend) });
     try {
         await scraper.initialize();
         console.log(chalk.green('✓ Browser initialized'));
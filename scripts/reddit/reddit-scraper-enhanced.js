@@ -34,15 +34,30 @@ var __importStar = (this && this.__importStar) || (function () {
 })();
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.RedditScraperEnhanced = void 0;
+exports.loadWatchlists = loadWatchlists;
+exports.getWatchlist = getWatchlist;
+exports.saveWatchlist = saveWatchlist;
 const playwright_1 = require("playwright");
 const fs = __importStar(require("fs/promises"));
 const path = __importStar(require("path"));
+const url_1 = require("url");
+// The shared modules in scripts/shared are ES modules; a real import() must
+// survive the CommonJS build, which would otherwise rewrite it to require()
+const importEsm = new Function('specifier', 'return import(specifier)');
+// Reddit refused the .json request (rate limit, login wall, bot check)
+class RedditBlockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedditBlockedError';
+    }
+}
 class RedditScraperEnhanced {
     constructor(options = {}) {
         this.browser = null;
         this.context = null;
         this.page = null;
-        this.options = Object.assign({ headless: true, delayBetweenRequests: 2000, maxRetries: 3, timeout: 30000, debug: false }, options);
+        this.jsonBlocked = false;
+        this.options = Object.assign({ headless: true, delayBetweenRequests: 2000, maxRetries: 3, timeout: 30000, debug: false, history: true, backend: 'json', baseUrl: 'https://www.reddit.com' }, options);
     }
     async initialize() {
         this.browser = await playwright_1.chromium.launch({
@@ -76,10 +91,253 @@ class RedditScraperEnhanced {
             console.log(`[DEBUG] ${message}`);
         }
     }
-    async searchByKeyword(keyword, limit = 25) {
+    async searchByKeyword(keyword, limit = 25, time = 'all') {
+        return this.withBackend('search', () => this.searchByKeywordJson(keyword, limit, time), () => this.searchByKeywordDom(keyword, limit, time));
+    }
+    async getTrendingPosts(subreddits, days = 1) {
+        return this.withBackend('trending', () => this.getTrendingPostsJson(subreddits, days), () => this.getTrendingPostsDom(subreddits, days));
+    }
+    async batchFetchSubreddits(subreddits, limit = 10) {
+        return this.withBackend('batch', () => this.batchFetchSubredditsJson(subreddits, limit), () => this.batchFetchSubredditsDom(subreddits, limit));
+    }
+    /**
+     * Fetch a post's comment tree. `maxComments` caps the top-level comments,
+     * `maxDepth` how many levels of replies are kept and `maxReplies` the
+     * replies kept under each comment.
+     */
+    async fetchComments(postUrl, maxComments = 10, treeOptions = {}) {
+        try {
+            return await this.withBackend('comments', () => this.fetchCommentsJson(postUrl, maxComments, treeOptions), () => this.fetchCommentsDom(postUrl, maxComments, treeOptions));
+        }
+        catch (error) {
+            this.log(`Error fetching comments: ${error}`);
+            return [];
+        }
+    }
+    /**
+     * Find the subreddits where a keyword is discussed most: mentions come from
+     * the subreddits of a search sample, candidates also from subreddit search.
+     * Ranked by mention volume, subscriber count and activity (users online).
+     */
+    async discoverSubreddits(keyword, options = {}) {
+        var _a, _b, _c;
+        const limit = (_a = options.limit) !== null && _a !== void 0 ? _a : 10;
+        const sampleSize = (_b = options.sampleSize) !== null && _b !== void 0 ? _b : 100;
+        const time = (_c = options.time) !== null && _c !== void 0 ? _c : 'year';
+        const { posts, infos } = await this.withBackend('discover', () => this.discoverSubredditsJson(keyword, sampleSize, time, limit), () => this.discoverSubredditsDom(keyword, sampleSize, time));
+        const subreddits = this.rankSubreddits(posts, infos).slice(0, limit);
+        return {
+            subreddits,
+            metadata: {
+                searchTime: new Date().toISOString(),
+                keyword,
+                postsSampled: posts.length,
+                totalSubreddits: subreddits.length
+            }
+        };
+    }
+    /**
+     * Run the JSON implementation unless the DOM backend was chosen; once Reddit
+     * blocks a .json request the rest of the session scrapes the DOM instead
+     */
+    async withBackend(operation, json, dom) {
+        if (!this.page)
+            throw new Error('Browser not initialized');
+        if (this.options.backend === 'dom' || this.jsonBlocked) {
+            return dom();
+        }
+        try {
+            return await json();
+        }
+        catch (error) {
+            if (!(error instanceof RedditBlockedError))
+                throw error;
+            this.jsonBlocked = true;
+            console.warn(`⚠️  Reddit JSON ${operation} blocked (${error.message}), falling back to DOM scraping`);
+            return dom();
+        }
+    }
+    /**
+     * GET a reddit.com .json endpoint through the browser context (same cookies
+     * and user agent as the DOM backend)
+     */
+    async fetchJson(pathname, params = {}) {
+        const url = new URL(pathname.replace(/\/?$/, '.json'), this.options.baseUrl);
+        url.searchParams.set('raw_json', '1');
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== '')
+                url.searchParams.set(key, String(value));
+        }
+        this.log(`GET ${url}`);
+        const response = await this.context.request.get(url.toString(), { timeout: this.options.timeout });
+        if ([401, 403, 429].includes(response.status())) {
+            throw new RedditBlockedError(`HTTP ${response.status()}`);
+        }
+        if (!response.ok()) {
+            throw new Error(`Reddit returned HTTP ${response.status()} for ${url.pathname}`);
+        }
+        // Login walls and bot checks come back as HTML with a 200
+        const contentType = response.headers()['content-type'] || '';
+        if (!contentType.includes('json')) {
+            throw new RedditBlockedError(`expected JSON, got ${contentType.split(';')[0] || 'no content type'}`);
+        }
+        return response.json();
+    }
+    /**
+     * Page through a listing with `after` until `limit` posts are collected
+     * or the listing ends
+     */
+    async fetchListing(pathname, limit, params = {}) {
+        var _a, _b;
+        const posts = [];
+        let after;
+        while (posts.length < limit) {
+            const listing = await this.fetchJson(pathname, Object.assign(Object.assign({}, params), { limit: Math.min(100, limit - posts.length), after }));
+            const children = ((_a = listing === null || listing === void 0 ? void 0 : listing.data) === null || _a === void 0 ? void 0 : _a.children) || [];
+            children
+                .filter(child => child.kind === 't3')
+                .forEach(child => posts.push(this.postFromJson(child.data)));
+            after = ((_b = listing === null || listing === void 0 ? void 0 : listing.data) === null || _b === void 0 ? void 0 : _b.after) || undefined;
+            if (!after || children.length === 0)
+                break;
+            await this.page.waitForTimeout(this.options.delayBetweenRequests);
+        }
+        return posts.slice(0, limit);
+    }
+    postFromJson(data) {
+        var _a;
+        return {
+            id: data.id,
+            title: data.title,
+            url: `https://www.reddit.com${data.permalink}`,
+            author: data.author,
+            subreddit: data.subreddit,
+            created_utc: new Date(data.created_utc * 1000).toISOString(),
+            score: data.score,
+            upvote_ratio: (_a = data.upvote_ratio) !== null && _a !== void 0 ? _a : 0,
+            num_comments: data.num_comments,
+            content: data.selftext || '',
+            link_url: !data.is_self && data.url && !data.url.includes('reddit.com') ? data.url : '',
+            comments: []
+        };
+    }
+    async searchByKeywordJson(keyword, limit, time) {
+        this.log(`Searching for keyword (json): ${keyword}`);
+        return this.fetchListing('/search', limit, { q: keyword, sort: 'relevance', t: time });
+    }
+    async getTrendingPostsJson(subreddits, days) {
+        const posts = [];
+        const timeFilter = days === 1 ? 'day' : days <= 7 ? 'week' : 'month';
+        for (const subreddit of subreddits) {
+            this.log(`Fetching trending from r/${subreddit} (json)`);
+            const topPosts = await this.fetchListing(`/r/${subreddit}/top`, 10, { t: timeFilter });
+            topPosts.forEach(post => {
+                post.trending_score = this.calculateTrendingScore(post);
+                posts.push(post);
+            });
+        }
+        return posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
+    }
+    async batchFetchSubredditsJson(subreddits, limit) {
+        const result = {
+            posts: [],
+            metadata: {
+                searchTime: new Date().toISOString(),
+                subreddits: subreddits,
+                totalPosts: 0
+            }
+        };
+        for (const subreddit of subreddits) {
+            this.log(`Batch fetching from r/${subreddit} (json)`);
+            const hotPosts = await this.fetchListing(`/r/${subreddit}/hot`, limit);
+            hotPosts.forEach(post => {
+                post.trending_score = this.calculateTrendingScore(post);
+                result.posts.push(post);
+            });
+        }
+        result.metadata.totalPosts = result.posts.length;
+        result.posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
+        return result;
+    }
+    /**
+     * The comments endpoint returns [post listing, comment listing]; replies
+     * are nested listings. "more" stubs (collapsed threads) are skipped.
+     */
+    async fetchCommentsJson(postUrl, maxComments, treeOptions) {
+        var _a, _b;
+        const maxDepth = (_a = treeOptions.maxDepth) !== null && _a !== void 0 ? _a : 3;
+        const maxReplies = (_b = treeOptions.maxReplies) !== null && _b !== void 0 ? _b : 5;
+        const { pathname } = new URL(postUrl, 'https://www.reddit.com');
+        const [, commentListing] = await this.fetchJson(pathname, {
+            sort: 'top',
+            depth: maxDepth + 1,
+            limit: 500
+        });
+        const toComments = (listing, depth, max) => {
+            var _a;
+            const children = ((_a = listing === null || listing === void 0 ? void 0 : listing.data) === null || _a === void 0 ? void 0 : _a.children) || [];
+            return children
+                .filter(child => child.kind === 't1')
+                .slice(0, max)
+                .map(child => ({
+                id: child.data.id,
+                author: child.data.author,
+                body: child.data.body || '',
+                score: child.data.score,
+                created_utc: new Date(child.data.created_utc * 1000).toISOString(),
+                replies: depth < maxDepth && child.data.replies
+                    ? toComments(child.data.replies, depth + 1, maxReplies)
+                    : []
+            }));
+        };
+        return toComments(commentListing, 0, maxComments);
+    }
+    /**
+     * Search sample plus /subreddits/search; subreddits that were mentioned but
+     * not found by name get their about.json (the `limit` most mentioned only)
+     */
+    async discoverSubredditsJson(keyword, sampleSize, time, limit) {
+        var _a;
+        this.log(`Discovering subreddits for: ${keyword} (json)`);
+        const posts = await this.searchByKeywordJson(keyword, sampleSize, time);
+        const listing = await this.fetchJson('/subreddits/search', { q: keyword, limit: 25 });
+        const infos = (((_a = listing === null || listing === void 0 ? void 0 : listing.data) === null || _a === void 0 ? void 0 : _a.children) || [])
+            .filter((child) => child.kind === 't5')
+            .map((child) => this.subredditFromJson(child.data));
+        const known = new Set(infos.map(info => info.name.toLowerCase()));
+        const missing = this.countMentions(posts)
+            .filter(([name]) => !known.has(name.toLowerCase()))
+            .slice(0, limit);
+        for (const [name] of missing) {
+            await this.page.waitForTimeout(this.options.delayBetweenRequests);
+            try {
+                const about = await this.fetchJson(`/r/${name}/about`);
+                if ((about === null || about === void 0 ? void 0 : about.kind) === 't5')
+                    infos.push(this.subredditFromJson(about.data));
+            }
+            catch (error) {
+                // Private, banned and quarantined subreddits still rank on their mentions
+                this.log(`No about.json for r/${name}: ${error}`);
+            }
+        }
+        return { posts, infos };
+    }
+    subredditFromJson(data) {
+        var _a, _b;
+        return {
+            name: data.display_name,
+            title: data.title || '',
+            description: data.public_description || '',
+            subscribers: data.subscribers || 0,
+            active_users: (_b = (_a = data.active_user_count) !== null && _a !== void 0 ? _a : data.accounts_active) !== null && _b !== void 0 ? _b : 0,
+            over18: Boolean(data.over18),
+            url: `https://www.reddit.com/r/${data.display_name}/`
+        };
+    }
+    async searchByKeywordDom(keyword, limit, time) {
         if (!this.page)
             throw new Error('Browser not initialized');
-        const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&sort=relevance&t=all`;
+        const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&sort=relevance&t=${time}`;
         const posts = [];
         try {
             this.log(`Searching for keyword: ${keyword}`);
@@ -110,7 +368,7 @@ class RedditScraperEnhanced {
         }
         return posts;
     }
-    async getTrendingPosts(subreddits, days = 1) {
+    async getTrendingPostsDom(subreddits, days) {
         if (!this.page)
             throw new Error('Browser not initialized');
         const posts = [];
@@ -149,7 +407,7 @@ class RedditScraperEnhanced {
         // Sort by trending score
         return posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
     }
-    async batchFetchSubreddits(subreddits, limit = 10) {
+    async batchFetchSubredditsDom(subreddits, limit) {
         if (!this.page)
             throw new Error('Browser not initialized');
         const result = {
@@ -196,6 +454,55 @@ class RedditScraperEnhanced {
         result.posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
         return result;
     }
+    /**
+     * Search sample plus the communities tab of the search page; the page shows
+     * member counts but no activity, so `active_users` stays 0
+     */
+    async discoverSubredditsDom(keyword, sampleSize, time) {
+        if (!this.page)
+            throw new Error('Browser not initialized');
+        const posts = await this.searchByKeywordDom(keyword, sampleSize, time);
+        const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&type=communities`;
+        this.log(`Searching communities for: ${keyword}`);
+        await this.page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
+        await this.page.waitForTimeout(this.options.delayBetweenRequests);
+        const infos = await this.page.evaluate(() => {
+            const parseCount = (text) => {
+                const match = text.replace(/,/g, '').match(/([\d.]+)\s*([km]?)/i);
+                if (!match)
+                    return 0;
+                const multiplier = match[2].toLowerCase() === 'm' ? 1000000 : match[2].toLowerCase() === 'k' ? 1000 : 1;
+                return Math.round(parseFloat(match[1]) * multiplier);
+            };
+            const seen = new Set();
+            const results = [];
+            document.querySelectorAll('a[href^="/r/"]').forEach(link => {
+                var _a, _b, _c, _d, _e;
+                const name = (_a = (link.getAttribute('href') || '').match(/^\/r\/([^\/?#]+)\/?$/)) === null || _a === void 0 ? void 0 : _a[1];
+                if (!name || seen.has(name.toLowerCase()))
+                    return;
+                // The result card is the closest ancestor that mentions members
+                let card = link;
+                while (card && !/members/i.test(card.textContent || ''))
+                    card = card.parentElement;
+                if (!card || card === document.body)
+                    return;
+                seen.add(name.toLowerCase());
+                const text = card.textContent || '';
+                results.push({
+                    name,
+                    title: '',
+                    description: ((_c = (_b = card.querySelector('p')) === null || _b === void 0 ? void 0 : _b.textContent) === null || _c === void 0 ? void 0 : _c.trim()) || '',
+                    subscribers: parseCount(((_d = text.match(/([\d.,]+\s*[kKmM]?)\s*members/)) === null || _d === void 0 ? void 0 : _d[1]) || ''),
+                    active_users: parseCount(((_e = text.match(/([\d.,]+\s*[kKmM]?)\s*online/)) === null || _e === void 0 ? void 0 : _e[1]) || ''),
+                    over18: /\bnsfw\b/i.test(text),
+                    url: `https://www.reddit.com/r/${name}/`
+                });
+            });
+            return results;
+        });
+        return { posts, infos };
+    }
     async extractPostData(element) {
         try {
             const postData = await element.evaluate((el) => {
@@ -304,41 +611,81 @@ class RedditScraperEnhanced {
             return null;
         }
     }
-    async fetchComments(postUrl, maxComments = 10) {
-        if (!this.page)
-            throw new Error('Browser not initialized');
-        const comments = [];
+    async fetchCommentsDom(postUrl, maxComments, treeOptions) {
+        const newPage = await this.context.newPage();
         try {
-            const newPage = await this.context.newPage();
             await newPage.goto(postUrl, { waitUntil: 'domcontentloaded' });
             await newPage.waitForTimeout(this.options.delayBetweenRequests);
-            // Get comments
-            const commentData = await newPage.evaluate(() => {
-                const comments = [];
-                // Find comment threads
-                const commentThreads = document.querySelectorAll('[data-testid="comment-tree-item"], .thing.comment');
-                commentThreads.forEach((thread) => {
-                    var _a, _b, _c, _d, _e;
+            // Flat list in page order, each with its depth and parent
+            const rows = await newPage.evaluate(() => {
+                const rows = [];
+                const parseScore = (text) => {
+                    if (!text)
+                        return 0;
+                    if (text.includes('k'))
+                        return Math.floor(parseFloat(text) * 1000);
+                    return parseInt(text) || 0;
+                };
+                // shreddit-comment (current site), comment-tree-item (previous redesign), .thing.comment (old.reddit)
+                const commentEls = document.querySelectorAll('shreddit-comment, [data-testid="comment-tree-item"], .thing.comment');
+                commentEls.forEach((el) => {
+                    var _a, _b, _c, _d, _e, _f, _g, _h, _j, _k, _l, _m, _o, _p, _q, _r, _s, _t, _u, _v, _w, _x, _y;
                     try {
-                        const author = ((_a = thread.querySelector('[data-testid="comment_author_link"], .author')) === null || _a === void 0 ? void 0 : _a.textContent) || 'unknown';
-                        const body = ((_c = (_b = thread.querySelector('[data-testid="comment"] > div:last-child, .usertext-body')) === null || _b === void 0 ? void 0 : _b.textContent) === null || _c === void 0 ? void 0 : _c.trim()) || '';
-                        const scoreEl = (_d = thread.querySelector('[data-click-id="upvote"]')) === null || _d === void 0 ? void 0 : _d.parentElement;
-                        const scoreText = ((_e = scoreEl === null || scoreEl === void 0 ? void 0 : scoreEl.querySelector('span')) === null || _e === void 0 ? void 0 : _e.textContent) || '1';
-                        let score = 1;
-                        if (scoreText.includes('k')) {
-                            score = Math.floor(parseFloat(scoreText) * 1000);
+                        const isShreddit = ((_a = el.tagName) === null || _a === void 0 ? void 0 : _a.toLowerCase()) === 'shreddit-comment';
+                        const isOldReddit = el.classList.contains('thing');
+                        let id = '';
+                        let parentId = '';
+                        let depth = 0;
+                        let author = '';
+                        let body = '';
+                        let score = 0;
+                        let created = '';
+                        if (isShreddit) {
+                            id = el.getAttribute('thingid') || '';
+                            parentId = el.getAttribute('parentid') || '';
+                            depth = parseInt(el.getAttribute('depth') || '0') || 0;
+                            author = el.getAttribute('author') || '';
+                            body = ((_c = (_b = el.querySelector('[slot="comment"]')) === null || _b === void 0 ? void 0 : _b.textContent) === null || _c === void 0 ? void 0 : _c.trim()) || '';
+                            score = parseScore(el.getAttribute('score'));
+                            created = ((_d = el.querySelector('faceplate-timeago')) === null || _d === void 0 ? void 0 : _d.getAttribute('ts')) ||
+                                ((_e = el.querySelector('time')) === null || _e === void 0 ? void 0 : _e.getAttribute('datetime')) || '';
+                        }
+                        else if (isOldReddit) {
+                            id = el.getAttribute('data-fullname') || '';
+                            // Replies sit in .child > .sitetable inside their parent .thing
+                            const parent = (_f = el.parentElement) === null || _f === void 0 ? void 0 : _f.closest('.thing.comment');
+                            parentId = (parent === null || parent === void 0 ? void 0 : parent.getAttribute('data-fullname')) || '';
+                            let ancestor = parent;
+                            while (ancestor) {
+                                depth++;
+                                ancestor = (_g = ancestor.parentElement) === null || _g === void 0 ? void 0 : _g.closest('.thing.comment');
+                            }
+                            author = el.getAttribute('data-author') || ((_h = el.querySelector('.author')) === null || _h === void 0 ? void 0 : _h.textContent) || '';
+                            body = ((_k = (_j = el.querySelector(':scope > .entry .usertext-body')) === null || _j === void 0 ? void 0 : _j.textContent) === null || _k === void 0 ? void 0 : _k.trim()) || '';
+                            score = parseScore((_l = el.querySelector(':scope > .entry .score.unvoted')) === null || _l === void 0 ? void 0 : _l.getAttribute('title'));
+                            created = ((_m = el.querySelector(':scope > .entry time')) === null || _m === void 0 ? void 0 : _m.getAttribute('datetime')) || '';
                         }
                         else {
-                            score = parseInt(scoreText) || 1;
+                            id = ((_o = el.querySelector('[id^="t1_"]')) === null || _o === void 0 ? void 0 : _o.id) || el.id || '';
+                            const level = el.getAttribute('aria-level') || el.getAttribute('data-depth') ||
+                                ((_q = (_p = el.textContent) === null || _p === void 0 ? void 0 : _p.match(/level (\d+)/)) === null || _q === void 0 ? void 0 : _q[1]);
+                            // aria-level is 1-based
+                            depth = level ? Math.max(0, parseInt(level) - (el.hasAttribute('aria-level') ? 1 : 0)) : 0;
+                            author = ((_r = el.querySelector('[data-testid="comment_author_link"]')) === null || _r === void 0 ? void 0 : _r.textContent) || '';
+                            body = ((_t = (_s = el.querySelector('[data-testid="comment"]')) === null || _s === void 0 ? void 0 : _s.textContent) === null || _t === void 0 ? void 0 : _t.trim()) || '';
+                            score = parseScore((_w = (_v = (_u = el.querySelector('[data-click-id="upvote"]')) === null || _u === void 0 ? void 0 : _u.parentElement) === null || _v === void 0 ? void 0 : _v.querySelector('span')) === null || _w === void 0 ? void 0 : _w.textContent);
+                            created = ((_x = el.querySelector('time')) === null || _x === void 0 ? void 0 : _x.getAttribute('datetime')) ||
+                                ((_y = el.querySelector('[data-testid="comment_timestamp"]')) === null || _y === void 0 ? void 0 : _y.getAttribute('title')) || '';
                         }
                         if (body) {
-                            comments.push({
-                                id: Math.random().toString(36).substr(2, 9),
-                                author: author.replace(/^u\//, ''),
+                            rows.push({
+                                id: id.replace(/^t1_/, ''),
+                                parentId: parentId.startsWith('t1_') ? parentId.replace(/^t1_/, '') : '',
+                                depth,
+                                author: (author || 'unknown').trim().replace(/^u\//, ''),
                                 body,
                                 score,
-                                created_utc: new Date().toISOString(),
-                                replies: []
+                                created_utc: created
                             });
                         }
                     }
@@ -346,15 +693,56 @@ class RedditScraperEnhanced {
                         console.error('Error extracting comment:', err);
                     }
                 });
-                return comments;
+                return rows;
             });
+            return this.buildCommentTree(rows, maxComments, treeOptions);
+        }
+        finally {
             await newPage.close();
-            return commentData.slice(0, maxComments);
         }
-        catch (error) {
-            this.log(`Error fetching comments: ${error}`);
-            return [];
+    }
+    /**
+     * Rebuild the reply tree from page-order rows. A row's parent is its
+     * parentid when the page exposes one, otherwise the closest earlier row one
+     * level up.
+     */
+    buildCommentTree(rows, maxComments, treeOptions) {
+        var _a, _b;
+        const maxDepth = (_a = treeOptions.maxDepth) !== null && _a !== void 0 ? _a : 3;
+        const maxReplies = (_b = treeOptions.maxReplies) !== null && _b !== void 0 ? _b : 5;
+        const roots = [];
+        const byId = new Map();
+        // Last comment seen at each depth; null where that branch was cut off
+        const stack = [];
+        for (const row of rows) {
+            const created = row.created_utc ? new Date(row.created_utc) : null;
+            const comment = {
+                id: row.id,
+                author: row.author,
+                body: row.body,
+                score: row.score,
+                created_utc: created && !isNaN(created.getTime()) ? created.toISOString() : '',
+                replies: []
+            };
+            const parent = row.depth === 0 ? null
+                : (row.parentId && byId.has(row.parentId)) ? byId.get(row.parentId) : stack[row.depth - 1];
+            stack.length = row.depth;
+            stack[row.depth] = null;
+            if (row.depth === 0) {
+                if (roots.length >= maxComments)
+                    continue;
+                roots.push(comment);
+            }
+            else {
+                if (!parent || row.depth > maxDepth || parent.replies.length >= maxReplies)
+                    continue;
+                parent.replies.push(comment);
+            }
+            stack[row.depth] = comment;
+            if (comment.id)
+                byId.set(comment.id, comment);
         }
+        return roots;
     }
     calculateTrendingScore(post) {
         // PRD formula: (upvotes + comments * 2) / hours_since_posted
@@ -366,6 +754,73 @@ class RedditScraperEnhanced {
         const upvoteBonus = post.upvote_ratio > 0.8 ? 1.5 : 1;
         return Math.round(engagementScore * upvoteBonus * 10) / 10;
     }
+    /**
+     * [subreddit, mentions] pairs, most mentioned first; user profile posts
+     * (u_<name>) are not communities and are left out
+     */
+    countMentions(posts) {
+        const counts = new Map();
+        posts
+            .filter(post => post.subreddit && !post.subreddit.startsWith('u_'))
+            .forEach(post => counts.set(post.subreddit, (counts.get(post.subreddit) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    }
+    /**
+     * Discovery score (0-100): mentions × (50% + 25% subscribers + 25% users
+     * online), each on a log scale relative to the best candidate. Size only
+     * scales the mentions, so a subreddit the keyword never came up in scores 0
+     * and ranks below every mentioned one (by subscribers among themselves).
+     */
+    rankSubreddits(posts, infos) {
+        const byName = new Map();
+        const candidate = (name) => {
+            const key = name.toLowerCase();
+            if (!byName.has(key)) {
+                byName.set(key, {
+                    name,
+                    title: '',
+                    description: '',
+                    subscribers: 0,
+                    active_users: 0,
+                    over18: false,
+                    url: `https://www.reddit.com/r/${name}/`,
+                    mentions: 0,
+                    mention_score: 0,
+                    mention_comments: 0,
+                    last_mention_utc: '',
+                    sample_posts: [],
+                    discovery_score: 0
+                });
+            }
+            return byName.get(key);
+        };
+        infos.forEach(info => Object.assign(candidate(info.name), info));
+        posts
+            .filter(post => post.subreddit && !post.subreddit.startsWith('u_'))
+            .forEach(post => {
+            const entry = candidate(post.subreddit);
+            entry.mentions++;
+            entry.mention_score += post.score;
+            entry.mention_comments += post.num_comments;
+            if (post.created_utc > entry.last_mention_utc)
+                entry.last_mention_utc = post.created_utc;
+            if (entry.sample_posts.length < 3) {
+                entry.sample_posts.push({ title: post.title, url: post.url, score: post.score });
+            }
+        });
+        const entries = [...byName.values()];
+        const logScale = (value, max) => max > 0 ? Math.log10(1 + value) / Math.log10(1 + max) : 0;
+        const maxOf = (field) => Math.max(0, ...entries.map(entry => entry[field]));
+        const maxMentions = maxOf('mentions');
+        const maxSubscribers = maxOf('subscribers');
+        const maxActive = maxOf('active_users');
+        entries.forEach(entry => {
+            const score = logScale(entry.mentions, maxMentions) *
+                (0.5 + 0.25 * logScale(entry.subscribers, maxSubscribers) + 0.25 * logScale(entry.active_users, maxActive));
+            entry.discovery_score = Math.round(score * 1000) / 10;
+        });
+        return entries.sort((a, b) => b.discovery_score - a.discovery_score || b.mentions - a.mentions || b.subscribers - a.subscribers);
+    }
     parseTimeToUTC(timeText) {
         var _a, _b, _c, _d, _e;
         const now = new Date();
@@ -396,11 +851,51 @@ class RedditScraperEnhanced {
         }
         return now.toISOString();
     }
+    /**
+     * Snapshot posts into the local history store (scripts/shared/history-store.js).
+     * History failures are logged but never fail the scrape.
+     */
+    async recordHistory(posts, label = '') {
+        if (!this.options.history || posts.length === 0)
+            return;
+        try {
+            const sharedDir = path.resolve(__dirname, '..', 'shared');
+            const { normalizeItems } = await importEsm((0, url_1.pathToFileURL)(path.join(sharedDir, 'community-item.js')).href);
+            const { recordHistory } = await importEsm((0, url_1.pathToFileURL)(path.join(sharedDir, 'history-store.js')).href);
+            await recordHistory('reddit', normalizeItems('reddit', posts), {
+                label,
+                metadata: { subreddits: [...new Set(posts.map(post => post.subreddit))] }
+            });
+        }
+        catch (error) {
+            console.warn(`⚠️ Failed to record history: ${error}`);
+        }
+    }
+    /**
+     * Lexicon sentiment of each post's text and comment tree (scripts/shared/sentiment.js),
+     * stored on the posts; returns the summary over all of them.
+     * Like history, a failure is logged and never fails the scrape.
+     */
+    async analyzeSentiment(posts) {
+        try {
+            const sharedDir = path.resolve(__dirname, '..', 'shared');
+            const { analyzePost, summarizeSentiment } = await importEsm((0, url_1.pathToFileURL)(path.join(sharedDir, 'sentiment.js')).href);
+            posts.forEach(post => {
+                post.sentiment = analyzePost({ title: post.title, body: post.content, comments: post.comments });
+            });
+            return summarizeSentiment(posts);
+        }
+        catch (error) {
+            console.warn(`⚠️ Failed to analyze sentiment: ${error}`);
+            return null;
+        }
+    }
     formatAsJSON(data) {
         return JSON.stringify(data, null, 2);
     }
-    formatAsMarkdown(data, title) {
+    formatAsMarkdown(data, title, sentiment) {
         const posts = Array.isArray(data) ? data : data.posts;
+        const summary = sentiment !== null && sentiment !== void 0 ? sentiment : (Array.isArray(data) ? null : data.metadata.sentiment);
         const heading = title || 'Reddit Search Results';
         let markdown = `# ${heading}\n\n`;
         markdown += `**Generated**: ${new Date().toISOString()}\n`;
@@ -415,7 +910,11 @@ class RedditScraperEnhanced {
             markdown += `## Summary Statistics\n\n`;
             markdown += `- **Subreddits**: ${subreddits.join(', ')}\n`;
             markdown += `- **Average Score**: ${avgScore.toLocaleString()}\n`;
-            markdown += `- **Average Comments**: ${avgComments.toLocaleString()}\n\n`;
+            markdown += `- **Average Comments**: ${avgComments.toLocaleString()}\n`;
+            if (summary && summary.count > 0) {
+                markdown += `- **Sentiment**: ${this.formatSentimentSummary(summary)}\n`;
+            }
+            markdown += '\n';
         }
         markdown += '---\n\n';
         for (let i = 0; i < posts.length; i++) {
@@ -432,6 +931,11 @@ class RedditScraperEnhanced {
             if (post.trending_score) {
                 markdown += `- **Trending Score**: ${post.trending_score}\n`;
             }
+            if (post.sentiment) {
+                const { score, label, comments } = post.sentiment;
+                markdown += `- **Sentiment**: ${label} (${this.formatSentimentScore(score)})`;
+                markdown += comments.count > 0 ? ` - comments: ${this.formatSentimentSummary(comments)}\n` : '\n';
+            }
             if (post.content) {
                 markdown += `\n### Content\n\n${post.content}\n`;
             }
@@ -439,18 +943,61 @@ class RedditScraperEnhanced {
                 markdown += `\n**External Link**: [${post.link_url}](${post.link_url})\n`;
             }
             if (post.comments && post.comments.length > 0) {
-                markdown += `\n### Top Comments\n\n`;
-                const topComments = post.comments.slice(0, 3);
-                for (let j = 0; j < topComments.length; j++) {
-                    const comment = topComments[j];
-                    markdown += `${j + 1}. **${comment.author}** (${comment.score} points):\n`;
-                    markdown += `   > ${comment.body.replace(/\n/g, '\n   > ')}\n\n`;
-                }
+                markdown += `\n### Comments\n\n`;
+                markdown += this.formatCommentTree(post.comments);
             }
             markdown += '\n---\n\n';
         }
         return markdown;
     }
+    formatDiscoveryAsMarkdown(discovery) {
+        const { subreddits, metadata } = discovery;
+        let markdown = `# Subreddits for "${metadata.keyword}"\n\n`;
+        markdown += `**Generated**: ${metadata.searchTime}\n`;
+        markdown += `**Posts Sampled**: ${metadata.postsSampled}\n\n`;
+        markdown += `| # | Subreddit | Score | Mentions | Subscribers | Online | Last Mention |\n`;
+        markdown += `|---|-----------|-------|----------|-------------|--------|--------------|\n`;
+        subreddits.forEach((sub, index) => {
+            const lastMention = sub.last_mention_utc ? new Date(sub.last_mention_utc).toLocaleDateString() : '-';
+            markdown += `| ${index + 1} | [r/${sub.name}](${sub.url})${sub.over18 ? ' (NSFW)' : ''} | ${sub.discovery_score} | ` +
+                `${sub.mentions} | ${sub.subscribers.toLocaleString()} | ${sub.active_users.toLocaleString()} | ${lastMention} |\n`;
+        });
+        markdown += '\n';
+        subreddits.filter(sub => sub.description || sub.sample_posts.length > 0).forEach(sub => {
+            markdown += `## r/${sub.name}\n\n`;
+            if (sub.description)
+                markdown += `${sub.description.replace(/\n+/g, ' ')}\n\n`;
+            sub.sample_posts.forEach(post => {
+                markdown += `- [${post.title}](${post.url}) (${post.score.toLocaleString()} points)\n`;
+            });
+            markdown += '\n';
+        });
+        return markdown;
+    }
+    // Same wording as formatSentimentSummary in scripts/shared/sentiment.js
+    formatSentimentSummary(summary) {
+        return `${summary.positive} positive / ${summary.neutral} neutral / ${summary.negative} negative ` +
+            `(average ${this.formatSentimentScore(summary.average)})`;
+    }
+    formatSentimentScore(score) {
+        return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+    }
+    /**
+     * Render comments as nested Markdown lists, one indent level per reply level
+     */
+    formatCommentTree(comments, level = 0) {
+        const indent = '  '.repeat(level);
+        let markdown = '';
+        for (const comment of comments) {
+            const posted = comment.created_utc ? `, ${new Date(comment.created_utc).toLocaleString()}` : '';
+            markdown += `${indent}- **${comment.author}** (${comment.score} points${posted}):\n`;
+            markdown += `${indent}  > ${comment.body.split(/\n+/).join(`\n${indent}  >\n${indent}  > `)}\n`;
+            if (comment.replies && comment.replies.length > 0) {
+                markdown += this.formatCommentTree(comment.replies, level + 1);
+            }
+        }
+        return level === 0 ? `${markdown}\n` : markdown;
+    }
     async saveToFile(content, filename) {
         // Get current date in YYYY-MM-DD format
         const today = new Date();
@@ -473,3 +1020,47 @@ class RedditScraperEnhanced {
     }
 }
 exports.RedditScraperEnhanced = RedditScraperEnhanced;
+function watchlistsFile() {
+    return process.env.BESPY_WATCHLISTS_FILE || path.resolve(__dirname, '..', '..', 'data', 'reddit', 'watchlists.json');
+}
+/**
+ * Saved subreddit watch lists (data/reddit/watchlists.json), keyed by name
+ */
+async function loadWatchlists() {
+    try {
+        const data = JSON.parse(await fs.readFile(watchlistsFile(), 'utf-8'));
+        return data.watchlists || {};
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return {};
+        throw error;
+    }
+}
+async function getWatchlist(name) {
+    const watchlists = await loadWatchlists();
+    if (!watchlists[name]) {
+        const available = Object.keys(watchlists);
+        throw new Error(`No watch list named "${name}" (${available.length > 0 ? `available: ${available.join(', ')}` : 'none saved yet; create one with discover --save-watchlist'})`);
+    }
+    return watchlists[name];
+}
+/**
+ * Create or replace a watch list; returns the file it was written to
+ */
+async function saveWatchlist(name, keyword, subreddits) {
+    var _a;
+    const file = watchlistsFile();
+    const watchlists = await loadWatchlists();
+    const now = new Date().toISOString();
+    watchlists[name] = {
+        name,
+        keyword,
+        subreddits,
+        created_at: ((_a = watchlists[name]) === null || _a === void 0 ? void 0 : _a.created_at) || now,
+        updated_at: now
+    };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ watchlists }, null, 2), 'utf-8');
+    return file;
+}
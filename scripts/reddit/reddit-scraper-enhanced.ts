@@ -1,6 +1,11 @@
 import { chromium, Browser, Page, BrowserContext } from 'playwright';
 import * as fs from 'fs/promises';
 import * as path from 'path';
+import { pathToFileURL } from 'url';
+
+// The shared modules in scripts/shared are ES modules; a real import() must
+// survive the CommonJS build, which would otherwise rewrite it to require()
+const importEsm = new Function('specifier', 'return import(specifier)') as (specifier: string) => Promise<any>;
 
 // Interfaces matching PRD specifications
 interface Comment {
@@ -26,6 +31,41 @@ interface Post {
   link_url: string;
   trending_score?: number;
   comments: Comment[];
+  sentiment?: PostSentiment;
+}
+
+// scripts/shared/sentiment.js summary: label counts and the average score (-1..1)
+interface SentimentSummary {
+  count: number;
+  positive: number;
+  neutral: number;
+  negative: number;
+  average: number;
+  label: string;
+}
+
+// Post text blended with its comment tree (see scripts/shared/sentiment.js)
+interface PostSentiment {
+  score: number;
+  label: string;
+  text: { score: number; label: string; positive: string[]; negative: string[] };
+  comments: SentimentSummary;
+}
+
+// A comment as read from the page, before the tree is rebuilt
+interface CommentRow {
+  id: string;
+  parentId: string;
+  depth: number;
+  author: string;
+  body: string;
+  score: number;
+  created_utc: string;
+}
+
+interface CommentTreeOptions {
+  maxDepth?: number;
+  maxReplies?: number;
 }
 
 interface RedditSearchResult {
@@ -35,15 +75,79 @@ interface RedditSearchResult {
     keyword?: string;
     subreddits?: string[];
     totalPosts: number;
+    sentiment?: SentimentSummary | null;
   };
 }
 
+interface SubredditInfo {
+  name: string;
+  title: string;
+  description: string;
+  subscribers: number;
+  active_users: number;
+  over18: boolean;
+  url: string;
+}
+
+// A subreddit where the keyword came up, with what the search sample saw of it
+interface SubredditRecommendation extends SubredditInfo {
+  mentions: number;
+  mention_score: number;
+  mention_comments: number;
+  last_mention_utc: string;
+  sample_posts: { title: string; url: string; score: number }[];
+  discovery_score: number;
+}
+
+interface SubredditDiscovery {
+  subreddits: SubredditRecommendation[];
+  metadata: {
+    searchTime: string;
+    keyword: string;
+    postsSampled: number;
+    totalSubreddits: number;
+  };
+}
+
+interface DiscoverOptions {
+  // Subreddits to return
+  limit?: number;
+  // Search results to count mentions in
+  sampleSize?: number;
+  time?: RedditTimeFilter;
+}
+
+export interface Watchlist {
+  name: string;
+  keyword: string;
+  subreddits: string[];
+  created_at: string;
+  updated_at: string;
+}
+
 interface ScraperOptions {
   headless?: boolean;
   delayBetweenRequests?: number;
   maxRetries?: number;
   timeout?: number;
   debug?: boolean;
+  history?: boolean;
+  // 'json' reads Reddit's .json endpoints and drops to DOM scraping when blocked
+  backend?: RedditBackend;
+  // Origin of the .json endpoints (tests point it at a local fixture server)
+  baseUrl?: string;
+}
+
+export type RedditBackend = 'json' | 'dom';
+
+export type RedditTimeFilter = 'hour' | 'day' | 'week' | 'month' | 'year' | 'all';
+
+// Reddit refused the .json request (rate limit, login wall, bot check)
+class RedditBlockedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RedditBlockedError';
+  }
 }
 
 export class RedditScraperEnhanced {
@@ -51,6 +155,7 @@ export class RedditScraperEnhanced {
   private context: BrowserContext | null = null;
   private page: Page | null = null;
   private options: ScraperOptions;
+  private jsonBlocked = false;
 
   constructor(options: ScraperOptions = {}) {
     this.options = {
@@ -59,6 +164,9 @@ export class RedditScraperEnhanced {
       maxRetries: 3,
       timeout: 30000,
       debug: false,
+      history: true,
+      backend: 'json',
+      baseUrl: 'https://www.reddit.com',
       ...options
     };
   }
@@ -100,10 +208,296 @@ export class RedditScraperEnhanced {
     }
   }
 
-  async searchByKeyword(keyword: string, limit: number = 25): Promise<Post[]> {
+  async searchByKeyword(keyword: string, limit: number = 25, time: RedditTimeFilter = 'all'): Promise<Post[]> {
+    return this.withBackend('search',
+      () => this.searchByKeywordJson(keyword, limit, time),
+      () => this.searchByKeywordDom(keyword, limit, time));
+  }
+
+  async getTrendingPosts(subreddits: string[], days: number = 1): Promise<Post[]> {
+    return this.withBackend('trending',
+      () => this.getTrendingPostsJson(subreddits, days),
+      () => this.getTrendingPostsDom(subreddits, days));
+  }
+
+  async batchFetchSubreddits(subreddits: string[], limit: number = 10): Promise<RedditSearchResult> {
+    return this.withBackend('batch',
+      () => this.batchFetchSubredditsJson(subreddits, limit),
+      () => this.batchFetchSubredditsDom(subreddits, limit));
+  }
+
+  /**
+   * Fetch a post's comment tree. `maxComments` caps the top-level comments,
+   * `maxDepth` how many levels of replies are kept and `maxReplies` the
+   * replies kept under each comment.
+   */
+  async fetchComments(postUrl: string, maxComments: number = 10, treeOptions: CommentTreeOptions = {}): Promise<Comment[]> {
+    try {
+      return await this.withBackend('comments',
+        () => this.fetchCommentsJson(postUrl, maxComments, treeOptions),
+        () => this.fetchCommentsDom(postUrl, maxComments, treeOptions));
+    } catch (error) {
+      this.log(`Error fetching comments: ${error}`);
+      return [];
+    }
+  }
+
+  /**
+   * Find the subreddits where a keyword is discussed most: mentions come from
+   * the subreddits of a search sample, candidates also from subreddit search.
+   * Ranked by mention volume, subscriber count and activity (users online).
+   */
+  async discoverSubreddits(keyword: string, options: DiscoverOptions = {}): Promise<SubredditDiscovery> {
+    const limit = options.limit ?? 10;
+    const sampleSize = options.sampleSize ?? 100;
+    const time = options.time ?? 'year';
+
+    const { posts, infos } = await this.withBackend('discover',
+      () => this.discoverSubredditsJson(keyword, sampleSize, time, limit),
+      () => this.discoverSubredditsDom(keyword, sampleSize, time));
+
+    const subreddits = this.rankSubreddits(posts, infos).slice(0, limit);
+
+    return {
+      subreddits,
+      metadata: {
+        searchTime: new Date().toISOString(),
+        keyword,
+        postsSampled: posts.length,
+        totalSubreddits: subreddits.length
+      }
+    };
+  }
+
+  /**
+   * Run the JSON implementation unless the DOM backend was chosen; once Reddit
+   * blocks a .json request the rest of the session scrapes the DOM instead
+   */
+  private async withBackend<T>(operation: string, json: () => Promise<T>, dom: () => Promise<T>): Promise<T> {
+    if (!this.page) throw new Error('Browser not initialized');
+
+    if (this.options.backend === 'dom' || this.jsonBlocked) {
+      return dom();
+    }
+
+    try {
+      return await json();
+    } catch (error) {
+      if (!(error instanceof RedditBlockedError)) throw error;
+
+      this.jsonBlocked = true;
+      console.warn(`⚠️  Reddit JSON ${operation} blocked (${error.message}), falling back to DOM scraping`);
+      return dom();
+    }
+  }
+
+  /**
+   * GET a reddit.com .json endpoint through the browser context (same cookies
+   * and user agent as the DOM backend)
+   */
+  private async fetchJson(pathname: string, params: Record<string, string | number | undefined> = {}): Promise<any> {
+    const url = new URL(pathname.replace(/\/?$/, '.json'), this.options.baseUrl);
+    url.searchParams.set('raw_json', '1');
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== '') url.searchParams.set(key, String(value));
+    }
+
+    this.log(`GET ${url}`);
+    const response = await this.context!.request.get(url.toString(), { timeout: this.options.timeout });
+
+    if ([401, 403, 429].includes(response.status())) {
+      throw new RedditBlockedError(`HTTP ${response.status()}`);
+    }
+    if (!response.ok()) {
+      throw new Error(`Reddit returned HTTP ${response.status()} for ${url.pathname}`);
+    }
+
+    // Login walls and bot checks come back as HTML with a 200
+    const contentType = response.headers()['content-type'] || '';
+    if (!contentType.includes('json')) {
+      throw new RedditBlockedError(`expected JSON, got ${contentType.split(';')[0] || 'no content type'}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Page through a listing with `after` until `limit` posts are collected
+   * or the listing ends
+   */
+  private async fetchListing(pathname: string, limit: number, params: Record<string, string | number | undefined> = {}): Promise<Post[]> {
+    const posts: Post[] = [];
+    let after: string | undefined;
+
+    while (posts.length < limit) {
+      const listing = await this.fetchJson(pathname, {
+        ...params,
+        limit: Math.min(100, limit - posts.length),
+        after
+      });
+
+      const children: any[] = listing?.data?.children || [];
+      children
+        .filter(child => child.kind === 't3')
+        .forEach(child => posts.push(this.postFromJson(child.data)));
+
+      after = listing?.data?.after || undefined;
+      if (!after || children.length === 0) break;
+
+      await this.page!.waitForTimeout(this.options.delayBetweenRequests!);
+    }
+
+    return posts.slice(0, limit);
+  }
+
+  private postFromJson(data: any): Post {
+    return {
+      id: data.id,
+      title: data.title,
+      url: `https://www.reddit.com${data.permalink}`,
+      author: data.author,
+      subreddit: data.subreddit,
+      created_utc: new Date(data.created_utc * 1000).toISOString(),
+      score: data.score,
+      upvote_ratio: data.upvote_ratio ?? 0,
+      num_comments: data.num_comments,
+      content: data.selftext || '',
+      link_url: !data.is_self && data.url && !data.url.includes('reddit.com') ? data.url : '',
+      comments: []
+    };
+  }
+
+  private async searchByKeywordJson(keyword: string, limit: number, time: RedditTimeFilter): Promise<Post[]> {
+    this.log(`Searching for keyword (json): ${keyword}`);
+    return this.fetchListing('/search', limit, { q: keyword, sort: 'relevance', t: time });
+  }
+
+  private async getTrendingPostsJson(subreddits: string[], days: number): Promise<Post[]> {
+    const posts: Post[] = [];
+    const timeFilter = days === 1 ? 'day' : days <= 7 ? 'week' : 'month';
+
+    for (const subreddit of subreddits) {
+      this.log(`Fetching trending from r/${subreddit} (json)`);
+      const topPosts = await this.fetchListing(`/r/${subreddit}/top`, 10, { t: timeFilter });
+
+      topPosts.forEach(post => {
+        post.trending_score = this.calculateTrendingScore(post);
+        posts.push(post);
+      });
+    }
+
+    return posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
+  }
+
+  private async batchFetchSubredditsJson(subreddits: string[], limit: number): Promise<RedditSearchResult> {
+    const result: RedditSearchResult = {
+      posts: [],
+      metadata: {
+        searchTime: new Date().toISOString(),
+        subreddits: subreddits,
+        totalPosts: 0
+      }
+    };
+
+    for (const subreddit of subreddits) {
+      this.log(`Batch fetching from r/${subreddit} (json)`);
+      const hotPosts = await this.fetchListing(`/r/${subreddit}/hot`, limit);
+
+      hotPosts.forEach(post => {
+        post.trending_score = this.calculateTrendingScore(post);
+        result.posts.push(post);
+      });
+    }
+
+    result.metadata.totalPosts = result.posts.length;
+    result.posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
+
+    return result;
+  }
+
+  /**
+   * The comments endpoint returns [post listing, comment listing]; replies
+   * are nested listings. "more" stubs (collapsed threads) are skipped.
+   */
+  private async fetchCommentsJson(postUrl: string, maxComments: number, treeOptions: CommentTreeOptions): Promise<Comment[]> {
+    const maxDepth = treeOptions.maxDepth ?? 3;
+    const maxReplies = treeOptions.maxReplies ?? 5;
+
+    const { pathname } = new URL(postUrl, 'https://www.reddit.com');
+    const [, commentListing] = await this.fetchJson(pathname, {
+      sort: 'top',
+      depth: maxDepth + 1,
+      limit: 500
+    });
+
+    const toComments = (listing: any, depth: number, max: number): Comment[] => {
+      const children: any[] = listing?.data?.children || [];
+      return children
+        .filter(child => child.kind === 't1')
+        .slice(0, max)
+        .map(child => ({
+          id: child.data.id,
+          author: child.data.author,
+          body: child.data.body || '',
+          score: child.data.score,
+          created_utc: new Date(child.data.created_utc * 1000).toISOString(),
+          replies: depth < maxDepth && child.data.replies
+            ? toComments(child.data.replies, depth + 1, maxReplies)
+            : []
+        }));
+    };
+
+    return toComments(commentListing, 0, maxComments);
+  }
+
+  /**
+   * Search sample plus /subreddits/search; subreddits that were mentioned but
+   * not found by name get their about.json (the `limit` most mentioned only)
+   */
+  private async discoverSubredditsJson(keyword: string, sampleSize: number, time: RedditTimeFilter, limit: number): Promise<{ posts: Post[]; infos: SubredditInfo[] }> {
+    this.log(`Discovering subreddits for: ${keyword} (json)`);
+    const posts = await this.searchByKeywordJson(keyword, sampleSize, time);
+
+    const listing = await this.fetchJson('/subreddits/search', { q: keyword, limit: 25 });
+    const infos: SubredditInfo[] = (listing?.data?.children || [])
+      .filter((child: any) => child.kind === 't5')
+      .map((child: any) => this.subredditFromJson(child.data));
+
+    const known = new Set(infos.map(info => info.name.toLowerCase()));
+    const missing = this.countMentions(posts)
+      .filter(([name]) => !known.has(name.toLowerCase()))
+      .slice(0, limit);
+
+    for (const [name] of missing) {
+      await this.page!.waitForTimeout(this.options.delayBetweenRequests!);
+      try {
+        const about = await this.fetchJson(`/r/${name}/about`);
+        if (about?.kind === 't5') infos.push(this.subredditFromJson(about.data));
+      } catch (error) {
+        // Private, banned and quarantined subreddits still rank on their mentions
+        this.log(`No about.json for r/${name}: ${error}`);
+      }
+    }
+
+    return { posts, infos };
+  }
+
+  private subredditFromJson(data: any): SubredditInfo {
+    return {
+      name: data.display_name,
+      title: data.title || '',
+      description: data.public_description || '',
+      subscribers: data.subscribers || 0,
+      active_users: data.active_user_count ?? data.accounts_active ?? 0,
+      over18: Boolean(data.over18),
+      url: `https://www.reddit.com/r/${data.display_name}/`
+    };
+  }
+
+  private async searchByKeywordDom(keyword: string, limit: number, time: RedditTimeFilter): Promise<Post[]> {
     if (!this.page) throw new Error('Browser not initialized');
 
-    const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&sort=relevance&t=all`;
+    const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&sort=relevance&t=${time}`;
     const posts: Post[] = [];
 
     try {
@@ -138,7 +532,7 @@ export class RedditScraperEnhanced {
     return posts;
   }
 
-  async getTrendingPosts(subreddits: string[], days: number = 1): Promise<Post[]> {
+  private async getTrendingPostsDom(subreddits: string[], days: number): Promise<Post[]> {
     if (!this.page) throw new Error('Browser not initialized');
 
     const posts: Post[] = [];
@@ -182,7 +576,7 @@ export class RedditScraperEnhanced {
     return posts.sort((a, b) => (b.trending_score || 0) - (a.trending_score || 0));
   }
 
-  async batchFetchSubreddits(subreddits: string[], limit: number = 10): Promise<RedditSearchResult> {
+  private async batchFetchSubredditsDom(subreddits: string[], limit: number): Promise<RedditSearchResult> {
     if (!this.page) throw new Error('Browser not initialized');
 
     const result: RedditSearchResult = {
@@ -236,6 +630,59 @@ export class RedditScraperEnhanced {
     return result;
   }
 
+  /**
+   * Search sample plus the communities tab of the search page; the page shows
+   * member counts but no activity, so `active_users` stays 0
+   */
+  private async discoverSubredditsDom(keyword: string, sampleSize: number, time: RedditTimeFilter): Promise<{ posts: Post[]; infos: SubredditInfo[] }> {
+    if (!this.page) throw new Error('Browser not initialized');
+
+    const posts = await this.searchByKeywordDom(keyword, sampleSize, time);
+
+    const searchUrl = `https://www.reddit.com/search/?q=${encodeURIComponent(keyword)}&type=communities`;
+    this.log(`Searching communities for: ${keyword}`);
+    await this.page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
+    await this.page.waitForTimeout(this.options.delayBetweenRequests!);
+
+    const infos: SubredditInfo[] = await this.page.evaluate(() => {
+      const parseCount = (text: string): number => {
+        const match = text.replace(/,/g, '').match(/([\d.]+)\s*([km]?)/i);
+        if (!match) return 0;
+        const multiplier = match[2].toLowerCase() === 'm' ? 1000000 : match[2].toLowerCase() === 'k' ? 1000 : 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+      };
+
+      const seen = new Set<string>();
+      const results: any[] = [];
+
+      document.querySelectorAll('a[href^="/r/"]').forEach(link => {
+        const name = (link.getAttribute('href') || '').match(/^\/r\/([^\/?#]+)\/?$/)?.[1];
+        if (!name || seen.has(name.toLowerCase())) return;
+
+        // The result card is the closest ancestor that mentions members
+        let card: Element | null = link;
+        while (card && !/members/i.test(card.textContent || '')) card = card.parentElement;
+        if (!card || card === document.body) return;
+
+        seen.add(name.toLowerCase());
+        const text = card.textContent || '';
+        results.push({
+          name,
+          title: '',
+          description: card.querySelector('p')?.textContent?.trim() || '',
+          subscribers: parseCount(text.match(/([\d.,]+\s*[kKmM]?)\s*members/)?.[1] || ''),
+          active_users: parseCount(text.match(/([\d.,]+\s*[kKmM]?)\s*online/)?.[1] || ''),
+          over18: /\bnsfw\b/i.test(text),
+          url: `https://www.reddit.com/r/${name}/`
+        });
+      });
+
+      return results;
+    });
+
+    return { posts, infos };
+  }
+
   private async extractPostData(element: any): Promise<Post | null> {
     try {
       const postData = await element.evaluate((el: any) => {
@@ -358,64 +805,146 @@ export class RedditScraperEnhanced {
     }
   }
 
-  async fetchComments(postUrl: string, maxComments: number = 10): Promise<Comment[]> {
-    if (!this.page) throw new Error('Browser not initialized');
-
-    const comments: Comment[] = [];
+  private async fetchCommentsDom(postUrl: string, maxComments: number, treeOptions: CommentTreeOptions): Promise<Comment[]> {
+    const newPage = await this.context!.newPage();
 
     try {
-      const newPage = await this.context!.newPage();
       await newPage.goto(postUrl, { waitUntil: 'domcontentloaded' });
       await newPage.waitForTimeout(this.options.delayBetweenRequests!);
 
-      // Get comments
-      const commentData = await newPage.evaluate(() => {
-        const comments: any[] = [];
-        
-        // Find comment threads
-        const commentThreads = document.querySelectorAll('[data-testid="comment-tree-item"], .thing.comment');
-        
-        commentThreads.forEach((thread: any) => {
+      // Flat list in page order, each with its depth and parent
+      const rows: CommentRow[] = await newPage.evaluate(() => {
+        const rows: any[] = [];
+
+        const parseScore = (text: string | null | undefined): number => {
+          if (!text) return 0;
+          if (text.includes('k')) return Math.floor(parseFloat(text) * 1000);
+          return parseInt(text) || 0;
+        };
+
+        // shreddit-comment (current site), comment-tree-item (previous redesign), .thing.comment (old.reddit)
+        const commentEls = document.querySelectorAll('shreddit-comment, [data-testid="comment-tree-item"], .thing.comment');
+
+        commentEls.forEach((el: any) => {
           try {
-            const author = thread.querySelector('[data-testid="comment_author_link"], .author')?.textContent || 'unknown';
-            const body = thread.querySelector('[data-testid="comment"] > div:last-child, .usertext-body')?.textContent?.trim() || '';
-            const scoreEl = thread.querySelector('[data-click-id="upvote"]')?.parentElement;
-            const scoreText = scoreEl?.querySelector('span')?.textContent || '1';
-            
-            let score = 1;
-            if (scoreText.includes('k')) {
-              score = Math.floor(parseFloat(scoreText) * 1000);
+            const isShreddit = el.tagName?.toLowerCase() === 'shreddit-comment';
+            const isOldReddit = el.classList.contains('thing');
+
+            let id = '';
+            let parentId = '';
+            let depth = 0;
+            let author = '';
+            let body = '';
+            let score = 0;
+            let created = '';
+
+            if (isShreddit) {
+              id = el.getAttribute('thingid') || '';
+              parentId = el.getAttribute('parentid') || '';
+              depth = parseInt(el.getAttribute('depth') || '0') || 0;
+              author = el.getAttribute('author') || '';
+              body = el.querySelector('[slot="comment"]')?.textContent?.trim() || '';
+              score = parseScore(el.getAttribute('score'));
+              created = el.querySelector('faceplate-timeago')?.getAttribute('ts') ||
+                el.querySelector('time')?.getAttribute('datetime') || '';
+            } else if (isOldReddit) {
+              id = el.getAttribute('data-fullname') || '';
+              // Replies sit in .child > .sitetable inside their parent .thing
+              const parent = el.parentElement?.closest('.thing.comment');
+              parentId = parent?.getAttribute('data-fullname') || '';
+              let ancestor = parent;
+              while (ancestor) {
+                depth++;
+                ancestor = ancestor.parentElement?.closest('.thing.comment');
+              }
+              author = el.getAttribute('data-author') || el.querySelector('.author')?.textContent || '';
+              body = el.querySelector(':scope > .entry .usertext-body')?.textContent?.trim() || '';
+              score = parseScore(el.querySelector(':scope > .entry .score.unvoted')?.getAttribute('title'));
+              created = el.querySelector(':scope > .entry time')?.getAttribute('datetime') || '';
             } else {
-              score = parseInt(scoreText) || 1;
+              id = el.querySelector('[id^="t1_"]')?.id || el.id || '';
+              const level = el.getAttribute('aria-level') || el.getAttribute('data-depth') ||
+                el.textContent?.match(/level (\d+)/)?.[1];
+              // aria-level is 1-based
+              depth = level ? Math.max(0, parseInt(level) - (el.hasAttribute('aria-level') ? 1 : 0)) : 0;
+              author = el.querySelector('[data-testid="comment_author_link"]')?.textContent || '';
+              body = el.querySelector('[data-testid="comment"]')?.textContent?.trim() || '';
+              score = parseScore(el.querySelector('[data-click-id="upvote"]')?.parentElement?.querySelector('span')?.textContent);
+              created = el.querySelector('time')?.getAttribute('datetime') ||
+                el.querySelector('[data-testid="comment_timestamp"]')?.getAttribute('title') || '';
             }
-            
+
             if (body) {
-              comments.push({
-                id: Math.random().toString(36).substr(2, 9),
-                author: author.replace(/^u\//, ''),
+              rows.push({
+                id: id.replace(/^t1_/, ''),
+                parentId: parentId.startsWith('t1_') ? parentId.replace(/^t1_/, '') : '',
+                depth,
+                author: (author || 'unknown').trim().replace(/^u\//, ''),
                 body,
                 score,
-                created_utc: new Date().toISOString(),
-                replies: []
+                created_utc: created
               });
             }
           } catch (err) {
             console.error('Error extracting comment:', err);
           }
         });
-        
-        return comments;
+
+        return rows;
       });
 
+      return this.buildCommentTree(rows, maxComments, treeOptions);
+    } finally {
       await newPage.close();
-      return commentData.slice(0, maxComments);
-      
-    } catch (error) {
-      this.log(`Error fetching comments: ${error}`);
-      return [];
     }
   }
 
+  /**
+   * Rebuild the reply tree from page-order rows. A row's parent is its
+   * parentid when the page exposes one, otherwise the closest earlier row one
+   * level up.
+   */
+  private buildCommentTree(rows: CommentRow[], maxComments: number, treeOptions: CommentTreeOptions): Comment[] {
+    const maxDepth = treeOptions.maxDepth ?? 3;
+    const maxReplies = treeOptions.maxReplies ?? 5;
+
+    const roots: Comment[] = [];
+    const byId = new Map<string, Comment>();
+    // Last comment seen at each depth; null where that branch was cut off
+    const stack: (Comment | null)[] = [];
+
+    for (const row of rows) {
+      const created = row.created_utc ? new Date(row.created_utc) : null;
+      const comment: Comment = {
+        id: row.id,
+        author: row.author,
+        body: row.body,
+        score: row.score,
+        created_utc: created && !isNaN(created.getTime()) ? created.toISOString() : '',
+        replies: []
+      };
+
+      const parent = row.depth === 0 ? null
+        : (row.parentId && byId.has(row.parentId)) ? byId.get(row.parentId)! : stack[row.depth - 1];
+
+      stack.length = row.depth;
+      stack[row.depth] = null;
+
+      if (row.depth === 0) {
+        if (roots.length >= maxComments) continue;
+        roots.push(comment);
+      } else {
+        if (!parent || row.depth > maxDepth || parent.replies.length >= maxReplies) continue;
+        parent.replies.push(comment);
+      }
+
+      stack[row.depth] = comment;
+      if (comment.id) byId.set(comment.id, comment);
+    }
+
+    return roots;
+  }
+
   private calculateTrendingScore(post: Post): number {
     // PRD formula: (upvotes + comments * 2) / hours_since_posted
     const now = Date.now();
@@ -430,6 +959,80 @@ export class RedditScraperEnhanced {
     return Math.round(engagementScore * upvoteBonus * 10) / 10;
   }
 
+  /**
+   * [subreddit, mentions] pairs, most mentioned first; user profile posts
+   * (u_<name>) are not communities and are left out
+   */
+  private countMentions(posts: Post[]): [string, number][] {
+    const counts = new Map<string, number>();
+    posts
+      .filter(post => post.subreddit && !post.subreddit.startsWith('u_'))
+      .forEach(post => counts.set(post.subreddit, (counts.get(post.subreddit) || 0) + 1));
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }
+
+  /**
+   * Discovery score (0-100): mentions × (50% + 25% subscribers + 25% users
+   * online), each on a log scale relative to the best candidate. Size only
+   * scales the mentions, so a subreddit the keyword never came up in scores 0
+   * and ranks below every mentioned one (by subscribers among themselves).
+   */
+  private rankSubreddits(posts: Post[], infos: SubredditInfo[]): SubredditRecommendation[] {
+    const byName = new Map<string, SubredditRecommendation>();
+    const candidate = (name: string): SubredditRecommendation => {
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, {
+          name,
+          title: '',
+          description: '',
+          subscribers: 0,
+          active_users: 0,
+          over18: false,
+          url: `https://www.reddit.com/r/${name}/`,
+          mentions: 0,
+          mention_score: 0,
+          mention_comments: 0,
+          last_mention_utc: '',
+          sample_posts: [],
+          discovery_score: 0
+        });
+      }
+      return byName.get(key)!;
+    };
+
+    infos.forEach(info => Object.assign(candidate(info.name), info));
+
+    posts
+      .filter(post => post.subreddit && !post.subreddit.startsWith('u_'))
+      .forEach(post => {
+        const entry = candidate(post.subreddit);
+        entry.mentions++;
+        entry.mention_score += post.score;
+        entry.mention_comments += post.num_comments;
+        if (post.created_utc > entry.last_mention_utc) entry.last_mention_utc = post.created_utc;
+        if (entry.sample_posts.length < 3) {
+          entry.sample_posts.push({ title: post.title, url: post.url, score: post.score });
+        }
+      });
+
+    const entries = [...byName.values()];
+    const logScale = (value: number, max: number) => max > 0 ? Math.log10(1 + value) / Math.log10(1 + max) : 0;
+    const maxOf = (field: 'mentions' | 'subscribers' | 'active_users') => Math.max(0, ...entries.map(entry => entry[field]));
+    const maxMentions = maxOf('mentions');
+    const maxSubscribers = maxOf('subscribers');
+    const maxActive = maxOf('active_users');
+
+    entries.forEach(entry => {
+      const score = logScale(entry.mentions, maxMentions) *
+        (0.5 + 0.25 * logScale(entry.subscribers, maxSubscribers) + 0.25 * logScale(entry.active_users, maxActive));
+      entry.discovery_score = Math.round(score * 1000) / 10;
+    });
+
+    return entries.sort((a, b) => b.discovery_score - a.discovery_score || b.mentions - a.mentions || b.subscribers - a.subscribers);
+  }
+
   private parseTimeToUTC(timeText: string): string {
     const now = new Date();
     
@@ -457,12 +1060,54 @@ export class RedditScraperEnhanced {
     return now.toISOString();
   }
 
+  /**
+   * Snapshot posts into the local history store (scripts/shared/history-store.js).
+   * History failures are logged but never fail the scrape.
+   */
+  async recordHistory(posts: Post[], label: string = ''): Promise<void> {
+    if (!this.options.history || posts.length === 0) return;
+
+    try {
+      const sharedDir = path.resolve(__dirname, '..', 'shared');
+      const { normalizeItems } = await importEsm(pathToFileURL(path.join(sharedDir, 'community-item.js')).href);
+      const { recordHistory } = await importEsm(pathToFileURL(path.join(sharedDir, 'history-store.js')).href);
+
+      await recordHistory('reddit', normalizeItems('reddit', posts), {
+        label,
+        metadata: { subreddits: [...new Set(posts.map(post => post.subreddit))] }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to record history: ${error}`);
+    }
+  }
+
+  /**
+   * Lexicon sentiment of each post's text and comment tree (scripts/shared/sentiment.js),
+   * stored on the posts; returns the summary over all of them.
+   * Like history, a failure is logged and never fails the scrape.
+   */
+  async analyzeSentiment(posts: Post[]): Promise<SentimentSummary | null> {
+    try {
+      const sharedDir = path.resolve(__dirname, '..', 'shared');
+      const { analyzePost, summarizeSentiment } = await importEsm(pathToFileURL(path.join(sharedDir, 'sentiment.js')).href);
+
+      posts.forEach(post => {
+        post.sentiment = analyzePost({ title: post.title, body: post.content, comments: post.comments });
+      });
+      return summarizeSentiment(posts);
+    } catch (error) {
+      console.warn(`⚠️ Failed to analyze sentiment: ${error}`);
+      return null;
+    }
+  }
+
   formatAsJSON(data: Post[] | RedditSearchResult): string {
     return JSON.stringify(data, null, 2);
   }
 
-  formatAsMarkdown(data: Post[] | RedditSearchResult, title?: string): string {
+  formatAsMarkdown(data: Post[] | RedditSearchResult, title?: string, sentiment?: SentimentSummary | null): string {
     const posts = Array.isArray(data) ? data : data.posts;
+    const summary = sentiment ?? (Array.isArray(data) ? null : data.metadata.sentiment);
     const heading = title || 'Reddit Search Results';
     
     let markdown = `# ${heading}\n\n`;
@@ -480,7 +1125,11 @@ export class RedditScraperEnhanced {
       markdown += `## Summary Statistics\n\n`;
       markdown += `- **Subreddits**: ${subreddits.join(', ')}\n`;
       markdown += `- **Average Score**: ${avgScore.toLocaleString()}\n`;
-      markdown += `- **Average Comments**: ${avgComments.toLocaleString()}\n\n`;
+      markdown += `- **Average Comments**: ${avgComments.toLocaleString()}\n`;
+      if (summary && summary.count > 0) {
+        markdown += `- **Sentiment**: ${this.formatSentimentSummary(summary)}\n`;
+      }
+      markdown += '\n';
     }
     
     markdown += '---\n\n';
@@ -503,6 +1152,12 @@ export class RedditScraperEnhanced {
         markdown += `- **Trending Score**: ${post.trending_score}\n`;
       }
 
+      if (post.sentiment) {
+        const { score, label, comments } = post.sentiment;
+        markdown += `- **Sentiment**: ${label} (${this.formatSentimentScore(score)})`;
+        markdown += comments.count > 0 ? ` - comments: ${this.formatSentimentSummary(comments)}\n` : '\n';
+      }
+
       if (post.content) {
         markdown += `\n### Content\n\n${post.content}\n`;
       }
@@ -512,14 +1167,8 @@ export class RedditScraperEnhanced {
       }
 
       if (post.comments && post.comments.length > 0) {
-        markdown += `\n### Top Comments\n\n`;
-        const topComments = post.comments.slice(0, 3);
-        
-        for (let j = 0; j < topComments.length; j++) {
-          const comment = topComments[j];
-          markdown += `${j + 1}. **${comment.author}** (${comment.score} points):\n`;
-          markdown += `   > ${comment.body.replace(/\n/g, '\n   > ')}\n\n`;
-        }
+        markdown += `\n### Comments\n\n`;
+        markdown += this.formatCommentTree(post.comments);
       }
 
       markdown += '\n---\n\n';
@@ -528,6 +1177,64 @@ export class RedditScraperEnhanced {
     return markdown;
   }
 
+  formatDiscoveryAsMarkdown(discovery: SubredditDiscovery): string {
+    const { subreddits, metadata } = discovery;
+
+    let markdown = `# Subreddits for "${metadata.keyword}"\n\n`;
+    markdown += `**Generated**: ${metadata.searchTime}\n`;
+    markdown += `**Posts Sampled**: ${metadata.postsSampled}\n\n`;
+    markdown += `| # | Subreddit | Score | Mentions | Subscribers | Online | Last Mention |\n`;
+    markdown += `|---|-----------|-------|----------|-------------|--------|--------------|\n`;
+
+    subreddits.forEach((sub, index) => {
+      const lastMention = sub.last_mention_utc ? new Date(sub.last_mention_utc).toLocaleDateString() : '-';
+      markdown += `| ${index + 1} | [r/${sub.name}](${sub.url})${sub.over18 ? ' (NSFW)' : ''} | ${sub.discovery_score} | ` +
+        `${sub.mentions} | ${sub.subscribers.toLocaleString()} | ${sub.active_users.toLocaleString()} | ${lastMention} |\n`;
+    });
+
+    markdown += '\n';
+    subreddits.filter(sub => sub.description || sub.sample_posts.length > 0).forEach(sub => {
+      markdown += `## r/${sub.name}\n\n`;
+      if (sub.description) markdown += `${sub.description.replace(/\n+/g, ' ')}\n\n`;
+      sub.sample_posts.forEach(post => {
+        markdown += `- [${post.title}](${post.url}) (${post.score.toLocaleString()} points)\n`;
+      });
+      markdown += '\n';
+    });
+
+    return markdown;
+  }
+
+  // Same wording as formatSentimentSummary in scripts/shared/sentiment.js
+  private formatSentimentSummary(summary: SentimentSummary): string {
+    return `${summary.positive} positive / ${summary.neutral} neutral / ${summary.negative} negative ` +
+      `(average ${this.formatSentimentScore(summary.average)})`;
+  }
+
+  private formatSentimentScore(score: number): string {
+    return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+  }
+
+  /**
+   * Render comments as nested Markdown lists, one indent level per reply level
+   */
+  private formatCommentTree(comments: Comment[], level: number = 0): string {
+    const indent = '  '.repeat(level);
+    let markdown = '';
+
+    for (const comment of comments) {
+      const posted = comment.created_utc ? `, ${new Date(comment.created_utc).toLocaleString()}` : '';
+      markdown += `${indent}- **${comment.author}** (${comment.score} points${posted}):\n`;
+      markdown += `${indent}  > ${comment.body.split(/\n+/).join(`\n${indent}  >\n${indent}  > `)}\n`;
+
+      if (comment.replies && comment.replies.length > 0) {
+        markdown += this.formatCommentTree(comment.replies, level + 1);
+      }
+    }
+
+    return level === 0 ? `${markdown}\n` : markdown;
+  }
+
   async saveToFile(content: string, filename: string): Promise<string> {
     // Get current date in YYYY-MM-DD format
     const today = new Date();
@@ -552,4 +1259,51 @@ export class RedditScraperEnhanced {
       this.context = null;
     }
   }
-}
\ No newline at end of file
+}
+
+function watchlistsFile(): string {
+  return process.env.BESPY_WATCHLISTS_FILE || path.resolve(__dirname, '..', '..', 'data', 'reddit', 'watchlists.json');
+}
+
+/**
+ * Saved subreddit watch lists (data/reddit/watchlists.json), keyed by name
+ */
+export async function loadWatchlists(): Promise<Record<string, Watchlist>> {
+  try {
+    const data = JSON.parse(await fs.readFile(watchlistsFile(), 'utf-8'));
+    return data.watchlists || {};
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+export async function getWatchlist(name: string): Promise<Watchlist> {
+  const watchlists = await loadWatchlists();
+  if (!watchlists[name]) {
+    const available = Object.keys(watchlists);
+    throw new Error(`No watch list named "${name}" (${available.length > 0 ? `available: ${available.join(', ')}` : 'none saved yet; create one with discover --save-watchlist'})`);
+  }
+  return watchlists[name];
+}
+
+/**
+ * Create or replace a watch list; returns the file it was written to
+ */
+export async function saveWatchlist(name: string, keyword: string, subreddits: string[]): Promise<string> {
+  const file = watchlistsFile();
+  const watchlists = await loadWatchlists();
+  const now = new Date().toISOString();
+
+  watchlists[name] = {
+    name,
+    keyword,
+    subreddits,
+    created_at: watchlists[name]?.created_at || now,
+    updated_at: now
+  };
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ watchlists }, null, 2), 'utf-8');
+  return file;
+}
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Offline tests for the Reddit scraper (no network or browser needed)
+ *   node scripts/reddit/test.mjs
+ *
+ * Runs against the compiled reddit-scraper-enhanced.js; rebuild it after
+ * changing the TypeScript source.
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RedditScraperEnhanced, loadWatchlists, getWatchlist, saveWatchlist } from './reddit-scraper-enhanced.js';
+
+function report(name, checks) {
+  checks.forEach(([check, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${check}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? `\n✅ ${name} test passed!` : `\n❌ ${name} test failed`);
+  return passed;
+}
+
+const shape = comments => comments.map(comment =>
+  comment.replies.length > 0 ? `${comment.id}(${shape(comment.replies)})` : comment.id).join(',');
+
+/**
+ * Reply trees from DOM rows and from the comments .json listing
+ */
+async function testCommentTrees() {
+  console.log('\n🌳 Testing comment trees...\n');
+
+  const scraper = new RedditScraperEnhanced();
+  const row = (id, depth, parentId = '', fields = {}) => ({
+    id, parentId, depth, author: `user_${id}`, body: `Comment ${id}`, score: 1, created_utc: '2025-08-27T10:00:00Z', ...fields
+  });
+
+  // shreddit rows carry a parentid; other layouts only give the depth
+  const rows = [
+    row('a', 0), row('a1', 1, 'a'), row('b', 0), row('a2', 1, 'a'), row('b1', 1), row('b1x', 2),
+    row('d', 0, '', { author: '[deleted]', body: '[deleted]', created_utc: 'not a date' }), row('d1', 1, 'd'),
+    row('c', 0), row('orphan', 2, 'missing')
+  ];
+  const domTree = scraper.buildCommentTree(rows, 10, {});
+  const capped = scraper.buildCommentTree(rows, 2, { maxDepth: 1, maxReplies: 1 });
+
+  const comment = (id, replies = [], fields = {}) => ({
+    kind: 't1',
+    data: {
+      id, author: `user_${id}`, body: `Comment ${id}`, score: 2, created_utc: 1756288800,
+      replies: replies.length > 0 ? { kind: 'Listing', data: { children: replies } } : '',
+      ...fields
+    }
+  });
+  const listing = children => ({ kind: 'Listing', data: { children } });
+  const commentsJson = [
+    listing([{ kind: 't3', data: { id: 'post' } }]),
+    listing([
+      comment('a', [comment('a1', [comment('a1x', [comment('a1xy', [comment('a1xyz')])])]), { kind: 'more', data: { count: 4 } }]),
+      comment('d', [comment('d1')], { author: '[deleted]', body: '[deleted]' }),
+      { kind: 'more', data: { count: 10 } },
+      comment('b')
+    ])
+  ];
+  const requests = [];
+  scraper.fetchJson = async (pathname, params) => {
+    requests.push({ pathname, params });
+    return commentsJson;
+  };
+  const jsonTree = await scraper.fetchCommentsJson('https://www.reddit.com/r/SaaS/comments/abc/title/', 10, {});
+  const jsonCapped = await scraper.fetchCommentsJson('/r/SaaS/comments/abc/title/', 1, { maxDepth: 1, maxReplies: 1 });
+
+  const checks = [
+    ['nests DOM rows under their parentid', shape(domTree) === 'a(a1,a2),b(b1(b1x)),d(d1),c'],
+    ['falls back to the closest row one level up', domTree[1].replies[0].id === 'b1' && domTree[1].replies[0].replies[0].id === 'b1x'],
+    ['keeps replies of deleted comments', domTree[2].author === '[deleted]' && domTree[2].replies[0].id === 'd1'],
+    ['drops orphaned rows', !JSON.stringify(domTree).includes('orphan')],
+    ['clears unparseable timestamps', domTree[2].created_utc === '' && domTree[0].created_utc === '2025-08-27T10:00:00.000Z'],
+    ['caps DOM trees', shape(capped) === 'a(a1),b(b1)'],
+    ['nests JSON replies and skips "more" stubs', shape(jsonTree) === 'a(a1(a1x(a1xy))),d(d1),b'],
+    ['keeps JSON replies of deleted comments', jsonTree[1].body === '[deleted]' && jsonTree[1].replies.length === 1],
+    ['converts JSON timestamps', jsonTree[0].created_utc === '2025-08-27T10:00:00.000Z'],
+    ['caps JSON trees', shape(jsonCapped) === 'a(a1)'],
+    ['asks for one level past maxDepth', requests[0].pathname === '/r/SaaS/comments/abc/title/' && requests[0].params.depth === 4 &&
+      requests[1].params.depth === 2]
+  ];
+
+  return report('Comment tree', checks);
+}
+
+/**
+ * Stand-in for the browser context's APIRequestContext, backed by fetch
+ */
+function fakeBrowser() {
+  return {
+    context: {
+      request: {
+        async get(url) {
+          const response = await fetch(url);
+          const body = await response.text();
+          return {
+            status: () => response.status,
+            ok: () => response.ok,
+            headers: () => Object.fromEntries(response.headers.entries()),
+            json: async () => JSON.parse(body)
+          };
+        }
+      }
+    },
+    page: { waitForTimeout: async () => {} }
+  };
+}
+
+/**
+ * JSON backend against a local fixture server: `after` pagination, the
+ * per-request limit cap and the fallback to DOM scraping when blocked
+ */
+async function testJsonBackend() {
+  console.log('\n🧪 Testing JSON backend against a fixture server...\n');
+
+  const post = id => ({
+    kind: 't3',
+    data: {
+      id: String(id), title: `Post ${id}`, permalink: `/r/SaaS/comments/${id}/post_${id}/`, author: 'alice', subreddit: 'SaaS',
+      created_utc: 1756288800, score: 10 * id, upvote_ratio: 0.9, num_comments: id, selftext: id === 1 ? 'Hello' : '',
+      is_self: id !== 2, url: id === 2 ? 'https://buildpad.io/' : `https://www.reddit.com/r/SaaS/comments/${id}/`
+    }
+  });
+  const pages = {
+    '': { children: [post(1), { kind: 't5', data: {} }, post(2)], after: 't3_2' },
+    t3_2: { children: [post(3), post(4)], after: 't3_4' },
+    t3_4: { children: [post(5)], after: null }
+  };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const q = url.searchParams.get('q');
+
+    if (q === 'blocked' || url.pathname === '/r/private/hot.json') {
+      res.statusCode = 403;
+      return res.end('{}');
+    }
+    if (q === 'ratelimited') {
+      res.statusCode = 429;
+      return res.end('{}');
+    }
+    if (q === 'loginwall') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.end('<html>Log in to continue</html>');
+    }
+    if (q === 'broken') {
+      res.statusCode = 500;
+      return res.end('{}');
+    }
+    if (url.pathname === '/search.json') {
+      res.setHeader('Content-Type', 'application/json; charset=UTF-8');
+      return res.end(JSON.stringify({ kind: 'Listing', data: pages[url.searchParams.get('after') || ''] }));
+    }
+
+    res.statusCode = 404;
+    res.end('{}');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const scraperFor = (options = {}) => {
+    const scraper = Object.assign(new RedditScraperEnhanced({ baseUrl, delayBetweenRequests: 0, ...options }), fakeBrowser());
+    scraper.domCalls = [];
+    scraper.searchByKeywordDom = async keyword => {
+      scraper.domCalls.push(keyword);
+      return [{ id: 'dom', title: `DOM ${keyword}` }];
+    };
+    scraper.batchFetchSubredditsDom = async subreddits => {
+      scraper.domCalls.push(subreddits.join());
+      return { posts: [], metadata: { totalPosts: 0 } };
+    };
+    return scraper;
+  };
+  const searches = () => requests.filter(url => url.pathname === '/search.json' && url.searchParams.get('q') === 'saas');
+  const silenced = async run => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      return await run();
+    } finally {
+      console.warn = warn;
+    }
+  };
+
+  try {
+    const scraper = scraperFor();
+    const firstThree = await scraper.searchByKeyword('saas', 3, 'week');
+    const firstRequests = searches().splice(0);
+    requests.length = 0;
+    const everything = await scraper.searchByKeyword('saas', 250);
+    const allRequests = searches();
+
+    const blocked = scraperFor();
+    const fallback = await silenced(() => blocked.searchByKeyword('blocked', 5));
+    const requestsBefore = requests.length;
+    await blocked.batchFetchSubreddits(['SaaS'], 5);
+    const stayedOnDom = requests.length === requestsBefore;
+
+    const rateLimited = scraperFor();
+    const afterRateLimit = await silenced(() => rateLimited.searchByKeyword('ratelimited', 5));
+    const loginWall = scraperFor();
+    const afterLoginWall = await silenced(() => loginWall.searchByKeyword('loginwall', 5));
+    const privateSub = scraperFor();
+    await silenced(() => privateSub.batchFetchSubreddits(['private'], 5));
+
+    const failing = scraperFor();
+    const serverError = await failing.searchByKeyword('broken', 5).then(() => null, error => error.message);
+
+    const domOnly = scraperFor({ backend: 'dom' });
+    requests.length = 0;
+    await domOnly.searchByKeyword('saas', 5);
+
+    const [first, second] = everything;
+    const checks = [
+      ['stops at the limit', firstThree.length === 3 && firstRequests.length === 2],
+      ['asks only for what is still missing', firstRequests[0].searchParams.get('limit') === '3' &&
+        firstRequests[1].searchParams.get('limit') === '1' && firstRequests[1].searchParams.get('after') === 't3_2'],
+      ['sends the search parameters', firstRequests[0].searchParams.get('t') === 'week' &&
+        firstRequests[0].searchParams.get('sort') === 'relevance' && firstRequests[0].searchParams.get('raw_json') === '1' &&
+        !firstRequests[0].searchParams.has('after')],
+      ['caps each request at 100 posts', allRequests[0].searchParams.get('limit') === '100'],
+      ['follows after until the listing ends', everything.length === 5 && allRequests.length === 3],
+      ['keeps only posts', everything.map(entry => entry.id).join() === '1,2,3,4,5'],
+      ['maps listing posts', first.url === 'https://www.reddit.com/r/SaaS/comments/1/post_1/' && first.content === 'Hello' &&
+        first.created_utc === '2025-08-27T10:00:00.000Z' && first.link_url === '' && second.link_url === 'https://buildpad.io/'],
+      ['falls back to the DOM on 403', fallback[0].id === 'dom' && blocked.domCalls[0] === 'blocked'],
+      ['stays on the DOM once blocked', stayedOnDom && blocked.domCalls[1] === 'SaaS'],
+      ['falls back to the DOM on 429', afterRateLimit[0].id === 'dom'],
+      ['falls back to the DOM on an HTML login wall', afterLoginWall[0].id === 'dom'],
+      ['falls back for blocked subreddit listings', privateSub.domCalls[0] === 'private'],
+      ['reports other HTTP errors without falling back', serverError?.includes('HTTP 500') && failing.domCalls.length === 0],
+      ['skips JSON with the DOM backend', requests.length === 0 && domOnly.domCalls[0] === 'saas']
+    ];
+
+    return report('JSON backend', checks);
+  } catch (error) {
+    console.error('❌ JSON backend test failed:', error.message);
+    return false;
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Subreddit discovery ranking and saved watch lists (temporary watchlists file)
+ */
+async function testDiscovery() {
+  console.log('\n🧭 Testing subreddit discovery...\n');
+
+  const scraper = new RedditScraperEnhanced();
+  const post = (subreddit, id, score = 10) => ({
+    id, title: `Post ${id}`, url: `https://www.reddit.com/r/${subreddit}/comments/${id}/`, subreddit, score, num_comments: 2,
+    created_utc: `2025-08-2${id.slice(-1)}T10:00:00.000Z`
+  });
+  const info = (name, subscribers, active_users) => ({
+    name, title: name, description: '', subscribers, active_users, over18: false, url: `https://www.reddit.com/r/${name}/`
+  });
+  const posts = [
+    ...Array.from({ length: 10 }, (_, i) => post('SaaS', `s${i}`)),
+    post('indiehackers', 'i1', 50),
+    post('u_alice', 'u1'),
+    post('saas', 's9')
+  ];
+  const infos = [info('AskReddit', 50000000, 100000), info('SaaS', 200000, 500), info('indiehackers', 5000, 20), info('Tiny', 10, 0)];
+  const mentions = scraper.countMentions(posts);
+  const ranked = scraper.rankSubreddits(posts, infos);
+  const byName = Object.fromEntries(ranked.map(entry => [entry.name, entry]));
+
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'bespy-test-')), 'watchlists.json');
+  const previousFile = process.env.BESPY_WATCHLISTS_FILE;
+  process.env.BESPY_WATCHLISTS_FILE = file;
+  try {
+    const empty = await loadWatchlists();
+    await saveWatchlist('saas', 'buildpad', ['SaaS', 'indiehackers']);
+    const created = (await getWatchlist('saas')).created_at;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveWatchlist('saas', 'buildpad', ['SaaS']);
+    const updated = await getWatchlist('saas');
+    const missing = await getWatchlist('nope').then(() => null, error => error.message);
+    const saved = JSON.parse(await fs.readFile(file, 'utf-8'));
+
+    const checks = [
+      ['counts mentions per subreddit, most first', mentions[0][0] === 'SaaS' && mentions[0][1] === 10],
+      ['leaves out user profile posts', !mentions.some(([name]) => name.startsWith('u_')) && !byName.u_alice],
+      ['merges subreddit names case-insensitively', byName.SaaS.mentions === 11 && !byName.saas],
+      ['ranks mentioned subreddits above bigger unmentioned ones', ranked.map(entry => entry.name).join() === 'SaaS,indiehackers,AskReddit,Tiny'],
+      ['scores unmentioned subreddits 0', byName.AskReddit.discovery_score === 0 && byName.Tiny.discovery_score === 0],
+      ['scales a single mention by size', byName.indiehackers.discovery_score > 0 && byName.indiehackers.discovery_score < 25],
+      ['gives the best candidate a high score', byName.SaaS.discovery_score > 75 && byName.SaaS.discovery_score <= 100],
+      ['sums mention stats and keeps 3 samples', byName.indiehackers.mention_score === 50 && byName.SaaS.sample_posts.length === 3 &&
+        byName.SaaS.last_mention_utc === '2025-08-29T10:00:00.000Z'],
+      ['starts with no watch lists', Object.keys(empty).length === 0],
+      ['saves and loads watch lists', updated.keyword === 'buildpad' && updated.subreddits.join() === 'SaaS' &&
+        saved.watchlists.saas.name === 'saas'],
+      ['keeps created_at when replacing a watch list', updated.created_at === created && updated.updated_at > created],
+      ['names saved lists for unknown watch lists', missing?.includes('No watch list named "nope"') && missing.includes('available: saas')]
+    ];
+
+    return report('Discovery', checks);
+  } catch (error) {
+    console.error('❌ Discovery test failed:', error.message);
+    return false;
+  } finally {
+    if (previousFile === undefined) delete process.env.BESPY_WATCHLISTS_FILE;
+    else process.env.BESPY_WATCHLISTS_FILE = previousFile;
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting Reddit scraper tests\n');
+  console.log('='.repeat(50));
+
+  const results = [
+    await testCommentTrees(),
+    await testJsonBackend(),
+    await testDiscovery()
+  ];
+
+  console.log('\n' + '='.repeat(50));
+  if (results.every(Boolean)) {
+    console.log('\n🎉 All tests passed successfully!');
+    process.exit(0);
+  } else {
+    console.log('\n⚠️ Some tests failed. Please review the implementation.');
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runAllTests();
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Alerts CLI
+ * Inspect alert rules and check that sinks are reachable
+ *
+ * Usage:
+ *   node scripts/shared/alerts-cli.js rules [--file config/alerts.json]
+ *   node scripts/shared/alerts-cli.js test [--sink webhook]
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import AlertManager, { DEFAULT_ALERTS_FILE } from './alerts.js';
+
+const program = new Command();
+
+program
+  .name('alerts')
+  .description('Manage alerts raised when scrapes record new results')
+  .option('-f, --file <path>', 'Alerts config file', process.env.BESPY_ALERTS_FILE || DEFAULT_ALERTS_FILE);
+
+async function loadManagerOrExit() {
+  const filePath = path.resolve(program.opts().file);
+  try {
+    const manager = await AlertManager.fromFile(filePath);
+    if (!manager) {
+      console.error(`❌ No alerts file at ${filePath} (copy config/alerts.example.json to get started)`);
+      process.exit(1);
+    }
+    return manager;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+program
+  .command('rules')
+  .description('Show enabled rules and sinks')
+  .action(async () => {
+    const manager = await loadManagerOrExit();
+
+    console.log(`📏 ${manager.rules.length} rule(s):`);
+    manager.rules.forEach(rule => {
+      const settings = Object.entries(rule)
+        .filter(([key]) => !['name', 'type', 'enabled'].includes(key))
+        .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+      console.log(`   ${rule.name.padEnd(24)} ${rule.type.padEnd(18)} ${settings.join(' ')}`);
+    });
+
+    console.log(`\n📮 ${manager.sinks.length} sink(s):`);
+    manager.sinks.forEach(sink => {
+      // Only the host: webhook paths usually contain the secret token
+      const target = sink.url ? sink.url.replace(/^https?:\/\/([^/]+).*$/, '$1') : sink.to || sink.path || sink.host || '';
+      console.log(`   ${(sink.name || sink.type).padEnd(24)} ${target}`);
+    });
+  });
+
+program
+  .command('test')
+  .description('Send a sample alert through the configured sinks')
+  .option('-s, --sink <type>', 'Only test sinks of this type')
+  .action(async (options) => {
+    const manager = await loadManagerOrExit();
+    if (options.sink) {
+      manager.sinks = manager.sinks.filter(sink => sink.type === options.sink);
+    }
+
+    if (manager.sinks.length === 0) {
+      console.error('❌ No matching sinks configured');
+      process.exit(1);
+    }
+
+    const sample = {
+      rule: 'test',
+      type: 'new_mention',
+      source: 'hackernews',
+      item_id: 'hackernews:0',
+      title: 'Test alert from BeSpy',
+      url: 'https://news.ycombinator.com/',
+      community: 'search',
+      author: 'bespy',
+      metrics: { score: 1, comments: 0 },
+      triggered_at: new Date().toISOString(),
+      message: 'This is a test alert',
+      details: {}
+    };
+
+    const results = await manager.deliver([sample]);
+    process.exit(results.every(result => result.delivered) ? 0 : 1);
+  });
+
+program.parse(process.argv);
@@ -0,0 +1,385 @@
+/**
+ * Alerts - Rule-based notifications for new scrape results
+ * Every run's items are compared with their previous history snapshot (recordHistory()
+ * evaluates the rules before appending the run) and each alert a rule raises is
+ * delivered to the configured sinks.
+ *
+ * Config (config/alerts.json, see config/alerts.example.json):
+ *   {
+ *     "rules": [{ "name", "type": "new_mention" | "viral" | "comment_velocity", "sources", ... }],
+ *     "sinks": [{ "type": "webhook" | "email" | "file" | "stdout", ... }]
+ *   }
+ *
+ * String values may reference environment variables as ${NAME} so webhook URLs and
+ * SMTP passwords don't have to live in the file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SOURCES } from './community-item.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = path.join(__dirname, '..', '..');
+export const DEFAULT_ALERTS_FILE = path.join(REPO_ROOT, 'config', 'alerts.json');
+export const DEFAULT_ALERT_LOG = path.join(REPO_ROOT, 'data', 'alerts', 'alerts.jsonl');
+
+// Discord rejects messages longer than this and more than 10 embeds
+const DISCORD_CONTENT_LIMIT = 2000;
+const DISCORD_EMBED_LIMIT = 10;
+
+// A webhook that never answers must not hold up the scrape
+const DEFAULT_WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Rule checks: (rule, item, previous snapshot or null, context) -> alert fields or null
+ */
+export const RULES = {
+  /**
+   * First time an item mentioning one of the keywords shows up
+   */
+  new_mention(rule, item, previous) {
+    if (previous) return null;
+
+    const text = `${item.title} ${item.body}`.toLowerCase();
+    const keyword = rule.keywords.find(candidate => text.includes(candidate.toLowerCase()));
+    if (!keyword) return null;
+
+    return {
+      message: `New mention of "${keyword}" on ${item.source}`,
+      details: { keyword }
+    };
+  },
+
+  /**
+   * Engagement score crosses the viral threshold (engagementThresholds.viral in
+   * config/scoring-weights.json unless the rule sets its own)
+   */
+  viral(rule, item, previous, context) {
+    const engine = context.scoringEngine;
+    const threshold = rule.threshold ?? engine.weights.engagementThresholds.viral;
+
+    const score = engine.scoreItem(item, { now: context.now }).engagementScore;
+    if (score < threshold) return null;
+
+    // Score the previous snapshot as of when it was taken, so recency decay doesn't hide a crossing
+    const previousScore = previous
+      ? engine.scoreItem({ ...item, metrics: previous.metrics }, { now: previous.recorded_at }).engagementScore
+      : null;
+    if (previousScore !== null && previousScore >= threshold) return null;
+
+    return {
+      message: `Post went viral on ${item.source} (engagement score ${score}, threshold ${threshold})`,
+      details: { engagement_score: score, previous_score: previousScore, threshold }
+    };
+  },
+
+  /**
+   * Comments arriving faster than `perHour` since the previous run
+   * (and at least `minNewComments` of them, so tiny posts don't trigger it)
+   */
+  comment_velocity(rule, item, previous, context) {
+    if (!previous) return null;
+
+    const newComments = (item.metrics.comments || 0) - (previous.metrics.comments || 0);
+    const hours = Math.max((context.now - new Date(previous.recorded_at)) / (1000 * 60 * 60), 1 / 60);
+    const perHour = Math.round((newComments / hours) * 10) / 10;
+
+    if (newComments < (rule.minNewComments ?? 10) || perHour < (rule.perHour ?? 5)) return null;
+
+    return {
+      message: `Comment spike on ${item.source}: +${newComments} comments in ${formatHours(hours)} (${perHour}/h)`,
+      details: { new_comments: newComments, hours: Math.round(hours * 100) / 100, per_hour: perHour }
+    };
+  }
+};
+
+/**
+ * Alert delivery: (sink config, alerts) -> Promise; failures throw
+ */
+export const SINKS = {
+  async webhook(sink, alerts) {
+    const format = sink.format && sink.format !== 'auto'
+      ? sink.format
+      : /discord(app)?\.com/.test(sink.url) ? 'discord' : 'slack';
+
+    const response = await fetch(sink.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sink.headers || {}) },
+      body: JSON.stringify(buildWebhookPayload(alerts, format)),
+      signal: AbortSignal.timeout(sink.timeout || DEFAULT_WEBHOOK_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+    }
+  },
+
+  async email(sink, alerts) {
+    const { default: nodemailer } = await import('nodemailer');
+    const port = sink.port || 587;
+
+    const transport = nodemailer.createTransport({
+      host: sink.host,
+      port,
+      secure: sink.secure ?? port === 465,
+      ignoreTLS: sink.ignoreTLS || false,
+      auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined
+    });
+
+    await transport.sendMail({
+      from: sink.from,
+      to: Array.isArray(sink.to) ? sink.to.join(', ') : sink.to,
+      subject: `${sink.subjectPrefix || '[BeSpy]'} ${alertSummary(alerts)}`,
+      text: formatAlertsText(alerts)
+    });
+  },
+
+  async file(sink, alerts) {
+    const filePath = sink.path ? path.resolve(REPO_ROOT, sink.path) : DEFAULT_ALERT_LOG;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, alerts.map(alert => JSON.stringify(alert)).join('\n') + '\n', 'utf8');
+  },
+
+  async stdout(sink, alerts) {
+    console.log(`\n🔔 ${alertSummary(alerts)}\n${formatAlertsText(alerts)}`);
+  }
+};
+
+/**
+ * Add a sink type (e.g. a custom chat integration) next to the built-in ones
+ */
+export function registerSink(type, send) {
+  SINKS[type] = send;
+}
+
+/**
+ * Check a parsed alerts config, returning every problem found
+ */
+export function validateAlertConfig(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['Alerts config must be an object'] };
+  }
+  if (!Array.isArray(data.rules)) errors.push('"rules" must be an array');
+  if (!Array.isArray(data.sinks)) errors.push('"sinks" must be an array');
+
+  const names = new Set();
+  (Array.isArray(data.rules) ? data.rules : []).forEach((rule, index) => {
+    const prefix = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+
+    if (typeof rule?.name !== 'string' || !rule.name.trim()) {
+      errors.push(`${prefix}.name: required string`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${prefix}.name: duplicate rule name`);
+    } else {
+      names.add(rule.name);
+    }
+
+    if (!RULES[rule?.type]) {
+      errors.push(`${prefix}.type: must be one of ${Object.keys(RULES).join(', ')}`);
+    }
+    if (rule?.type === 'new_mention' && !(Array.isArray(rule.keywords) && rule.keywords.length > 0)) {
+      errors.push(`${prefix}.keywords: required non-empty array for new_mention rules`);
+    }
+    if (rule?.sources !== undefined &&
+        !(Array.isArray(rule.sources) && rule.sources.every(source => SOURCES.includes(source)))) {
+      errors.push(`${prefix}.sources: must be an array of ${SOURCES.join(', ')}`);
+    }
+    ['threshold', 'minNewComments', 'perHour'].forEach(key => {
+      if (rule?.[key] !== undefined && (typeof rule[key] !== 'number' || rule[key] < 0)) {
+        errors.push(`${prefix}.${key}: must be a non-negative number`);
+      }
+    });
+  });
+
+  (Array.isArray(data.sinks) ? data.sinks : []).forEach((sink, index) => {
+    const prefix = `sinks[${index}]`;
+
+    if (!SINKS[sink?.type]) {
+      errors.push(`${prefix}.type: must be one of ${Object.keys(SINKS).join(', ')}`);
+      return;
+    }
+    if (sink.type === 'webhook' && !sink.url) errors.push(`${prefix}.url: required for webhook sinks`);
+    if (sink.type === 'webhook' && sink.format && !['auto', 'slack', 'discord', 'json'].includes(sink.format)) {
+      errors.push(`${prefix}.format: must be auto, slack, discord or json`);
+    }
+    if (sink.type === 'webhook' && sink.timeout !== undefined && !(Number.isFinite(sink.timeout) && sink.timeout > 0)) {
+      errors.push(`${prefix}.timeout: must be a positive number of milliseconds`);
+    }
+    if (sink.type === 'email') {
+      ['host', 'from', 'to'].forEach(key => {
+        if (!sink[key]) errors.push(`${prefix}.${key}: required for email sinks`);
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+export class AlertManager {
+  constructor(config = {}) {
+    this.rules = (config.rules || []).filter(rule => rule.enabled !== false);
+    this.sinks = (config.sinks || []).filter(sink => sink.enabled !== false);
+    this.scoringEngine = null;
+  }
+
+  /**
+   * Load and validate an alerts file; null when the file doesn't exist (alerting off)
+   */
+  static async fromFile(filePath = process.env.BESPY_ALERTS_FILE || DEFAULT_ALERTS_FILE) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read alerts file ${filePath}: ${error.message}`);
+    }
+
+    const { valid, errors } = validateAlertConfig(data);
+    if (!valid) {
+      throw new Error(`Invalid alerts file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return new AlertManager(expandEnv(data));
+  }
+
+  /**
+   * Run every rule against a run's community items
+   * `store` is a loaded HistoryStore that does not contain this run yet
+   */
+  async evaluate(source, items, store, now = new Date()) {
+    const rules = this.rules.filter(rule => !rule.sources || rule.sources.includes(source));
+    if (rules.length === 0 || items.length === 0) return [];
+
+    if (rules.some(rule => rule.type === 'viral') && !this.scoringEngine) {
+      const { getScoringEngine } = await import('../indiehacker/utils/scoring-engine.js');
+      this.scoringEngine = getScoringEngine();
+    }
+
+    const context = { now, scoringEngine: this.scoringEngine };
+    const alerts = [];
+
+    for (const item of items) {
+      const previous = store.getLatestSnapshot(item.id);
+
+      for (const rule of rules) {
+        const result = RULES[rule.type](rule, item, previous, context);
+        if (!result) continue;
+
+        alerts.push({
+          rule: rule.name,
+          type: rule.type,
+          source: item.source,
+          item_id: item.id,
+          title: item.title,
+          url: item.url,
+          community: item.community,
+          author: item.author?.username || 'unknown',
+          metrics: { ...item.metrics },
+          triggered_at: now.toISOString(),
+          ...result
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Send alerts to every sink; a failing sink is logged and doesn't stop the others
+   */
+  async deliver(alerts) {
+    if (alerts.length === 0) return [];
+
+    const results = [];
+    for (const sink of this.sinks) {
+      try {
+        await SINKS[sink.type](sink, alerts);
+        results.push({ sink: sink.name || sink.type, delivered: true });
+      } catch (error) {
+        // fetch() hides the network error (ECONNREFUSED, ...) in `cause`
+        const message = error.cause ? `${error.message} (${error.cause.code || error.cause.message})` : error.message;
+        console.warn(`⚠️ Failed to deliver alerts via ${sink.name || sink.type}: ${message}`);
+        results.push({ sink: sink.name || sink.type, delivered: false, error: message });
+      }
+    }
+
+    const delivered = results.filter(result => result.delivered).length;
+    console.log(`🔔 Alerts: ${alerts.length} raised, delivered via ${delivered}/${this.sinks.length} sink(s)`);
+    return results;
+  }
+}
+
+/**
+ * Webhook body for Slack (text), Discord (content + embeds) or plain JSON receivers
+ */
+export function buildWebhookPayload(alerts, format = 'slack') {
+  if (format === 'json') {
+    return { summary: alertSummary(alerts), alerts };
+  }
+
+  if (format === 'discord') {
+    const content = `🔔 **${alertSummary(alerts)}**`;
+    return {
+      content: content.substring(0, DISCORD_CONTENT_LIMIT),
+      embeds: alerts.slice(0, DISCORD_EMBED_LIMIT).map(alert => ({
+        title: (alert.title || alert.item_id).substring(0, 256),
+        url: alert.url || undefined,
+        description: alert.message,
+        fields: [
+          { name: 'Source', value: alert.community ? `${alert.source} (${alert.community})` : alert.source, inline: true },
+          { name: 'Score', value: String(alert.metrics.score ?? 0), inline: true },
+          { name: 'Comments', value: String(alert.metrics.comments ?? 0), inline: true }
+        ],
+        timestamp: alert.triggered_at
+      }))
+    };
+  }
+
+  const lines = alerts.map(alert => {
+    const link = alert.url ? `<${alert.url}|${escapeSlack(alert.title || alert.item_id)}>` : escapeSlack(alert.title || alert.item_id);
+    return `• ${escapeSlack(alert.message)}: ${link} (score ${alert.metrics.score ?? 0}, ${alert.metrics.comments ?? 0} comments)`;
+  });
+  return { text: `:bell: *${alertSummary(alerts)}*\n${lines.join('\n')}` };
+}
+
+export function formatAlertsText(alerts) {
+  return alerts.map(alert => [
+    `[${alert.rule}] ${alert.message}`,
+    `  ${alert.title || alert.item_id}`,
+    `  ${alert.url}`,
+    `  score ${alert.metrics.score ?? 0}, ${alert.metrics.comments ?? 0} comments, by ${alert.author}`
+  ].join('\n')).join('\n\n');
+}
+
+function alertSummary(alerts) {
+  const rules = [...new Set(alerts.map(alert => alert.rule))];
+  return `${alerts.length} alert${alerts.length === 1 ? '' : 's'} (${rules.join(', ')})`;
+}
+
+/**
+ * Replace ${NAME} in every string of the config with the environment variable
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, expandEnv(entry)]));
+  }
+  return value;
+}
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatHours(hours) {
+  return hours < 1 ? `${Math.round(hours * 60)}m` : `${Math.round(hours * 10) / 10}h`;
+}
+
+export default AlertManager;
@@ -0,0 +1,456 @@
+/**
+ * Author Profiles - Per-source author profiles and influencer ranking
+ * Looks up what each site says about an author (reach, account age,
+ * verification) and ranks the authors that keep showing up across runs by
+ * reach and engagement, using the authorFactors block of
+ * config/scoring-weights.json.
+ *
+ * Profile shape (fields a source doesn't expose are null):
+ *   { source, username, display_name, profile_url, followers, karma,
+ *     created_at, verified, bio, fetched_at }
+ *
+ *   IndieHackers  /u/<username> page        followers, join date, bio
+ *   HackerNews    Firebase user API         karma, created, about
+ *   Reddit        /user/<name>/about.json   karma, created, bio
+ *   Twitter       x.com/<handle> page       followers, verified, join date, bio
+ *
+ * Fetched profiles are cached in data/authors/profiles.json for `ttlHours`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SOURCES } from './community-item.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', '..', 'data', 'authors', 'profiles.json');
+
+// Placeholder authors that are never ranked or looked up
+const ANONYMOUS_AUTHORS = new Set(['unknown', 'anonymous', '[deleted]', 'automoderator']);
+
+/**
+ * How each source's profile is fetched; each resolves to the source-specific
+ * profile fields or null when the user doesn't exist
+ */
+const PROFILE_FETCHERS = {
+  async indiehackers(username, profiler) {
+    const page = await profiler.getPage();
+    await page.goto(`https://www.indiehackers.com/u/${encodeURIComponent(username)}`, {
+      waitUntil: 'domcontentloaded',
+      timeout: profiler.timeout
+    });
+    await page.waitForTimeout(2000);
+
+    const data = await page.evaluate(() => {
+      const text = document.body?.innerText || '';
+      return {
+        notFound: /page not found|doesn't exist|404/i.test(document.title + text.substring(0, 500)),
+        displayName: document.querySelector('h1')?.textContent?.trim() || '',
+        followers: text.match(/([\d.,]+\s*[kKmM]?)\s+followers?\b/i)?.[1] || '',
+        joined: text.match(/joined\s+(?:on\s+)?([A-Za-z]+\s+\d{1,2},?\s+\d{4}|[A-Za-z]+\s+\d{4})/i)?.[1] || '',
+        bio: document.querySelector('meta[name="description"]')?.getAttribute('content') || ''
+      };
+    });
+    if (data.notFound) return null;
+
+    return {
+      display_name: data.displayName || username,
+      profile_url: `https://www.indiehackers.com/u/${username}`,
+      followers: parseCount(data.followers),
+      created_at: toIsoDate(data.joined),
+      bio: data.bio
+    };
+  },
+
+  async hackernews(username) {
+    const { HackerNewsApi, htmlToText } = await import('../hackernews/hn-api.js');
+    const user = await new HackerNewsApi().getUser(username);
+    if (!user) return null;
+
+    return {
+      display_name: user.id,
+      profile_url: `https://news.ycombinator.com/user?id=${encodeURIComponent(user.id)}`,
+      karma: user.karma ?? null,
+      created_at: user.created ? new Date(user.created * 1000).toISOString() : null,
+      bio: user.about ? htmlToText(user.about) : ''
+    };
+  },
+
+  async reddit(username, profiler) {
+    const data = await profiler.fetchJson(`https://www.reddit.com/user/${encodeURIComponent(username)}/about.json?raw_json=1`);
+    if (data?.kind !== 't2') return null;
+    const user = data.data;
+
+    return {
+      display_name: user.subreddit?.title || user.name,
+      profile_url: `https://www.reddit.com/user/${user.name}/`,
+      karma: user.total_karma ?? ((user.link_karma || 0) + (user.comment_karma || 0)),
+      created_at: user.created_utc ? new Date(user.created_utc * 1000).toISOString() : null,
+      bio: user.subreddit?.public_description || ''
+    };
+  },
+
+  async twitter(username, profiler) {
+    const page = await profiler.getPage();
+    await page.goto(`https://x.com/${encodeURIComponent(username)}`, {
+      waitUntil: 'domcontentloaded',
+      timeout: profiler.timeout
+    });
+
+    // Logged-out visitors often get a login wall instead of the profile
+    const header = await page.waitForSelector('[data-testid="UserName"]', { timeout: 10000 }).catch(() => null);
+    if (!header) {
+      throw new Error('profile not visible (login wall or suspended account)');
+    }
+
+    const data = await page.evaluate(() => {
+      const followersLink = document.querySelector('a[href$="/verified_followers"], a[href$="/followers"]');
+      return {
+        displayName: document.querySelector('[data-testid="UserName"] span')?.textContent || '',
+        followers: followersLink?.textContent?.match(/([\d.,]+\s*[KkMm]?)/)?.[1] || '',
+        verified: Boolean(document.querySelector('[data-testid="UserName"] [data-testid="icon-verified"]')),
+        joined: document.querySelector('[data-testid="UserJoinDate"]')?.textContent?.replace(/^Joined\s+/i, '') || '',
+        bio: document.querySelector('[data-testid="UserDescription"]')?.textContent || ''
+      };
+    });
+
+    return {
+      display_name: data.displayName || username,
+      profile_url: `https://x.com/${username}`,
+      followers: parseCount(data.followers),
+      verified: data.verified,
+      created_at: toIsoDate(data.joined),
+      bio: data.bio
+    };
+  }
+};
+
+export const PROFILE_SOURCES = Object.keys(PROFILE_FETCHERS);
+
+export class AuthorProfiler {
+  constructor(options = {}) {
+    this.file = options.file || process.env.BESPY_AUTHORS_FILE || DEFAULT_PROFILES_FILE;
+    this.ttlHours = options.ttlHours ?? 168;
+    this.delay = options.delay ?? 1000;
+    this.timeout = options.timeout || 30000;
+    // Playwright page for IndieHackers/Twitter; a browser is launched on demand otherwise
+    this.page = options.page || null;
+    this.browser = null;
+    this.profiles = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Profile for one author, from the cache while it is fresh. Lookup
+   * failures are logged and fall back to a stale cached profile (or null).
+   */
+  async getProfile(source, username, options = {}) {
+    if (!PROFILE_FETCHERS[source]) {
+      throw new Error(`No profile fetcher for source: ${source} (available: ${PROFILE_SOURCES.join(', ')})`);
+    }
+    if (!username || ANONYMOUS_AUTHORS.has(username.toLowerCase())) return null;
+
+    await this.load();
+    const key = profileKey(source, username);
+    const cached = this.profiles[key];
+    if (cached && !options.refresh && !this.isStale(cached)) {
+      return cached;
+    }
+
+    try {
+      const fields = await PROFILE_FETCHERS[source](username, this);
+      if (!fields) {
+        console.warn(`⚠️ No ${source} profile found for ${username}`);
+        return cached || null;
+      }
+
+      const profile = {
+        source,
+        username,
+        display_name: username,
+        profile_url: '',
+        followers: null,
+        karma: null,
+        created_at: null,
+        verified: null,
+        bio: '',
+        ...fields,
+        fetched_at: new Date().toISOString()
+      };
+      this.profiles[key] = profile;
+      this.dirty = true;
+      return profile;
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch ${source} profile for ${username}: ${error.message}`);
+      return cached || null;
+    }
+  }
+
+  /**
+   * Profiles for many [source, username] pairs, keyed by profileKey();
+   * the cache file is written once at the end
+   */
+  async getProfiles(authors, options = {}) {
+    const profiles = {};
+    const unique = [...new Map(authors.map(([source, username]) => [profileKey(source, username), [source, username]])).values()];
+
+    for (const [source, username] of unique) {
+      const wasFresh = this.isFresh(source, username);
+      const profile = await this.getProfile(source, username, options);
+      if (profile) profiles[profileKey(source, username)] = profile;
+
+      // Only wait between real lookups
+      if (!wasFresh || options.refresh) await sleep(this.delay);
+    }
+
+    await this.save();
+    return profiles;
+  }
+
+  isFresh(source, username) {
+    const cached = this.profiles?.[profileKey(source, username)];
+    return Boolean(cached) && !this.isStale(cached);
+  }
+
+  isStale(profile) {
+    return Date.now() - new Date(profile.fetched_at).getTime() > this.ttlHours * 60 * 60 * 1000;
+  }
+
+  async load() {
+    if (this.profiles) return this.profiles;
+    try {
+      this.profiles = JSON.parse(await fs.readFile(this.file, 'utf8')).profiles || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read author profiles from ${this.file}: ${error.message}`);
+      }
+      this.profiles = {};
+    }
+    return this.profiles;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify({ profiles: this.profiles }, null, 2), 'utf8');
+    this.dirty = false;
+  }
+
+  async getPage() {
+    if (!this.page) {
+      const { chromium } = await import('playwright');
+      this.browser = await chromium.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+      this.page = await this.browser.newPage();
+    }
+    return this.page;
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'bespy-author-profiles/1.0' },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Writes pending profiles and closes the browser if this profiler opened it
+   */
+  async close() {
+    await this.save();
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    }
+  }
+}
+
+export function profileKey(source, username) {
+  return `${source}:${String(username).toLowerCase()}`;
+}
+
+/**
+ * One appearance per history snapshot: { source, username, item_id, run_id,
+ * recorded_at, score, comments }
+ */
+export function appearancesFromHistory(store, options = {}) {
+  const since = options.since ? new Date(options.since).toISOString() : null;
+
+  return store.getSnapshots(options.source)
+    .filter(snapshot => !since || snapshot.recorded_at >= since)
+    .map(snapshot => ({
+      source: snapshot.source,
+      username: snapshot.author,
+      item_id: snapshot.item_id,
+      run_id: snapshot.run_id,
+      recorded_at: snapshot.recorded_at,
+      score: snapshot.metrics?.score || 0,
+      comments: snapshot.metrics?.comments || 0
+    }));
+}
+
+/**
+ * Appearances for community items that were not recorded in the history store
+ */
+export function appearancesFromItems(items, runId = 'current') {
+  const recordedAt = new Date().toISOString();
+  return items.map(item => ({
+    source: item.source,
+    username: item.author?.username || 'unknown',
+    item_id: item.id,
+    run_id: runId,
+    recorded_at: recordedAt,
+    score: item.metrics?.score || 0,
+    comments: item.metrics?.comments || 0
+  }));
+}
+
+/**
+ * Rank authors by influence. Each item counts once with its latest metrics.
+ *
+ *   engagement = (score + 2 × comments) per post
+ *   reputation = reach / followersThreshold (capped at 1), reach = followers or karma;
+ *                without a profile, posts × reputationWeight (as in the scoring engine)
+ *   influence  = engagement × log2(1 + posts) × (1 + reputation)
+ *                × verifiedMultiplier (verified) × activityBonus (seen in more than one run)
+ *
+ * `profiles` is keyed by profileKey(); options: minRuns, minPosts, limit
+ */
+export function rankAuthors(appearances, profiles = {}, authorFactors = {}, options = {}) {
+  const factors = {
+    verifiedMultiplier: 1,
+    followersThreshold: 1000,
+    reputationWeight: 0,
+    activityBonus: 1,
+    ...authorFactors
+  };
+  const authors = new Map();
+
+  appearances
+    .filter(appearance => SOURCES.includes(appearance.source) && appearance.username &&
+      !ANONYMOUS_AUTHORS.has(appearance.username.toLowerCase()))
+    .forEach(appearance => {
+      const key = profileKey(appearance.source, appearance.username);
+      if (!authors.has(key)) {
+        authors.set(key, {
+          source: appearance.source,
+          username: appearance.username,
+          items: new Map(),
+          runs: new Set(),
+          first_seen: appearance.recorded_at,
+          last_seen: appearance.recorded_at
+        });
+      }
+
+      const author = authors.get(key);
+      const latest = author.items.get(appearance.item_id);
+      if (!latest || appearance.recorded_at >= latest.recorded_at) {
+        author.items.set(appearance.item_id, appearance);
+      }
+      author.runs.add(appearance.run_id);
+      if (appearance.recorded_at < author.first_seen) author.first_seen = appearance.recorded_at;
+      if (appearance.recorded_at > author.last_seen) author.last_seen = appearance.recorded_at;
+    });
+
+  const ranking = [...authors.entries()].map(([key, author]) => {
+    const items = [...author.items.values()];
+    const posts = items.length;
+    const totalScore = items.reduce((sum, item) => sum + item.score, 0);
+    const totalComments = items.reduce((sum, item) => sum + item.comments, 0);
+    const engagement = (totalScore + 2 * totalComments) / posts;
+
+    const profile = profiles[key] || null;
+    const reach = profile?.followers ?? profile?.karma ?? null;
+    const reputation = typeof reach === 'number'
+      ? Math.min(reach / factors.followersThreshold, 1)
+      : Math.min(posts * factors.reputationWeight, 1);
+    const recurring = author.runs.size > 1;
+
+    const influence = engagement *
+      Math.log2(1 + posts) *
+      (1 + reputation) *
+      (profile?.verified ? factors.verifiedMultiplier : 1) *
+      (recurring ? factors.activityBonus : 1);
+
+    return {
+      source: author.source,
+      username: author.username,
+      display_name: profile?.display_name || author.username,
+      profile_url: profile?.profile_url || '',
+      posts,
+      runs: author.runs.size,
+      recurring,
+      first_seen: author.first_seen,
+      last_seen: author.last_seen,
+      total_score: totalScore,
+      total_comments: totalComments,
+      engagement_per_post: round(engagement),
+      followers: profile?.followers ?? null,
+      karma: profile?.karma ?? null,
+      verified: profile?.verified ?? null,
+      reputation: round(reputation),
+      influence_score: round(influence)
+    };
+  });
+
+  return ranking
+    .filter(author => author.runs >= (options.minRuns || 1) && author.posts >= (options.minPosts || 1))
+    .sort((a, b) => b.influence_score - a.influence_score)
+    .slice(0, options.limit || ranking.length);
+}
+
+/**
+ * Markdown table of a ranking, shared by the CLI and the IndieHackers summary
+ */
+export function formatAuthorRankingMarkdown(ranking, options = {}) {
+  const heading = options.heading ?? '## Author Analysis';
+  let markdown = heading ? `${heading}\n\n` : '';
+
+  if (ranking.length === 0) {
+    return `${markdown}No recurring authors yet.\n`;
+  }
+
+  markdown += '| # | Author | Source | Posts | Runs | Engagement/Post | Reach | Influence |\n';
+  markdown += '|---|--------|--------|-------|------|-----------------|-------|-----------|\n';
+  ranking.forEach((author, index) => {
+    const name = author.profile_url ? `[${author.username}](${author.profile_url})` : author.username;
+    const reach = author.followers !== null ? `${author.followers.toLocaleString()} followers`
+      : author.karma !== null ? `${author.karma.toLocaleString()} karma` : '-';
+    markdown += `| ${index + 1} | ${name}${author.verified ? ' ✓' : ''} | ${author.source} | ${author.posts} | ` +
+      `${author.runs} | ${author.engagement_per_post} | ${reach} | ${author.influence_score} |\n`;
+  });
+
+  return `${markdown}\n`;
+}
+
+/**
+ * "1.2K", "12,345", "3.4M" -> number; null when there's no number
+ */
+function parseCount(text) {
+  const match = String(text || '').replace(/,/g, '').match(/([\d.]+)\s*([kKmM]?)/);
+  if (!match) return null;
+  const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function toIsoDate(text) {
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default AuthorProfiler;
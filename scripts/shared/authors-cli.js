@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Authors CLI
+ * Look up author profiles and rank recurring authors from the post history
+ *
+ * Usage:
+ *   node scripts/shared/authors-cli.js profile hackernews pg
+ *   node scripts/shared/authors-cli.js rank [--source reddit] [--min-runs 2] [--profiles]
+ */
+
+import { Command } from 'commander';
+import fs from 'fs/promises';
+import HistoryStore from './history-store.js';
+import { SOURCES } from './community-item.js';
+import AuthorProfiler, {
+  PROFILE_SOURCES,
+  appearancesFromHistory,
+  rankAuthors,
+  formatAuthorRankingMarkdown
+} from './author-profiles.js';
+
+const program = new Command();
+
+program
+  .name('authors')
+  .description('Author profiles and influencer ranking across sources')
+  .option('--file <path>', 'Profile cache file (defaults to data/authors/profiles.json)')
+  .option('--dir <path>', 'History directory (defaults to data/history)');
+
+program
+  .command('profile <source> <username>')
+  .description(`Show an author's profile (${PROFILE_SOURCES.join(', ')})`)
+  .option('--refresh', 'Ignore the cached profile')
+  .action(async (source, username, options) => {
+    const profiler = new AuthorProfiler({ file: program.opts().file });
+    try {
+      const profile = await profiler.getProfile(source, username, { refresh: options.refresh });
+      if (!profile) {
+        console.error(`❌ No profile found for ${source}:${username}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(JSON.stringify(profile, null, 2));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      await profiler.close();
+    }
+  });
+
+program
+  .command('rank')
+  .description('Rank authors seen in recorded runs by reach and engagement')
+  .option('-s, --source <source>', `Only rank one source (${SOURCES.join(', ')})`)
+  .option('--since <date>', 'Only count runs recorded on/after this date')
+  .option('--min-runs <number>', 'Only authors seen in at least this many runs', '1')
+  .option('-n, --limit <number>', 'Number of authors', '20')
+  .option('--profiles', 'Fetch profiles (followers/karma/verified) for the ranked authors')
+  .option('--format <format>', 'json or markdown', 'markdown')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async (options) => {
+    try {
+      if (options.source && !SOURCES.includes(options.source)) {
+        throw new Error(`Unknown source: ${options.source} (use ${SOURCES.join(', ')})`);
+      }
+      if (!['json', 'markdown'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (use json or markdown)`);
+      }
+
+      const store = await new HistoryStore({ baseDir: program.opts().dir }).load({ source: options.source });
+      const appearances = appearancesFromHistory(store, { source: options.source, since: options.since });
+      if (appearances.length === 0) {
+        console.log('📭 No runs recorded yet');
+        return;
+      }
+
+      const { getScoringEngine } = await import('../indiehacker/utils/scoring-engine.js');
+      const authorFactors = getScoringEngine().weights.authorFactors;
+      const rankOptions = { minRuns: parseInt(options.minRuns) || 1, limit: parseInt(options.limit) || 20 };
+
+      // Cached profiles are always used; --profiles looks up the missing or stale ones
+      const profiler = new AuthorProfiler({ file: program.opts().file });
+      let profiles = await profiler.load();
+
+      if (options.profiles) {
+        // Profiles change the order, so look up more candidates than are shown
+        const candidates = rankAuthors(appearances, profiles, authorFactors, { ...rankOptions, limit: rankOptions.limit * 2 });
+        try {
+          const authors = candidates
+            .filter(author => PROFILE_SOURCES.includes(author.source))
+            .map(author => [author.source, author.username]);
+          profiles = { ...profiles, ...await profiler.getProfiles(authors) };
+        } finally {
+          await profiler.close();
+        }
+      }
+
+      const ranking = rankAuthors(appearances, profiles, authorFactors, rankOptions);
+
+      const output = options.format === 'json'
+        ? JSON.stringify({ generated_at: new Date().toISOString(), authors: ranking }, null, 2)
+        : `# Author Ranking\n\n${formatAuthorRankingMarkdown(ranking, { heading: '' })}`;
+
+      if (options.output) {
+        await fs.writeFile(options.output, output, 'utf8');
+        console.log(`💾 Ranking saved to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
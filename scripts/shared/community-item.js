@@ -0,0 +1,450 @@
+/**
+ * Community Item - Canonical cross-source post schema
+ * Normalizes IndieHackers, Reddit, HackerNews and Twitter posts into one shape
+ *
+ * Every adapter returns an object of the form:
+ *   {
+ *     id:         '<source>:<native id>',
+ *     source:     'indiehackers' | 'reddit' | 'hackernews' | 'twitter',
+ *     native_id:  id as used by the source site,
+ *     title:      post title (first line of text for tweets),
+ *     author:     { username, display_name, profile_url, followers?, verified? },
+ *     url:        discussion URL on the source site,
+ *     link_url:   external link the post points to ('' if none),
+ *     community:  category / subreddit / feed the post was found in,
+ *     posted_at:  ISO timestamp or null when unknown,
+ *     scraped_at: ISO timestamp,
+ *     metrics:    { score, comments, ...source specific counters },
+ *     body:       full text of the post,
+ *     tags:       string[],
+ *     comments:   [{ id, author, body, score, posted_at, replies: [...] }],
+ *     sentiment?: { score, label, text, comments } when the scraper analyzed it (sentiment.js)
+ *   }
+ *
+ * `metrics.score` is always the primary vote count of the source
+ * (IH upvotes, Reddit score, HN points, Twitter likes) and `metrics.comments`
+ * the number of comments/replies, so downstream code never has to guess.
+ */
+
+export const SOURCES = ['indiehackers', 'reddit', 'hackernews', 'twitter'];
+
+const SOURCE_BASE_URLS = {
+  indiehackers: 'https://www.indiehackers.com',
+  reddit: 'https://www.reddit.com',
+  hackernews: 'https://news.ycombinator.com',
+  twitter: 'https://x.com'
+};
+
+/**
+ * Build a community item, filling defaults for every field
+ */
+export function createCommunityItem(source, fields = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown source: ${source}`);
+  }
+
+  const nativeId = String(fields.native_id || hashString(`${fields.url || ''}${fields.title || ''}`));
+
+  return {
+    id: `${source}:${nativeId}`,
+    source,
+    native_id: nativeId,
+    title: cleanText(fields.title || ''),
+    author: {
+      username: fields.author?.username || 'unknown',
+      display_name: fields.author?.display_name || fields.author?.username || 'Unknown',
+      profile_url: fields.author?.profile_url || '',
+      ...cleanMetrics({ followers: fields.author?.followers }),
+      ...(typeof fields.author?.verified === 'boolean' ? { verified: fields.author.verified } : {})
+    },
+    url: absoluteUrl(source, fields.url || ''),
+    link_url: fields.link_url || '',
+    community: fields.community || '',
+    posted_at: toIsoTimestamp(fields.posted_at),
+    scraped_at: toIsoTimestamp(fields.scraped_at) || new Date().toISOString(),
+    metrics: {
+      score: 0,
+      comments: 0,
+      ...cleanMetrics(fields.metrics)
+    },
+    body: fields.body || '',
+    tags: Array.isArray(fields.tags) ? [...new Set(fields.tags)] : [],
+    comments: Array.isArray(fields.comments) ? fields.comments : [],
+    ...(fields.sentiment && typeof fields.sentiment === 'object' ? { sentiment: fields.sentiment } : {})
+  };
+}
+
+/**
+ * Normalize a raw post from any source into a community item
+ */
+export function normalizeItem(source, rawPost, context = {}) {
+  const adapter = adapters[source];
+  if (!adapter) {
+    throw new Error(`No community item adapter for source: ${source}`);
+  }
+  return adapter(rawPost, context);
+}
+
+/**
+ * Normalize a list of raw posts, dropping entries the adapter rejects
+ */
+export function normalizeItems(source, rawPosts = [], context = {}) {
+  return rawPosts
+    .map(post => {
+      try {
+        return normalizeItem(source, post, context);
+      } catch (error) {
+        console.warn(`⚠️ Skipping ${source} post that could not be normalized: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(item => item !== null);
+}
+
+/**
+ * IndieHackers adapter
+ * Accepts raw scraper posts as well as `DataProcessor.normalizePost` output
+ */
+export function fromIndieHackers(post, context = {}) {
+  const author = post.author;
+  const username = author && typeof author === 'object'
+    ? author.username || author.displayName
+    : extractUsername(author || '');
+  const displayName = author && typeof author === 'object'
+    ? author.displayName || author.display_name || author.username
+    : cleanText(author || '');
+
+  // Category report JSON (`<category>-data.json`) keeps comments in comments_data
+  const commentList = Array.isArray(post.comments) ? post.comments
+    : Array.isArray(post.comments_data) ? post.comments_data : [];
+  const upvotes = post.engagement?.upvotes ?? post.upvotes ?? post.metrics?.upvotes ?? 0;
+  const comments = post.commentCount ?? post.engagement?.comments ?? post.metrics?.comments ??
+    (typeof post.comments === 'number' ? post.comments : commentList.length);
+
+  const postIdMatch = (post.url || '').match(/post\/([a-zA-Z0-9_-]+)/);
+  const preview = typeof post.content === 'string' ? post.content : post.content?.preview;
+
+  return createCommunityItem('indiehackers', {
+    native_id: postIdMatch ? postIdMatch[1] : post.post_id || post.id,
+    title: post.title,
+    author: {
+      username,
+      display_name: displayName,
+      profile_url: post.authorUrl || '',
+      followers: author?.followers,
+      verified: author?.verified
+    },
+    url: post.url,
+    community: post.category?.key || (typeof post.category === 'string' ? post.category : '') || context.community,
+    posted_at: post.timestamp || post.timestamps?.posted_at || post.publishedAt,
+    scraped_at: post.metadata?.scrapedAt || post.timestamps?.scraped_at,
+    metrics: {
+      score: upvotes,
+      comments,
+      views: post.views || post.metrics?.views || 0,
+      // Counters as shown on the listing page, before detail extraction recounts comments
+      listing_upvotes: post.listingMetrics?.upvotes,
+      listing_comments: post.listingMetrics?.comments
+    },
+    body: post.fullContent || post.content?.full_text || preview || '',
+    tags: post.tags,
+    comments: normalizeComments('indiehackers', commentList),
+    sentiment: post.sentiment
+  });
+}
+
+/**
+ * Reddit adapter (`scripts/reddit/types.ts` Post)
+ */
+export function fromReddit(post, context = {}) {
+  return createCommunityItem('reddit', {
+    native_id: post.id || (post.url || '').match(/comments\/([a-z0-9]+)/)?.[1],
+    title: post.title,
+    author: {
+      username: post.author,
+      profile_url: post.author ? `${SOURCE_BASE_URLS.reddit}/user/${post.author}` : ''
+    },
+    url: post.url,
+    link_url: post.link_url,
+    community: (post.subreddit || context.community || '').replace(/^r\//, ''),
+    posted_at: post.created_utc,
+    metrics: {
+      score: post.score,
+      comments: post.num_comments,
+      upvote_ratio: post.upvote_ratio,
+      trending_score: post.trending_score
+    },
+    body: post.content,
+    comments: normalizeComments('reddit', post.comments),
+    sentiment: post.sentiment
+  });
+}
+
+/**
+ * HackerNews adapter
+ * Handles `hn-scraper.js` stories (search, trending, feeds, items), items
+ * from reports saved by the older `scraper.js` and raw Algolia hits
+ */
+export function fromHackerNews(story, context = {}) {
+  const hnUrl = story.hnUrl || (story.objectID ? `${SOURCE_BASE_URLS.hackernews}/item?id=${story.objectID}` : '');
+  const itemId = story.objectID || story.id || hnUrl.match(/item\?id=(\d+)/)?.[1];
+  const externalUrl = story.url && !story.url.includes('news.ycombinator.com') ? story.url : '';
+
+  const commentCount = typeof story.comments === 'number'
+    ? story.comments
+    : story.commentCount ?? story.num_comments ?? 0;
+  const rawComments = story.topComments ||
+    story.content?.comments ||
+    (Array.isArray(story.comments) ? story.comments : []);
+
+  const body = typeof story.content === 'string'
+    ? story.content
+    : story.content?.text || story.story_text || '';
+
+  return createCommunityItem('hackernews', {
+    native_id: itemId,
+    title: story.title,
+    author: {
+      username: story.author,
+      profile_url: story.author ? `${SOURCE_BASE_URLS.hackernews}/user?id=${story.author}` : ''
+    },
+    url: hnUrl || story.url,
+    link_url: externalUrl,
+    community: context.community || story.category || '',
+    posted_at: story.created_at || story.time || story.createdAt,
+    metrics: {
+      score: story.points,
+      comments: commentCount,
+      rank: story.rank,
+      trending_score: story.trendingScore
+    },
+    body,
+    tags: story._tags?.filter(tag => !tag.startsWith('author_') && !tag.startsWith('story_')),
+    comments: normalizeComments('hackernews', rawComments),
+    sentiment: story.sentiment
+  });
+}
+
+/**
+ * Twitter adapter
+ * Handles the MCP `TwitterPost` model, raw unified fetcher posts
+ * and the structured `report_format.json` post shape
+ */
+export function fromTwitter(post, context = {}) {
+  const structured = typeof post.content === 'object' && post.content !== null;
+  const text = structured ? post.content.text : post.text;
+  const metrics = structured ? post.metrics || {} : post;
+  const handle = structured ? post.author?.username : post.authorHandle || post.handle;
+  const displayName = structured ? post.author?.display_name : post.author;
+  const nativeId = post.post_id || post.id || (post.url || '').match(/status\/(\d+)/)?.[1];
+
+  const parsed = parseTweetText(text || '');
+
+  return createCommunityItem('twitter', {
+    native_id: nativeId,
+    title: (text || '').split('\n')[0].substring(0, 120),
+    author: {
+      username: handle,
+      display_name: displayName,
+      profile_url: handle ? `${SOURCE_BASE_URLS.twitter}/${handle}` : '',
+      followers: structured ? post.author?.follower_count : post.followers,
+      verified: structured ? post.author?.verified : post.verified
+    },
+    url: post.url,
+    link_url: parsed.urls[0] || '',
+    community: context.community || context.keyword || '',
+    posted_at: structured ? post.timestamps?.created_at : post.timestamp,
+    metrics: {
+      score: metrics.likes,
+      comments: metrics.replies,
+      likes: metrics.likes,
+      retweets: metrics.retweets,
+      impressions: metrics.impressions,
+      bookmarks: metrics.bookmarks
+    },
+    body: text || '',
+    tags: post.hashtags || parsed.hashtags,
+    comments: normalizeComments('twitter', post.comments),
+    sentiment: post.sentiment
+  });
+}
+
+export const adapters = {
+  indiehackers: fromIndieHackers,
+  reddit: fromReddit,
+  hackernews: fromHackerNews,
+  twitter: fromTwitter
+};
+
+/**
+ * Normalize a single comment (and its replies) into the canonical comment shape
+ */
+export function normalizeComment(source, comment, index = 0) {
+  if (!comment || typeof comment !== 'object') {
+    return null;
+  }
+
+  const structuredTweet = source === 'twitter' && typeof comment.content === 'object';
+  const author = typeof comment.author === 'object'
+    ? comment.author?.username || comment.author?.display_name
+    : comment.handle || comment.author;
+  const body = structuredTweet
+    ? comment.content.text
+    : comment.body ?? comment.text ?? '';
+  const score = comment.score ?? comment.upvotes ?? comment.points ??
+    (structuredTweet ? comment.metrics?.likes : comment.likes) ?? 0;
+
+  return {
+    id: String(comment.id || comment.comment_id || `${source}-comment-${index}-${hashString(body)}`),
+    author: author || 'unknown',
+    body,
+    score: Number(score) || 0,
+    posted_at: toIsoTimestamp(comment.created_utc || comment.timestamp || comment.time ||
+      comment.timestamps?.created_at),
+    replies: normalizeComments(source, comment.replies || comment.children)
+  };
+}
+
+/**
+ * Normalize a list of comments, dropping entries that are not objects
+ */
+export function normalizeComments(source, comments) {
+  if (!Array.isArray(comments)) return [];
+  return comments
+    .map((comment, index) => normalizeComment(source, comment, index))
+    .filter(comment => comment !== null);
+}
+
+/**
+ * Check an item against the schema, returning a list of problems
+ */
+export function validateCommunityItem(item) {
+  const errors = [];
+
+  if (!item || typeof item !== 'object') {
+    return { valid: false, errors: ['Item must be an object'] };
+  }
+
+  if (!SOURCES.includes(item.source)) errors.push(`Invalid source: ${item.source}`);
+  if (!item.id || !item.id.startsWith(`${item.source}:`)) errors.push('Missing or malformed id');
+  if (!item.author?.username) errors.push('Missing author.username');
+  if (!item.metrics || typeof item.metrics.score !== 'number') errors.push('Missing metrics.score');
+  if (!item.metrics || typeof item.metrics.comments !== 'number') errors.push('Missing metrics.comments');
+  if (item.posted_at !== null && isNaN(new Date(item.posted_at).getTime())) errors.push('Invalid posted_at');
+  if (!Array.isArray(item.comments)) errors.push('comments must be an array');
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Count every comment in a tree, including nested replies
+ */
+export function countComments(comments = []) {
+  return comments.reduce((sum, comment) => sum + 1 + countComments(comment.replies || []), 0);
+}
+
+/**
+ * Utility functions
+ */
+export function toIsoTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  // Epochs sometimes arrive as digit-only strings ("1700000000")
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    value = Number(value);
+  }
+
+  // Unix seconds (Reddit/HN APIs) vs milliseconds
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    const date = new Date(value < 1e12 ? value * 1000 : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const relative = parseRelativeTime(value);
+  if (relative) return relative.toISOString();
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Parse relative times such as "2h ago", "3 months ago" or "5 minutes ago"
+ */
+export function parseRelativeTime(text, now = new Date()) {
+  if (typeof text !== 'string') return null;
+
+  const match = text.trim().match(/^(\d+)\s*(s|sec|second|m|min|minute|h|hr|hour|d|day|w|week|mo|month|y|yr|year)s?\s*ago$/i);
+  if (!match) return null;
+
+  const value = parseInt(match[1]);
+  const unit = match[2].toLowerCase();
+  const date = new Date(now);
+
+  if (['s', 'sec', 'second'].includes(unit)) date.setSeconds(date.getSeconds() - value);
+  else if (['m', 'min', 'minute'].includes(unit)) date.setMinutes(date.getMinutes() - value);
+  else if (['h', 'hr', 'hour'].includes(unit)) date.setHours(date.getHours() - value);
+  else if (['d', 'day'].includes(unit)) date.setDate(date.getDate() - value);
+  else if (['w', 'week'].includes(unit)) date.setDate(date.getDate() - value * 7);
+  else if (['mo', 'month'].includes(unit)) date.setMonth(date.getMonth() - value);
+  else date.setFullYear(date.getFullYear() - value);
+
+  return date;
+}
+
+function parseTweetText(text) {
+  return {
+    hashtags: (text.match(/#[\w]+/g) || []).map(tag => tag.substring(1)),
+    urls: text.match(/https?:\/\/[^\s]+/g) || []
+  };
+}
+
+function cleanMetrics(metrics = {}) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(metrics || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    if (!isNaN(number)) cleaned[key] = number;
+  }
+  return cleaned;
+}
+
+function absoluteUrl(source, url) {
+  if (!url) return '';
+  if (url.startsWith('http')) return url;
+  return `${SOURCE_BASE_URLS[source]}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+function extractUsername(author) {
+  const match = author.match(/@([a-zA-Z0-9_]+)/);
+  return match ? match[1] : author.replace(/[^a-zA-Z0-9_]/g, '').toLowerCase();
+}
+
+function cleanText(text) {
+  return text.toString().trim().replace(/\s+/g, ' ');
+}
+
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash).toString(36);
+}
+
+export default {
+  SOURCES,
+  adapters,
+  createCommunityItem,
+  normalizeItem,
+  normalizeItems,
+  normalizeComment,
+  normalizeComments,
+  validateCommunityItem,
+  countComments
+};
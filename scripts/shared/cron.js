@@ -0,0 +1,145 @@
+/**
+ * Cron - Minimal five-field cron expression parser
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0 or 7)
+ *   * * * * *
+ *
+ * Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/10`, `0-30/5`) and the
+ * shortcuts @hourly, @daily, @weekly, @monthly. Times are evaluated in local time.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a match after this many minutes (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Parse a cron expression; throws with the offending field on invalid input
+ */
+export function parseCron(expression) {
+  const source = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+  }
+
+  const schedule = { expression: String(expression) };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.values.has(7)) {
+    schedule.dayOfWeek.values.add(0);
+    schedule.dayOfWeek.values.delete(7);
+  }
+
+  return schedule;
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * True when the schedule fires at the given minute
+ */
+export function matches(schedule, date) {
+  if (!schedule.minute.values.has(date.getMinutes())) return false;
+  if (!schedule.hour.values.has(date.getHours())) return false;
+  if (!schedule.month.values.has(date.getMonth() + 1)) return false;
+
+  const dayOfMonth = schedule.dayOfMonth.values.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.values.has(date.getDay());
+
+  // Like cron: when both day fields are restricted, either one may match
+  if (!schedule.dayOfMonth.wildcard && !schedule.dayOfWeek.wildcard) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time (strictly after `from`) the schedule fires
+ */
+export function nextRun(scheduleOrExpression, from = new Date()) {
+  const schedule = typeof scheduleOrExpression === 'string'
+    ? parseCron(scheduleOrExpression)
+    : scheduleOrExpression;
+
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (matches(schedule, candidate)) {
+      return candidate;
+    }
+    candidate.setMinutes(candidate.getMinutes() + 1);
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${field.name} "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [start, end] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(Number);
+
+    if (end === undefined) {
+      // "5/15" means from 5 to the end of the range
+      end = stepText ? field.max : start;
+    }
+
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid cron expression "${expression}": ${field.name} "${part}" out of range ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: text === '*' };
+}
+
+export default {
+  parseCron,
+  isValidCron,
+  matches,
+  nextRun
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Diff CLI
+ * Compare two dated report folders of a source ("what changed since yesterday")
+ *
+ * Usage:
+ *   node scripts/shared/diff-cli.js <source> [from] [to]
+ *   node scripts/shared/diff-cli.js indiehackers --dates
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import { SOURCES } from './community-item.js';
+import { diffReports, listReportDates, saveDiffReport, formatDiffMarkdown } from './report-diff.js';
+
+const program = new Command();
+
+program
+  .name('diff')
+  .description('Compare two report dates of a source: new/dropped posts, rank movements, gainers and new themes')
+  .argument('<source>', `Source to compare (${SOURCES.join(', ')})`)
+  .argument('[from]', 'Older report date (YYYY-MM-DD or DD-Mon-YYYY); defaults to the one before [to]')
+  .argument('[to]', 'Newer report date; defaults to the latest')
+  .option('-f, --format <format>', 'Output format: json, markdown or all', 'all')
+  .option('-n, --limit <number>', 'Entries per section', '10')
+  .option('-r, --reports <dir>', 'Reports root directory', 'report')
+  .option('-o, --output <dir>', 'Where to write the diff (defaults to report/diff)')
+  .option('--dates', 'List the report dates available for the source')
+  .option('--print', 'Print the Markdown diff instead of writing files')
+  .action(async (source, from, to, options) => {
+    try {
+      const reportsDir = path.resolve(options.reports);
+
+      if (options.dates) {
+        const dates = await listReportDates(source, reportsDir);
+        if (dates.length === 0) {
+          console.log(`📭 No dated ${source} report folders in ${reportsDir}`);
+          return;
+        }
+        console.log(`📅 ${dates.length} ${source} report date(s):`);
+        dates.forEach(entry => console.log(`   ${entry.date}  ${entry.dirs.map(dir => path.basename(dir)).join(', ')}`));
+        return;
+      }
+
+      const diff = await diffReports(source, from, to, { reportsDir, limit: parseInt(options.limit) });
+
+      if (options.print) {
+        console.log(formatDiffMarkdown(diff));
+        return;
+      }
+
+      const files = await saveDiffReport(diff, { format: options.format, outputDir: options.output });
+      const { summary } = diff;
+      console.log(`🔍 ${source} ${diff.from.date} → ${diff.to.date}: ${summary.new_posts} new, ` +
+        `${summary.dropped_posts} dropped, ${summary.rank_changes} rank changes, ${diff.new_themes.length} new themes`);
+      console.log('📁 Diff files:');
+      files.forEach(file => console.log(`   - ${file}`));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
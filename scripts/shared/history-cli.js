@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * History CLI
+ * Query the local post history recorded by the scrapers
+ *
+ * Usage:
+ *   node scripts/shared/history-cli.js runs [--source reddit]
+ *   node scripts/shared/history-cli.js show <item id | post url>
+ */
+
+import { Command } from 'commander';
+import HistoryStore from './history-store.js';
+import { SOURCES } from './community-item.js';
+
+const program = new Command();
+
+program
+  .name('history')
+  .description('Inspect scraped post history and metric snapshots')
+  .option('--dir <path>', 'History directory (defaults to data/history)');
+
+program
+  .command('runs')
+  .description('List recorded scrape runs')
+  .option('-s, --source <source>', `Only show runs for one source (${SOURCES.join(', ')})`)
+  .option('-n, --limit <number>', 'Number of most recent runs to show', '20')
+  .action(async (options) => {
+    const store = await new HistoryStore({ baseDir: program.opts().dir }).load({ source: options.source });
+    const runs = store.getRuns(options.source).slice(-parseInt(options.limit));
+
+    if (runs.length === 0) {
+      console.log('📭 No runs recorded yet');
+      return;
+    }
+
+    console.log(`🗄️  ${runs.length} run(s):\n`);
+    runs.forEach(run => {
+      console.log(`   ${run.recorded_at}  ${run.source.padEnd(12)} ${String(run.item_count).padStart(4)} items  ` +
+        `(${run.new_items} new, ${run.changed_items} changed)${run.label ? `  ${run.label}` : ''}`);
+    });
+  });
+
+program
+  .command('show <item>')
+  .description('Show how a post\'s metrics evolved across runs')
+  .option('--json', 'Output as JSON')
+  .action(async (item, options) => {
+    const store = await new HistoryStore({ baseDir: program.opts().dir }).load();
+    const latest = store.getLatestSnapshot(item);
+
+    if (!latest) {
+      console.error(`❌ No history found for: ${item}`);
+      process.exit(1);
+    }
+
+    const timeline = store.getTimeline(item);
+
+    if (options.json) {
+      console.log(JSON.stringify({ item: latest, timeline, content: store.getCachedContent(item) }, null, 2));
+      return;
+    }
+
+    console.log(`📈 ${latest.title}`);
+    console.log(`   ${latest.item_id} • ${latest.url}\n`);
+    timeline.forEach(point => {
+      const metrics = Object.entries(point.metrics)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(' ');
+      console.log(`   ${point.recorded_at}  ${metrics}`);
+    });
+  });
+
+program.parse(process.argv);
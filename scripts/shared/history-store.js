@@ -0,0 +1,331 @@
+/**
+ * History Store - Append-only local history of scraped posts
+ * Records every community item seen in a scrape together with its metrics
+ * at that moment, so metric evolution can be queried across runs and
+ * unchanged detail pages don't have to be fetched again.
+ *
+ * Layout (one directory per source, JSON Lines, never rewritten):
+ *   data/history/<source>/runs.jsonl       one line per scrape run
+ *   data/history/<source>/snapshots.jsonl  one line per item per run (metrics)
+ *   data/history/<source>/content.jsonl    one line per item whenever its body/comments change
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { SOURCES } from './community-item.js';
+import AlertManager from './alerts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_HISTORY_DIR = path.join(__dirname, '..', '..', 'data', 'history');
+
+export class HistoryStore {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.env.BESPY_HISTORY_DIR || DEFAULT_HISTORY_DIR;
+    this.loaded = false;
+    this.loadOptions = {};
+    this.loadedSources = new Set();
+    this.runs = [];
+    this.snapshots = new Map(); // item id -> snapshot[] (oldest first)
+    this.content = new Map();   // item id -> latest content record
+    this.urlIndex = new Map();  // canonical url -> item id
+  }
+
+  /**
+   * Load history files into memory
+   *   source:    only this source's files (default: every source)
+   *   snapshots: 'all' keeps every item's timeline, 'latest' only its last snapshot
+   *   content:   'latest' keeps the last body/comments per item, 'hash' only their hash
+   * The defaults load everything the history and authors queries need; recording
+   * a run only needs the latest snapshot and content hash of its own source.
+   */
+  async load(options = {}) {
+    this.loadOptions = { snapshots: 'all', content: 'latest', ...options };
+    this.runs = [];
+    this.snapshots.clear();
+    this.content.clear();
+    this.urlIndex.clear();
+    this.loadedSources.clear();
+
+    for (const source of options.source ? [options.source] : SOURCES) {
+      await this.loadSource(source);
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  async loadSource(source) {
+    const latestSnapshots = this.loadOptions.snapshots === 'latest';
+    const hashesOnly = this.loadOptions.content === 'hash';
+
+    this.runs.push(...await this.readLines(this.filePath(source, 'runs')));
+    this.runs.sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+
+    // Streamed line by line so only what is kept stays in memory
+    await this.eachLine(this.filePath(source, 'snapshots'), snapshot => {
+      if (latestSnapshots) this.snapshots.set(snapshot.item_id, []);
+      this.indexSnapshot(snapshot);
+    });
+
+    await this.eachLine(this.filePath(source, 'content'), record => {
+      this.content.set(record.item_id, hashesOnly
+        ? { item_id: record.item_id, content_hash: record.content_hash }
+        : record);
+    });
+
+    this.loadedSources.add(source);
+  }
+
+  /**
+   * Record one scrape run for a source
+   * `items` must be community items (see community-item.js)
+   */
+  async recordRun(source, items, options = {}) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Unknown source: ${source}`);
+    }
+    await this.ensureLoaded(source);
+
+    const recordedAt = new Date().toISOString();
+    const runId = options.runId || `${source}-${recordedAt.replace(/[:.]/g, '-')}`;
+    const snapshotLines = [];
+    const contentLines = [];
+    let newItems = 0;
+    let changedItems = 0;
+
+    for (const item of items) {
+      const previous = this.getLatestSnapshot(item.id);
+      if (!previous) {
+        newItems++;
+      } else if (this.metricsChanged(previous.metrics, item.metrics)) {
+        changedItems++;
+      }
+
+      const snapshot = {
+        item_id: item.id,
+        source,
+        run_id: runId,
+        recorded_at: recordedAt,
+        title: item.title,
+        url: item.url,
+        author: item.author?.username || 'unknown',
+        community: item.community || '',
+        posted_at: item.posted_at || null,
+        metrics: { ...item.metrics }
+      };
+      snapshotLines.push(snapshot);
+      this.indexSnapshot(snapshot);
+
+      // Only store content when the item actually carries some and it changed
+      const hasContent = (item.body && item.body.length > 0) || (item.comments && item.comments.length > 0);
+      if (hasContent) {
+        const contentHash = this.hashContent(item);
+        if (this.content.get(item.id)?.content_hash !== contentHash) {
+          const record = {
+            item_id: item.id,
+            run_id: runId,
+            recorded_at: recordedAt,
+            content_hash: contentHash,
+            body: item.body || '',
+            tags: item.tags || [],
+            comments: item.comments || []
+          };
+          contentLines.push(record);
+          this.content.set(item.id, record);
+        }
+      }
+    }
+
+    const run = {
+      run_id: runId,
+      source,
+      recorded_at: recordedAt,
+      label: options.label || '',
+      item_count: items.length,
+      new_items: newItems,
+      changed_items: changedItems,
+      metadata: options.metadata || {}
+    };
+    this.runs.push(run);
+
+    await this.appendLines(this.filePath(source, 'snapshots'), snapshotLines);
+    await this.appendLines(this.filePath(source, 'content'), contentLines);
+    await this.appendLines(this.filePath(source, 'runs'), [run]);
+
+    return run;
+  }
+
+  /**
+   * Metric snapshots for one item across runs (oldest first)
+   */
+  getTimeline(itemIdOrUrl) {
+    const itemId = this.resolveItemId(itemIdOrUrl);
+    return (this.snapshots.get(itemId) || []).map(snapshot => ({
+      run_id: snapshot.run_id,
+      recorded_at: snapshot.recorded_at,
+      metrics: snapshot.metrics
+    }));
+  }
+
+  getLatestSnapshot(itemIdOrUrl) {
+    const timeline = this.snapshots.get(this.resolveItemId(itemIdOrUrl));
+    return timeline ? timeline[timeline.length - 1] : null;
+  }
+
+  /**
+   * Latest cached body/comments for an item, or null if never stored
+   */
+  getCachedContent(itemIdOrUrl) {
+    return this.content.get(this.resolveItemId(itemIdOrUrl)) || null;
+  }
+
+  /**
+   * True when the item is unseen or its listing metrics differ from the last snapshot
+   * `keys` picks which counters to compare (defaults to score and comments)
+   */
+  hasChanged(itemId, metrics, keys = undefined) {
+    const previous = this.getLatestSnapshot(itemId);
+    return !previous || this.metricsChanged(previous.metrics, metrics, keys);
+  }
+
+  getRuns(source = null) {
+    return source ? this.runs.filter(run => run.source === source) : [...this.runs];
+  }
+
+  getItemIds(source = null) {
+    const ids = Array.from(this.snapshots.keys());
+    return source ? ids.filter(id => id.startsWith(`${source}:`)) : ids;
+  }
+
+  /**
+   * Every snapshot of every item, optionally for one source
+   */
+  getSnapshots(source = null) {
+    return this.getItemIds(source).flatMap(id => this.snapshots.get(id));
+  }
+
+  /**
+   * Utility methods
+   */
+  resolveItemId(itemIdOrUrl) {
+    if (!itemIdOrUrl) return null;
+    return this.urlIndex.get(this.canonicalUrl(itemIdOrUrl)) || itemIdOrUrl;
+  }
+
+  metricsChanged(previous = {}, current = {}, keys = ['score', 'comments']) {
+    // Only the counters that a listing page shows decide whether details are stale
+    return keys.some(key => (previous[key] || 0) !== (current[key] || 0));
+  }
+
+  hashContent(item) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([item.body || '', item.comments || []]))
+      .digest('hex');
+  }
+
+  canonicalUrl(url) {
+    return String(url).replace(/^https?:\/\/(www\.)?/i, '').replace(/\/+$/, '');
+  }
+
+  indexSnapshot(snapshot) {
+    if (!this.snapshots.has(snapshot.item_id)) {
+      this.snapshots.set(snapshot.item_id, []);
+    }
+    this.snapshots.get(snapshot.item_id).push(snapshot);
+    if (snapshot.url) {
+      this.urlIndex.set(this.canonicalUrl(snapshot.url), snapshot.item_id);
+    }
+  }
+
+  filePath(source, kind) {
+    return path.join(this.baseDir, source, `${kind}.jsonl`);
+  }
+
+  async ensureLoaded(source) {
+    if (!this.loaded) {
+      await this.load({ source, snapshots: 'latest', content: 'hash' });
+    } else if (!this.loadedSources.has(source)) {
+      await this.loadSource(source);
+    }
+  }
+
+  async readLines(filePath) {
+    const records = [];
+    await this.eachLine(filePath, record => records.push(record));
+    return records;
+  }
+
+  /**
+   * Call `onRecord` for every record of a JSON Lines file (none if it doesn't exist)
+   */
+  async eachLine(filePath, onRecord) {
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A partially written trailing line must not make the whole history unreadable
+        console.warn(`⚠️ Skipping malformed history line ${lineNumber} in ${filePath}`);
+        continue;
+      }
+      onRecord(record);
+    }
+  }
+
+  async appendLines(filePath, records) {
+    if (records.length === 0) return;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n', 'utf8');
+  }
+}
+
+/**
+ * Record a single run with a freshly loaded store (used by the scrapers)
+ * Alert rules (config/alerts.json) are checked against the previous run first;
+ * pass `alerts: false` to skip them
+ */
+export async function recordHistory(source, items, options = {}) {
+  const store = await new HistoryStore(options).load({ source, snapshots: 'latest', content: 'hash' });
+  const alerting = options.alerts === false ? null : await evaluateAlerts(source, items, store);
+
+  const run = await store.recordRun(source, items, options);
+  console.log(`🗄️  History: recorded ${run.item_count} ${source} items (${run.new_items} new, ${run.changed_items} changed)`);
+
+  if (alerting?.alerts.length > 0) {
+    await alerting.manager.deliver(alerting.alerts);
+  }
+  return run;
+}
+
+/**
+ * Alerting problems are logged but never stop the run from being recorded
+ */
+async function evaluateAlerts(source, items, store) {
+  try {
+    const manager = await AlertManager.fromFile();
+    if (!manager) return null;
+    return { manager, alerts: await manager.evaluate(source, items, store) };
+  } catch (error) {
+    console.warn(`⚠️ Alerts skipped: ${error.message}`);
+    return null;
+  }
+}
+
+export default HistoryStore;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor CLI
+ * Search every source for a keyword and write one combined mention report
+ *
+ * Usage:
+ *   node scripts/shared/monitor-cli.js <keyword> [--sources reddit,hackernews] [--limit 20]
+ */
+
+import { Command } from 'commander';
+import { SOURCES } from './community-item.js';
+import { monitorKeyword, saveMentionReport } from './monitor.js';
+
+const program = new Command();
+
+program
+  .name('monitor')
+  .description('Track mentions of a keyword across IndieHackers, Reddit, HackerNews and Twitter')
+  .argument('<keyword>', 'Keyword or brand name to search for')
+  .option('-s, --sources <list>', `Comma-separated sources (${SOURCES.join(', ')})`, SOURCES.join(','))
+  .option('-n, --limit <number>', 'Maximum results per source', '20')
+  .option('-c, --comments', 'Also fetch post content and comments (slower)')
+  .option('-f, --format <format>', 'Report format: json, markdown or all', 'all')
+  .option('-o, --output <dir>', 'Report directory (defaults to report/monitor)')
+  .option('--no-history', 'Do not record the results in the local history store')
+  .option('--no-dedup', 'Keep cross-posts of the same story as separate mentions')
+  .action(async (keyword, options) => {
+    try {
+      const report = await monitorKeyword(keyword, {
+        sources: options.sources.split(',').map(source => source.trim()).filter(Boolean),
+        limit: parseInt(options.limit),
+        comments: options.comments,
+        history: options.history,
+        dedup: options.dedup
+      });
+
+      const files = await saveMentionReport(report, { format: options.format, outputDir: options.output });
+
+      console.log(`\n📊 ${report.total_mentions} mention(s) of "${keyword}":`);
+      Object.entries(report.sources).forEach(([source, stats]) => {
+        const status = stats.status === 'ok' ? '' : `  ❌ ${stats.error}`;
+        console.log(`   ${source.padEnd(12)} ${String(stats.mentions).padStart(4)}${status}`);
+      });
+      console.log('\n📁 Report files:');
+      files.forEach(file => console.log(`   - ${file}`));
+
+      const allFailed = Object.values(report.sources).every(stats => stats.status !== 'ok');
+      process.exit(allFailed ? 1 : 0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
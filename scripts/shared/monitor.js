@@ -0,0 +1,339 @@
+/**
+ * Monitor - Keyword/brand monitoring across every source
+ * Runs each source's own search for a keyword and merges the results into one
+ * mention report with per-source counts and a day-by-day timeline.
+ *
+ *   HackerNews   Algolia search (scripts/hackernews/hn-scraper.js)
+ *   Reddit       RedditScraperEnhanced.searchByKeyword
+ *   Twitter      the unified fetcher, run as a child process
+ *   IndieHackers IndieHackersScraper.search
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SOURCES, normalizeItems } from './community-item.js';
+import { dedupeItems } from './near-duplicates.js';
+import { analyzePost, summarizeSentiment, formatSentiment, formatSentimentSummary, formatSentimentTable } from './sentiment.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = path.join(__dirname, '..', '..');
+export const DEFAULT_REPORT_DIR = path.join(REPO_ROOT, 'report', 'monitor');
+
+const TWITTER_FETCHER = 'scripts/twitter/twitter-unified-fetcher.mjs';
+
+/**
+ * Per-source searches; each resolves to community items.
+ * Scrapers are imported lazily so a source with missing dependencies only
+ * fails its own part of the report.
+ */
+const SEARCHERS = {
+  async hackernews(keyword, settings) {
+    const { default: HackerNewsScraper } = await import('../hackernews/hn-scraper.js');
+    const scraper = new HackerNewsScraper({
+      maxPosts: settings.limit,
+      history: settings.history,
+      extractContent: settings.comments
+    });
+
+    const { stories } = await scraper.scrape(keyword);
+    return normalizeItems('hackernews', stories, { community: 'search' });
+  },
+
+  async reddit(keyword, settings) {
+    const { RedditScraperEnhanced } = await import('../reddit/reddit-scraper-enhanced.js');
+    const scraper = new RedditScraperEnhanced({ history: settings.history });
+
+    try {
+      await scraper.initialize();
+      const posts = await scraper.searchByKeyword(keyword, settings.limit);
+
+      // Same limits as `cli-enhanced search --with-comments`
+      if (settings.comments) {
+        for (const post of posts.slice(0, 5)) {
+          post.comments = await scraper.fetchComments(post.url, 5);
+        }
+      }
+
+      await scraper.recordHistory(posts, keyword);
+      return normalizeItems('reddit', posts);
+    } finally {
+      await scraper.close();
+    }
+  },
+
+  async twitter(keyword, settings) {
+    // The fetcher resolves --outputDir against its working directory (the repo root)
+    const outputDir = path.join('data', 'monitor', `twitter-${Date.now()}`);
+    const args = [TWITTER_FETCHER, '--keyword', keyword, '--posts', String(settings.limit),
+      '--format', 'json', '--outputDir', outputDir];
+    if (!settings.comments) args.push('--noComments');
+    if (!settings.history) args.push('--noHistory');
+
+    try {
+      await runScript(args);
+
+      const files = await fs.readdir(path.join(REPO_ROOT, outputDir));
+      const reportFile = files.find(file => file.endsWith('.json'));
+      if (!reportFile) {
+        throw new Error('Twitter fetcher did not write a JSON report');
+      }
+
+      const report = JSON.parse(await fs.readFile(path.join(REPO_ROOT, outputDir, reportFile), 'utf8'));
+      return normalizeItems('twitter', report.data?.posts || [], { keyword });
+    } finally {
+      await fs.rm(path.join(REPO_ROOT, outputDir), { recursive: true, force: true });
+    }
+  },
+
+  async indiehackers(keyword, settings) {
+    const { default: IndieHackersScraper } = await import('../indiehacker/scraper.js');
+    const posts = await new IndieHackersScraper().search(keyword, {
+      maxPosts: settings.limit,
+      extractFullDetails: settings.comments,
+      recordHistory: settings.history
+    });
+
+    return normalizeItems('indiehackers', posts);
+  }
+};
+
+/**
+ * Search every requested source for a keyword and build the merged report.
+ * A failing source is reported as such instead of failing the whole run.
+ */
+export async function monitorKeyword(keyword, options = {}) {
+  const sources = options.sources || SOURCES;
+  const unknown = sources.filter(source => !SEARCHERS[source]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')} (available: ${SOURCES.join(', ')})`);
+  }
+
+  const settings = {
+    limit: options.limit || 20,
+    comments: options.comments === true,
+    history: options.history !== false
+  };
+
+  console.log(`📡 Monitoring "${keyword}" on ${sources.join(', ')}`);
+
+  const results = await Promise.all(sources.map(async (source) => {
+    const startedAt = Date.now();
+    try {
+      const items = await SEARCHERS[source](keyword, settings);
+      console.log(`✅ ${source}: ${items.length} mention(s)`);
+      return { source, status: 'ok', items, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      // Playwright errors carry multi-line install hints; the first line is enough
+      const message = error.message.split('\n')[0];
+      console.error(`❌ ${source} search failed: ${message}`);
+      return { source, status: 'failed', error: message, items: [], durationMs: Date.now() - startedAt };
+    }
+  }));
+
+  return buildMentionReport(keyword, results, new Date(), { dedup: options.dedup });
+}
+
+/**
+ * Merge per-source results ({ source, status, items, error?, durationMs? })
+ * into one report, newest mentions first. The same story found on several
+ * sources is one mention with the others as `sightings` (`dedup: false` keeps all).
+ * Mentions without a sentiment get one from their body and comments.
+ */
+export function buildMentionReport(keyword, results, generatedAt = new Date(), options = {}) {
+  const seen = new Set();
+  const unique = results
+    .flatMap(result => result.items)
+    .filter(item => !seen.has(item.id) && seen.add(item.id));
+  const { items, removed } = options.dedup === false ? { items: unique, removed: 0 } : dedupeItems(unique);
+  const mentions = items
+    .map(item => (item.sentiment ? item : { ...item, sentiment: analyzePost(item) }))
+    .sort(compareByPostedAt);
+
+  // Per-source counts include the sightings merged into another source's mention
+  const appearances = mentions.flatMap(item => [item, ...(item.sightings || [])]);
+  const sources = {};
+  results.forEach(result => {
+    const items = appearances.filter(item => item.source === result.source);
+    sources[result.source] = {
+      status: result.status,
+      mentions: items.length,
+      total_score: items.reduce((sum, item) => sum + item.metrics.score, 0),
+      total_comments: items.reduce((sum, item) => sum + item.metrics.comments, 0),
+      duration_s: Math.round((result.durationMs || 0) / 100) / 10,
+      ...(result.error ? { error: result.error } : {})
+    };
+  });
+
+  return {
+    keyword,
+    generated_at: generatedAt.toISOString(),
+    total_mentions: mentions.length,
+    duplicates_merged: removed,
+    sources,
+    sentiment: {
+      ...summarizeSentiment(mentions),
+      by_source: Object.fromEntries(results.map(result =>
+        [result.source, summarizeSentiment(mentions.filter(item => item.source === result.source))]))
+    },
+    timeline: buildTimeline(mentions),
+    mentions
+  };
+}
+
+/**
+ * Mentions per day (UTC) and source, oldest first; undated mentions go last
+ */
+export function buildTimeline(mentions) {
+  const days = new Map();
+
+  mentions.forEach(item => {
+    const date = item.posted_at ? item.posted_at.slice(0, 10) : 'unknown';
+    if (!days.has(date)) {
+      days.set(date, { date, total: 0, by_source: {} });
+    }
+    const day = days.get(date);
+    day.total++;
+    day.by_source[item.source] = (day.by_source[item.source] || 0) + 1;
+  });
+
+  return Array.from(days.values()).sort((a, b) => {
+    if (a.date === 'unknown') return 1;
+    if (b.date === 'unknown') return -1;
+    return a.date.localeCompare(b.date);
+  });
+}
+
+export function formatMentionReportMarkdown(report) {
+  const sourceNames = Object.keys(report.sources);
+
+  let markdown = `# Mentions of "${report.keyword}"\n\n`;
+  markdown += `**Generated:** ${new Date(report.generated_at).toLocaleString()}\n`;
+  markdown += `**Total Mentions:** ${report.total_mentions}\n`;
+  if (report.duplicates_merged > 0) {
+    markdown += `**Cross-posts Merged:** ${report.duplicates_merged}\n`;
+  }
+  if (report.sentiment?.count > 0) {
+    markdown += `**Sentiment:** ${formatSentimentSummary(report.sentiment)}\n`;
+  }
+  markdown += `\n`;
+
+  markdown += `## By Source\n\n`;
+  markdown += `| Source | Mentions | Total Score | Comments | Status |\n`;
+  markdown += `|--------|----------|-------------|----------|--------|\n`;
+  Object.entries(report.sources).forEach(([source, stats]) => {
+    const status = stats.status === 'ok' ? '✅' : `❌ ${stats.error || 'failed'}`;
+    markdown += `| ${source} | ${stats.mentions} | ${stats.total_score.toLocaleString()} | ${stats.total_comments.toLocaleString()} | ${status} |\n`;
+  });
+  markdown += `\n`;
+
+  const sentimentBySource = Object.entries(report.sentiment?.by_source || {})
+    .filter(([, summary]) => summary.count > 0)
+    .map(([source, summary]) => ({ source, ...summary }));
+  if (sentimentBySource.length > 0) {
+    markdown += `## Sentiment\n\n`;
+    markdown += formatSentimentTable(sentimentBySource, { heading: 'Source', getName: entry => entry.source });
+    markdown += `\n`;
+  }
+
+  if (report.timeline.length > 0) {
+    markdown += `## Timeline\n\n`;
+    markdown += `| Date | Total | ${sourceNames.join(' | ')} |\n`;
+    markdown += `|------|-------|${sourceNames.map(() => '---').join('|')}|\n`;
+    report.timeline.forEach(day => {
+      const counts = sourceNames.map(source => day.by_source[source] || 0);
+      markdown += `| ${day.date} | ${day.total} | ${counts.join(' | ')} |\n`;
+    });
+    markdown += `\n`;
+  }
+
+  markdown += `## Mentions\n\n`;
+  if (report.mentions.length === 0) {
+    markdown += `_No mentions found._\n`;
+    return markdown;
+  }
+
+  report.mentions.forEach((item, index) => {
+    const community = item.community ? ` (${item.community})` : '';
+    const posted = item.posted_at ? new Date(item.posted_at).toLocaleDateString() : 'Unknown';
+
+    markdown += `### ${index + 1}. [${item.title || 'Untitled'}](${item.url})\n\n`;
+    markdown += `- **Source:** ${item.source}${community}\n`;
+    markdown += `- **Author:** ${item.author.display_name}\n`;
+    markdown += `- **Posted:** ${posted}\n`;
+    markdown += `- **Score:** ${item.metrics.score} | **Comments:** ${item.metrics.comments}\n`;
+    if (item.sentiment) {
+      markdown += `- **Sentiment:** ${formatSentiment(item.sentiment)}\n`;
+    }
+    if (item.sightings?.length > 0) {
+      const sightings = item.sightings.map(sighting =>
+        `[${sighting.source}${sighting.community ? ` (${sighting.community})` : ''}](${sighting.url})`);
+      markdown += `- **Also seen on:** ${sightings.join(', ')}\n`;
+    }
+
+    const excerpt = item.body && item.body !== item.title ? item.body.replace(/\s+/g, ' ').trim() : '';
+    if (excerpt) {
+      markdown += `\n> ${excerpt.length > 280 ? excerpt.substring(0, 280) + '...' : excerpt}\n`;
+    }
+    markdown += `\n`;
+  });
+
+  return markdown;
+}
+
+/**
+ * Write the report to report/monitor/YYYY-MM-DD/ as JSON and/or Markdown
+ */
+export async function saveMentionReport(report, options = {}) {
+  const format = options.format || 'all';
+  const date = report.generated_at.slice(0, 10);
+  const outputDir = path.join(options.outputDir || DEFAULT_REPORT_DIR, date);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const safeKeyword = report.keyword.replace(/[^a-z0-9]+/gi, '_').toLowerCase().substring(0, 50);
+  const timestamp = report.generated_at.replace(/[:.]/g, '-').substring(0, 19);
+  const baseName = path.join(outputDir, `${safeKeyword}-${timestamp}`);
+
+  const files = [];
+  if (format === 'json' || format === 'all') {
+    await fs.writeFile(`${baseName}.json`, JSON.stringify(report, null, 2), 'utf8');
+    files.push(`${baseName}.json`);
+  }
+  if (format === 'markdown' || format === 'all') {
+    await fs.writeFile(`${baseName}.md`, formatMentionReportMarkdown(report), 'utf8');
+    files.push(`${baseName}.md`);
+  }
+
+  return files;
+}
+
+function runScript(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, {
+      cwd: REPO_ROOT,
+      stdio: ['ignore', 'inherit', 'inherit']
+    });
+
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`${path.basename(args[0])} exited with code ${code}`));
+    });
+  });
+}
+
+function compareByPostedAt(a, b) {
+  if (!a.posted_at) return b.posted_at ? 1 : 0;
+  if (!b.posted_at) return -1;
+  return b.posted_at.localeCompare(a.posted_at);
+}
+
+export default {
+  monitorKeyword,
+  buildMentionReport,
+  buildTimeline,
+  formatMentionReportMarkdown,
+  saveMentionReport
+};
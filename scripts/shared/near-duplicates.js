@@ -0,0 +1,299 @@
+/**
+ * Near Duplicates - Similarity-based dedup across categories and sources
+ * Groups posts that are the same story: cross-posts with reworded titles, or
+ * one launch posted to HackerNews, Reddit and IndieHackers.
+ *
+ * Two posts are duplicates when either
+ *   - they link to the same external page (canonicalized link URL), or
+ *   - their titles (word + word-pair sets) or their title + body (3-word
+ *     shingles) are similar enough, estimated with MinHash signatures
+ *
+ * Candidate pairs come from LSH banding over the signatures, so large batches
+ * are not compared pair by pair. Each cluster keeps its best post (highest
+ * rank) and records the others on it as `sightings`.
+ */
+
+export const DEFAULT_DEDUP_OPTIONS = {
+  titleThreshold: 0.7,   // MinHash Jaccard estimate of the titles
+  contentThreshold: 0.5, // MinHash Jaccard estimate of title + body
+  minTitleWords: 3,      // Shorter titles ("Hello", "Feedback?") never match on title alone
+  minContentWords: 20,   // Bodies shorter than this only compare titles
+  numHashes: 64,
+  bands: 16              // 16 bands × 4 rows: pairs above ~0.5 similarity become candidates
+};
+
+// Tracking parameters that never change which page a link points to
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|ref_url|source|fbclid|gclid|mc_cid|mc_eid|igshid|s|si)$/i;
+
+// Discussion pages on the sources themselves are not a shared external target
+const SOURCE_HOSTS = /(^|\.)(indiehackers\.com|reddit\.com|redd\.it|ycombinator\.com|twitter\.com|x\.com|t\.co)$/i;
+
+// Source-specific title prefixes that would otherwise make cross-posts look different
+const TITLE_PREFIXES = /^\s*(show hn|ask hn|tell hn|launch hn|\[?(show|ask|launch)\]?)\s*[:\-–]\s*/i;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'this', 'to', 'was', 'we',
+  'what', 'with', 'you', 'your'
+]);
+
+const SEEDS = Array.from({ length: 256 }, (_, i) => mix32(0x9e3779b9 ^ Math.imul(i + 1, 0x85ebca6b)));
+
+/**
+ * Canonical form of a link target: no scheme, `www.`, fragment, tracking
+ * parameters or trailing slash; null for empty links and the sources' own pages
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.startsWith('http') ? url : `https://${url}`);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  if (SOURCE_HOSTS.test(host)) return null;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  const pathname = parsed.pathname.replace(/\/(index\.html?)?$/i, '');
+
+  return `${host}${pathname}${query}`;
+}
+
+/**
+ * Lower-cased content words of a text, without URLs, punctuation and stopwords
+ * Numbers are spelled one way: "10,000", "10k" and "10K" are all "10000"
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .replace(TITLE_PREFIXES, '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/\b(\d+(?:\.\d+)?)([km])\b/g, (_, number, unit) => String(Math.round(parseFloat(number) * (unit === 'k' ? 1000 : 1000000))))
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/**
+ * Word n-grams of a token list (the tokens themselves when the list is shorter than n)
+ */
+export function shingles(tokens, size = 3) {
+  if (tokens.length < size) return new Set(tokens.length > 0 ? [tokens.join(' ')] : []);
+  const result = new Set();
+  for (let i = 0; i <= tokens.length - size; i++) {
+    result.add(tokens.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * MinHash signature: the smallest hash of the set under each of `numHashes` hash functions
+ */
+export function minhash(set, numHashes = DEFAULT_DEDUP_OPTIONS.numHashes) {
+  const signature = new Array(numHashes).fill(0xffffffff);
+  for (const value of set) {
+    const base = fnv1a(value);
+    for (let i = 0; i < numHashes; i++) {
+      const hash = mix32(base ^ SEEDS[i]);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two sets from their signatures
+ */
+export function estimateSimilarity(a, b) {
+  if (!a || !b) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+/**
+ * Group near-duplicate items into clusters.
+ *
+ * `options.getTitle/getBody/getLink/getRank` read the fields (community items
+ * by default); the rest override DEFAULT_DEDUP_OPTIONS. Returns clusters of
+ * two or more items as { representative, duplicates: [{ item, similarity, match }] },
+ * best-ranked item first.
+ */
+export function findDuplicateClusters(items, options = {}) {
+  const settings = { ...DEFAULT_DEDUP_OPTIONS, ...options };
+  const getTitle = options.getTitle || (item => item.title);
+  const getBody = options.getBody || (item => item.body);
+  const getLink = options.getLink || (item => item.link_url);
+  const getRank = options.getRank || defaultRank;
+  const rows = Math.floor(settings.numHashes / settings.bands);
+
+  const entries = items.map((item, index) => {
+    const titleTokens = tokenize(getTitle(item));
+    const bodyTokens = tokenize(getBody(item)).slice(0, 300);
+    const titleSet = new Set([...titleTokens, ...shingles(titleTokens, 2)]);
+
+    return {
+      index,
+      item,
+      link: canonicalizeUrl(getLink(item)),
+      title: titleTokens.length >= settings.minTitleWords ? minhash(titleSet, settings.numHashes) : null,
+      content: bodyTokens.length >= settings.minContentWords
+        ? minhash(shingles([...titleTokens, ...bodyTokens], 3), settings.numHashes)
+        : null
+    };
+  });
+
+  const parent = entries.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const matches = new Map(); // "i:j" -> { similarity, match }
+
+  const join = (a, b, similarity, match) => {
+    const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+    const previous = matches.get(key);
+    if (!previous || similarity > previous.similarity) matches.set(key, { similarity, match });
+    parent[find(a)] = find(b);
+  };
+
+  // Same external link
+  const byLink = new Map();
+  entries.filter(entry => entry.link).forEach(entry => {
+    if (byLink.has(entry.link)) join(byLink.get(entry.link), entry.index, 1, 'link');
+    else byLink.set(entry.link, entry.index);
+  });
+
+  // Similar titles or bodies: LSH bands propose candidates, the full signature decides
+  const compare = (kind, threshold) => {
+    const buckets = new Map();
+    entries.filter(entry => entry[kind]).forEach(entry => {
+      for (let band = 0; band < settings.bands; band++) {
+        const key = `${band}:${entry[kind].slice(band * rows, (band + 1) * rows).join(',')}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(entry);
+      }
+    });
+
+    const checked = new Set();
+    buckets.forEach(bucket => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const pair = `${bucket[i].index}:${bucket[j].index}`;
+          if (checked.has(pair)) continue;
+          checked.add(pair);
+
+          const similarity = estimateSimilarity(bucket[i][kind], bucket[j][kind]);
+          if (similarity >= threshold) join(bucket[i].index, bucket[j].index, similarity, kind);
+        }
+      }
+    });
+  };
+  compare('title', settings.titleThreshold);
+  compare('content', settings.contentThreshold);
+
+  const groups = new Map();
+  entries.forEach(entry => {
+    const root = find(entry.index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      const [best, ...rest] = [...group].sort((a, b) => getRank(b.item) - getRank(a.item) || a.index - b.index);
+      return {
+        representative: best.item,
+        duplicates: rest.map(entry => {
+          const key = best.index < entry.index ? `${best.index}:${entry.index}` : `${entry.index}:${best.index}`;
+          // Joined through another member of the cluster: no direct score against the representative
+          const direct = matches.get(key) || { similarity: null, match: 'cluster' };
+          return { item: entry.item, ...direct };
+        })
+      };
+    });
+}
+
+/**
+ * Drop near-duplicates from a list of items (community items by default),
+ * keeping input order. Each kept representative gets `sightings` describing
+ * the items merged into it; `options.getSighting(item)` picks their fields.
+ * Returns { items, clusters, removed }.
+ */
+export function dedupeItems(items, options = {}) {
+  const clusters = findDuplicateClusters(items, options);
+  const getSighting = options.getSighting || communitySighting;
+  const removed = new Set();
+  const sightingsFor = new Map();
+
+  clusters.forEach(cluster => {
+    sightingsFor.set(cluster.representative, cluster.duplicates.map(({ item, similarity, match }) => {
+      removed.add(item);
+      return {
+        ...getSighting(item),
+        similarity: similarity === null ? null : Math.round(similarity * 100) / 100,
+        match
+      };
+    }));
+  });
+
+  const kept = items
+    .filter(item => !removed.has(item))
+    .map(item => (sightingsFor.has(item)
+      ? { ...item, sightings: [...(item.sightings || []), ...sightingsFor.get(item)] }
+      : item));
+
+  return { items: kept, clusters: clusters.length, removed: removed.size };
+}
+
+function communitySighting(item) {
+  return {
+    id: item.id,
+    source: item.source,
+    title: item.title,
+    url: item.url,
+    community: item.community,
+    posted_at: item.posted_at,
+    metrics: { score: item.metrics.score, comments: item.metrics.comments }
+  };
+}
+
+/**
+ * Default rank for community items: votes plus comments counted double
+ */
+function defaultRank(item) {
+  return (item.metrics?.score || 0) + 2 * (item.metrics?.comments || 0);
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer: spreads every input bit over the output
+function mix32(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+export default {
+  canonicalizeUrl,
+  findDuplicateClusters,
+  dedupeItems
+};
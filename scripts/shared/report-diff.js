@@ -0,0 +1,400 @@
+/**
+ * Report Diff - What changed between two dated report folders of a source
+ * Reads the JSON files a source wrote for each date (IndieHackers `*-data.json` and
+ * `all-categories.json`, HackerNews/Reddit/Twitter result files), normalizes every
+ * post into a community item and compares the two runs: new and dropped posts,
+ * rank movements, biggest engagement gainers and new trending themes.
+ *
+ *   report/<source dir>/<YYYY-MM-DD | DD-Mon-YYYY>/*.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SOURCES, normalizeItems } from './community-item.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = path.join(__dirname, '..', '..');
+export const DEFAULT_REPORTS_DIR = path.join(REPO_ROOT, 'report');
+export const DEFAULT_DIFF_DIR = path.join(DEFAULT_REPORTS_DIR, 'diff');
+
+// Report folder of each source under report/
+export const SOURCE_REPORT_DIRS = {
+  indiehackers: 'indiehacker',
+  reddit: 'reddit',
+  hackernews: 'hackernews',
+  twitter: 'twitter'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'but', 'for', 'with', 'are', 'was', 'were', 'been', 'have', 'has', 'had', 'does', 'did',
+  'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those', 'you', 'she',
+  'they', 'your', 'his', 'her', 'its', 'our', 'their', 'from', 'how', 'what', 'why', 'when', 'who', 'not',
+  'all', 'any', 'just', 'about', 'into', 'out', 'more', 'than', 'then', 'now', 'new', 'get', 'got', 'one'
+]);
+
+/**
+ * How each source's report files turn into ranked post lists ({ list, posts })
+ */
+const LIST_READERS = {
+  indiehackers(files) {
+    const lists = [];
+    const combined = files.find(file => file.name === 'all-categories.json');
+    if (combined) {
+      Object.entries(combined.data.results || {}).forEach(([key, result]) => {
+        lists.push({ list: key, posts: result.articles || result.posts || [] });
+      });
+    }
+
+    // Per-category files, unless the combined file already had that category
+    files
+      .filter(file => file.name.endsWith('-data.json') && file.name !== 'raw-data.json')
+      .forEach(file => {
+        const key = file.name.replace(/-data\.json$/, '');
+        if (!lists.some(entry => entry.list === key)) {
+          lists.push({ list: key, posts: file.data.posts || file.data.articles || [] });
+        }
+      });
+
+    return lists;
+  },
+
+  default(files) {
+    return files.map(file => ({
+      list: file.data.keyword || file.data.metadata?.keyword || file.name.replace(/\.json$/, ''),
+      posts: findPostArray(file.data)
+    }));
+  }
+};
+
+/**
+ * Normalize a report folder name (`2025-08-27` or `27-Aug-2025`) to YYYY-MM-DD
+ */
+export function parseReportDate(name) {
+  const iso = String(name).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return iso[0];
+
+  const dayFirst = String(name).match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (dayFirst) {
+    const month = MONTHS.indexOf(dayFirst[2].toLowerCase());
+    if (month === -1) return null;
+    return `${dayFirst[3]}-${String(month + 1).padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Dated report folders of a source, oldest first
+ * Folders in both naming styles for the same day are grouped together
+ */
+export async function listReportDates(source, reportsDir = DEFAULT_REPORTS_DIR) {
+  const sourceDir = path.join(reportsDir, reportDirOf(source));
+
+  let entries;
+  try {
+    entries = await fs.readdir(sourceDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const byDate = new Map();
+  entries
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const date = parseReportDate(entry.name);
+      if (!date) return;
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push(path.join(sourceDir, entry.name));
+    });
+
+  return Array.from(byDate.entries())
+    .map(([date, dirs]) => ({ date, dirs }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Load every post of one report date as { source, date, files, entries: Map(id -> { item, list, rank }) }
+ */
+export async function loadReportSnapshot(source, date, reportsDir = DEFAULT_REPORTS_DIR) {
+  const isoDate = parseReportDate(date);
+  if (!isoDate) {
+    throw new Error(`Invalid report date "${date}" (use YYYY-MM-DD or DD-Mon-YYYY)`);
+  }
+
+  const folder = (await listReportDates(source, reportsDir)).find(entry => entry.date === isoDate);
+  if (!folder) {
+    throw new Error(`No ${source} report folder for ${isoDate} in ${path.join(reportsDir, reportDirOf(source))}`);
+  }
+
+  const files = [];
+  for (const dir of folder.dirs) {
+    for (const name of (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort()) {
+      try {
+        files.push({ name, data: JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')) });
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable report file ${path.join(dir, name)}: ${error.message}`);
+      }
+    }
+  }
+
+  const readLists = LIST_READERS[source] || LIST_READERS.default;
+  const entries = new Map();
+
+  readLists(files).forEach(({ list, posts }) => {
+    normalizeItems(source, posts.filter(post => post && typeof post === 'object'), { community: list })
+      .forEach((item, index) => {
+        // A post listed in several files keeps its first (highest priority) position
+        if (!entries.has(item.id)) {
+          entries.set(item.id, { item, list, rank: index + 1 });
+        }
+      });
+  });
+
+  return { source, date: isoDate, files: files.map(file => file.name), entries };
+}
+
+/**
+ * Compare two snapshots (older first)
+ */
+export function diffSnapshots(from, to, options = {}) {
+  const limit = options.limit || 10;
+  const fromEntries = Array.from(from.entries.values());
+  const toEntries = Array.from(to.entries.values());
+
+  const newPosts = toEntries
+    .filter(entry => !from.entries.has(entry.item.id))
+    .sort((a, b) => engagementOf(b.item) - engagementOf(a.item));
+  const droppedPosts = fromEntries
+    .filter(entry => !to.entries.has(entry.item.id))
+    .sort((a, b) => engagementOf(b.item) - engagementOf(a.item));
+  const continuing = toEntries
+    .filter(entry => from.entries.has(entry.item.id))
+    .map(entry => ({ before: from.entries.get(entry.item.id), after: entry }));
+
+  const rankMovements = continuing
+    .filter(({ before, after }) => before.list === after.list && before.rank !== after.rank)
+    .map(({ before, after }) => ({
+      ...summarize(after),
+      from_rank: before.rank,
+      to_rank: after.rank,
+      change: before.rank - after.rank
+    }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.to_rank - b.to_rank);
+
+  const gainers = continuing
+    .map(({ before, after }) => {
+      const scoreChange = after.item.metrics.score - before.item.metrics.score;
+      const commentsChange = after.item.metrics.comments - before.item.metrics.comments;
+      return {
+        ...summarize(after),
+        score_change: scoreChange,
+        comments_change: commentsChange,
+        engagement_change: scoreChange + commentsChange
+      };
+    })
+    .filter(entry => entry.engagement_change > 0)
+    .sort((a, b) => b.engagement_change - a.engagement_change);
+
+  const fromThemes = extractThemes(fromEntries.map(entry => entry.item), options.themeLimit);
+  const toThemes = extractThemes(toEntries.map(entry => entry.item), options.themeLimit);
+  const previousThemes = new Set(fromThemes.map(theme => theme.theme));
+
+  return {
+    source: to.source,
+    generated_at: new Date().toISOString(),
+    from: { date: from.date, posts: from.entries.size, files: from.files },
+    to: { date: to.date, posts: to.entries.size, files: to.files },
+    summary: {
+      new_posts: newPosts.length,
+      dropped_posts: droppedPosts.length,
+      continuing_posts: continuing.length,
+      rank_changes: rankMovements.length
+    },
+    new_posts: newPosts.slice(0, limit).map(summarize),
+    dropped_posts: droppedPosts.slice(0, limit).map(summarize),
+    rank_movements: rankMovements.slice(0, limit),
+    top_gainers: gainers.slice(0, limit),
+    new_themes: toThemes.filter(theme => !previousThemes.has(theme.theme)),
+    themes: { from: fromThemes, to: toThemes }
+  };
+}
+
+/**
+ * Diff two report dates of a source; without dates the latest two are compared,
+ * with only `fromDate` it is compared against the latest
+ */
+export async function diffReports(source, fromDate = null, toDate = null, options = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown source: ${source} (available: ${SOURCES.join(', ')})`);
+  }
+
+  const reportsDir = options.reportsDir || DEFAULT_REPORTS_DIR;
+  const dates = (await listReportDates(source, reportsDir)).map(entry => entry.date);
+
+  [fromDate, toDate].filter(Boolean).forEach(date => {
+    if (!parseReportDate(date)) {
+      throw new Error(`Invalid report date "${date}" (use YYYY-MM-DD or DD-Mon-YYYY)`);
+    }
+  });
+
+  const to = toDate ? parseReportDate(toDate) : dates[dates.length - 1];
+  const from = fromDate ? parseReportDate(fromDate) : dates.filter(date => date < to).pop();
+  if (!from || !to) {
+    throw new Error(`Need two ${source} report dates to compare, found ${dates.length}${dates.length ? ` (${dates.join(', ')})` : ''}`);
+  }
+
+  const [before, after] = await Promise.all([
+    loadReportSnapshot(source, from, reportsDir),
+    loadReportSnapshot(source, to, reportsDir)
+  ]);
+
+  return diffSnapshots(before, after, options);
+}
+
+/**
+ * Most common title words across posts (counted once per post)
+ */
+export function extractThemes(items, limit = 10) {
+  const counts = new Map();
+
+  items.forEach(item => {
+    const words = new Set((item.title.toLowerCase().match(/\b[a-z]{3,}\b/g) || [])
+      .filter(word => !STOP_WORDS.has(word)));
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+
+  return Array.from(counts.entries())
+    .filter(([, count]) => count >= 2)
+    .sort(([wordA, a], [wordB, b]) => b - a || wordA.localeCompare(wordB))
+    .slice(0, limit)
+    .map(([word, count]) => ({ theme: word.charAt(0).toUpperCase() + word.slice(1), posts: count }));
+}
+
+export function formatDiffMarkdown(diff) {
+  const { summary } = diff;
+
+  let markdown = `# ${diff.source} report diff: ${diff.from.date} → ${diff.to.date}\n\n`;
+  markdown += `**Generated:** ${new Date(diff.generated_at).toLocaleString()}\n`;
+  markdown += `**Posts:** ${diff.from.posts} → ${diff.to.posts}\n\n`;
+  markdown += `| New | Dropped | Continuing | Rank changes |\n`;
+  markdown += `|-----|---------|------------|--------------|\n`;
+  markdown += `| ${summary.new_posts} | ${summary.dropped_posts} | ${summary.continuing_posts} | ${summary.rank_changes} |\n\n`;
+
+  markdown += `## 🆕 New Posts\n\n`;
+  markdown += diff.new_posts.length > 0
+    ? diff.new_posts.map(post => `- ${postLink(post)} — ${post.list}, ${post.score} score, ${post.comments} comments`).join('\n') + '\n\n'
+    : `_No new posts._\n\n`;
+
+  markdown += `## 👋 Dropped Posts\n\n`;
+  markdown += diff.dropped_posts.length > 0
+    ? diff.dropped_posts.map(post => `- ${postLink(post)} — ${post.list}, last seen at #${post.rank}`).join('\n') + '\n\n'
+    : `_No dropped posts._\n\n`;
+
+  markdown += `## 📈 Biggest Engagement Gainers\n\n`;
+  if (diff.top_gainers.length > 0) {
+    markdown += `| Post | Score | Comments |\n|------|-------|----------|\n`;
+    diff.top_gainers.forEach(post => {
+      markdown += `| ${postLink(post)} | ${signed(post.score_change)} (${post.score}) | ${signed(post.comments_change)} (${post.comments}) |\n`;
+    });
+    markdown += `\n`;
+  } else {
+    markdown += `_No engagement gains._\n\n`;
+  }
+
+  markdown += `## 🔀 Rank Movements\n\n`;
+  if (diff.rank_movements.length > 0) {
+    markdown += `| Post | List | Rank | Change |\n|------|------|------|--------|\n`;
+    diff.rank_movements.forEach(post => {
+      const arrow = post.change > 0 ? '⬆️' : '⬇️';
+      markdown += `| ${postLink(post)} | ${post.list} | #${post.from_rank} → #${post.to_rank} | ${arrow} ${Math.abs(post.change)} |\n`;
+    });
+    markdown += `\n`;
+  } else {
+    markdown += `_No rank changes._\n\n`;
+  }
+
+  markdown += `## 🔥 New Trending Themes\n\n`;
+  markdown += diff.new_themes.length > 0
+    ? diff.new_themes.map(theme => `- **${theme.theme}** (${theme.posts} posts)`).join('\n') + '\n'
+    : `_No new themes._\n`;
+
+  return markdown;
+}
+
+/**
+ * Write the diff to report/diff/<source>/<from>_to_<to>.{json,md}
+ */
+export async function saveDiffReport(diff, options = {}) {
+  const format = options.format || 'all';
+  const outputDir = path.join(options.outputDir || DEFAULT_DIFF_DIR, diff.source);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const baseName = path.join(outputDir, `${diff.from.date}_to_${diff.to.date}`);
+  const files = [];
+
+  if (format === 'json' || format === 'all') {
+    await fs.writeFile(`${baseName}.json`, JSON.stringify(diff, null, 2), 'utf8');
+    files.push(`${baseName}.json`);
+  }
+  if (format === 'markdown' || format === 'all') {
+    await fs.writeFile(`${baseName}.md`, formatDiffMarkdown(diff), 'utf8');
+    files.push(`${baseName}.md`);
+  }
+
+  return files;
+}
+
+function reportDirOf(source) {
+  const dir = SOURCE_REPORT_DIRS[source];
+  if (!dir) {
+    throw new Error(`Unknown source: ${source} (available: ${SOURCES.join(', ')})`);
+  }
+  return dir;
+}
+
+function findPostArray(data) {
+  if (Array.isArray(data)) return data;
+  return data.posts || data.stories || data.articles || data.items || data.data?.posts || data.mentions || [];
+}
+
+function summarize(entry) {
+  return {
+    id: entry.item.id,
+    title: entry.item.title,
+    url: entry.item.url,
+    list: entry.list,
+    rank: entry.rank,
+    author: entry.item.author.username,
+    score: entry.item.metrics.score,
+    comments: entry.item.metrics.comments
+  };
+}
+
+function engagementOf(item) {
+  return item.metrics.score + item.metrics.comments;
+}
+
+function postLink(post) {
+  const title = (post.title || post.id).replace(/\|/g, '\\|');
+  return post.url ? `[${title}](${post.url})` : title;
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+export default {
+  parseReportDate,
+  listReportDates,
+  loadReportSnapshot,
+  diffSnapshots,
+  diffReports,
+  extractThemes,
+  formatDiffMarkdown,
+  saveDiffReport
+};
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Schedule CLI
+ * Long-running daemon that runs scraper jobs on cron schedules
+ *
+ * Usage:
+ *   node scripts/shared/schedule-cli.js start [--jobs config/schedule.json]
+ *   node scripts/shared/schedule-cli.js list
+ *   node scripts/shared/schedule-cli.js run <job>
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import Scheduler, { loadJobs, buildCommands, formatCommand, DEFAULT_JOBS_FILE } from './scheduler.js';
+import { nextRun } from './cron.js';
+
+const program = new Command();
+
+program
+  .name('schedule')
+  .description('Run BeSpy scrapers on cron schedules')
+  .option('-j, --jobs <path>', 'Jobs file', DEFAULT_JOBS_FILE)
+  .option('--dir <path>', 'Where to write the run log and job logs (defaults to data/schedule)');
+
+async function loadJobsOrExit() {
+  try {
+    return await loadJobs(path.resolve(program.opts().jobs));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+program
+  .command('start', { isDefault: true })
+  .description('Start the scheduler and keep running until interrupted')
+  .option('--shutdown-timeout <seconds>', 'How long running jobs get to exit on shutdown', '30')
+  .action(async (options) => {
+    const jobs = await loadJobsOrExit();
+    if (jobs.length === 0) {
+      console.log('📭 No enabled jobs in the jobs file');
+      return;
+    }
+
+    const scheduler = new Scheduler(jobs, {
+      scheduleDir: program.opts().dir,
+      shutdownTimeout: parseInt(options.shutdownTimeout) * 1000
+    });
+
+    const shutdown = async (signal) => {
+      console.log(`\n📴 Received ${signal}`);
+      await scheduler.stop();
+      process.exit(0);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    scheduler.start();
+  });
+
+program
+  .command('list')
+  .description('Show jobs, their commands and next run times')
+  .action(async () => {
+    const jobs = await loadJobsOrExit();
+
+    console.log(`📋 ${jobs.length} enabled job(s):\n`);
+    jobs.forEach(job => {
+      console.log(`   ${job.name} (${job.source}) — cron "${job.cron}", next run ${nextRun(job.cron).toLocaleString()}`);
+      buildCommands(job).forEach(command => console.log(`      $ ${formatCommand(command)}`));
+      console.log('');
+    });
+  });
+
+program
+  .command('run <job>')
+  .description('Run one job immediately and exit')
+  .action(async (name) => {
+    const jobs = await loadJobsOrExit();
+    const job = jobs.find(candidate => candidate.name === name);
+
+    if (!job) {
+      console.error(`❌ Unknown job: ${name}`);
+      console.log(`   Available: ${jobs.map(candidate => candidate.name).join(', ')}`);
+      process.exit(1);
+    }
+
+    const scheduler = new Scheduler([job], { scheduleDir: program.opts().dir });
+    process.once('SIGINT', () => scheduler.stop());
+    process.once('SIGTERM', () => scheduler.stop());
+
+    try {
+      const run = await scheduler.runJob(job);
+      process.exit(run.status === 'success' ? 0 : 1);
+    } catch (error) {
+      console.error(`❌ ${job.name} failed to run: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program.parse(process.argv);
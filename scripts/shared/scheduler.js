@@ -0,0 +1,396 @@
+/**
+ * Scheduler - Runs scraper jobs on cron schedules
+ * Each job runs the source's existing CLI as a child process, so a crashed or
+ * hung scraper never takes the scheduler down with it.
+ *
+ * Jobs file (see config/schedule.example.json):
+ *   { "jobs": [{ "name", "source", "cron", "command", "keywords", "categories", "format", ... }] }
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseCron, nextRun } from './cron.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = path.join(__dirname, '..', '..');
+export const DEFAULT_JOBS_FILE = path.join(REPO_ROOT, 'config', 'schedule.json');
+export const DEFAULT_SCHEDULE_DIR = path.join(REPO_ROOT, 'data', 'schedule');
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * How each source's job turns into CLI invocations (one per keyword where relevant),
+ * as argv arrays relative to the source's working directory
+ */
+const JOB_BUILDERS = {
+  indiehackers(job) {
+    const args = ['scripts/indiehacker/cli.js', 'scrape', '-c', (job.categories || ['all']).join(',')];
+    if (job.posts) args.push('-n', String(job.posts));
+    if (job.incremental) args.push('--incremental');
+    if (job.history === false) args.push('--no-history');
+    return [args];
+  },
+
+  reddit(job) {
+    const command = job.command || 'search';
+    const format = job.format || 'json';
+
+    if (command === 'search') {
+      return job.keywords.map(keyword => {
+        const args = ['cli-enhanced.js', 'search', '--keyword', keyword, '--format', format];
+        if (job.posts) args.push('--limit', String(job.posts));
+        if (job.comments) args.push('--with-comments');
+        if (job.backend) args.push('--backend', job.backend);
+        if (job.history === false) args.push('--no-history');
+        return args;
+      });
+    }
+
+    const args = ['cli-enhanced.js', command, '--format', format];
+    if (job.subreddits) args.push('--subreddits', job.subreddits.join(','));
+    else if (job.watchlist) args.push('--watchlist', job.watchlist);
+    if (command === 'trending' && job.days) args.push('--days', String(job.days));
+    if (command === 'batch' && job.posts) args.push('--limit', String(job.posts));
+    if (job.backend) args.push('--backend', job.backend);
+    if (job.history === false) args.push('--no-history');
+    return [args];
+  },
+
+  hackernews(job) {
+    const command = job.command || 'search';
+    const withOptions = (args) => {
+      args.push('--format', job.format || 'json');
+      if (job.posts) args.push('--limit', String(job.posts));
+      if (job.comments === false && ['search', 'trending'].includes(command)) args.push('--no-comments');
+      if (job.backend) args.push('--backend', job.backend);
+      if (job.history === false) args.push('--no-history');
+      return args;
+    };
+
+    if (command === 'search') {
+      return job.keywords.map(keyword => withOptions(['scripts/hackernews/cli.js', 'search', keyword]));
+    }
+    if (command === 'trending') {
+      return [withOptions(['scripts/hackernews/cli.js', 'trending', '--days', String(job.days || 1)])];
+    }
+    // Category feeds: front, newest, best, show, ask, launches
+    return [withOptions(['scripts/hackernews/cli.js', command])];
+  },
+
+  twitter(job) {
+    return job.keywords.map(keyword => {
+      const args = ['scripts/twitter/twitter-unified-fetcher.mjs', '--keyword', keyword, '--format', job.format || 'json'];
+      if (job.posts) args.push('--posts', String(job.posts));
+      if (job.comments === false) args.push('--noComments');
+      if (job.history === false) args.push('--noHistory');
+      return args;
+    });
+  }
+};
+
+export const JOB_SOURCES = Object.keys(JOB_BUILDERS);
+
+// Sources whose CLI resolves its report directory from process.cwd(); the rest run from the repo root
+const JOB_DIRS = {
+  reddit: 'scripts/reddit'
+};
+
+const HACKERNEWS_COMMANDS = ['search', 'trending', 'front', 'newest', 'best', 'show', 'ask', 'launches'];
+
+/**
+ * Check a parsed jobs file, returning every problem found
+ */
+export function validateJobs(data) {
+  const errors = [];
+
+  if (!data || !Array.isArray(data.jobs)) {
+    return { valid: false, errors: ['"jobs" must be an array'] };
+  }
+
+  const names = new Set();
+  data.jobs.forEach((job, index) => {
+    const prefix = `jobs[${index}]${job?.name ? ` (${job.name})` : ''}`;
+
+    if (!job || typeof job !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+    if (typeof job.name !== 'string' || !job.name.trim()) {
+      errors.push(`${prefix}.name: required string`);
+    } else if (names.has(job.name)) {
+      errors.push(`${prefix}.name: duplicate job name`);
+    } else {
+      names.add(job.name);
+    }
+
+    if (!JOB_SOURCES.includes(job.source)) {
+      errors.push(`${prefix}.source: must be one of ${JOB_SOURCES.join(', ')}`);
+    }
+
+    // nextRun also rejects schedules that can never fire, e.g. "0 0 31 2 *"
+    try {
+      nextRun(parseCron(job.cron));
+    } catch (error) {
+      errors.push(`${prefix}.cron: ${error.message}`);
+    }
+
+    const needsKeywords = job.source === 'twitter' ||
+      (['reddit', 'hackernews'].includes(job.source) && (job.command || 'search') === 'search');
+    if (needsKeywords && !(Array.isArray(job.keywords) && job.keywords.length > 0)) {
+      errors.push(`${prefix}.keywords: required non-empty array for ${job.source} ${job.command || 'search'} jobs`);
+    }
+
+    if (job.source === 'reddit' && !['search', 'trending', 'batch'].includes(job.command || 'search')) {
+      errors.push(`${prefix}.command: reddit jobs support search, trending or batch`);
+    }
+    if (job.source === 'reddit' && job.command === 'batch' && !job.watchlist && !(Array.isArray(job.subreddits) && job.subreddits.length > 0)) {
+      errors.push(`${prefix}.subreddits: required for reddit batch jobs (or a watchlist)`);
+    }
+    if (job.source === 'reddit' && job.backend && !['json', 'dom'].includes(job.backend)) {
+      errors.push(`${prefix}.backend: must be json or dom`);
+    }
+    if (job.source === 'hackernews' && !HACKERNEWS_COMMANDS.includes(job.command || 'search')) {
+      errors.push(`${prefix}.command: hackernews jobs support ${HACKERNEWS_COMMANDS.join(', ')}`);
+    }
+    if (job.source === 'hackernews' && job.backend && !['api', 'browser'].includes(job.backend)) {
+      errors.push(`${prefix}.backend: must be api or browser`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read and validate a jobs file
+ */
+export async function loadJobs(filePath = DEFAULT_JOBS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read jobs file ${filePath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validateJobs(data);
+  if (!valid) {
+    throw new Error(`Invalid jobs file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return data.jobs.filter(job => job.enabled !== false);
+}
+
+/**
+ * CLI invocations for a job, as { cwd, args } with args relative to cwd
+ */
+export function buildCommands(job) {
+  const cwd = path.join(REPO_ROOT, JOB_DIRS[job.source] || '');
+  return JOB_BUILDERS[job.source](job).map(args => ({ cwd, args }));
+}
+
+/**
+ * Shell-style rendering of a command, for listings and job logs
+ */
+export function formatCommand({ cwd, args }) {
+  const dir = path.relative(REPO_ROOT, cwd);
+  const command = `node ${args.join(' ')}`;
+  return dir ? `(cd ${dir} && ${command})` : command;
+}
+
+/**
+ * Append-mode log stream that resolves once the file is open, so open errors reject
+ */
+function openLogStream(logPath) {
+  return new Promise((resolve, reject) => {
+    const stream = createWriteStream(logPath, { flags: 'a' });
+    stream.once('open', () => resolve(stream));
+    stream.once('error', reject);
+  });
+}
+
+export class Scheduler {
+  constructor(jobs, options = {}) {
+    this.jobs = jobs;
+    this.scheduleDir = options.scheduleDir || process.env.BESPY_SCHEDULE_DIR || DEFAULT_SCHEDULE_DIR;
+    this.shutdownTimeout = options.shutdownTimeout ?? 30000;
+    this.timers = new Map();   // job name -> timeout handle
+    this.running = new Map();  // job name -> { child, startedAt }
+    this.stopping = false;
+  }
+
+  /**
+   * Arm every job's timer
+   */
+  start() {
+    console.log(`⏰ Scheduler started with ${this.jobs.length} job(s)`);
+    this.jobs.forEach(job => this.arm(job));
+  }
+
+  arm(job, from = new Date()) {
+    if (this.stopping) return;
+
+    const runAt = nextRun(job.cron, from);
+    console.log(`   ${job.name.padEnd(24)} next run ${runAt.toLocaleString()}`);
+    this.setTimer(job, runAt);
+  }
+
+  setTimer(job, runAt) {
+    const wait = runAt.getTime() - Date.now();
+
+    // Nothing may escape the callback: an unhandled rejection would end the daemon
+    const timer = setTimeout(async () => {
+      try {
+        if (wait > MAX_TIMER_MS) {
+          this.setTimer(job, runAt);
+          return;
+        }
+        this.arm(job, runAt);
+        await this.runJob(job);
+      } catch (error) {
+        console.error(`❌ ${job.name} failed to run: ${error.message}`);
+      }
+    }, Math.max(0, Math.min(wait, MAX_TIMER_MS)));
+
+    this.timers.set(job.name, timer);
+  }
+
+  /**
+   * Run a job now; skipped (and logged) while a previous run is still going
+   */
+  async runJob(job) {
+    if (this.running.has(job.name)) {
+      console.warn(`⚠️ Skipping ${job.name}: previous run started ${this.running.get(job.name).startedAt.toISOString()} is still running`);
+      await this.logRun({
+        job: job.name,
+        source: job.source,
+        status: 'skipped',
+        started_at: new Date().toISOString(),
+        finished_at: new Date().toISOString(),
+        reason: 'overlap'
+      });
+      return { status: 'skipped' };
+    }
+
+    const startedAt = new Date();
+    const state = { child: null, startedAt };
+    this.running.set(job.name, state);
+
+    const logDir = path.join(this.scheduleDir, 'logs');
+    const logPath = path.join(logDir, `${job.name}-${startedAt.toISOString().replace(/[:.]/g, '-')}.log`);
+    const commands = buildCommands(job);
+    const exitCodes = [];
+    let logStream = null;
+
+    // Everything after taking the lock sits in the try, so a failed setup can't leave the job marked running
+    try {
+      await fs.mkdir(logDir, { recursive: true });
+      logStream = await openLogStream(logPath);
+
+      console.log(`▶️  ${job.name} (${job.source}) started`);
+
+      for (const command of commands) {
+        if (this.stopping) break;
+        logStream.write(`$ ${formatCommand(command)}\n`);
+        exitCodes.push(await this.runCommand(command, state, logStream));
+      }
+    } finally {
+      this.running.delete(job.name);
+      if (logStream) {
+        await new Promise(resolve => logStream.end(resolve));
+      }
+    }
+
+    const failed = exitCodes.length < commands.length || exitCodes.some(code => code !== 0);
+    const status = !failed ? 'success' : this.stopping ? 'interrupted' : 'failed';
+    const finishedAt = new Date();
+
+    const run = {
+      job: job.name,
+      source: job.source,
+      status,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_s: Math.round((finishedAt - startedAt) / 100) / 10,
+      exit_codes: exitCodes,
+      log: path.relative(REPO_ROOT, logPath)
+    };
+    await this.logRun(run);
+
+    const icon = status === 'success' ? '✅' : status === 'interrupted' ? '🛑' : '❌';
+    console.log(`${icon} ${job.name} ${status} in ${run.duration_s}s (log: ${run.log})`);
+    return run;
+  }
+
+  runCommand({ cwd, args }, state, logStream) {
+    return new Promise(resolve => {
+      const child = spawn(process.execPath, args, {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      state.child = child;
+
+      child.stdout.pipe(logStream, { end: false });
+      child.stderr.pipe(logStream, { end: false });
+
+      child.on('error', error => {
+        logStream.write(`Failed to start: ${error.message}\n`);
+        resolve(-1);
+      });
+      child.on('close', (code, signal) => {
+        state.child = null;
+        resolve(code ?? (signal ? 128 : -1));
+      });
+    });
+  }
+
+  async logRun(run) {
+    await fs.mkdir(this.scheduleDir, { recursive: true });
+    await fs.appendFile(path.join(this.scheduleDir, 'runs.jsonl'), JSON.stringify(run) + '\n', 'utf8');
+  }
+
+  /**
+   * Stop scheduling and ask running scrapers to shut down (SIGTERM lets
+   * them close their browsers); anything still alive after the timeout is killed
+   */
+  async stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    const active = Array.from(this.running.entries()).filter(([, state]) => state.child);
+    if (active.length === 0) {
+      console.log('👋 Scheduler stopped');
+      return;
+    }
+
+    console.log(`🛑 Stopping ${active.length} running job(s)...`);
+    active.forEach(([, state]) => state.child.kill('SIGTERM'));
+
+    const deadline = Date.now() + this.shutdownTimeout;
+    while (this.running.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    this.running.forEach((state, name) => {
+      if (state.child) {
+        console.warn(`⚠️ ${name} did not exit in time, killing it`);
+        state.child.kill('SIGKILL');
+      }
+    });
+
+    // Let the killed runs write their run log entries
+    while (this.running.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    console.log('👋 Scheduler stopped');
+  }
+}
+
+export default Scheduler;
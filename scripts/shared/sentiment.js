@@ -0,0 +1,324 @@
+/**
+ * Sentiment - Offline lexicon-based sentiment for posts and comment trees
+ * No external service: every word is looked up in a small valence lexicon
+ * (general English plus founder/startup vocabulary such as "churn" or "profitable").
+ *
+ *   valence   -4 (very negative) .. +4 (very positive) per lexicon word or emoji
+ *   negation  "not", "never", "n't" ... up to 3 words before flip and damp the word
+ *   boosters  "very", "extremely" ... strengthen the next word, "slightly" ... weaken it
+ *   "but"     words before it count half, words after it count 1.5×
+ *   score     sum / √(sum² + 15), between -1 and 1 (VADER-style normalization)
+ *   label     positive ≥ 0.05, negative ≤ -0.05, neutral in between
+ *
+ * A post's sentiment blends its own text (title + body) with the average of its
+ * comment tree, so a neutral launch post with an angry thread reads negative.
+ */
+
+export const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
+
+export const DEFAULT_SENTIMENT_OPTIONS = {
+  threshold: 0.05,    // |score| needed for a positive/negative label
+  commentWeight: 0.4, // Share of the post score taken from its comments (when it has any)
+  maxComments: 200    // Comments analyzed per post (walked depth-first)
+};
+
+const LEXICON = {
+  // General positive
+  amazing: 3.1, awesome: 3.1, beautiful: 2.9, best: 3.2, better: 1.9, brilliant: 2.8, celebrate: 2.7,
+  clean: 1.7, cool: 1.3, delighted: 3.2, easy: 1.9, effective: 2.1, efficient: 1.8, enjoy: 2.2,
+  excellent: 3.2, excited: 2.2, exciting: 2.2, fantastic: 2.6, fast: 1.2, favorite: 2.0, fine: 0.8,
+  fun: 2.3, glad: 2.0, good: 1.9, grateful: 2.3, great: 3.1, happy: 2.7, helpful: 1.9, impressive: 2.4,
+  incredible: 2.8, insightful: 2.0, inspiring: 2.6, interesting: 1.7, love: 3.2, lovely: 2.8,
+  nice: 1.8, perfect: 2.7, pleased: 2.2, powerful: 1.6, proud: 2.1, recommend: 1.5, reliable: 1.6,
+  simple: 1.0, smooth: 1.5, solid: 1.5, superb: 3.1, thank: 1.5, thanks: 1.9, thrilled: 3.0,
+  useful: 1.9, valuable: 2.1, win: 2.8, wins: 2.7, wonderful: 2.7, worth: 0.9, wow: 2.8,
+
+  // General negative
+  angry: -2.3, annoying: -1.8, awful: -2.0, bad: -2.5, boring: -1.3, broken: -2.1, bug: -1.3,
+  buggy: -1.9, confusing: -1.3, crash: -1.7, crashes: -1.7, disappointed: -1.9, disappointing: -2.2,
+  disaster: -3.1, expensive: -1.1, fail: -2.5, failed: -2.3, failing: -2.2, frustrated: -2.1,
+  frustrating: -1.9, hard: -0.4, hate: -2.7, horrible: -2.5, lost: -1.3, mess: -1.5, miserable: -2.2,
+  nightmare: -2.6, overpriced: -1.8, painful: -1.9, poor: -2.1, problem: -1.7, problems: -1.7,
+  regret: -1.9, sad: -2.1, scam: -2.9, slow: -1.0, spam: -1.5, stuck: -1.4, struggle: -1.7,
+  struggling: -1.8, stupid: -2.4, terrible: -2.5, toxic: -2.5, ugly: -2.3, unfortunately: -1.5,
+  useless: -1.8, waste: -1.8, worried: -1.2, worse: -2.1, worst: -3.1, wrong: -2.1,
+
+  // Founder / startup vocabulary
+  acquired: 1.6, bootstrapped: 0.8, breakthrough: 2.4, customers: 0.6, funded: 1.4, growing: 1.5,
+  growth: 1.6, launched: 1.4, milestone: 1.9, profitable: 2.4, profit: 1.9, ramen: 0.5, shipped: 1.3,
+  success: 2.7, successful: 2.8, traction: 1.6, upvote: 0.8, validated: 1.5,
+  bankrupt: -3.0, bankruptcy: -3.0, burnout: -2.5, churn: -1.6, debt: -1.6, decline: -1.5,
+  downtime: -1.9, failure: -2.5, layoffs: -2.4, lawsuit: -2.0, loss: -1.6, losses: -1.7, outage: -2.0,
+  pivot: -0.4, quit: -1.1, refund: -0.9, rejected: -1.9, shutdown: -2.3, shutting: -1.6,
+  stagnant: -1.6, vaporware: -2.1
+};
+
+// Emoji and emoticons are kept as their own tokens
+const EMOJI = {
+  '🚀': 2.0, '🎉': 2.6, '🔥': 1.8, '❤️': 3.0, '❤': 3.0, '👍': 1.7, '🙌': 2.2, '😀': 2.3, '😃': 2.3,
+  '😄': 2.3, '😊': 2.3, '🥳': 2.8, '💯': 2.0, '👏': 2.0,
+  '👎': -1.7, '😞': -2.0, '😢': -2.1, '😭': -2.3, '😡': -2.7, '😠': -2.4, '💀': -1.0, '🤮': -2.6,
+  ':)': 2.0, ':-)': 2.0, ':D': 2.3, ':(': -1.9, ':-(': -1.9
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'wont', 'wouldnt',
+  'shouldnt', 'couldnt', 'havent', 'hasnt', 'aint'
+]);
+
+const BOOSTERS = {
+  absolutely: 0.293, extremely: 0.293, incredibly: 0.293, insanely: 0.293, really: 0.293, so: 0.293,
+  super: 0.293, totally: 0.293, very: 0.293, most: 0.293, hugely: 0.293,
+  kinda: -0.293, slightly: -0.293, somewhat: -0.293, little: -0.293, marginally: -0.293
+};
+
+const NEGATION_SCALAR = -0.74;
+const NORMALIZATION_ALPHA = 15;
+
+const TOKEN_PATTERN = /:-?[)(D]|\p{Extended_Pictographic}️?|[\p{L}\p{N}']+|!/gu;
+
+/**
+ * Sentiment of a piece of text: { score, label, positive, negative, words }
+ * `positive`/`negative` list the lexicon words that counted, as written
+ */
+export function analyzeText(text, options = {}) {
+  const { threshold } = { ...DEFAULT_SENTIMENT_OPTIONS, ...options };
+  const tokens = String(text || '').match(TOKEN_PATTERN) || [];
+  const words = tokens.filter(token => token !== '!');
+  const normalized = words.map(normalizeToken);
+
+  const valences = [];
+  const positive = [];
+  const negative = [];
+
+  normalized.forEach((token, index) => {
+    let valence = lookup(token);
+    if (valence === 0) return;
+
+    // Boosters and negations in the three words before
+    for (let distance = 1; distance <= 3 && index - distance >= 0; distance++) {
+      const previous = normalized[index - distance];
+      if (BOOSTERS[previous] !== undefined) {
+        // Boosters further away count less
+        const boost = BOOSTERS[previous] * (distance === 1 ? 1 : distance === 2 ? 0.95 : 0.9);
+        valence += Math.sign(valence) * boost;
+      }
+      if (NEGATIONS.has(previous)) {
+        valence *= NEGATION_SCALAR;
+        break;
+      }
+    }
+
+    valences.push({ index, valence });
+    (valence > 0 ? positive : negative).push(words[index]);
+  });
+
+  // "but" shifts the weight to the clause after it
+  const butIndex = normalized.lastIndexOf('but');
+  const sum = valences.reduce((total, { index, valence }) => {
+    if (butIndex === -1) return total + valence;
+    return total + valence * (index < butIndex ? 0.5 : index > butIndex ? 1.5 : 1);
+  }, 0);
+
+  // Exclamation marks stress whatever the text already says (up to 4)
+  const exclamations = Math.min(tokens.length - words.length, 4);
+  const emphasized = sum === 0 ? 0 : sum + Math.sign(sum) * exclamations * 0.292;
+
+  const score = normalizeScore(emphasized);
+  return {
+    score,
+    label: toLabel(score, threshold),
+    positive,
+    negative,
+    words: words.length
+  };
+}
+
+/**
+ * Sentiment of every comment in a tree (replies/children followed), as a summary
+ * ({ count, positive, neutral, negative, average, label }, see summarizeSentiment)
+ */
+export function analyzeComments(comments, options = {}) {
+  const settings = { ...DEFAULT_SENTIMENT_OPTIONS, ...options };
+  const results = [];
+
+  const walk = (list) => {
+    for (const comment of Array.isArray(list) ? list : []) {
+      if (results.length >= settings.maxComments) return;
+      if (!comment || typeof comment !== 'object') continue;
+
+      const text = commentText(comment);
+      if (text && text !== '[deleted]' && text !== '[removed]') {
+        results.push(analyzeText(text, settings));
+      }
+      walk(comment.replies || comment.children);
+    }
+  };
+  walk(comments);
+
+  return summarizeSentiment(results, result => result, settings);
+}
+
+/**
+ * Sentiment of a post and its comment tree:
+ * { score, label, text: { score, label, positive, negative }, comments: summary }
+ * `score`/`label` blend the post text with its comments (commentWeight)
+ */
+export function analyzePost({ title = '', body = '', comments = [] } = {}, options = {}) {
+  const settings = { ...DEFAULT_SENTIMENT_OPTIONS, ...options };
+  const text = analyzeText(`${title}\n${body}`, settings);
+  const commentSummary = analyzeComments(comments, settings);
+
+  const score = commentSummary.count > 0
+    ? round((1 - settings.commentWeight) * text.score + settings.commentWeight * commentSummary.average)
+    : text.score;
+
+  return {
+    score,
+    label: toLabel(score, settings.threshold),
+    text: {
+      score: text.score,
+      label: text.label,
+      positive: [...new Set(text.positive.map(word => word.toLowerCase()))],
+      negative: [...new Set(text.negative.map(word => word.toLowerCase()))]
+    },
+    comments: commentSummary
+  };
+}
+
+/**
+ * Aggregate of many sentiments: { count, positive, neutral, negative, average, label }
+ * `getSentiment(item)` returns an object with `score` and `label` (or nothing to skip the item)
+ */
+export function summarizeSentiment(items, getSentiment = item => item.sentiment, options = {}) {
+  const { threshold } = { ...DEFAULT_SENTIMENT_OPTIONS, ...options };
+  const sentiments = (items || []).map(getSentiment).filter(sentiment => typeof sentiment?.score === 'number');
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  sentiments.forEach(sentiment => {
+    counts[sentiment.label in counts ? sentiment.label : toLabel(sentiment.score, threshold)]++;
+  });
+
+  const average = sentiments.length > 0
+    ? round(sentiments.reduce((sum, sentiment) => sum + sentiment.score, 0) / sentiments.length)
+    : 0;
+
+  return {
+    count: sentiments.length,
+    ...counts,
+    average,
+    label: toLabel(average, threshold)
+  };
+}
+
+/**
+ * Sentiment summary per keyword, over the items whose text mentions it
+ * (whole-word, case-insensitive). Keywords no item mentions are left out.
+ * Returns [{ keyword, count, positive, neutral, negative, average, label }], most mentioned first
+ */
+export function sentimentByKeyword(items, keywords, options = {}) {
+  const getText = options.getText || (item => `${item.title || ''} ${item.body || ''}`);
+  const getSentiment = options.getSentiment || (item => item.sentiment);
+  const texts = items.map(item => getText(item).toLowerCase());
+
+  return [...new Set(keywords.map(keyword => String(keyword).trim()).filter(Boolean))]
+    .map(keyword => {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u');
+      const matching = items.filter((_, index) => pattern.test(texts[index]));
+      return { keyword, ...summarizeSentiment(matching, getSentiment, options) };
+    })
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword));
+}
+
+/**
+ * "positive (+0.42)"
+ */
+export function formatSentiment(sentiment) {
+  if (!sentiment || typeof sentiment.score !== 'number') return 'n/a';
+  return `${sentiment.label} (${formatScore(sentiment.score)})`;
+}
+
+/**
+ * "12 positive / 5 neutral / 3 negative (average +0.21)"
+ */
+export function formatSentimentSummary(summary) {
+  if (!summary || summary.count === 0) return 'n/a';
+  return `${summary.positive} positive / ${summary.neutral} neutral / ${summary.negative} negative ` +
+    `(average ${formatScore(summary.average)})`;
+}
+
+/**
+ * Markdown table of sentiment summaries, e.g. sentimentByKeyword output
+ * (`heading`/`getName` name the first column for other groupings)
+ */
+export function formatSentimentTable(entries, { heading = 'Keyword', getName = entry => entry.keyword } = {}) {
+  let markdown = `| ${heading} | Posts | Positive | Neutral | Negative | Average |\n`;
+  markdown += `|${'-'.repeat(heading.length + 2)}|-------|----------|---------|----------|---------|\n`;
+  entries.forEach(entry => {
+    markdown += `| ${getName(entry)} | ${entry.count} | ${entry.positive} | ${entry.neutral} | ${entry.negative} | ` +
+      `${formatScore(entry.average)} |\n`;
+  });
+  return markdown;
+}
+
+function formatScore(score) {
+  return `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+}
+
+function commentText(comment) {
+  if (comment.content && typeof comment.content === 'object') return comment.content.text || '';
+  return comment.body ?? comment.text ?? comment.content ?? '';
+}
+
+function normalizeToken(token) {
+  if (EMOJI[token] !== undefined) return token;
+  return token.toLowerCase().replace(/^'+|'+$/g, '').replace(/n't$/, 'nt').replace(/'/g, '');
+}
+
+/**
+ * Valence of a token; plurals and -ed/-ing forms fall back to their stem
+ */
+function lookup(token) {
+  if (EMOJI[token] !== undefined) return EMOJI[token];
+  if (LEXICON[token] !== undefined) return LEXICON[token];
+
+  const stems = [
+    token.replace(/s$/, ''),
+    token.replace(/es$/, ''),
+    token.replace(/ed$/, ''),
+    token.replace(/d$/, ''),
+    token.replace(/ing$/, ''),
+    token.replace(/ing$/, 'e'),
+    token.replace(/ly$/, '')
+  ];
+  const stem = stems.find(candidate => candidate !== token && candidate.length > 2 && LEXICON[candidate] !== undefined);
+  return stem ? LEXICON[stem] : 0;
+}
+
+function normalizeScore(sum) {
+  if (sum === 0) return 0;
+  return round(sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA));
+}
+
+function toLabel(score, threshold = DEFAULT_SENTIMENT_OPTIONS.threshold) {
+  if (score >= threshold) return 'positive';
+  if (score <= -threshold) return 'negative';
+  return 'neutral';
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+  analyzeText,
+  analyzeComments,
+  analyzePost,
+  summarizeSentiment,
+  sentimentByKeyword
+};
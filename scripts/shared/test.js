@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the shared modules (no network or browser needed)
+ *   node scripts/shared/test.js
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import HistoryStore from './history-store.js';
+import { createCommunityItem, fromIndieHackers, toIsoTimestamp } from './community-item.js';
+import AlertManager, { RULES, SINKS, validateAlertConfig } from './alerts.js';
+import { parseReportDate, listReportDates, diffReports } from './report-diff.js';
+import { canonicalizeUrl, findDuplicateClusters, dedupeItems } from './near-duplicates.js';
+import {
+  analyzeText, analyzeComments, analyzePost, summarizeSentiment, sentimentByKeyword, formatSentiment
+} from './sentiment.js';
+import { parseCron, isValidCron, nextRun } from './cron.js';
+import { buildMentionReport, buildTimeline } from './monitor.js';
+import { appearancesFromHistory, appearancesFromItems, rankAuthors, profileKey } from './author-profiles.js';
+import Scheduler, { REPO_ROOT, buildCommands, formatCommand, validateJobs } from './scheduler.js';
+
+function report(name, checks) {
+  checks.forEach(([check, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${check}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? `\n✅ ${name} test passed!` : `\n❌ ${name} test failed`);
+  return passed;
+}
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bespy-test-'));
+  try {
+    return await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run recording against a temporary history directory
+ */
+async function testHistoryStore() {
+  console.log('\n🗄️  Testing history store...\n');
+
+  const item = (id, score, comments, body = '') => createCommunityItem('reddit', {
+    native_id: id,
+    title: `Post ${id}`,
+    url: `https://www.reddit.com/r/SaaS/comments/${id}/`,
+    author: { username: 'alice' },
+    metrics: { score, comments },
+    body
+  });
+
+  try {
+    return await withTempDir(async dir => {
+      const first = await new HistoryStore({ baseDir: dir }).recordRun('reddit', [item('a', 10, 1, 'Hello'), item('b', 5, 0)]);
+      const second = await new HistoryStore({ baseDir: dir }).recordRun('reddit', [
+        item('a', 10, 1, 'Hello'), item('b', 7, 0), item('c', 1, 0)
+      ]);
+      await new HistoryStore({ baseDir: dir }).recordRun('hackernews', [
+        createCommunityItem('hackernews', { native_id: '1', title: 'Story', metrics: { score: 3 } })
+      ]);
+
+      // A partially written trailing line, as left by an interrupted run
+      await fs.appendFile(path.join(dir, 'reddit', 'snapshots.jsonl'), '{"item_id":"reddit:a","metr');
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      let full;
+      let latest;
+      try {
+        full = await new HistoryStore({ baseDir: dir }).load();
+        latest = await new HistoryStore({ baseDir: dir }).load({ source: 'reddit', snapshots: 'latest', content: 'hash' });
+      } finally {
+        console.warn = warn;
+      }
+      const contentLines = (await fs.readFile(path.join(dir, 'reddit', 'content.jsonl'), 'utf8')).trim().split('\n');
+
+      const checks = [
+        ['counts every item of a first run as new', first.new_items === 2 && first.changed_items === 0],
+        ['counts new and changed items against the last run', second.new_items === 1 && second.changed_items === 1],
+        ['stores unchanged content once', contentLines.length === 1],
+        ['skips malformed lines', warnings.length === 2 && full.getTimeline('reddit:a').length === 2],
+        ['loads every source by default', full.getRuns().length === 3 && full.getItemIds('hackernews').length === 1],
+        ['resolves items by URL', full.getLatestSnapshot('https://reddit.com/r/SaaS/comments/b').metrics.score === 7],
+        ['loads one source', latest.getRuns().length === 2 && latest.getItemIds('hackernews').length === 0],
+        ['keeps only the latest snapshot', latest.getTimeline('reddit:b').length === 1 && latest.getLatestSnapshot('reddit:b').metrics.score === 7],
+        ['keeps only content hashes', latest.getCachedContent('reddit:a').body === undefined &&
+          latest.getCachedContent('reddit:a').content_hash === full.getCachedContent('reddit:a').content_hash]
+      ];
+
+      // Recording with the slim store must give the same counts as with the full one
+      const third = await latest.recordRun('reddit', [item('a', 10, 1, 'Hello'), item('c', 2, 0)]);
+      checks.push(['records runs from a latest-only store', third.new_items === 0 && third.changed_items === 1 &&
+        (await fs.readFile(path.join(dir, 'reddit', 'content.jsonl'), 'utf8')).trim().split('\n').length === 1]);
+
+      return report('History store', checks);
+    });
+  } catch (error) {
+    console.error('❌ History store test failed:', error.message);
+    return false;
+  }
+}
+
+function testCommunityItem() {
+  console.log('\n🧩 Testing community items...\n');
+
+  const checks = [
+    ['reads Unix seconds', toIsoTimestamp(1756288800) === '2025-08-27T10:00:00.000Z'],
+    ['reads milliseconds', toIsoTimestamp(1756288800000) === '2025-08-27T10:00:00.000Z'],
+    ['reads epochs given as digit-only strings', toIsoTimestamp('1756288800') === '2025-08-27T10:00:00.000Z' &&
+      toIsoTimestamp('1756288800000') === '2025-08-27T10:00:00.000Z'],
+    ['reads date strings', toIsoTimestamp('Wed Aug 27 10:00:00 +0000 2025') === '2025-08-27T10:00:00.000Z'],
+    ['reads Date objects', toIsoTimestamp(new Date('2025-08-27T10:00:00Z')) === '2025-08-27T10:00:00.000Z'],
+    ['reads relative times', Math.abs(new Date(toIsoTimestamp('2 hours ago')).getTime() - (Date.now() - 2 * 3600 * 1000)) < 60 * 1000],
+    ['returns null for empty and invalid values', [null, undefined, '', 'not a date', new Date('x')].every(value => toIsoTimestamp(value) === null)],
+    ['returns null for non-finite and out-of-range numbers', [NaN, Infinity, -Infinity, 1e20].every(value => toIsoTimestamp(value) === null)],
+    ['keeps a zero IndieHackers comment count', fromIndieHackers({
+      title: 'Quiet post', url: 'https://www.indiehackers.com/post/quiet-1', commentCount: 0, engagement: { comments: 7 }
+    }).metrics.comments === 0],
+    ['prefixes ids with the source', createCommunityItem('reddit', { native_id: 'abc' }).id === 'reddit:abc'],
+    ['cleans metric strings', createCommunityItem('reddit', { metrics: { score: '1,234', comments: '' } }).metrics.score === 1234]
+  ];
+
+  return report('Community item', checks);
+}
+
+function testCron() {
+  console.log('\n⏱️  Testing cron expressions...\n');
+
+  const workHours = parseCron('*/15 9-17 * * 1-5');
+  const local = (...parts) => new Date(...parts).getTime();
+
+  const checks = [
+    ['expands steps and ranges', workHours.minute.values.size === 4 && workHours.hour.values.size === 9 &&
+      workHours.dayOfWeek.values.has(5) && !workHours.dayOfWeek.values.has(6)],
+    ['expands shortcuts', parseCron('@daily').hour.values.size === 1 && parseCron('@daily').minute.values.has(0)],
+    ['treats 7 as Sunday', parseCron('0 0 * * 7').dayOfWeek.values.has(0) && !parseCron('0 0 * * 7').dayOfWeek.values.has(7)],
+    ['rejects bad expressions', ['* * * *', '61 * * * *', '* 5-2 * * *', '*/0 * * * *', 'x * * * *'].every(e => !isValidCron(e))],
+    ['names the bad field', (() => {
+      try { parseCron('0 25 * * *'); return false; } catch (error) { return error.message.includes('hour'); }
+    })()],
+    ['finds the next run strictly after now', nextRun('*/15 * * * *', new Date(2025, 0, 1, 10, 15, 30)).getTime() === local(2025, 0, 1, 10, 30)],
+    ['rolls over to the next matching weekday', nextRun('0 9 * * 1', new Date(2025, 7, 27, 10, 0)).getTime() === local(2025, 8, 1, 9, 0)],
+    ['matches either restricted day field', nextRun('0 0 13 * 5', new Date(2025, 0, 1)).getTime() === local(2025, 0, 3)],
+    ['finds leap days', nextRun('0 0 29 2 *', new Date(2025, 2, 1)).getTime() === local(2028, 1, 29)]
+  ];
+
+  return report('Cron', checks);
+}
+
+/**
+ * Command building and the overlap lock, without starting any scraper
+ */
+async function testScheduler() {
+  console.log('\n📅 Testing scheduler...\n');
+
+  const reddit = buildCommands({ name: 'r', source: 'reddit', keywords: ['saas', 'indie'], posts: 10 });
+  const hackernews = buildCommands({ name: 'hn', source: 'hackernews', command: 'front' });
+  const job = { name: 'overlap', source: 'hackernews', command: 'front' };
+
+  try {
+    return await withTempDir(async dir => {
+      // The spawned process must see the command's cwd
+      const scheduler = new Scheduler([job], { scheduleDir: dir });
+      const logPath = path.join(dir, 'cwd.log');
+      const logStream = createWriteStream(logPath);
+      const exitCode = await scheduler.runCommand(
+        { cwd: dir, args: ['-e', 'process.stdout.write(process.cwd())'] }, { child: null }, logStream
+      );
+      await new Promise(resolve => logStream.end(resolve));
+      const spawnedCwd = await fs.readFile(logPath, 'utf8');
+
+      // A run that fires while the same job is still running is skipped
+      let overlapping;
+      scheduler.runCommand = async () => {
+        overlapping = await scheduler.runJob(job);
+        return 0;
+      };
+      const log = console.log;
+      const warn = console.warn;
+      const logError = console.error;
+      console.log = console.warn = () => {};
+      let run;
+      try {
+        run = await scheduler.runJob(job);
+      } finally {
+        console.log = log;
+        console.warn = warn;
+      }
+      const runs = (await fs.readFile(path.join(dir, 'runs.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+      // A log directory that can't be created fails the run without keeping the lock
+      const blocked = path.join(dir, 'blocked');
+      await fs.writeFile(blocked, '');
+      const broken = new Scheduler([job], { scheduleDir: blocked });
+      const setupError = await broken.runJob(job).then(() => null, error => error.message);
+
+      // Errors in a timer callback are logged instead of becoming unhandled rejections
+      const timed = new Scheduler([{ ...job, cron: '* * * * *' }], { scheduleDir: dir });
+      const errors = [];
+      timed.runJob = async () => { throw new Error('boom'); };
+      console.log = () => {};
+      console.error = message => errors.push(message);
+      try {
+        timed.setTimer(timed.jobs[0], new Date());
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await timed.stop();
+      } finally {
+        console.log = log;
+        console.error = logError;
+      }
+      const { errors: cronErrors } = validateJobs({ jobs: [{ ...job, name: 'never', cron: '0 0 31 2 *' }] });
+
+      const checks = [
+        ['builds one reddit command per keyword', reddit.length === 2 &&
+          reddit[0].args.join(' ') === 'cli-enhanced.js search --keyword saas --format json --limit 10'],
+        ['runs reddit jobs from scripts/reddit', reddit.every(command => command.cwd === path.join(REPO_ROOT, 'scripts', 'reddit'))],
+        ['runs other jobs from the repo root', hackernews[0].cwd === REPO_ROOT &&
+          hackernews[0].args[0] === 'scripts/hackernews/cli.js'],
+        ['formats commands with their directory', formatCommand(reddit[0]).startsWith('(cd scripts/reddit && node cli-enhanced.js search') &&
+          formatCommand(hackernews[0]) === 'node scripts/hackernews/cli.js front --format json'],
+        ['spawns in the command cwd', exitCode === 0 && spawnedCwd === dir],
+        ['skips an overlapping run', overlapping?.status === 'skipped' && run.status === 'success'],
+        ['logs the skip and the run', runs.length === 2 && runs[0].reason === 'overlap' && runs[1].status === 'success'],
+        ['releases the lock after the run', scheduler.running.size === 0],
+        ['releases the lock when the run setup fails', setupError !== null && broken.running.size === 0],
+        ['logs errors from timer callbacks', errors.length === 1 && errors[0].includes('boom')],
+        ['rejects schedules that never fire', cronErrors.length === 1 && cronErrors[0].includes('never fires')]
+      ];
+
+      return report('Scheduler', checks);
+    });
+  } catch (error) {
+    console.error('❌ Scheduler test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Alert rules against hand-built snapshots; the viral rule gets a stub scoring engine
+ */
+async function testAlerts() {
+  console.log('\n🔔 Testing alerts...\n');
+
+  const now = new Date('2025-08-27T12:00:00Z');
+  const item = (metrics, title = 'Launching BuildPad today') => createCommunityItem('reddit', {
+    native_id: 'a', title, body: 'Feedback welcome', metrics
+  });
+  const snapshot = (metrics, hoursAgo) => ({ metrics, recorded_at: new Date(now - hoursAgo * 3600 * 1000).toISOString() });
+  const scoringEngine = {
+    weights: { engagementThresholds: { viral: 50 } },
+    scoreItem: scored => ({ engagementScore: scored.metrics.score })
+  };
+  const context = { now, scoringEngine };
+
+  const mention = { name: 'm', type: 'new_mention', keywords: ['buildpad'] };
+  const viral = { name: 'v', type: 'viral' };
+  const velocity = { name: 'c', type: 'comment_velocity', perHour: 5, minNewComments: 10 };
+
+  const errors = validateAlertConfig({
+    rules: [
+      { name: 'm', type: 'new_mention' },
+      { name: 'm', type: 'viral', sources: ['myspace'], threshold: -1 },
+      { type: 'bogus' }
+    ],
+    sinks: [{ type: 'webhook', format: 'xml', timeout: 0 }, { type: 'email', host: 'smtp.example.com' }, { type: 'pager' }]
+  }).errors;
+  const hasError = fragment => errors.some(error => error.includes(fragment));
+
+  const manager = new AlertManager({
+    rules: [mention, { ...velocity, sources: ['hackernews'] }, { ...viral, enabled: false }],
+    sinks: []
+  });
+  const alerts = await manager.evaluate('reddit', [item({ score: 1, comments: 40 })], {
+    getLatestSnapshot: () => null
+  }, now);
+
+  // A webhook that accepts the request and never answers
+  const hanging = http.createServer(() => {});
+  await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+  const startedAt = Date.now();
+  const webhookError = await SINKS.webhook({ url: `http://127.0.0.1:${hanging.address().port}/hook`, format: 'json', timeout: 100 }, alerts)
+    .then(() => null, error => error);
+  const waited = Date.now() - startedAt;
+  hanging.closeAllConnections();
+  await new Promise(resolve => hanging.close(resolve));
+
+  const checks = [
+    ['new_mention matches keywords case-insensitively', RULES.new_mention(mention, item({}), null)?.details.keyword === 'buildpad'],
+    ['new_mention ignores items seen before', RULES.new_mention(mention, item({}), snapshot({}, 1)) === null],
+    ['new_mention ignores items without a keyword', RULES.new_mention(mention, item({}, 'Something else'), null) === null],
+    ['viral fires when the score crosses the threshold', RULES.viral(viral, item({ score: 60 }), snapshot({ score: 40 }, 1), context)?.details.previous_score === 40],
+    ['viral stays quiet once past the threshold', RULES.viral(viral, item({ score: 80 }), snapshot({ score: 60 }, 1), context) === null],
+    ['viral uses the rule threshold', RULES.viral({ ...viral, threshold: 100 }, item({ score: 60 }), null, context) === null],
+    ['comment_velocity fires on a spike', RULES.comment_velocity(velocity, item({ comments: 30 }), snapshot({ comments: 10 }, 2), context)?.details.per_hour === 10],
+    ['comment_velocity needs enough new comments', RULES.comment_velocity(velocity, item({ comments: 15 }), snapshot({ comments: 10 }, 0.5), context) === null],
+    ['comment_velocity needs a previous snapshot', RULES.comment_velocity(velocity, item({ comments: 30 }), null, context) === null],
+    ['accepts the example config', validateAlertConfig({
+      rules: [mention, viral, velocity], sinks: [{ type: 'stdout' }, { type: 'webhook', url: 'https://hooks.example.com/x' }]
+    }).valid],
+    ['reports every config problem', errors.length === 12 && ['keywords', 'duplicate', 'sources', 'threshold', 'rules[2].name',
+      'rules[2].type', 'sinks[0].url', 'sinks[0].format', 'sinks[0].timeout', 'sinks[1].from', 'sinks[1].to', 'sinks[2].type'].every(hasError)],
+    ['rejects a config without rules and sinks', validateAlertConfig({}).errors.length === 2 && !validateAlertConfig(null).valid],
+    ['evaluates only enabled rules for the source', alerts.length === 1 && alerts[0].rule === 'm' && alerts[0].item_id === 'reddit:a'],
+    ['gives up on a webhook that never answers', webhookError?.name === 'TimeoutError' && waited < 5000]
+  ];
+
+  return report('Alerts', checks);
+}
+
+/**
+ * Diff two dated Reddit report folders written to a temporary reports directory
+ */
+async function testReportDiff() {
+  console.log('\n🔀 Testing report diffs...\n');
+
+  const post = (id, title, score, comments) => ({ id, title, score, num_comments: comments, author: 'alice', subreddit: 'SaaS' });
+  const writeReport = async (dir, name, posts) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ keyword: 'saas', posts }), 'utf8');
+  };
+
+  try {
+    return await withTempDir(async dir => {
+      await writeReport(path.join(dir, 'reddit', '26-Aug-2025'), 'saas.json', [
+        post('a', 'Launch day notes', 10, 1), post('b', 'Pricing experiments', 5, 0), post('d', 'Hiring a first engineer', 3, 0)
+      ]);
+      await fs.mkdir(path.join(dir, 'reddit', '2025-08-26'));
+      await writeReport(path.join(dir, 'reddit', '2025-08-27'), 'saas.json', [
+        post('b', 'Pricing experiments', 20, 4), post('a', 'Launch day notes', 10, 1), post('c', 'Pricing pages that convert', 8, 2)
+      ]);
+
+      const dates = await listReportDates('reddit', dir);
+      const diff = await diffReports('reddit', null, null, { reportsDir: dir });
+      const rejects = async (...args) => diffReports(...args).then(() => false, () => true);
+
+      const checks = [
+        ['reads ISO folder names', parseReportDate('2025-08-27') === '2025-08-27'],
+        ['reads day-first folder names', parseReportDate('7-Aug-2025') === '2025-08-07'],
+        ['ignores other folder names', [parseReportDate('27-Foo-2025'), parseReportDate('latest'), parseReportDate('2025-8-27')].every(date => date === null)],
+        ['groups both naming styles of a day', dates.length === 2 && dates[0].date === '2025-08-26' && dates[0].dirs.length === 2],
+        ['compares the latest two dates', diff.from.date === '2025-08-26' && diff.to.date === '2025-08-27'],
+        ['finds new and dropped posts', diff.new_posts.map(entry => entry.id).join() === 'reddit:c' &&
+          diff.dropped_posts.map(entry => entry.id).join() === 'reddit:d'],
+        ['counts continuing posts and rank changes', diff.summary.continuing_posts === 2 && diff.summary.rank_changes === 2],
+        ['reports rank movements', diff.rank_movements[0].id === 'reddit:b' && diff.rank_movements[0].from_rank === 2 &&
+          diff.rank_movements[0].change === 1 && diff.rank_movements[1].change === -1],
+        ['ranks engagement gainers', diff.top_gainers.length === 1 && diff.top_gainers[0].engagement_change === 19],
+        ['finds new themes', diff.new_themes.some(theme => theme.theme === 'Pricing') && !diff.themes.from.some(theme => theme.theme === 'Pricing')],
+        ['rejects invalid dates', await rejects('reddit', 'yesterday', null, { reportsDir: dir })],
+        ['needs two dates to compare', await rejects('hackernews', null, null, { reportsDir: dir })]
+      ];
+
+      return report('Report diff', checks);
+    });
+  } catch (error) {
+    console.error('❌ Report diff test failed:', error.message);
+    return false;
+  }
+}
+
+function testNearDuplicates() {
+  console.log('\n👯 Testing near-duplicate detection...\n');
+
+  const body = 'We spent six months talking to founders about how they validate ideas before writing any code and the most ' +
+    'common answer was a spreadsheet so we built a tool for it that turns customer interviews into a scored list of ' +
+    'risky assumptions and suggests the cheapest experiment to test each one first';
+  const item = (source, id, title, fields = {}) => createCommunityItem(source, { native_id: id, title, ...fields });
+  const items = [
+    item('reddit', 'r1', 'BuildPad - a lean canvas for indie founders', { link_url: 'https://www.buildpad.io/', metrics: { score: 10 } }),
+    item('hackernews', '1', 'Show HN: BuildPad – a lean canvas for indie founders', {
+      link_url: 'https://buildpad.io?utm_source=hn', metrics: { score: 100, comments: 20 }
+    }),
+    item('indiehackers', 'i1', 'BuildPad: a lean canvas for indie founders!', { metrics: { score: 5 } }),
+    item('reddit', 'r2', 'Hiring my first engineer as a solo founder'),
+    item('reddit', 'r3', 'Feedback?'),
+    item('reddit', 'r4', 'Feedback?'),
+    item('reddit', 'r5', 'How we validate ideas', { body, metrics: { score: 3 } }),
+    item('hackernews', '2', 'Validating startup ideas without code', { body, metrics: { score: 1 } })
+  ];
+
+  const clusters = findDuplicateClusters(items);
+  const [launch, validation] = clusters;
+  const deduped = dedupeItems(items);
+  const kept = deduped.items.find(entry => entry.id === 'hackernews:1');
+
+  const checks = [
+    ['canonicalizes links', canonicalizeUrl('https://www.buildpad.io/?utm_source=hn#top') === 'buildpad.io' &&
+      canonicalizeUrl('https://Example.com/a/?b=2&ref=x') === 'example.com/a?b=2'],
+    ['ignores links to the sources themselves', canonicalizeUrl('https://news.ycombinator.com/item?id=1') === null && canonicalizeUrl('') === null],
+    ['finds two clusters', clusters.length === 2],
+    ['keeps the best-ranked post as representative', launch.representative.id === 'hackernews:1'],
+    ['matches cross-posts by link and by title', launch.duplicates.map(({ item: duplicate, match }) => `${duplicate.id}=${match}`).join() ===
+      'reddit:r1=link,indiehackers:i1=title'],
+    ['matches reworded posts by content', validation.representative.id === 'reddit:r5' &&
+      validation.duplicates[0].match === 'content' && validation.duplicates[0].similarity >= 0.5],
+    ['never matches short titles alone', !clusters.some(cluster => [cluster.representative, ...cluster.duplicates.map(entry => entry.item)]
+      .some(member => member.title === 'Feedback?'))],
+    ['drops duplicates in input order', deduped.removed === 3 && deduped.items.map(entry => entry.id).join() ===
+      'hackernews:1,reddit:r2,reddit:r3,reddit:r4,reddit:r5'],
+    ['records sightings on the kept post', kept.sightings.length === 2 && kept.sightings[0].source === 'reddit' && kept.sightings[0].similarity === 1]
+  ];
+
+  return report('Near duplicates', checks);
+}
+
+function testSentiment() {
+  console.log('\n💬 Testing sentiment...\n');
+
+  const score = text => analyzeText(text).score;
+  const comments = [{
+    body: 'This is terrible',
+    replies: [{ body: '[deleted]' }, { text: 'I love it', children: [{ content: { text: 'Awful pricing' } }] }]
+  }];
+  const post = analyzePost({ title: 'Launching BuildPad', body: 'We moved the office', comments });
+  const items = [
+    { title: 'BuildPad is great', sentiment: { score: 0.6, label: 'positive' } },
+    { title: 'BuildPad pricing', body: 'Too expensive', sentiment: { score: -0.3, label: 'negative' } },
+    { title: 'Trying buildpads and canvases', sentiment: { score: 0, label: 'neutral' } },
+    { title: 'Lean canvas templates', sentiment: { score: 0.2, label: 'positive' } },
+    { title: 'Not analyzed yet' }
+  ];
+  const byKeyword = sentimentByKeyword(items, ['canvas', 'BuildPad', ' canvas ', 'notion']);
+
+  const checks = [
+    ['scores lexicon words', score('This is great') === 0.625 && analyzeText('This is great').label === 'positive'],
+    ['leaves plain text neutral', score('We moved the office to Berlin') === 0 && analyzeText('We moved the office to Berlin').label === 'neutral'],
+    ['flips negated words', score('This is not great') < 0 && score("I don't love it") < 0],
+    ['applies boosters and exclamation marks', score('very good') > score('good') && score('great!!!') > score('great')],
+    ['weights the clause after "but"', score('The UI is great but the pricing is terrible') < 0],
+    ['reads emoji and word stems', analyzeText('Launched on Product Hunt 🚀').positive.join() === 'Launched,🚀' && score('It crashed twice') < 0],
+    ['walks comment trees and skips deleted comments', (() => {
+      const summary = analyzeComments(comments);
+      return summary.count === 3 && summary.positive === 1 && summary.negative === 2 && summary.label === 'negative';
+    })()],
+    ['blends post text with its comments', post.text.score === 0 && post.score === -0.048 && post.comments.count === 3],
+    ['uses only the text without comments', analyzePost({ title: 'This is great' }).score === 0.625],
+    ['summarizes and skips items without sentiment', (() => {
+      const summary = summarizeSentiment(items);
+      return summary.count === 4 && summary.positive === 2 && summary.negative === 1 && summary.average === 0.125;
+    })()],
+    ['groups by whole-word keyword', byKeyword.map(entry => `${entry.keyword}:${entry.count}`).join() === 'BuildPad:2,canvas:1'],
+    ['formats scores', formatSentiment({ score: 0.625, label: 'positive' }) === 'positive (+0.63)' && formatSentiment(null) === 'n/a']
+  ];
+
+  return report('Sentiment', checks);
+}
+
+/**
+ * Merging per-source search results into one mention report (no searches run)
+ */
+function testMonitor() {
+  console.log('\n📡 Testing mention reports...\n');
+
+  const item = (source, id, fields = {}) => createCommunityItem(source, { native_id: id, title: `Story ${id}`, ...fields });
+  const launch = item('hackernews', '1', {
+    title: 'Show HN: BuildPad, a lean canvas for indie founders',
+    link_url: 'https://buildpad.io/',
+    posted_at: '2025-08-27T10:00:00Z',
+    metrics: { score: 100, comments: 20 },
+    body: 'This is great'
+  });
+  const undated = item('hackernews', '2', { metrics: { score: 1 }, sentiment: { score: -0.5, label: 'negative' } });
+  const crossPost = item('reddit', 'r1', {
+    title: 'BuildPad - a lean canvas for indie founders',
+    link_url: 'https://www.buildpad.io/?utm_source=reddit',
+    posted_at: '2025-08-26T09:00:00Z',
+    metrics: { score: 10, comments: 2 }
+  });
+  const results = [
+    { source: 'hackernews', status: 'ok', items: [undated, launch], durationMs: 1234 },
+    { source: 'reddit', status: 'ok', items: [crossPost, crossPost] },
+    { source: 'twitter', status: 'failed', error: 'Browser not installed', items: [], durationMs: 1500 }
+  ];
+
+  const merged = buildMentionReport('buildpad', results, new Date('2025-08-28T00:00:00Z'));
+  const all = buildMentionReport('buildpad', results, new Date('2025-08-28T00:00:00Z'), { dedup: false });
+  const timeline = buildTimeline([
+    { source: 'reddit', posted_at: null },
+    { source: 'reddit', posted_at: '2025-08-27T23:59:00Z' },
+    { source: 'hackernews', posted_at: '2025-08-26T00:00:00Z' },
+    { source: 'hackernews', posted_at: '2025-08-27T01:00:00Z' }
+  ]);
+
+  const checks = [
+    ['drops repeated ids', all.total_mentions === 3 && all.duplicates_merged === 0],
+    ['merges cross-posts into sightings', merged.total_mentions === 2 && merged.duplicates_merged === 1 &&
+      merged.mentions[0].sightings?.[0]?.source === 'reddit'],
+    ['sorts newest first with undated mentions last', all.mentions.map(mention => mention.id).join() ===
+      'hackernews:1,reddit:r1,hackernews:2'],
+    ['counts sightings for their own source', merged.sources.reddit.mentions === 1 && merged.sources.reddit.total_score === 10 &&
+      merged.sources.hackernews.mentions === 2 && merged.sources.hackernews.total_comments === 20],
+    ['reports failed sources', merged.sources.twitter.status === 'failed' && merged.sources.twitter.error === 'Browser not installed' &&
+      merged.sources.twitter.mentions === 0 && merged.sources.twitter.duration_s === 1.5],
+    ['rounds durations', merged.sources.hackernews.duration_s === 1.2 && merged.sources.reddit.duration_s === 0 &&
+      !('error' in merged.sources.reddit)],
+    ['adds missing sentiment and keeps existing', merged.mentions[0].sentiment?.label === 'positive' &&
+      merged.mentions[1].sentiment.score === -0.5],
+    ['summarizes sentiment by source', merged.sentiment.count === 2 && merged.sentiment.by_source.hackernews.count === 2 &&
+      merged.sentiment.by_source.twitter.count === 0],
+    ['builds the timeline from merged mentions', merged.timeline.map(day => `${day.date}:${day.total}`).join() === '2025-08-27:1,unknown:1'],
+    ['groups days by UTC date and source, oldest first', timeline.map(day => day.date).join() === '2025-08-26,2025-08-27,unknown' &&
+      timeline[1].total === 2 && timeline[1].by_source.reddit === 1 && timeline[1].by_source.hackernews === 1],
+    ['stamps the report', merged.keyword === 'buildpad' && merged.generated_at === '2025-08-28T00:00:00.000Z']
+  ];
+
+  return report('Monitor', checks);
+}
+
+/**
+ * Influence ranking from a temporary history: latest metrics per item,
+ * anonymous authors left out, profiles and recurring authors
+ */
+async function testAuthorProfiles() {
+  console.log('\n👤 Testing author profiles...\n');
+
+  const item = (id, username, score, comments) => createCommunityItem('reddit', {
+    native_id: id, title: `Post ${id}`, author: { username }, metrics: { score, comments }
+  });
+  const factors = { followersThreshold: 1000, reputationWeight: 0.25, activityBonus: 1.5, verifiedMultiplier: 2 };
+
+  try {
+    return await withTempDir(async dir => {
+      const store = new HistoryStore({ baseDir: dir });
+      await store.recordRun('reddit', [
+        item('a', 'alice', 10, 1), item('c', 'Bob', 8, 1), item('d', '[deleted]', 100, 50), item('e', 'AutoModerator', 100, 50)
+      ], { runId: 'run-1' });
+      await store.recordRun('reddit', [item('a', 'alice', 20, 2), item('b', 'Alice', 5, 0)], { runId: 'run-2' });
+
+      const appearances = appearancesFromHistory(await new HistoryStore({ baseDir: dir }).load());
+      const profiles = { [profileKey('reddit', 'BOB')]: { karma: 500, verified: true, display_name: 'Bob B' } };
+      const ranking = rankAuthors(appearances, profiles, factors);
+      const alice = ranking.find(author => author.username === 'alice');
+      const bob = ranking.find(author => author.username === 'Bob');
+      const future = appearancesFromHistory(store, { since: '2999-01-01' });
+      const current = appearancesFromItems([item('x', 'carol', 3, 0)], 'live');
+
+      // alice: items a (latest 20/2) and b (5/0) over two runs, no profile
+      const aliceInfluence = ((25 + 2 * 2) / 2) * Math.log2(3) * (1 + 0.5) * 1.5;
+      const checks = [
+        ['reads one appearance per snapshot', appearances.length === 6 && appearances[0].run_id === 'run-1'],
+        ['leaves out anonymous authors', ranking.length === 2 && !ranking.some(author => ['[deleted]', 'AutoModerator'].includes(author.username))],
+        ['merges usernames case-insensitively', alice.username === 'alice' && alice.posts === 2],
+        ['counts each item once with its latest metrics', alice.total_score === 25 && alice.total_comments === 2 &&
+          alice.engagement_per_post === 14.5],
+        ['counts runs and marks recurring authors', alice.runs === 2 && alice.recurring && bob.runs === 1 && !bob.recurring],
+        ['approximates reputation from posts without a profile', alice.reputation === 0.5],
+        ['combines the influence formula', alice.influence_score === Math.round(aliceInfluence * 100) / 100],
+        ['reads reach and verification from profiles', bob.reputation === 0.5 && bob.karma === 500 && bob.verified === true &&
+          bob.display_name === 'Bob B' && bob.influence_score === 30],
+        ['ranks by influence', ranking.map(author => author.username).join() === 'alice,Bob'],
+        ['filters by runs, posts and limit', rankAuthors(appearances, profiles, factors, { minRuns: 2 }).map(author => author.username).join() === 'alice' &&
+          rankAuthors(appearances, profiles, factors, { minPosts: 2 }).length === 1 &&
+          rankAuthors(appearances, profiles, factors, { limit: 1 }).length === 1],
+        ['filters snapshots by date', future.length === 0],
+        ['reads appearances from unrecorded items', current[0].username === 'carol' && current[0].run_id === 'live' &&
+          current[0].item_id === 'reddit:x']
+      ];
+
+      return report('Author profiles', checks);
+    });
+  } catch (error) {
+    console.error('❌ Author profiles test failed:', error.message);
+    return false;
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting shared module tests\n');
+  console.log('='.repeat(50));
+
+  const results = [
+    await testHistoryStore(),
+    testCommunityItem(),
+    testCron(),
+    await testScheduler(),
+    await testAlerts(),
+    await testReportDiff(),
+    testNearDuplicates(),
+    testSentiment(),
+    testMonitor(),
+    await testAuthorProfiles()
+  ];
+
+  console.log('\n' + '='.repeat(50));
+  if (results.every(Boolean)) {
+    console.log('\n🎉 All tests passed successfully!');
+    process.exit(0);
+  } else {
+    console.log('\n⚠️ Some tests failed. Please review the implementation.');
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runAllTests();
+}
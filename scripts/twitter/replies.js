@@ -0,0 +1,104 @@
+/**
+ * Replies - Comment threads of a Twitter post
+ * The post page is read twice: TweetDetail API responses give exact counts and
+ * which comment each reply answers, the rendered page adds comments the API
+ * responses missed. Both are keyed by status id, since the API data is built
+ * with twitter.com links while the page links to x.com.
+ */
+
+/**
+ * Status id of a post or comment URL (twitter.com or x.com), '' when there is none
+ */
+export function statusIdOf(url) {
+  return String(url || '').match(/\/status\/(\d+)/)?.[1] || '';
+}
+
+/**
+ * Comments from a TweetDetail API response: the replies in its
+ * conversationthread entries, including ones added by "Show more replies"
+ */
+export function extractCommentsFromAPIResponse(data) {
+  const comments = [];
+
+  try {
+    const instructions = data?.data?.threaded_conversation_with_injections_v2?.instructions || [];
+    const threadItems = instructions.flatMap(instruction => [
+      ...(instruction.entries || [])
+        .filter(entry => entry.entryId?.startsWith('conversationthread-'))
+        .flatMap(entry => entry.content?.items || []),
+      ...(instruction.moduleEntryId?.startsWith('conversationthread-') ? instruction.moduleItems || [] : [])
+    ]);
+
+    for (const item of threadItems) {
+      const result = item.item?.itemContent?.tweet_results?.result;
+      const tweet = result?.__typename === 'TweetWithVisibilityResults' ? result.tweet : result;
+      const userResult = tweet?.core?.user_results?.result;
+      const handle = userResult?.core?.screen_name || userResult?.legacy?.screen_name;
+      const legacy = tweet?.legacy;
+
+      if (legacy?.id_str && handle && legacy.in_reply_to_status_id_str) {
+        // `views.count` is a string, and missing for old posts and some accounts
+        const views = parseInt(tweet.views?.count, 10);
+        comments.push({
+          author: userResult.core?.name || userResult.legacy?.name || handle,
+          handle,
+          text: tweet.note_tweet?.note_tweet_results?.result?.text || legacy.full_text || '',
+          likes: legacy.favorite_count || 0,
+          retweets: legacy.retweet_count || 0,
+          replies: legacy.reply_count || 0,
+          ...(Number.isNaN(views) ? {} : { impressions: views }),
+          timestamp: new Date(legacy.created_at).toISOString(),
+          verified: !!(userResult.is_blue_verified || userResult.legacy?.verified || userResult.verification?.verified),
+          follower_count: userResult.legacy?.followers_count || 0,
+          url: `https://twitter.com/${handle}/status/${legacy.id_str}`,
+          in_reply_to: legacy.in_reply_to_status_id_str
+        });
+      }
+    }
+  } catch (e) {
+    // Silent error handling
+  }
+
+  return comments;
+}
+
+/**
+ * Comments of one post as they are collected while its page is scrolled
+ */
+export class CommentCollector {
+  constructor() {
+    this.apiComments = new Map();   // status id -> comment from a TweetDetail response
+    this.pageComments = new Map();  // status id -> comment rendered in the page
+  }
+
+  addApiResponse(data) {
+    for (const comment of extractCommentsFromAPIResponse(data)) {
+      this.apiComments.set(statusIdOf(comment.url), comment);
+    }
+  }
+
+  addRendered(comments) {
+    for (const comment of comments) {
+      const id = statusIdOf(comment.url);
+      if (id && comment.text && !this.pageComments.has(id)) {
+        this.pageComments.set(id, comment);
+      }
+    }
+  }
+
+  get size() {
+    return this.apiComments.size + [...this.pageComments.keys()].filter(id => !this.apiComments.has(id)).length;
+  }
+
+  /**
+   * Conversation order from the API, then the comments it didn't include
+   */
+  comments() {
+    return [
+      ...this.apiComments.values(),
+      ...[...this.pageComments.entries()].filter(([id]) => !this.apiComments.has(id)).map(([, comment]) => comment)
+    ];
+  }
+}
+
+export default CommentCollector;
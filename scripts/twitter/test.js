@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the Twitter fetcher's reply handling (no network or browser needed)
+ *   node scripts/twitter/test.js
+ */
+
+import { fileURLToPath } from 'url';
+import { CommentCollector, extractCommentsFromAPIResponse, statusIdOf } from './replies.js';
+
+function report(name, checks) {
+  checks.forEach(([check, passed]) => console.log(`  ${passed ? '✅' : '❌'} ${check}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? `\n✅ ${name} test passed!` : `\n❌ ${name} test failed`);
+  return passed;
+}
+
+function tweetResult(id, handle, text, inReplyTo) {
+  return {
+    __typename: 'Tweet',
+    core: { user_results: { result: { legacy: { screen_name: handle, name: handle.toUpperCase(), followers_count: 250 } } } },
+    views: { count: '1200' },
+    legacy: {
+      id_str: id,
+      full_text: text,
+      created_at: 'Wed Aug 27 10:00:00 +0000 2025',
+      favorite_count: 4,
+      ...(inReplyTo ? { in_reply_to_status_id_str: inReplyTo } : {})
+    }
+  };
+}
+
+const threadItem = result => ({ item: { itemContent: { tweet_results: { result } } } });
+
+// The post (1), a thread with a reply (2) and a reply to that reply (3), a
+// hidden-reply wrapper (5) and a "Show more replies" module item (6)
+const tweetDetail = {
+  data: {
+    threaded_conversation_with_injections_v2: {
+      instructions: [
+        {
+          type: 'TimelineAddEntries',
+          entries: [
+            { entryId: 'tweet-1', content: { itemContent: { tweet_results: { result: tweetResult('1', 'alice', 'Launching BuildPad today') } } } },
+            {
+              entryId: 'conversationthread-2',
+              content: {
+                items: [
+                  threadItem(tweetResult('2', 'bob', 'Congrats on the launch!', '1')),
+                  threadItem(tweetResult('3', 'alice', 'Thanks Bob!', '2'))
+                ]
+              }
+            },
+            {
+              entryId: 'conversationthread-5',
+              content: { items: [threadItem({ __typename: 'TweetWithVisibilityResults', tweet: tweetResult('5', 'carol', 'Looks useful', '1') })] }
+            },
+            { entryId: 'cursor-bottom-1', content: { value: 'cursor' } }
+          ]
+        },
+        {
+          type: 'TimelineAddToModule',
+          moduleEntryId: 'conversationthread-2',
+          moduleItems: [threadItem(tweetResult('6', 'dave', 'Same question as Bob', '2'))]
+        }
+      ]
+    }
+  }
+};
+
+// Rows as read from the rendered page, which links to x.com
+const pageRow = (id, handle, text) => ({
+  author: handle, handle, text, likes: 1, retweets: 0, replies: 0,
+  timestamp: '2025-08-27T10:00:00.000Z', verified: false,
+  url: `https://x.com/${handle}/status/${id}`, in_reply_to: '1'
+});
+
+function testCommentMerge() {
+  console.log('\n💬 Testing comment merging...\n');
+
+  const apiComments = extractCommentsFromAPIResponse(tweetDetail);
+
+  const collector = new CommentCollector();
+  collector.addRendered([pageRow('2', 'bob', 'Congrats on the launch!'), pageRow('4', 'erin', 'Is there a free plan?')]);
+  const sizeBeforeApi = collector.size;
+  collector.addApiResponse(tweetDetail);
+  // A later scroll renders the same comments again, plus one without text
+  collector.addRendered([pageRow('3', 'alice', 'Thanks Bob!'), pageRow('4', 'erin', 'Is there a free plan?'), pageRow('7', 'frank', '')]);
+
+  const comments = collector.comments();
+  const ids = comments.map(comment => statusIdOf(comment.url));
+
+  const checks = [
+    ['reads status ids from twitter.com and x.com links', statusIdOf('https://twitter.com/a/status/12') === '12' &&
+      statusIdOf('https://x.com/a/status/12?s=20') === '12' && statusIdOf('') === ''],
+    ['reads replies from thread entries and module items', apiComments.map(comment => statusIdOf(comment.url)).join() === '2,3,5,6'],
+    ['keeps what each reply answers', apiComments.find(comment => comment.handle === 'alice').in_reply_to === '2'],
+    ['reads API counts', apiComments[0].impressions === 1200 && apiComments[0].follower_count === 250 && apiComments[0].author === 'BOB'],
+    ['counts page comments before the API responds', sizeBeforeApi === 2],
+    ['counts a comment seen in both once', collector.size === 5 && comments.length === 5],
+    ['lists API comments first, then page-only ones', ids.join() === '2,3,5,6,4'],
+    ['prefers the API copy of a comment', comments[0].follower_count === 250 && comments[0].url === 'https://twitter.com/bob/status/2'],
+    ['keeps page-only comments as direct replies', comments[4].url === 'https://x.com/erin/status/4' && comments[4].in_reply_to === '1'],
+    ['ignores malformed responses', extractCommentsFromAPIResponse(null).length === 0 && extractCommentsFromAPIResponse({ data: {} }).length === 0]
+  ];
+
+  return report('Comment merge', checks);
+}
+
+function runAllTests() {
+  console.log('🚀 Starting Twitter fetcher tests\n');
+  console.log('='.repeat(50));
+
+  const results = [
+    testCommentMerge()
+  ];
+
+  console.log('\n' + '='.repeat(50));
+  if (results.every(Boolean)) {
+    console.log('\n🎉 All tests passed successfully!');
+    process.exit(0);
+  } else {
+    console.log('\n⚠️ Some tests failed. Please review the implementation.');
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runAllTests();
+}
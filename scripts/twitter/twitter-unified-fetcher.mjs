@@ -30,6 +30,10 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { parseArgs } from 'util';
+import { normalizeItems } from '../shared/community-item.js';
+import { recordHistory } from '../shared/history-store.js';
+import { CommentCollector } from './replies.js';
+import { analyzePost, analyzeText, summarizeSentiment, formatSentiment, formatSentimentSummary } from '../shared/sentiment.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -100,6 +104,11 @@ const options = {
     default: false,
     description: 'Include posts in all languages (overrides englishOnly)'
   },
+  noHistory: {
+    type: 'boolean',
+    default: false,
+    description: 'Do not record this run in the local history store'
+  },
   help: {
     type: 'boolean',
     short: 'h',
@@ -129,6 +138,7 @@ Options:
   -n, --noMcp       Disable MCP server and use direct Playwright
   -e, --englishOnly Keep only English posts (default: true)
   -a, --allLanguages Include posts in all languages
+  --noHistory       Do not record this run in the local history store (data/history)
   -h, --help        Show this help message
 
 Examples:
@@ -257,6 +267,101 @@ function filterPostsByLanguage(posts, englishOnly = false) {
   return filtered;
 }
 
+// Call a playwright-mcp-bespy tool and return its text; tool errors are thrown
+async function callMcpTool(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  const text = result.content?.find(part => part.type === 'text')?.text || '';
+  if (result.isError) {
+    throw new Error(`${name} failed: ${text.replace(/^### Result\n/, '').split('\n')[0]}`);
+  }
+  return text;
+}
+
+// Data a tool returns in its code block as `const <variable> = [...];`
+function parseMcpData(text, variable) {
+  const match = text.match(new RegExp(`const ${variable} = ([\\s\\S]*?);\\n\`\`\``));
+  if (!match) {
+    throw new Error(`No ${variable} data in the MCP response`);
+  }
+  return JSON.parse(match[1]);
+}
+
+// MCP TwitterPost -> the post shape the Playwright path produces
+function postFromMcp(post) {
+  return {
+    text: post.text,
+    author: post.author,
+    handle: post.authorHandle,
+    timestamp: post.timestamp,
+    likes: post.likes,
+    retweets: post.retweets,
+    replies: post.replies,
+    // Estimated view counts are left to the structured transform, as on the Playwright path
+    impressions: post.impressionsEstimated ? 0 : post.impressions,
+    bookmarks: post.bookmarks,
+    url: post.url,
+    verified: post.verified,
+    follower_count: post.authorFollowers || 0
+  };
+}
+
+// MCP TwitterReply -> the comment shape fetchPostComments produces
+function commentFromMcp(reply) {
+  return {
+    author: reply.author,
+    handle: reply.authorHandle,
+    text: reply.text,
+    likes: reply.likes,
+    retweets: reply.retweets,
+    replies: reply.replies,
+    ...(reply.impressionsEstimated ? {} : { impressions: reply.impressions }),
+    timestamp: reply.timestamp,
+    verified: reply.verified,
+    follower_count: reply.authorFollowers || 0,
+    url: reply.url,
+    in_reply_to: reply.inReplyToTweetId
+  };
+}
+
+// Fetch ALL comments for a post with the MCP server's twitter_fetch_replies tool
+async function fetchMcpComments(client, postUrl) {
+  try {
+    console.log(`    💬 Opening post to fetch all comments...`);
+    const result = await callMcpTool(client, 'twitter_fetch_replies', { url: postUrl });
+    return parseMcpData(result, 'replies').map(commentFromMcp);
+  } catch (error) {
+    console.log(`      ❌ Error fetching comments: ${error.message}`);
+    return [];
+  }
+}
+
+// Fetch the comments of every post with fetchComments(postUrl), logging progress
+async function fetchCommentsForPosts(posts, fetchComments) {
+  console.log('💬 Fetching all comments for each post...');
+  let totalComments = 0;
+  
+  for (let i = 0; i < posts.length; i++) {
+    const post = posts[i];
+    console.log(`  📝 Post ${i + 1}/${posts.length}: "${post.text?.substring(0, 50) || 'No text'}..."`);
+    
+    post.comments = await fetchComments(post.url);
+    totalComments += post.comments.length;
+    
+    if (post.comments.length > 0) {
+      console.log(`    ✅ ${post.comments.length} comments fetched`);
+      // Show top commenters
+      const topComments = post.comments.slice(0, 3);
+      topComments.forEach(c => {
+        console.log(`      • @${c.handle}: "${c.text.substring(0, 40)}..." (${c.likes} likes)`);
+      });
+    } else {
+      console.log(`    ⚠️ No comments found`);
+    }
+  }
+  
+  console.log(`\n✅ Total comments fetched: ${totalComments}\n`);
+}
+
 // Fetch posts and comments using MCP
 async function fetchWithMcp(keyword, maxPosts, includeComments, startTime) {
   const transport = new StdioClientTransport({
@@ -273,7 +378,7 @@ async function fetchWithMcp(keyword, maxPosts, includeComments, startTime) {
     
     // Search for posts
     console.log(`🔍 Searching Twitter for "${keyword}"...`);
-    const searchResult = await client.callTool('twitter_search', {
+    await callMcpTool(client, 'twitter_search', {
       keyword,
       sortBy: values.sortBy
     });
@@ -281,12 +386,11 @@ async function fetchWithMcp(keyword, maxPosts, includeComments, startTime) {
     
     // Fetch posts
     console.log(`📥 Fetching ${maxPosts} posts...`);
-    const fetchResult = await client.callTool('twitter_fetch_posts', {
+    const fetchResult = await callMcpTool(client, 'twitter_fetch_posts', {
       maxPosts
     });
     
-    const posts = fetchResult.content[0].text;
-    let postsData = JSON.parse(posts.match(/```json\n([\s\S]*?)\n```/)[1]);
+    let postsData = parseMcpData(fetchResult, 'posts').map(postFromMcp);
     
     // Filter posts by language if enabled
     if (values.englishOnly) {
@@ -296,15 +400,9 @@ async function fetchWithMcp(keyword, maxPosts, includeComments, startTime) {
       console.log(`✅ Successfully fetched ${postsData.length} posts\n`);
     }
     
-    // Fetch comments if requested (Note: MCP doesn't support comment fetching yet)
+    // Fetch comments if requested
     if (includeComments) {
-      console.log('💬 Comment fetching requested but not available via MCP');
-      console.log('  ℹ️ Use --noMcp flag to fetch comments with direct Playwright\n');
-      
-      // Initialize empty comments array
-      for (let post of postsData) {
-        post.comments = [];
-      }
+      await fetchCommentsForPosts(postsData, postUrl => fetchMcpComments(client, postUrl));
     }
     
     // Transform to structured format
@@ -580,29 +678,7 @@ async function fetchWithPlaywright(keyword, maxPosts, includeComments, startTime
     
     // Fetch comments if requested
     if (includeComments) {
-      console.log('💬 Fetching all comments for each post...');
-      let totalComments = 0;
-      
-      for (let i = 0; i < posts.length; i++) {
-        const post = posts[i];
-        console.log(`  📝 Post ${i + 1}/${posts.length}: "${post.text?.substring(0, 50) || 'No text'}..."`);
-        
-        post.comments = await fetchPostComments(page, post.url);
-        totalComments += post.comments.length;
-        
-        if (post.comments.length > 0) {
-          console.log(`    ✅ ${post.comments.length} comments fetched`);
-          // Show top commenters
-          const topComments = post.comments.slice(0, 3);
-          topComments.forEach(c => {
-            console.log(`      • @${c.handle}: "${c.text.substring(0, 40)}..." (${c.likes} likes)`);
-          });
-        } else {
-          console.log(`    ⚠️ No comments found`);
-        }
-      }
-      
-      console.log(`\n✅ Total comments fetched: ${totalComments}\n`);
+      await fetchCommentsForPosts(posts, postUrl => fetchPostComments(page, postUrl));
     }
     
     // Transform to structured format
@@ -743,9 +819,21 @@ async function extractPosts(page, maxPosts) {
 }
 
 // Fetch ALL comments for a specific post by navigating to it and scrolling
+// TweetDetail responses give exact counts and which comment each reply answers;
+// comments only seen in the page are taken as direct replies to the post
 async function fetchPostComments(page, postUrl) {
-  const allComments = [];
-  const seenCommentIds = new Set();
+  const postId = postUrl.match(/status\/(\d+)/)?.[1] || '';
+  const collected = new CommentCollector();
+  
+  const onResponse = async response => {
+    if (!response.url().includes('/TweetDetail')) return;
+    try {
+      collected.addApiResponse(await response.json());
+    } catch {
+      // Not JSON (aborted or rate limited): the DOM still has the rendered comments
+    }
+  };
+  page.on('response', onResponse);
   
   try {
     console.log(`    💬 Opening post to fetch all comments...`);
@@ -773,12 +861,19 @@ async function fetchPostComments(page, postUrl) {
     
     while (scrollAttempts < maxScrolls) {
       // Extract comments from current view
-      const currentComments = await page.evaluate(() => {
+      const currentComments = await page.evaluate((postId) => {
         const comments = [];
-        // Get all tweet elements except the main post (first one)
-        const tweetElements = document.querySelectorAll('[data-testid="tweet"]');
+        const parseCount = (text) => {
+          const value = parseFloat((text || '0').replace(/,/g, '')) || 0;
+          if (text?.includes('K')) return Math.round(value * 1000);
+          if (text?.includes('M')) return Math.round(value * 1000000);
+          return value;
+        };
+        // Get all tweet elements below the main post (posts it replies to are rendered above it)
+        const tweetElements = [...document.querySelectorAll('[data-testid="tweet"]')];
+        const postIndex = tweetElements.findIndex(tweet => tweet.querySelector(`a[href*="/status/${postId}"] time`));
         
-        for (let i = 1; i < tweetElements.length; i++) {
+        for (let i = Math.max(postIndex, 0) + 1; i < tweetElements.length; i++) {
           const tweet = tweetElements[i];
           
           try {
@@ -800,22 +895,22 @@ async function fetchPostComments(page, postUrl) {
             const retweets = retweetButton?.querySelector('[dir="ltr"]')?.textContent || '0';
             const likes = likeButton?.querySelector('[dir="ltr"]')?.textContent || '0';
             
-            // Extract timestamp
+            // Extract timestamp and the comment's own status URL
             const timeElement = tweet.querySelector('time');
             const timestamp = timeElement?.getAttribute('datetime') || '';
-            
-            // Create unique ID for deduplication
-            const commentId = `${authorHandle}-${text.substring(0, 50)}-${timestamp}`;
+            const url = timeElement?.closest('a[href*="/status/"]')?.href || '';
             
             comments.push({
-              id: commentId,
               author: authorName,
               handle: authorHandle,
               text: text,
-              likes: parseInt(likes) || 0,
-              retweets: parseInt(retweets) || 0,
-              replies: parseInt(replies) || 0,
-              timestamp: timestamp
+              likes: parseCount(likes),
+              retweets: parseCount(retweets),
+              replies: parseCount(replies),
+              timestamp: timestamp,
+              verified: authorElement?.querySelector('[data-testid="icon-verified"]') !== null,
+              url,
+              in_reply_to: postId
             });
           } catch (e) {
             // Skip this comment if extraction fails
@@ -823,24 +918,19 @@ async function fetchPostComments(page, postUrl) {
         }
         
         return comments;
-      });
+      }, postId);
       
-      // Add new comments (deduplicate by ID)
-      for (const comment of currentComments) {
-        if (!seenCommentIds.has(comment.id) && comment.text) {
-          seenCommentIds.add(comment.id);
-          allComments.push(comment);
-        }
-      }
+      // Add new comments (deduplicated by status id)
+      collected.addRendered(currentComments);
       
       // Check if we've loaded new comments
-      if (allComments.length === previousCommentCount) {
+      if (collected.size === previousCommentCount) {
         // No new comments loaded, we've reached the end
         break;
       }
       
-      previousCommentCount = allComments.length;
-      console.log(`      📊 Loaded ${allComments.length} comments so far...`);
+      previousCommentCount = collected.size;
+      console.log(`      📊 Loaded ${previousCommentCount} comments so far...`);
       
       // Scroll down to load more comments
       await page.evaluate(() => window.scrollBy(0, 800));
@@ -849,7 +939,8 @@ async function fetchPostComments(page, postUrl) {
       scrollAttempts++;
     }
     
-    console.log(`      ✅ Fetched ${allComments.length} total comments`);
+    const allComments = collected.comments();
+    console.log(`      ✅ Fetched ${allComments.length} total comments (${collected.apiComments.size} from TweetDetail responses)`);
     
     // Navigate back to search results
     await page.goBack({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => {});
@@ -860,53 +951,11 @@ async function fetchPostComments(page, postUrl) {
   } catch (error) {
     console.log(`      ❌ Error fetching comments: ${error.message}`);
     return [];
+  } finally {
+    page.off('response', onResponse);
   }
 }
 
-// Extract comments from Twitter API response
-function extractCommentsFromAPIResponse(data) {
-  const comments = [];
-  
-  try {
-    // Navigate through the API response structure
-    const instructions = data?.data?.threaded_conversation_with_injections_v2?.instructions || [];
-    
-    for (const instruction of instructions) {
-      const entries = instruction?.entries || [];
-      
-      for (const entry of entries) {
-        if (entry.entryId && entry.entryId.includes('conversationthread')) {
-          const items = entry.content?.items || [];
-          
-          for (const item of items) {
-            const tweet = item.item?.itemContent?.tweet_results?.result;
-            if (tweet && tweet.legacy) {
-              const user = tweet.core?.user_results?.result?.legacy;
-              
-              if (user && tweet.legacy.full_text) {
-                comments.push({
-                  author: user.name,
-                  handle: user.screen_name,
-                  text: tweet.legacy.full_text,
-                  likes: tweet.legacy.favorite_count || 0,
-                  retweets: tweet.legacy.retweet_count || 0,
-                  replies: tweet.legacy.reply_count || 0,
-                  timestamp: tweet.legacy.created_at,
-                  verified: user.verified || false
-                });
-              }
-            }
-          }
-        }
-      }
-    }
-  } catch (e) {
-    // Silent error handling
-  }
-  
-  return comments;
-}
-
 // Extract comments from DOM
 async function extractCommentsFromDOM(page) {
   return await page.evaluate(() => {
@@ -1051,23 +1100,34 @@ function transformPost(post, index = 0) {
 
 /**
  * Transform comments array to structured format
+ * Comments that answer another comment get its id as parent_comment_id; depth is
+ * 1 for direct replies to the post (a reply to a comment that wasn't fetched counts as 2)
  */
 function transformComments(comments, parentPostId) {
   if (!comments || !Array.isArray(comments)) {
     return [];
   }
   
+  // Generate comment IDs - try URL first, then fallback to generated ID
+  const commentIds = comments.map((comment, index) => (comment.url && typeof comment.url === 'string')
+    ? extractPostId(comment.url)
+    : `${parentPostId}_comment_${index}_${Date.now()}`);
+  const repliesTo = new Map(comments.map((comment, index) => [commentIds[index], comment.in_reply_to || parentPostId]));
+  const depthOf = (id, seen = new Set()) => {
+    if (id === parentPostId) return 0;
+    if (!repliesTo.has(id) || seen.has(id)) return 1;
+    seen.add(id);
+    return depthOf(repliesTo.get(id), seen) + 1;
+  };
+  
   return comments.map((comment, index) => {
-    // Generate comment ID - try URL first, then fallback to generated ID
-    let commentId;
-    if (comment.url && typeof comment.url === 'string') {
-      commentId = extractPostId(comment.url);
-    } else {
-      commentId = `${parentPostId}_comment_${index}_${Date.now()}`;
-    }
+    const commentId = commentIds[index];
+    const repliesToId = repliesTo.get(commentId);
     
     return {
       comment_id: commentId,
+      parent_comment_id: repliesToId === parentPostId ? null : repliesToId,
+      depth: depthOf(commentId),
       author: {
         username: comment.handle || 'unknown',
         display_name: comment.author || 'Unknown',
@@ -1177,6 +1237,19 @@ function transformToStructuredFormat(posts, keyword, startTime) {
   return structuredData;
 }
 
+/**
+ * Annotate each post with the sentiment of its text and replies, and add
+ * the keyword's aggregate as `sentiment` next to `data`
+ */
+function addSentiment(structuredData, keyword) {
+  const posts = structuredData.data.posts;
+  posts.forEach(post => {
+    post.sentiment = analyzePost({ body: post.content.text, comments: post.comments || [] });
+  });
+  structuredData.sentiment = { keyword, ...summarizeSentiment(posts) };
+  return structuredData;
+}
+
 // Generate reports in various formats
 async function generateReports(structuredData, keyword, template, format) {
   const timestamp = new Date().toISOString().split('T')[0];
@@ -1240,7 +1313,11 @@ function generateMarkdownReportFromStructured(structuredData, keyword, template)
   report += `**Generated at:** ${new Date().toISOString()}\n`;
   report += `**Total Posts:** ${posts.length}\n`;
   report += `**Total Comments:** ${totalComments}\n`;
-  report += `**Template:** ${template.name}\n\n`;
+  report += `**Template:** ${template.name}\n`;
+  if (structuredData.sentiment) {
+    report += `**Sentiment:** ${formatSentimentSummary(structuredData.sentiment)}\n`;
+  }
+  report += `\n`;
   
   if (template.summaryStats) {
     const stats = calculateStatsFromStructured(structuredData);
@@ -1268,6 +1345,14 @@ function generateMarkdownReportFromStructured(structuredData, keyword, template)
     
     report += `**Content:**\n\`\`\`\n${post.content.text}\n\`\`\`\n\n`;
     
+    if (post.sentiment) {
+      report += `**Sentiment:** ${formatSentiment(post.sentiment)}`;
+      if (post.sentiment.comments?.count > 0) {
+        report += ` - replies: ${formatSentimentSummary(post.sentiment.comments)}`;
+      }
+      report += `\n\n`;
+    }
+    
     if (template.includeEngagement) {
       report += `**Engagement Metrics:**\n`;
       if (template.includeMetrics) {
@@ -1301,8 +1386,13 @@ function generateMarkdownReportFromStructured(structuredData, keyword, template)
       const commentsToShow = template.name === 'detailed' ? sortedComments : sortedComments.slice(0, 10);
       
       commentsToShow.forEach((comment, idx) => {
-        report += `  **${idx + 1}. ${comment.author.display_name}** (@${comment.author.username})${comment.author.verified ? ' ✓' : ''}\n`;
+        const parent = comment.parent_comment_id && post.comments.find(c => c.comment_id === comment.parent_comment_id);
+        report += `  **${idx + 1}. ${comment.author.display_name}** (@${comment.author.username})${comment.author.verified ? ' ✓' : ''}`;
+        report += parent ? ` ↳ replying to @${parent.author.username}\n` : '\n';
         report += `  ${comment.content.text}\n`;
+        if (template.sentimentAnalysis) {
+          report += `  Sentiment: ${formatSentiment(analyzeText(comment.content.text))}\n`;
+        }
         report += `  *${comment.metrics.likes} likes • ${comment.metrics.retweets} retweets • ${comment.metrics.replies} replies*\n\n`;
       });
       
@@ -1334,6 +1424,7 @@ function generateCsvReportFromStructured(structuredData, template) {
   if (template.includeHashtags) headers.push('Hashtags');
   if (template.includeMentions) headers.push('Mentions');
   if (template.includeComments) headers.push('Comments_Count', 'Top_Comment');
+  headers.push('Sentiment', 'Sentiment_Score');
   
   const rows = posts.map((post, index) => {
     const row = [index + 1, `"${post.author.display_name}"`, post.author.username, post.author.verified];
@@ -1359,6 +1450,7 @@ function generateCsvReportFromStructured(structuredData, template) {
         row.push('""');
       }
     }
+    row.push(post.sentiment?.label || '', post.sentiment?.score ?? '');
     
     return row.join(',');
   });
@@ -1690,6 +1782,18 @@ async function main() {
     
     console.log(`✅ Successfully fetched ${structuredData.data.posts.length} posts\n`);
     
+    addSentiment(structuredData, values.keyword);
+    
+    // Snapshot this run into the local history store
+    if (!values.noHistory) {
+      try {
+        const items = normalizeItems('twitter', structuredData.data.posts, { keyword: values.keyword });
+        await recordHistory('twitter', items, { label: values.keyword, metadata: { keyword: values.keyword } });
+      } catch (error) {
+        console.warn(`⚠️ Failed to record history: ${error.message}`);
+      }
+    }
+    
     // Generate reports
     console.log('📊 Generating reports...');
     const template = reportTemplates[values.template] || reportTemplates.standard;